@@ -425,10 +425,17 @@ class BusinessDashboard {
                 salary: new SalaryManager(dependencies),
                 attendance: new AttendanceManager(dependencies),
                 billing: new BillingManager(dependencies),
+                quotation: new QuotationManager(dependencies),
+                recurringBill: new RecurringBillManager(dependencies),
+                delivery: new DeliveryManager(dependencies),
+                creditNote: new CreditNoteManager(dependencies),
                 customer: new CustomerManager(dependencies),
                 reports: new ReportsManager(dependencies),
                 export: new ExportManager(dependencies),
-                settings: new SettingsManager(dependencies)
+                settings: new SettingsManager(dependencies),
+                trash: new TrashManager(dependencies),
+                audit: new AuditManager(dependencies),
+                sync: new SyncManager(dependencies)
             };
 
             const initializationPromises = Object.entries(this.managers).map(async ([key, manager]) => {
@@ -580,6 +587,30 @@ class BusinessDashboard {
 
                     await this.managers.billing?.loadBills?.();
                 },
+                'quotations': async () => {
+                    // The quotation form uses billing's products and charge presets
+                    await this.ensureManagerInitialized('billing');
+
+                    const quotationsSection = document.getElementById('quotationsContent');
+                    if (!isSectionActive(quotationsSection)) {
+                        console.log('🚫 Quotations section not active, skipping quotations setup');
+                        return;
+                    }
+
+                    await this.managers.quotation?.loadQuotations?.();
+                },
+                'recurring': async () => {
+                    // Confirming a run opens the bill form, so billing must be ready
+                    await this.ensureManagerInitialized('billing');
+
+                    const recurringSection = document.getElementById('recurringContent');
+                    if (!isSectionActive(recurringSection)) {
+                        console.log('🚫 Recurring bills section not active, skipping recurring bills setup');
+                        return;
+                    }
+
+                    await this.managers.recurringBill?.loadRecurringBills?.();
+                },
                 'customers': async () => {
                     await this.ensureManagerInitialized('customer');
 
@@ -631,6 +662,25 @@ class BusinessDashboard {
                     }
 
                     await this.managers.reports?.loadReports?.();
+                    await this.managers.delivery?.loadTripReport?.();
+                },
+                'trash': async () => {
+                    const trashSection = document.getElementById('trashContent');
+                    if (!isSectionActive(trashSection)) {
+                        console.log('🚫 Trash section not active, skipping trash setup');
+                        return;
+                    }
+
+                    await this.managers.trash?.loadTrash?.();
+                },
+                'audit': async () => {
+                    const auditSection = document.getElementById('auditContent');
+                    if (!isSectionActive(auditSection)) {
+                        console.log('🚫 Audit section not active, skipping audit setup');
+                        return;
+                    }
+
+                    await this.managers.audit?.loadAuditLog?.();
                 },
                 'settings': () => this.loadSettings()
             };
@@ -729,10 +779,14 @@ class BusinessDashboard {
             'attendance': 'attendanceContent',
             'salary-payments': 'salaryPaymentsContent',
             'billing': 'billingContent',
+            'quotations': 'quotationsContent',
+            'recurring': 'recurringContent',
             'customers': 'customersContent',
             'pending': 'pendingContent',
             'payments': 'paymentsContent',
             'reports': 'reportsContent',
+            'trash': 'trashContent',
+            'audit': 'auditContent',
             'settings': 'settingsContent'
         };
 
@@ -800,17 +854,19 @@ class BusinessDashboard {
         try {
             console.log('📊 Loading dashboard data...');
 
-            const [bills, customers, employees, payments] = await Promise.all([
+            const [allBills, customers, employees, payments] = await Promise.all([
                 this.db.getBills(),
                 this.db.getCustomers(),
                 this.db.getEmployees(),
                 this.db.getPayments()
             ]);
 
+            // Cancelled invoices keep their number but are not sales
+            const bills = allBills.filter(bill => bill.status !== 'cancelled');
             const totalSales = bills.reduce((sum, bill) => sum + (bill.total_amount || 0), 0);
             const totalGST = bills.reduce((sum, bill) => sum + (bill.gst_amount || 0), 0);
             const totalBills = bills.length;
-            const pendingBills = bills.filter(bill => bill.status === 'pending').length;
+            const pendingBills = bills.filter(bill => Utils.isBillOpen(bill)).length;
             const totalCustomers = customers.length;
             const totalEmployees = employees.length;
 
@@ -873,20 +929,7 @@ class BusinessDashboard {
 
     async updateDashboardStats() {
         try {
-            const [bills, customers, employees] = await Promise.all([
-                this.db.getBills(),
-                this.db.getCustomers(),
-                this.db.getEmployees()
-            ]);
-
-            const stats = {
-                totalSales: bills.reduce((sum, bill) => sum + (bill.total_amount || 0), 0),
-                totalGST: bills.reduce((sum, bill) => sum + (bill.gst_amount || 0), 0),
-                totalBills: bills.length,
-                pendingBills: bills.filter(bill => bill.status === 'pending').length,
-                totalCustomers: customers.length,
-                totalEmployees: employees.length
-            };
+            const stats = await this.db.getDashboardStats();
 
             if (this.ui && typeof this.ui.updateDashboardStats === 'function') {
                 this.ui.updateDashboardStats(stats);
@@ -917,6 +960,11 @@ class BusinessDashboard {
                     statusElement.innerHTML = '<i class="fas fa-database"></i> Offline';
                     statusElement.title = 'Using local storage';
                 }
+
+                // Show how many offline changes are still waiting to sync
+                if (typeof this.db.getQueueBadgeHtml === 'function') {
+                    statusElement.innerHTML += this.db.getQueueBadgeHtml();
+                }
             }
         } catch (error) {
             console.error('Error updating database status:', error);
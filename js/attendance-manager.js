@@ -12,6 +12,10 @@ class AttendanceManager {
         this.initialized = false;
         this.isLoading = false;
 
+        // 📡 Realtime - unsubscribe functions from db.onChange and the pending re-render
+        this.realtimeUnsubscribers = [];
+        this.realtimeRenderTimer = null;
+
         // Bind methods
         this.handleClick = this.handleClick.bind(this);
         this.handleKeydown = this.handleKeydown.bind(this);
@@ -33,6 +37,7 @@ class AttendanceManager {
             ]);
 
             this.setupEventListeners();
+            this.setupRealtimeListeners();
             this.initialized = true;
             console.log('✅ Attendance manager initialized successfully');
         } catch (error) {
@@ -103,6 +108,36 @@ class AttendanceManager {
         }
     }
 
+    // ==================== REALTIME UPDATES ====================
+
+    /**
+     * 📡 PATCH ATTENDANCE AND EMPLOYEES CHANGED ON ANOTHER DESKTOP
+     */
+    setupRealtimeListeners() {
+        if (this.realtimeUnsubscribers.length > 0 || typeof this.db.onChange !== 'function') return;
+
+        this.realtimeUnsubscribers = [
+            this.db.onChange('attendance', (change) => {
+                this.attendanceRecords = this.db.applyChangeToList(this.attendanceRecords, change);
+                this.scheduleRealtimeRender();
+            }),
+            this.db.onChange('employees', (change) => {
+                this.employees = this.db.applyChangeToList(this.employees, change);
+                this.scheduleRealtimeRender();
+            })
+        ];
+    }
+
+    // Bulk marking arrives as a burst of events - render once they settle
+    scheduleRealtimeRender() {
+        clearTimeout(this.realtimeRenderTimer);
+        this.realtimeRenderTimer = setTimeout(() => {
+            if (!this.ui.isSectionVisible('attendanceContent')) return;
+            this.renderAttendanceTable();
+            this.updateAttendanceSummary();
+        }, 300);
+    }
+
     // ==================== QUICK ATTENDANCE MODAL ====================
 
     showQuickAttendanceModal() {
@@ -206,7 +241,7 @@ class AttendanceManager {
                             <div class="details">
                                 <div class="name">${employee.name}</div>
                                 <div class="meta">
-                                    <span class="id">${employee.id}</span>
+                                    <span class="id">${employee.employee_code || employee.id}</span>
                                     <span class="role">${employee.role || 'Employee'}</span>
                                 </div>
                             </div>
@@ -678,7 +713,7 @@ class AttendanceManager {
             return `
                 <tr class="attendance-record ${statusClass}">
                     <td>${this.formatDate(record.attendance_date)}</td>
-                    <td><strong>${employee?.id || record.employee_id}</strong></td>
+                    <td><strong>${employee?.employee_code || employee?.id || record.employee_id}</strong></td>
                     <td>${employee?.name || 'Unknown Employee'}</td>
                     <td>
                         <span class="status-badge ${statusClass}">
@@ -702,7 +737,7 @@ class AttendanceManager {
     // ==================== UTILITIES ====================
 
     generateId() {
-        return 'ATT' + Date.now() + Math.random().toString(36).substr(2, 9);
+        return this.db.generateId();
     }
 
     formatDate(dateString) {
@@ -842,6 +877,9 @@ class AttendanceManager {
 
     destroy() {
         this.removeEventListeners();
+        this.realtimeUnsubscribers.forEach(unsubscribe => unsubscribe());
+        this.realtimeUnsubscribers = [];
+        clearTimeout(this.realtimeRenderTimer);
         this.attendanceRecords = [];
         this.employees = [];
         this.initialized = false;
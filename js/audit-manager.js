@@ -0,0 +1,338 @@
+/**
+ * 📜 AUDIT MANAGER - who changed what, when and from which computer
+ * Entries are written by DatabaseManager on every create / update / delete /
+ * restore / purge; this manager lists them for admins and fills the History
+ * tab in the bill, customer and employee detail modals.
+ */
+class AuditManager {
+    constructor(dependencies) {
+        if (!dependencies) throw new Error('AuditManager: dependencies required');
+
+        this.db = dependencies.db;
+        this.ui = dependencies.ui;
+        this.auth = dependencies.auth;
+
+        this.entries = [];
+        this.filters = { actor: '', table: '', startDate: '', endDate: '' };
+        this.isInitialized = false;
+
+        this.ACTION_LABELS = {
+            create: { label: 'Created', icon: 'fa-plus-circle' },
+            update: { label: 'Updated', icon: 'fa-edit' },
+            delete: { label: 'Deleted', icon: 'fa-trash' },
+            restore: { label: 'Restored', icon: 'fa-undo' },
+            purge: { label: 'Purged', icon: 'fa-fire' }
+        };
+
+        console.log('✅ AuditManager created');
+    }
+
+    async initialize() {
+        if (this.isInitialized) return;
+
+        this.setupEventListeners();
+        this.isInitialized = true;
+        console.log('✅ AuditManager initialized');
+    }
+
+    isAdmin() {
+        return this.auth?.getCurrentUser?.()?.role === 'admin';
+    }
+
+    // ==================== EVENT LISTENERS ====================
+
+    setupEventListeners() {
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('#refreshAuditBtn')) {
+                this.loadAuditLog();
+                return;
+            }
+
+            if (e.target.closest('#clearAuditFiltersBtn')) {
+                this.filters = { actor: '', table: '', startDate: '', endDate: '' };
+                this.renderFilters();
+                this.loadAuditLog();
+            }
+        });
+
+        document.addEventListener('change', (e) => {
+            const filterFields = {
+                auditActorFilter: 'actor',
+                auditTableFilter: 'table',
+                auditStartDate: 'startDate',
+                auditEndDate: 'endDate'
+            };
+
+            const field = filterFields[e.target.id];
+            if (field) {
+                this.filters[field] = e.target.value;
+                this.loadAuditLog();
+            }
+        });
+    }
+
+    // ==================== AUDIT VIEWER ====================
+
+    /**
+     * 🔄 LOAD ENTRIES MATCHING THE CURRENT FILTERS
+     */
+    async loadAuditLog() {
+        if (!this.isAdmin()) {
+            this.ui.showToast('Only admins can view the audit log', 'error');
+            return;
+        }
+
+        try {
+            this.ui.showSectionLoading('auditContent', 'Loading audit log...');
+            await this.renderActorOptions();
+            this.renderTableOptions();
+            this.entries = await this.db.getAuditLog(this.filters) || [];
+            this.renderAuditTable();
+        } catch (error) {
+            console.error('❌ Error loading audit log:', error);
+            this.entries = [];
+            this.renderAuditTable();
+            this.ui.showToast('Error loading audit log: ' + error.message, 'error');
+        } finally {
+            this.ui.hideSectionLoading('auditContent');
+        }
+    }
+
+    async renderActorOptions() {
+        const select = document.getElementById('auditActorFilter');
+        if (!select) return;
+
+        const users = await this.db.getUsers().catch(() => []);
+        const actors = Array.from(new Set(users.map(user => user.username).filter(Boolean))).sort();
+
+        select.innerHTML = `
+            <option value="">All Users</option>
+            ${actors.map(actor => `
+                <option value="${this.ui.escapeHtml(actor)}" ${actor === this.filters.actor ? 'selected' : ''}>
+                    ${this.ui.escapeHtml(actor)}
+                </option>
+            `).join('')}
+        `;
+    }
+
+    renderTableOptions() {
+        const select = document.getElementById('auditTableFilter');
+        if (!select) return;
+
+        select.innerHTML = `
+            <option value="">All Tables</option>
+            ${Object.values(this.db.TABLES).map(table => `
+                <option value="${table}" ${table === this.filters.table ? 'selected' : ''}>
+                    ${this.formatTableName(table)}
+                </option>
+            `).join('')}
+        `;
+    }
+
+    renderFilters() {
+        const values = {
+            auditActorFilter: this.filters.actor,
+            auditTableFilter: this.filters.table,
+            auditStartDate: this.filters.startDate,
+            auditEndDate: this.filters.endDate
+        };
+
+        Object.entries(values).forEach(([id, value]) => {
+            const input = document.getElementById(id);
+            if (input) input.value = value;
+        });
+    }
+
+    renderAuditTable() {
+        const tbody = document.getElementById('auditTableBody');
+        if (!tbody) return;
+
+        if (this.entries.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="6" class="no-data">
+                        <i class="fas fa-history"></i>
+                        <br>No audit entries match these filters
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = this.entries.map(entry => `
+            <tr>
+                <td>${Utils.formatDateTime(entry.created_at)}</td>
+                <td>${this.ui.escapeHtml(entry.actor || 'Unknown')}</td>
+                <td>${this.renderActionBadge(entry.action)}</td>
+                <td>
+                    <strong>${this.formatTableName(entry.table_name)}</strong>
+                    <br><small>${this.ui.escapeHtml(entry.record_id)}</small>
+                </td>
+                <td>${this.renderChanges(entry)}</td>
+                <td>${this.ui.escapeHtml(entry.device_name || entry.device_id || '-')}</td>
+            </tr>
+        `).join('');
+    }
+
+    // ==================== RECORD HISTORY TABS ====================
+
+    /**
+     * 🗂️ DETAILS / HISTORY TAB BAR FOR A DETAIL MODAL
+     */
+    getRecordTabsHtml() {
+        return `
+            <div class="record-tabs">
+                <button type="button" class="record-tab active" data-record-tab="details">
+                    <i class="fas fa-info-circle"></i> Details
+                </button>
+                <button type="button" class="record-tab" data-record-tab="history">
+                    <i class="fas fa-history"></i> History
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * 🔗 SWITCH TABS INSIDE A MODAL - history loads the first time it is opened
+     */
+    setupRecordTabs(modalId, table, recordId) {
+        const modal = document.getElementById(modalId);
+        if (!modal) return;
+
+        let historyLoaded = false;
+        modal.querySelectorAll('.record-tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                const target = tab.dataset.recordTab;
+
+                modal.querySelectorAll('.record-tab').forEach(t => t.classList.toggle('active', t === tab));
+                modal.querySelectorAll('.record-tab-panel').forEach(panel => {
+                    panel.classList.toggle('active', panel.dataset.recordPanel === target);
+                });
+
+                if (target === 'history' && !historyLoaded) {
+                    historyLoaded = true;
+                    const panel = modal.querySelector('[data-record-panel="history"]');
+                    this.loadRecordHistory(panel, table, recordId);
+                }
+            });
+        });
+    }
+
+    async loadRecordHistory(panel, table, recordId) {
+        if (!panel) return;
+
+        panel.innerHTML = `
+            <div class="no-data">
+                <i class="fas fa-spinner fa-spin"></i>
+                <br>Loading history...
+            </div>
+        `;
+
+        try {
+            const entries = await this.db.getRecordHistory(table, recordId);
+            panel.innerHTML = this.renderTimeline(entries);
+        } catch (error) {
+            console.error(`❌ Error loading history for ${table} ${recordId}:`, error);
+            panel.innerHTML = `
+                <div class="no-data">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    <br>Could not load history: ${this.ui.escapeHtml(error.message)}
+                </div>
+            `;
+        }
+    }
+
+    renderTimeline(entries) {
+        if (!entries || entries.length === 0) {
+            return `
+                <div class="no-data">
+                    <i class="fas fa-history"></i>
+                    <br>No changes recorded yet
+                </div>
+            `;
+        }
+
+        return `
+            <div class="audit-timeline">
+                ${entries.map(entry => `
+                    <div class="audit-timeline-entry">
+                        <div class="audit-timeline-header">
+                            ${this.renderActionBadge(entry.action)}
+                            <span>${this.ui.escapeHtml(entry.actor || 'Unknown')}</span>
+                            <span class="audit-timeline-meta">
+                                ${Utils.formatDateTime(entry.created_at)}
+                                ${entry.device_name ? ` • ${this.ui.escapeHtml(entry.device_name)}` : ''}
+                            </span>
+                        </div>
+                        ${this.renderChanges(entry)}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // ==================== FORMATTING ====================
+
+    renderActionBadge(action) {
+        const view = this.ACTION_LABELS[action] || { label: action, icon: 'fa-circle' };
+        return `
+            <span class="audit-action audit-action-${this.ui.escapeHtml(action)}">
+                <i class="fas ${view.icon}"></i> ${this.ui.escapeHtml(view.label)}
+            </span>
+        `;
+    }
+
+    renderChanges(entry) {
+        const changes = typeof entry.changes === 'string' ? this.parseChanges(entry.changes) : (entry.changes || {});
+        const fields = Object.keys(changes);
+
+        if (fields.length === 0) return '<span class="audit-no-changes">-</span>';
+
+        // Creates and purges only need the values that exist
+        const showFrom = entry.action !== 'create';
+        const showTo = entry.action !== 'purge';
+
+        return `
+            <ul class="audit-changes">
+                ${fields.map(field => `
+                    <li>
+                        <strong>${this.ui.escapeHtml(this.formatFieldName(field))}</strong>:
+                        ${showFrom ? `<span class="audit-from">${this.ui.escapeHtml(this.formatValue(changes[field].from))}</span>` : ''}
+                        ${showFrom && showTo ? '<i class="fas fa-arrow-right"></i>' : ''}
+                        ${showTo ? `<span class="audit-to">${this.ui.escapeHtml(this.formatValue(changes[field].to))}</span>` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    parseChanges(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return {};
+        }
+    }
+
+    formatValue(value) {
+        if (value === null || value === undefined || value === '') return '—';
+        if (Array.isArray(value)) return `${value.length} item(s)`;
+        if (typeof value === 'object') value = JSON.stringify(value);
+
+        const text = String(value);
+        return text.length > 80 ? text.slice(0, 77) + '...' : text;
+    }
+
+    formatTableName(table) {
+        return String(table || '')
+            .split('_')
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join(' ');
+    }
+
+    formatFieldName(field) {
+        return String(field).replace(/_/g, ' ');
+    }
+}
+
+window.AuditManager = AuditManager;
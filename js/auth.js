@@ -341,8 +341,8 @@ class AuthManager {
         console.log(`🔐 Setting up access for role: ${role}`);
 
         const permissions = {
-            admin: ['dashboard', 'users', 'employees', 'salary', 'salary-payments', 'attendance', 'billing', 'customers', 'pending', 'payments', 'reports', 'settings'],
-            manager: ['dashboard', 'employees', 'salary', 'salary-payments', 'attendance', 'billing', 'customers', 'reports'],
+            admin: ['dashboard', 'users', 'employees', 'salary', 'salary-payments', 'attendance', 'billing', 'quotations', 'recurring', 'customers', 'pending', 'payments', 'reports', 'settings'],
+            manager: ['dashboard', 'employees', 'salary', 'salary-payments', 'attendance', 'billing', 'quotations', 'recurring', 'customers', 'reports'],
             user: ['dashboard', 'reports', 'settings']
         };
 
@@ -389,7 +389,7 @@ class AuthManager {
                 
                 // Sections
                 'dashboard', 'users', 'employees', 'salary', 'salary-payments',
-                'attendance', 'billing', 'customers', 'pending', 'payments', 
+                'attendance', 'billing', 'quotations', 'recurring', 'customers', 'pending', 'payments', 
                 'reports', 'settings',
                 
                 // Actions
@@ -401,7 +401,7 @@ class AuthManager {
                 
                 // Sections
                 'dashboard', 'employees', 'salary', 'salary-payments',
-                'attendance', 'billing', 'customers', 'reports',
+                'attendance', 'billing', 'quotations', 'recurring', 'customers', 'reports',
                 
                 // Actions
                 'create', 'read', 'update', 'export'
@@ -442,10 +442,14 @@ class AuthManager {
             'salary-payments': ['admin', 'manager'], // ✅ FIXED: Added salary-payments
             attendance: ['admin', 'manager'],
             billing: ['admin', 'manager'],
+            quotations: ['admin', 'manager'],
+            recurring: ['admin', 'manager'],
             customers: ['admin', 'manager'],
             pending: ['admin', 'manager'],
             payments: ['admin', 'manager'],
             reports: ['admin', 'manager', 'user'],
+            trash: ['admin'],
+            audit: ['admin'],
             settings: ['admin', 'manager', 'user']
         };
 
@@ -560,7 +564,7 @@ class AuthManager {
             // Check section permissions
             const sections = [
                 'dashboard', 'users', 'employees', 'salary', 'salary-payments',
-                'attendance', 'billing', 'customers', 'pending', 'payments', 'reports', 'settings'
+                'attendance', 'billing', 'quotations', 'recurring', 'customers', 'pending', 'payments', 'reports', 'settings'
             ];
             
             console.group('📊 Section Access:');
@@ -605,7 +609,7 @@ class AuthManager {
         
         const rolePermissions = {
             admin: ['all'],
-            manager: ['employees', 'salary', 'attendance', 'billing', 'customers', 'reports'],
+            manager: ['employees', 'salary', 'attendance', 'billing', 'quotations', 'recurring', 'customers', 'reports'],
             user: ['dashboard', 'reports']
         };
         
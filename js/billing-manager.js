@@ -11,6 +11,7 @@ class BillingManager {
         this.ui = dependencies.ui;
         this.auth = dependencies.auth;
         this.Utils = dependencies.utils || this.createFallbackUtils();
+        this.invoiceRenderer = new InvoiceRenderer({ ui: this.ui });
         
         if (!this.Utils) {
             console.warn('⚠️ Utils not provided, using fallback implementation');
@@ -20,14 +21,44 @@ class BillingManager {
         this.employees = [];
         this.customers = [];
         this.billItems = [];
+        this.billCharges = [];
         this.bills = [];
         this.payments = [];
+        this.paymentAllocations = [];
         this.products = [];
         this.customProducts = [];
         this.selectedCustomer = null;
         this.editingBillId = null;
+        // Set while a quotation is being turned into this bill
+        this.sourceQuotationId = null;
+        // Set while a queued recurring bill run is being confirmed as this bill
+        this.sourceRecurringRunId = null;
         this.currentDateFilter = 'all';
 
+        // 🧾 GST - lines take the product's rate, or this one for custom products and unrated products
+        this.DEFAULT_TAX_RATE = 18;
+
+        // 🚚 ADDITIONAL CHARGES - each billed on its own SAC code and GST rate (editable per bill)
+        this.CHARGE_TYPES = {
+            transport: { label: 'Lorry Transport', hsn_code: '996511', tax_rate: 5 },
+            loading: { label: 'Loading Charges', hsn_code: '996719', tax_rate: 18 },
+            unloading: { label: 'Unloading Charges', hsn_code: '996719', tax_rate: 18 },
+            other: { label: 'Other Charges', hsn_code: '', tax_rate: 18 }
+        };
+
+        // 💰 PAYMENTS - methods offered in the payment dialog
+        this.PAYMENT_METHODS = { cash: 'Cash', upi: 'UPI', cheque: 'Cheque', bank_transfer: 'Bank Transfer', card: 'Card' };
+        // Not offered in the dialog - written when a customer's advance pays a bill
+        this.ADVANCE_PAYMENT_METHOD_LABEL = 'Advance';
+
+        // 📡 REALTIME - unsubscribe functions from db.onChange and the pending re-render
+        this.realtimeUnsubscribers = [];
+        this.realtimeRenderTimer = null;
+
+        // 🔁 RECURRING BILLS - how often an open app checks for templates that have fallen due
+        this.RECURRING_CHECK_INTERVAL = 60 * 60 * 1000;
+        this.recurringTimer = null;
+
         // ✅ BIND METHODS
         this.handleBillSubmit = this.handleBillSubmit.bind(this);
         this.handleCustomerSearch = this.handleCustomerSearch.bind(this);
@@ -164,9 +195,86 @@ class BillingManager {
         await this.loadProducts();
         this.loadCustomProducts();
         this.setupEventListeners();
+        this.setupRealtimeListeners();
+        this.startRecurringBills();
         return Promise.resolve();
     }
 
+    // ==================== RECURRING BILLS ====================
+
+    /**
+     * 🔁 QUEUE DUE RECURRING BILLS NOW AND EVERY RECURRING_CHECK_INTERVAL
+     * Runs in the background so a slow connection doesn't hold up startup.
+     */
+    startRecurringBills() {
+        if (this.recurringTimer || !this.canPerformAction('create')) return;
+
+        this.queueDueRecurringBills();
+        this.recurringTimer = setInterval(() => this.queueDueRecurringBills(), this.RECURRING_CHECK_INTERVAL);
+    }
+
+    async queueDueRecurringBills() {
+        try {
+            const queued = await this.db.generateDueRecurringRuns();
+            if (queued.length === 0) return;
+
+            console.log(`🔁 ${queued.length} recurring bill(s) queued for review`);
+            this.ui.showToast(`${queued.length} recurring bill(s) are waiting for review`, 'info');
+
+            const recurringBillManager = window.app?.getManagers()?.recurringBill;
+            if (recurringBillManager && this.ui.isSectionVisible('recurringContent')) {
+                await recurringBillManager.loadRecurringBills();
+            }
+        } catch (error) {
+            console.error('Error queueing recurring bills:', error);
+        }
+    }
+
+    // ==================== REALTIME UPDATES ====================
+
+    /**
+     * 📡 PATCH BILLS, PAYMENTS AND CUSTOMERS CHANGED ON ANOTHER DESKTOP
+     */
+    setupRealtimeListeners() {
+        if (this.realtimeUnsubscribers.length > 0 || typeof this.db.onChange !== 'function') return;
+
+        this.realtimeUnsubscribers = [
+            this.db.onChange('bills', (change) => {
+                this.bills = this.db.applyChangeToList(this.bills, change);
+                this.scheduleRealtimeRender();
+            }),
+            this.db.onChange('payments', (change) => {
+                this.payments = this.db.applyChangeToList(this.payments, change);
+                this.scheduleRealtimeRender();
+            }),
+            this.db.onChange('payment_allocations', (change) => {
+                this.paymentAllocations = this.db.applyChangeToList(this.paymentAllocations, change);
+                this.scheduleRealtimeRender();
+            }),
+            this.db.onChange('customers', (change) => {
+                this.customers = this.db.applyChangeToList(this.customers, change);
+            })
+        ];
+    }
+
+    // Bulk changes arrive as a burst of events - render once they settle
+    scheduleRealtimeRender() {
+        clearTimeout(this.realtimeRenderTimer);
+        this.realtimeRenderTimer = setTimeout(() => this.renderRealtimeChanges(), 300);
+    }
+
+    renderRealtimeChanges() {
+        if (this.ui.isSectionVisible('billingContent')) {
+            this.renderBillsTable(this.bills);
+        }
+        if (this.ui.isSectionVisible('pendingContent')) {
+            this.renderPendingTable(this.bills.filter(bill => Utils.isBillOpen(bill)));
+        }
+        if (this.ui.isSectionVisible('paymentsContent')) {
+            this.renderPaymentsTable(this.payments);
+        }
+    }
+
     async loadCustomers() {
         try {
             const customerManager = window.app?.getManagers()?.customer;
@@ -229,7 +337,7 @@ class BillingManager {
 
         if (!existing) {
             const newProduct = {
-                id: `custom_${Date.now()}`,
+                id: `custom_${this.db.generateId()}`,
                 name: productName,
                 unit: unit,
                 is_custom: true
@@ -254,6 +362,11 @@ class BillingManager {
                 addBillBtn.addEventListener('click', () => this.showAddBillModal());
             }
 
+            const recordPaymentBtn = document.getElementById('recordPaymentBtn');
+            if (recordPaymentBtn) {
+                recordPaymentBtn.addEventListener('click', () => this.showPaymentModal());
+            }
+
             const billForm = document.getElementById('billForm');
             if (billForm) {
                 billForm.addEventListener('submit', (e) => this.handleBillSubmit(e));
@@ -264,6 +377,29 @@ class BillingManager {
                 addItemBtn.addEventListener('click', () => this.addBillItem());
             }
 
+            // Additional charges and the bill discount
+            const addChargeBtn = document.getElementById('addChargeBtn');
+            if (addChargeBtn) {
+                addChargeBtn.addEventListener('click', () => this.addBillCharge());
+            }
+
+            const billCharges = document.getElementById('billCharges');
+            if (billCharges) {
+                billCharges.addEventListener('change', (e) => this.handleChargeInput(e));
+                billCharges.addEventListener('input', (e) => this.handleChargeInput(e));
+                billCharges.addEventListener('click', (e) => {
+                    const button = e.target.closest('.remove-charge-btn');
+                    if (button) this.removeBillCharge(button.getAttribute('data-charge-id'));
+                });
+            }
+
+            ['billDiscountValue', 'billDiscountType'].forEach(id => {
+                const input = document.getElementById(id);
+                if (input) {
+                    input.addEventListener('input', () => this.calculateBillTotal());
+                }
+            });
+
             // Customer search
             const customerSearch = document.getElementById('customerSearch');
             if (customerSearch) {
@@ -286,10 +422,15 @@ class BillingManager {
                 exportPaymentsBtn.addEventListener('click', () => this.showExportOptions('payments'));
             }
 
-            // GST rate change listener
-            const billGstInput = document.getElementById('billGst');
-            if (billGstInput) {
-                billGstInput.addEventListener('input', () => this.calculateBillTotal());
+            // Place of supply decides CGST + SGST or IGST
+            const placeOfSupply = document.getElementById('billPlaceOfSupply');
+            if (placeOfSupply) {
+                placeOfSupply.addEventListener('change', () => this.calculateBillTotal());
+            }
+
+            const customerGstin = document.getElementById('billCustomerGstin');
+            if (customerGstin) {
+                customerGstin.addEventListener('input', () => this.handleCustomerGstinInput());
             }
 
             // Date filter buttons
@@ -305,23 +446,34 @@ class BillingManager {
 
     // ==================== BILL MANAGEMENT ====================
 
-    showAddBillModal(customer = null) {
+    /**
+     * ➕ NEW BILL - optionally for a customer, and prefilled from a quotation or a recurring bill run
+     * draft = { quotation_id, quotation_number, recurring_run_id, bill_date, lines, place_of_supply, customer_gstin, discount_type, discount_value }
+     */
+    showAddBillModal(customer = null, draft = null) {
         if (!this.canPerformAction('create')) {
             this.ui.showToast('Insufficient permissions to create bills', 'error');
             return;
         }
 
         this.ui.showModal('billModal');
-        this.billItems = [];
+        const formLines = this.toFormLines(draft?.lines || []);
+        this.billItems = formLines.items;
+        this.billCharges = formLines.charges;
         this.selectedCustomer = customer;
         this.editingBillId = null;
+        this.sourceQuotationId = draft?.quotation_id || null;
+        this.sourceRecurringRunId = draft?.recurring_run_id || null;
+        this.resetSaveHsnCodes();
+        this.setPlaceOfSupply(draft?.place_of_supply || customer?.state_code, draft?.customer_gstin || customer?.gstin);
+        this.setBillDiscount(draft?.discount_type || 'percent', Number(draft?.discount_value) || 0);
         this.renderBillItems();
+        this.renderBillCharges();
         this.calculateBillTotal();
 
-        // Generate bill number
-        const billNumber = `BILL-${Date.now().toString().slice(-6)}`;
-        document.getElementById('billNumber').value = billNumber;
-        document.getElementById('billDate').value = new Date().toISOString().split('T')[0];
+        // The invoice number is assigned when the bill is saved, so abandoned drafts don't use one up
+        document.getElementById('billNumber').value = '';
+        document.getElementById('billDate').value = draft?.bill_date || new Date().toISOString().split('T')[0];
 
         // Set customer fields if customer provided
         if (customer) {
@@ -343,7 +495,10 @@ class BillingManager {
         if (customerSearch) customerSearch.value = '';
 
         this.hideCustomerResults();
-        document.getElementById('billModalTitle').textContent = 'Add Bill';
+        let title = 'Add Bill';
+        if (draft?.quotation_number) title = `Bill from Quotation ${draft.quotation_number}`;
+        if (draft?.recurring_run_id) title = `Recurring Bill for ${Utils.formatDate(draft.bill_date)}`;
+        document.getElementById('billModalTitle').textContent = title;
     }
 
     async editBill(billId) {
@@ -360,36 +515,30 @@ class BillingManager {
             }
 
             this.ui.showModal('billModal');
-            this.billItems = [];
             this.editingBillId = billId;
+            this.sourceQuotationId = null;
+            this.sourceRecurringRunId = null;
+            this.resetSaveHsnCodes();
 
-            // Load bill items
-            if (bill.items && typeof bill.items === 'string') {
-                const items = JSON.parse(bill.items);
-                this.billItems = items.map(item => ({
-                    id: this.Utils.generateId(),
-                    product_id: item.product_id,
-                    product_name: item.product_name,
-                    quantity: item.quantity,
-                    price: item.price,
-                    amount: item.amount,
-                    is_custom: item.is_custom,
-                    custom_product_name: item.custom_product_name
-                }));
-            }
+            // Load bill items and charges
+            const formLines = this.toFormLines(await this.getBillLines(bill));
+            this.billItems = formLines.items;
+            this.billCharges = formLines.charges;
 
             // Fill form fields
-            document.getElementById('billNumber').value = bill.bill_number;
+            document.getElementById('billNumber').value = bill.bill_number || '';
             document.getElementById('billDate').value = bill.bill_date;
             document.getElementById('customerName').value = bill.customer_name;
             document.getElementById('customerPhone').value = bill.customer_phone || '';
             document.getElementById('customerEmail').value = bill.customer_email || '';
-            document.getElementById('billGst').value = bill.gst_rate;
+            this.setPlaceOfSupply(bill.place_of_supply, bill.customer_gstin);
+            this.setBillDiscount(bill.discount_type || 'amount', Number(bill.discount_value) || 0);
 
             // Show customer balance
             this.showCustomerBalanceForPhone(bill.customer_phone);
 
             this.renderBillItems();
+            this.renderBillCharges();
             this.calculateBillTotal();
             document.getElementById('billModalTitle').textContent = 'Edit Bill';
 
@@ -399,11 +548,50 @@ class BillingManager {
         }
     }
 
+    /**
+     * 📝 SAVED LINES (bill_items or quotation_items rows) AS FORM ROWS - { items, charges }
+     */
+    toFormLines(lines) {
+        const charges = lines.filter(line => line.line_type === 'charge').map(line => ({
+            id: this.Utils.generateId(),
+            charge_type: this.getChargeType(line.description),
+            description: line.description,
+            hsn_code: line.hsn_code || '',
+            tax_rate: Number(line.tax_rate) || 0,
+            amount: Number(line.amount) || 0
+        }));
+
+        const items = lines.filter(line => line.line_type !== 'charge').map(line => ({
+            id: this.Utils.generateId(),
+            product_id: line.product_id || '',
+            product_name: line.is_custom ? '' : line.description,
+            hsn_code: line.hsn_code || '',
+            tax_rate: Number(line.tax_rate) || 0,
+            unit: line.unit || '',
+            quantity: Number(line.quantity) || 0,
+            price: Number(line.rate) || 0,
+            // Lines from before discount types kept a flat discount
+            discount_type: line.discount_type || 'amount',
+            discount_value: Number(line.discount_value ?? line.discount) || 0,
+            amount: Number(line.amount) || 0,
+            is_custom: Boolean(line.is_custom),
+            custom_product_name: line.is_custom ? line.description : ''
+        }));
+
+        return { items, charges };
+    }
+
     // FIXED: Corrected bill editing permission logic
     canEditBill(bill) {
         const currentUser = this.getCurrentUser();
         if (!currentUser) return false;
 
+        // A cancelled invoice is kept exactly as it was issued
+        if (bill.status === 'cancelled') return false;
+
+        // Credit notes point at the bill's lines and reverse the tax they charged
+        if (Number(bill.credited_amount) > 0) return false;
+
         // Admin can edit any bill
         if (currentUser.role === 'admin') return true;
 
@@ -432,8 +620,13 @@ class BillingManager {
             id: itemId,
             product_id: '',
             product_name: '',
+            hsn_code: '',
+            tax_rate: this.DEFAULT_TAX_RATE,
+            unit: '',
             quantity: 1,
             price: 0,
+            discount_type: 'percent',
+            discount_value: 0,
             amount: 0,
             is_custom: false,
             custom_product_name: ''
@@ -503,6 +696,46 @@ class BillingManager {
                                required>
                     </div>
                     
+                    <!-- Line discount - percent or amount off quantity x price -->
+                    <div class="form-group">
+                        <label>Discount</label>
+                        <div class="discount-input-group">
+                            <input type="number" 
+                                   class="discount-value-input"
+                                   data-item-id="${item.id}"
+                                   value="${item.discount_value || 0}" 
+                                   step="0.01" 
+                                   min="0">
+                            <select class="discount-type-select" data-item-id="${item.id}">
+                                <option value="percent" ${item.discount_type === 'percent' ? 'selected' : ''}>%</option>
+                                <option value="amount" ${item.discount_type === 'amount' ? 'selected' : ''}>₹</option>
+                            </select>
+                        </div>
+                    </div>
+                    
+                    <!-- HSN/SAC and GST rate - defaulted from the product -->
+                    <div class="form-group">
+                        <label>HSN/SAC</label>
+                        <input type="text" 
+                               class="hsn-input"
+                               data-item-id="${item.id}"
+                               value="${this.ui.escapeHtml(item.hsn_code || '')}" 
+                               maxlength="8"
+                               placeholder="e.g. 6901">
+                    </div>
+                    
+                    <div class="form-group">
+                        <label>GST % *</label>
+                        <input type="number" 
+                               class="tax-rate-input"
+                               data-item-id="${item.id}"
+                               value="${item.tax_rate}" 
+                               step="0.01" 
+                               min="0"
+                               max="100"
+                               required>
+                    </div>
+                    
                     <!-- Amount (Auto-calculated) -->
                     <div class="form-group">
                         <label>Amount</label>
@@ -537,6 +770,11 @@ class BillingManager {
                 const productId = e.target.value;
                 this.handleProductChange(itemId, productId);
             }
+
+            if (e.target.classList.contains('discount-type-select')) {
+                const itemId = e.target.getAttribute('data-item-id');
+                this.updateBillItem(itemId, 'discount_type', e.target.value);
+            }
         });
 
         document.addEventListener('input', (e) => {
@@ -552,6 +790,21 @@ class BillingManager {
                 this.updateBillItem(itemId, 'price', parseFloat(value) || 0);
             }
 
+            if (e.target.classList.contains('discount-value-input')) {
+                const itemId = e.target.getAttribute('data-item-id');
+                this.updateBillItem(itemId, 'discount_value', parseFloat(e.target.value) || 0);
+            }
+
+            if (e.target.classList.contains('hsn-input')) {
+                const itemId = e.target.getAttribute('data-item-id');
+                this.updateBillItem(itemId, 'hsn_code', e.target.value.trim());
+            }
+
+            if (e.target.classList.contains('tax-rate-input')) {
+                const itemId = e.target.getAttribute('data-item-id');
+                this.updateBillItem(itemId, 'tax_rate', parseFloat(e.target.value) || 0);
+            }
+
             if (e.target.classList.contains('custom-product-input')) {
                 const itemId = e.target.getAttribute('data-item-id');
                 const value = e.target.value;
@@ -587,6 +840,7 @@ class BillingManager {
             item.is_custom = true;
             item.product_id = '';
             item.product_name = '';
+            item.unit = '';
 
             const customGroup = document.querySelector(`.custom-product-group[data-item-id="${itemId}"]`) ||
                 document.querySelector(`[data-item-id="${itemId}"] .custom-product-group`);
@@ -600,6 +854,10 @@ class BillingManager {
             if (product) {
                 item.product_id = product.id;
                 item.product_name = product.name;
+                item.unit = product.unit || '';
+                item.hsn_code = product.hsn_code || '';
+                item.tax_rate = Number(product.gst_rate) > 0 ? Number(product.gst_rate) : this.DEFAULT_TAX_RATE;
+                this.updateTaxInputs(itemId);
 
                 const customGroup = document.querySelector(`.custom-product-group[data-item-id="${itemId}"]`) ||
                     document.querySelector(`[data-item-id="${itemId}"] .custom-product-group`);
@@ -617,11 +875,26 @@ class BillingManager {
 
         item[field] = value;
 
-        if (field === 'quantity' || field === 'price') {
-            item.amount = (item.quantity || 0) * (item.price || 0);
+        if (['quantity', 'price', 'discount_type', 'discount_value'].includes(field)) {
+            const gross = (item.quantity || 0) * (item.price || 0);
+            item.amount = Utils.roundMoney(gross - Utils.calculateDiscount(gross, item.discount_type, item.discount_value));
             this.updateAmountDisplay(itemId);
             this.calculateBillTotal();
         }
+
+        if (field === 'tax_rate') {
+            this.calculateBillTotal();
+        }
+    }
+
+    updateTaxInputs(itemId) {
+        const item = this.billItems.find(i => i.id === itemId);
+        if (!item) return;
+
+        const hsnInput = document.querySelector(`.hsn-input[data-item-id="${itemId}"]`);
+        const taxRateInput = document.querySelector(`.tax-rate-input[data-item-id="${itemId}"]`);
+        if (hsnInput) hsnInput.value = item.hsn_code || '';
+        if (taxRateInput) taxRateInput.value = item.tax_rate;
     }
 
     updateAmountDisplay(itemId) {
@@ -641,18 +914,309 @@ class BillingManager {
     }
 
     calculateBillTotal() {
-        const subTotal = this.billItems.reduce((sum, item) => sum + (item.amount || 0), 0);
-        const gstRate = parseFloat(document.getElementById('billGst')?.value) || 0;
-        const gstAmount = (subTotal * gstRate) / 100;
-        const totalAmount = subTotal + gstAmount;
+        const totals = this.computeBillTaxes();
+        const setText = (id, value) => {
+            const el = document.getElementById(id);
+            if (el) el.textContent = this.Utils.formatCurrency(value);
+        };
+        const setVisible = (id, visible) => {
+            const el = document.getElementById(id);
+            if (el) el.style.display = visible ? '' : 'none';
+        };
+
+        setText('subTotal', totals.subTotal);
+        setText('billDiscountAmount', -totals.discountAmount || 0);
+        setText('chargesAmount', totals.chargesAmount);
+        setText('taxableValue', totals.taxableValue);
+        setText('cgstAmount', totals.cgst);
+        setText('sgstAmount', totals.sgst);
+        setText('igstAmount', totals.igst);
+        setText('roundOffAmount', totals.roundOff);
+        setText('totalAmount', totals.total);
+        setVisible('chargesRow', totals.chargesAmount > 0);
+        setVisible('cgstRow', !totals.interState);
+        setVisible('sgstRow', !totals.interState);
+        setVisible('igstRow', totals.interState);
+    }
+
+    // ==================== ADDITIONAL CHARGES ====================
+
+    addBillCharge() {
+        const preset = this.CHARGE_TYPES.transport;
+        this.billCharges.push({
+            id: this.Utils.generateId(),
+            charge_type: 'transport',
+            description: preset.label,
+            hsn_code: preset.hsn_code,
+            tax_rate: preset.tax_rate,
+            amount: 0
+        });
+        this.renderBillCharges();
+        this.calculateBillTotal();
+    }
+
+    getChargeType(description) {
+        const match = Object.entries(this.CHARGE_TYPES).find(([, preset]) => preset.label === description);
+        return match ? match[0] : 'other';
+    }
+
+    renderBillCharges() {
+        const container = document.getElementById('billCharges');
+        if (!container) return;
+
+        container.innerHTML = this.billCharges.map(charge => `
+            <div class="bill-item" data-charge-id="${charge.id}">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label>Charge *</label>
+                        <select class="charge-type-select" data-charge-id="${charge.id}">
+                            ${Object.entries(this.CHARGE_TYPES).map(([type, preset]) => `
+                                <option value="${type}" ${charge.charge_type === type ? 'selected' : ''}>${preset.label}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label>Description *</label>
+                        <input type="text" 
+                               class="charge-description-input"
+                               data-charge-id="${charge.id}"
+                               value="${this.ui.escapeHtml(charge.description || '')}" 
+                               required>
+                    </div>
+                    <div class="form-group">
+                        <label>SAC</label>
+                        <input type="text" 
+                               class="charge-hsn-input"
+                               data-charge-id="${charge.id}"
+                               value="${this.ui.escapeHtml(charge.hsn_code || '')}" 
+                               maxlength="8"
+                               placeholder="e.g. 996511">
+                    </div>
+                    <div class="form-group">
+                        <label>GST % *</label>
+                        <input type="number" 
+                               class="charge-tax-rate-input"
+                               data-charge-id="${charge.id}"
+                               value="${charge.tax_rate}" 
+                               step="0.01" 
+                               min="0"
+                               max="100"
+                               required>
+                    </div>
+                    <div class="form-group">
+                        <label>Amount (₹) *</label>
+                        <input type="number" 
+                               class="charge-amount-input"
+                               data-charge-id="${charge.id}"
+                               value="${charge.amount}" 
+                               step="0.01" 
+                               min="0"
+                               required>
+                    </div>
+                    <div class="form-group">
+                        <button type="button" 
+                                class="btn-secondary remove-charge-btn"
+                                data-charge-id="${charge.id}">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    handleChargeInput(e) {
+        const chargeId = e.target.getAttribute('data-charge-id');
+        const charge = this.billCharges.find(c => c.id === chargeId);
+        if (!charge) return;
+
+        if (e.target.classList.contains('charge-type-select') && e.type === 'change') {
+            const preset = this.CHARGE_TYPES[e.target.value] || this.CHARGE_TYPES.other;
+            charge.charge_type = e.target.value;
+            charge.description = preset.label;
+            charge.hsn_code = preset.hsn_code;
+            charge.tax_rate = preset.tax_rate;
+            this.renderBillCharges();
+        } else if (e.target.classList.contains('charge-description-input')) {
+            charge.description = e.target.value;
+        } else if (e.target.classList.contains('charge-hsn-input')) {
+            charge.hsn_code = e.target.value.trim();
+        } else if (e.target.classList.contains('charge-tax-rate-input')) {
+            charge.tax_rate = parseFloat(e.target.value) || 0;
+        } else if (e.target.classList.contains('charge-amount-input')) {
+            charge.amount = parseFloat(e.target.value) || 0;
+        }
+
+        this.calculateBillTotal();
+    }
+
+    removeBillCharge(chargeId) {
+        this.billCharges = this.billCharges.filter(charge => charge.id !== chargeId);
+        this.renderBillCharges();
+        this.calculateBillTotal();
+    }
+
+    // ==================== GST ====================
+
+    /**
+     * 🧮 TAX EVERY LINE AT ITS OWN RATE
+     * CGST + SGST when the place of supply is the business's own state, IGST otherwise.
+     * Items come first, then the charges; each line keeps a reference to its form row.
+     */
+    computeBillTaxes(placeOfSupply = this.getPlaceOfSupply()) {
+        const discount = this.getBillDiscount();
+        const lines = [
+            ...this.billItems.map(item => ({
+                line_type: 'item',
+                quantity: item.quantity,
+                rate: item.price,
+                discount_type: item.discount_type,
+                discount_value: item.discount_value,
+                tax_rate: item.tax_rate,
+                item
+            })),
+            ...this.billCharges.map(charge => ({
+                line_type: 'charge',
+                amount: charge.amount,
+                tax_rate: charge.tax_rate,
+                charge
+            }))
+        ];
+
+        return Utils.calculateBillTotals(lines, {
+            discountType: discount.type,
+            discountValue: discount.value,
+            interState: this.isInterState(placeOfSupply)
+        });
+    }
+
+    getBillDiscount() {
+        return {
+            type: document.getElementById('billDiscountType')?.value === 'amount' ? 'amount' : 'percent',
+            value: parseFloat(document.getElementById('billDiscountValue')?.value) || 0
+        };
+    }
+
+    setBillDiscount(type, value) {
+        const typeSelect = document.getElementById('billDiscountType');
+        const valueInput = document.getElementById('billDiscountValue');
+        if (typeSelect) typeSelect.value = type;
+        if (valueInput) valueInput.value = value;
+    }
+
+    getPlaceOfSupply() {
+        return document.getElementById('billPlaceOfSupply')?.value || Utils.getBusinessProfile().state_code;
+    }
+
+    isInterState(placeOfSupply) {
+        return Boolean(placeOfSupply) && placeOfSupply !== Utils.getBusinessProfile().state_code;
+    }
+
+    setPlaceOfSupply(stateCode, gstin = '') {
+        const select = document.getElementById('billPlaceOfSupply');
+        if (select) {
+            select.innerHTML = Utils.getStateOptionsHtml(stateCode || Utils.getStateCodeFromGSTIN(gstin) || Utils.getBusinessProfile().state_code);
+        }
+
+        const gstinInput = document.getElementById('billCustomerGstin');
+        if (gstinInput) gstinInput.value = gstin || '';
+    }
+
+    // A registered buyer's place of supply is the state in their GSTIN
+    handleCustomerGstinInput() {
+        const gstinInput = document.getElementById('billCustomerGstin');
+        const select = document.getElementById('billPlaceOfSupply');
+        if (!gstinInput || !select) return;
+
+        const stateCode = Utils.getStateCodeFromGSTIN(gstinInput.value.trim().toUpperCase());
+        if (stateCode && select.value !== stateCode) {
+            select.value = stateCode;
+            this.calculateBillTotal();
+        }
+    }
+
+    // Bills saved before per-line GST only have a single gst_amount
+    getTaxSummaryRows(bill) {
+        const cgst = Number(bill.cgst_amount) || 0;
+        const sgst = Number(bill.sgst_amount) || 0;
+        const igst = Number(bill.igst_amount) || 0;
+
+        if (igst > 0) return [['IGST', igst]];
+        if (cgst > 0 || sgst > 0) return [['CGST', cgst], ['SGST', sgst]];
+        return [[`GST (${bill.gst_rate || 0}%)`, Number(bill.gst_amount) || 0]];
+    }
 
-        const subTotalEl = document.getElementById('subTotal');
-        const gstAmountInput = document.getElementById('gstAmountInput');
-        const totalAmountEl = document.getElementById('totalAmount');
+    formatPlaceOfSupply(stateCode) {
+        const code = stateCode || Utils.getBusinessProfile().state_code;
+        return `${code} - ${Utils.getStateName(code)}`;
+    }
 
-        if (subTotalEl) subTotalEl.textContent = this.Utils.formatCurrency(subTotal);
-        if (gstAmountInput) gstAmountInput.value = this.Utils.formatCurrency(gstAmount);
-        if (totalAmountEl) totalAmountEl.textContent = this.Utils.formatCurrency(totalAmount);
+    /**
+     * 📊 TAX BREAKUP BY HSN/SAC AND RATE - bill view and printout
+     */
+    getTaxBreakupHtml(bill, items) {
+        const interState = items.some(item => Number(item.igst_amount) > 0) || this.isInterState(bill.place_of_supply);
+        const rows = this.invoiceRenderer.getTaxBreakup(items, interState);
+        const sum = field => rows.reduce((total, row) => total + row[field], 0);
+        const money = value => this.Utils.formatCurrency(value);
+
+        return `
+            <div class="tax-breakup">
+                <h4>Tax Breakup</h4>
+                <table class="items-table tax-breakup-table">
+                    <thead>
+                        <tr>
+                            <th>HSN/SAC</th>
+                            <th>Taxable Value</th>
+                            ${interState ? `
+                                <th>IGST Rate</th>
+                                <th>IGST</th>
+                            ` : `
+                                <th>CGST Rate</th>
+                                <th>CGST</th>
+                                <th>SGST Rate</th>
+                                <th>SGST</th>
+                            `}
+                            <th>Total Tax</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(row => `
+                            <tr>
+                                <td>${this.ui.escapeHtml(row.hsn_code || '-')}</td>
+                                <td>${money(row.taxable)}</td>
+                                ${interState ? `
+                                    <td>${row.tax_rate}%</td>
+                                    <td>${money(row.igst)}</td>
+                                ` : `
+                                    <td>${row.tax_rate / 2}%</td>
+                                    <td>${money(row.cgst)}</td>
+                                    <td>${row.tax_rate / 2}%</td>
+                                    <td>${money(row.sgst)}</td>
+                                `}
+                                <td>${money(row.cgst + row.sgst + row.igst)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                    <tfoot>
+                        <tr>
+                            <th>Total</th>
+                            <th>${money(sum('taxable'))}</th>
+                            ${interState ? `
+                                <th></th>
+                                <th>${money(sum('igst'))}</th>
+                            ` : `
+                                <th></th>
+                                <th>${money(sum('cgst'))}</th>
+                                <th></th>
+                                <th>${money(sum('sgst'))}</th>
+                            `}
+                            <th>${money(sum('cgst') + sum('sgst') + sum('igst'))}</th>
+                        </tr>
+                    </tfoot>
+                </table>
+            </div>
+        `;
     }
 
     // ==================== BILL SUBMISSION ====================
@@ -669,12 +1233,12 @@ class BillingManager {
         const resetButton = this.ui.showButtonLoading(button, 'Saving Bill...');
 
         try {
-            const billNumber = document.getElementById('billNumber').value;
             const billDate = document.getElementById('billDate').value;
             const customerName = document.getElementById('customerName').value.trim();
             const customerPhone = document.getElementById('customerPhone').value.trim();
             const customerEmail = document.getElementById('customerEmail').value.trim();
-            const gstRate = parseFloat(document.getElementById('billGst').value) || 0;
+            const placeOfSupply = document.getElementById('billPlaceOfSupply').value;
+            const customerGstin = document.getElementById('billCustomerGstin').value.trim().toUpperCase();
 
             // Validate inputs
             if (this.billItems.length === 0) {
@@ -692,6 +1256,28 @@ class BillingManager {
                 return;
             }
 
+            if (!placeOfSupply) {
+                this.ui.showToast('Place of supply is required', 'error');
+                return;
+            }
+
+            if (customerGstin && !Utils.validateGSTIN(customerGstin)) {
+                this.ui.showToast('Please enter a valid 15-character GSTIN', 'error');
+                return;
+            }
+
+            if (customerGstin && Utils.getStateCodeFromGSTIN(customerGstin) !== placeOfSupply) {
+                this.ui.showToast(`GSTIN ${customerGstin} is registered in ${Utils.getStateName(Utils.getStateCodeFromGSTIN(customerGstin))} - place of supply must match`, 'error');
+                return;
+            }
+
+            // An issued invoice number belongs to its financial year's series
+            const editingBill = this.editingBillId ? this.bills.find(b => b.id === this.editingBillId) : null;
+            if (editingBill?.invoice_sequence && Utils.getFinancialYear(billDate) !== editingBill.financial_year) {
+                this.ui.showToast(`Invoice ${editingBill.bill_number} belongs to FY ${editingBill.financial_year} - keep the date inside that year`, 'error');
+                return;
+            }
+
             // Validate phone format
             if (!this.Utils.validatePhone(customerPhone)) {
                 this.ui.showToast('Please enter a valid 10-digit phone number', 'error');
@@ -709,9 +1295,11 @@ class BillingManager {
                             name: this.Utils.sanitizeInput(customerName),
                             phone: this.Utils.sanitizeInput(customerPhone),
                             email: customerEmail ? this.Utils.sanitizeInput(customerEmail) : null,
+                            state_code: placeOfSupply,
+                            gstin: customerGstin || null,
                             created_at: new Date().toISOString()
                         };
-                        customerData.id = `CUST_${Date.now()}`;
+                        customerData.id = this.db.generateId();
                         await this.db.create('customers', customerData);
                         this.ui.showToast(`New customer "${customerName}" created automatically`, 'success');
                         
@@ -728,27 +1316,11 @@ class BillingManager {
                 }
             }
 
-            // Validate all items
-            for (const item of this.billItems) {
-                if (!item.product_id && !item.is_custom) {
-                    this.ui.showToast('Please select a product for all items', 'error');
-                    return;
-                }
-
-                if (item.is_custom && !item.custom_product_name) {
-                    this.ui.showToast('Please enter custom product name', 'error');
-                    return;
-                }
-
-                if (item.quantity <= 0) {
-                    this.ui.showToast('Please enter valid quantity for all items', 'error');
-                    return;
-                }
-
-                if (item.price <= 0) {
-                    this.ui.showToast('Please enter valid price for all items', 'error');
-                    return;
-                }
+            const billDiscount = this.getBillDiscount();
+            const lineError = this.getFormLinesError(this.billItems, this.billCharges, billDiscount);
+            if (lineError) {
+                this.ui.showToast(lineError, 'error');
+                return;
             }
 
             // Process custom products
@@ -759,48 +1331,76 @@ class BillingManager {
                 }
             }
 
-            const subTotal = this.billItems.reduce((sum, item) => sum + (item.amount || 0), 0);
-            const gstAmount = (subTotal * gstRate) / 100;
-            const totalAmount = subTotal + gstAmount;
-
-            // Prepare items for storage
-            const itemsForStorage = this.billItems.map(item => ({
-                product_id: item.product_id,
-                product_name: item.is_custom ? item.custom_product_name : item.product_name,
-                description: item.is_custom ? item.custom_product_name : item.product_name,
-                quantity: item.quantity,
-                price: item.price,
-                amount: item.amount,
-                is_custom: item.is_custom,
-                custom_product_name: item.custom_product_name
-            }));
+            const totals = this.computeBillTaxes(placeOfSupply);
+            const rates = new Set(totals.lines.map(line => line.tax_rate));
+            const lineItems = this.toSavedLines(totals.lines);
 
             const currentUser = this.getCurrentUser();
             const billData = {
-                bill_number: billNumber,
                 bill_date: billDate,
                 customer_name: this.Utils.sanitizeInput(customerName),
                 customer_phone: this.Utils.sanitizeInput(customerPhone),
                 customer_email: customerEmail ? this.Utils.sanitizeInput(customerEmail) : null,
-                items: JSON.stringify(itemsForStorage),
-                sub_total: subTotal,
-                gst_rate: gstRate,
-                gst_amount: gstAmount,
-                total_amount: totalAmount,
+                customer_gstin: customerGstin || null,
+                place_of_supply: placeOfSupply,
+                sub_total: totals.subTotal,
+                discount_type: billDiscount.type,
+                discount_value: billDiscount.value,
+                discount_amount: totals.discountAmount,
+                charges_amount: totals.chargesAmount,
+                round_off: totals.roundOff,
+                // Only meaningful when every line has the same rate
+                gst_rate: rates.size === 1 ? [...rates][0] : 0,
+                gst_amount: totals.taxAmount,
+                cgst_amount: totals.cgst,
+                sgst_amount: totals.sgst,
+                igst_amount: totals.igst,
+                total_amount: totals.total,
+                amount_paid: 0,
+                balance_due: totals.total,
                 status: 'pending',
                 created_at: new Date().toISOString(),
                 created_by: currentUser?.id || 'system'
             };
 
-            if (this.editingBillId) {
+            const isEdit = Boolean(this.editingBillId);
+            if (isEdit) {
+                // Payments already taken stay against the bill; the balance moves by the change
+                // in total (never sent as amount_paid/balance_due values from this cached copy)
+                const existingBill = this.bills.find(b => b.id === this.editingBillId);
+                const balanceDelta = Utils.roundMoney(totals.total - (Number(existingBill?.total_amount) || 0));
+                if (Utils.isBillOpen(existingBill) || existingBill?.status === 'paid') {
+                    const balanceDue = Utils.roundMoney((Number(existingBill.balance_due) || 0) + balanceDelta);
+                    if (balanceDue < 0) {
+                        this.ui.showToast(`The new total is ${this.Utils.formatCurrency(-balanceDue)} less than what is already paid and credited`, 'error');
+                        return;
+                    }
+                }
+                delete billData.amount_paid;
+                delete billData.balance_due;
+                delete billData.status;
                 billData.updated_at = new Date().toISOString();
                 billData.updated_by = currentUser?.id || 'system';
-                await this.db.update('bills', this.editingBillId, billData);
+                await this.db.saveBillWithItems(this.editingBillId, billData, lineItems, { balanceDelta });
                 this.ui.showToast('Bill updated successfully', 'success');
             } else {
-                billData.id = `BILL_${Date.now()}`;
-                await this.db.create('bills', billData);
-                this.ui.showToast('Bill created successfully', 'success');
+                billData.id = this.db.generateId();
+                await this.db.saveBillWithItems(null, billData, lineItems);
+                await this.assignInvoiceNumber(billData.id);
+
+                if (this.sourceQuotationId) {
+                    await window.app?.getManagers()?.quotation?.markConverted(this.sourceQuotationId, billData.id);
+                    this.sourceQuotationId = null;
+                }
+
+                if (this.sourceRecurringRunId) {
+                    await window.app?.getManagers()?.recurringBill?.markConfirmed(this.sourceRecurringRunId, billData.id);
+                    this.sourceRecurringRunId = null;
+                }
+            }
+
+            if (document.getElementById('billSaveHsnCodes')?.checked) {
+                await this.rememberProductTaxDetails(lineItems);
             }
 
             this.ui.hideModal('billModal');
@@ -812,6 +1412,10 @@ class BillingManager {
                 await customerManager.syncWithBillingData();
             }
 
+            if (!isEdit) {
+                await this.offerAdvanceAdjustment(billData.id);
+            }
+
         } catch (error) {
             console.error('Error saving bill:', error);
             this.ui.showToast('Error saving bill: ' + error.message, 'error');
@@ -820,6 +1424,152 @@ class BillingManager {
         }
     }
 
+    isValidDiscount(type, value, amount) {
+        if (!(value >= 0)) return false;
+        return type === 'percent' ? value <= 100 : value <= amount;
+    }
+
+    /**
+     * ✅ FIRST PROBLEM WITH A FORM'S ITEMS, CHARGES AND DISCOUNT - '' when they can be saved
+     * Shared with the quotation form, whose rows have the same shape.
+     */
+    getFormLinesError(items, charges, discount) {
+        if (items.length === 0) {
+            return 'Please add at least one item';
+        }
+
+        for (const item of items) {
+            if (!item.product_id && !item.is_custom) return 'Please select a product for all items';
+            if (item.is_custom && !item.custom_product_name) return 'Please enter custom product name';
+            if (item.quantity <= 0) return 'Please enter valid quantity for all items';
+            if (item.price <= 0) return 'Please enter valid price for all items';
+            if (!(item.tax_rate >= 0 && item.tax_rate <= 100)) return 'Please enter a GST rate between 0 and 100 for all items';
+
+            // HSN codes are 4, 6 or 8 digits; SAC codes are 6
+            if (item.hsn_code && !/^\d{4}(\d{2}){0,2}$/.test(item.hsn_code)) {
+                return `HSN/SAC code ${item.hsn_code} should be 4, 6 or 8 digits`;
+            }
+
+            if (!this.isValidDiscount(item.discount_type, item.discount_value, item.quantity * item.price)) {
+                return 'A line discount cannot be negative or more than the line amount';
+            }
+        }
+
+        for (const charge of charges) {
+            if (!charge.description?.trim()) return 'Please enter a description for every charge';
+            if (!(charge.amount > 0)) return `Please enter an amount for ${charge.description}`;
+            if (!(charge.tax_rate >= 0 && charge.tax_rate <= 100)) return `Please enter a GST rate between 0 and 100 for ${charge.description}`;
+            if (charge.hsn_code && !/^\d{4}(\d{2}){0,2}$/.test(charge.hsn_code)) {
+                return `SAC code ${charge.hsn_code} should be 4, 6 or 8 digits`;
+            }
+        }
+
+        const itemsTotal = items.reduce((sum, item) => sum + (Number(item.amount) || 0), 0);
+        if (!this.isValidDiscount(discount.type, discount.value, itemsTotal)) {
+            return 'The discount cannot be negative or more than the items total';
+        }
+
+        return '';
+    }
+
+    /**
+     * 📝 TAXED LINES (Utils.calculateBillTotals) AS SAVED ROWS - items, then charges
+     * The rows go into bill_items, or quotation_items for a quotation.
+     */
+    toSavedLines(lines) {
+        return lines.map(line => {
+            const taxes = {
+                line_type: line.line_type,
+                amount: line.amount,
+                taxable_value: line.taxable_value,
+                tax_rate: line.tax_rate,
+                cgst_amount: line.cgst_amount,
+                sgst_amount: line.sgst_amount,
+                igst_amount: line.igst_amount
+            };
+
+            if (line.charge) {
+                return {
+                    ...taxes,
+                    description: line.charge.description.trim(),
+                    hsn_code: line.charge.hsn_code,
+                    quantity: 1,
+                    rate: line.amount
+                };
+            }
+
+            const item = line.item;
+            return {
+                ...taxes,
+                product_id: item.is_custom ? null : item.product_id,
+                description: item.is_custom ? item.custom_product_name : item.product_name,
+                hsn_code: item.hsn_code,
+                quantity: item.quantity,
+                unit: item.unit,
+                rate: item.price,
+                discount_type: item.discount_type,
+                discount_value: item.discount_value,
+                discount: line.discount,
+                is_custom: item.is_custom
+            };
+        });
+    }
+
+    /**
+     * 🏷️ FILL IN PRODUCTS' MISSING HSN CODES FROM THIS BILL - only when the
+     * "Save the HSN/SAC codes" box is ticked, never behind the user's back
+     */
+    resetSaveHsnCodes() {
+        const checkbox = document.getElementById('billSaveHsnCodes');
+        if (checkbox) checkbox.checked = false;
+    }
+
+    async rememberProductTaxDetails(lineItems) {
+        for (const line of lineItems) {
+            const product = this.products.find(p => p.id === line.product_id);
+            // The built-in fallback products (no created_at) are not rows in the products table
+            if (!product || !line.hsn_code || product.hsn_code || !product.created_at) continue;
+
+            try {
+                await this.db.update('products', product.id, { hsn_code: line.hsn_code });
+                product.hsn_code = line.hsn_code;
+            } catch (error) {
+                console.warn(`⚠️ Could not save HSN code for ${product.name}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * 🧾 NUMBER A JUST-SAVED BILL - offline (or on a failed attempt) it is numbered when it syncs
+     */
+    async assignInvoiceNumber(billId) {
+        try {
+            const bill = await this.db.assignInvoiceNumber(billId);
+            if (bill) {
+                this.ui.showToast(`Invoice ${bill.bill_number} created`, 'success');
+            } else {
+                this.ui.showToast('Bill saved offline - its invoice number is assigned when it syncs', 'info');
+            }
+        } catch (error) {
+            console.error('Error assigning invoice number:', error);
+            this.ui.showToast('Bill saved, but no invoice number yet - it will be retried when it syncs: ' + error.message, 'warning');
+        }
+    }
+
+    /**
+     * 📦 LINES OF A BILL - its bill_items rows, or the legacy JSON until that is migrated
+     */
+    async getBillLines(bill) {
+        const items = await this.db.getBillItems(bill.id);
+        return items.length > 0 ? items : this.db.parseLegacyBillItems(bill);
+    }
+
+    getBillNumberHtml(bill) {
+        return bill.bill_number
+            ? this.ui.escapeHtml(bill.bill_number)
+            : '<span class="bill-number-pending">Pending number</span>';
+    }
+
     // ==================== CUSTOMER SEARCH ====================
 
     async handleCustomerSearch(query) {
@@ -899,6 +1649,8 @@ class BillingManager {
                 document.getElementById('customerName').value = customer.name;
                 document.getElementById('customerPhone').value = customer.phone || '';
                 document.getElementById('customerEmail').value = customer.email || '';
+                this.setPlaceOfSupply(customer.state_code, customer.gstin);
+                this.calculateBillTotal();
                 
                 // Show customer balance
                 const balance = customerManager.calculateCustomerBalance(customer);
@@ -991,7 +1743,18 @@ class BillingManager {
                 return;
             }
 
-            const items = typeof bill.items === 'string' ? JSON.parse(bill.items) : bill.items;
+            const items = await this.getBillLines(bill);
+            const deliveryManager = window.app?.getManagers()?.delivery;
+            const deliveries = deliveryManager ? await deliveryManager.getBillDeliveries(bill, items).catch(error => {
+                console.error('Error loading deliveries:', error);
+                return null;
+            }) : null;
+            const creditNoteManager = window.app?.getManagers()?.creditNote;
+            const credits = creditNoteManager ? await creditNoteManager.getBillCredits(bill, items).catch(error => {
+                console.error('Error loading credit notes:', error);
+                return null;
+            }) : null;
+            const recurringBillManager = window.app?.getManagers()?.recurringBill;
             
             let balance = 0;
             const customerManager = window.app?.getManagers()?.customer;
@@ -1000,30 +1763,49 @@ class BillingManager {
                 balance = customer ? customerManager.calculateCustomerBalance(customer) : 0;
             }
 
+            const auditManager = window.app?.getManagers()?.audit;
+
             const modalHtml = `
                 <div id="viewBillModal" class="modal">
                     <div class="modal-content" style="max-width: 800px;">
                         <div class="modal-header">
-                            <h3><i class="fas fa-file-invoice"></i> Bill Details - ${bill.bill_number}</h3>
+                            <h3><i class="fas fa-file-invoice"></i> Bill Details - ${this.getBillNumberHtml(bill)}</h3>
                             <button class="modal-close">&times;</button>
                         </div>
-                        
-                        <div class="bill-view">
+
+                        ${auditManager ? auditManager.getRecordTabsHtml() : ''}
+
+                        <div class="bill-view record-tab-panel active" data-record-panel="details">
                             <!-- Bill Header -->
                             <div class="bill-header">
                                 <div class="bill-info">
                                     <div class="info-row">
                                         <label>Bill Number:</label>
-                                        <span>${bill.bill_number}</span>
+                                        <span>${this.getBillNumberHtml(bill)}</span>
                                     </div>
+                                    ${bill.financial_year ? `
+                                        <div class="info-row">
+                                            <label>Financial Year:</label>
+                                            <span>${this.ui.escapeHtml(bill.financial_year)}</span>
+                                        </div>
+                                    ` : ''}
                                     <div class="info-row">
                                         <label>Date:</label>
                                         <span>${this.Utils.formatDate(bill.bill_date)}</span>
                                     </div>
                                     <div class="info-row">
                                         <label>Status:</label>
-                                        <span class="status-badge status-${bill.status}">${bill.status}</span>
+                                        <span class="status-badge status-${bill.status}">${(bill.status || '').replace('_', ' ')}</span>
                                     </div>
+                                    ${bill.status === 'cancelled' ? `
+                                        <div class="info-row">
+                                            <label>Cancelled:</label>
+                                            <span>
+                                                ${this.Utils.formatDate(bill.cancelled_at)} by ${this.ui.escapeHtml(bill.cancelled_by || 'Unknown')}
+                                                ${bill.cancel_reason ? `<br><small>${this.ui.escapeHtml(bill.cancel_reason)}</small>` : ''}
+                                            </span>
+                                        </div>
+                                    ` : ''}
                                 </div>
                                 <div class="customer-info">
                                     <div class="info-row">
@@ -1038,6 +1820,16 @@ class BillingManager {
                                         <label>Email:</label>
                                         <span>${bill.customer_email || 'N/A'}</span>
                                     </div>
+                                    <div class="info-row">
+                                        <label>Place of Supply:</label>
+                                        <span>${this.ui.escapeHtml(this.formatPlaceOfSupply(bill.place_of_supply))}</span>
+                                    </div>
+                                    ${bill.customer_gstin ? `
+                                        <div class="info-row">
+                                            <label>GSTIN:</label>
+                                            <span>${this.ui.escapeHtml(bill.customer_gstin)}</span>
+                                        </div>
+                                    ` : ''}
                                     <div class="info-row">
                                         <label>Customer Balance:</label>
                                         <span>${this.formatBalance(balance)}</span>
@@ -1051,17 +1843,23 @@ class BillingManager {
                                     <thead>
                                         <tr>
                                             <th>Product</th>
+                                            <th>HSN/SAC</th>
                                             <th>Quantity</th>
                                             <th>Price</th>
+                                            <th>Discount</th>
+                                            <th>GST %</th>
                                             <th>Amount</th>
                                         </tr>
                                     </thead>
                                     <tbody>
-                                        ${items.map(item => `
+                                        ${this.invoiceRenderer.getItemLines(items).map(item => `
                                             <tr>
-                                                <td>${item.product_name || item.description}</td>
-                                                <td>${item.quantity}</td>
-                                                <td>${this.Utils.formatCurrency(item.price)}</td>
+                                                <td>${this.ui.escapeHtml(item.description)}</td>
+                                                <td>${this.ui.escapeHtml(item.hsn_code || '-')}</td>
+                                                <td>${item.quantity}${item.unit ? ` ${this.ui.escapeHtml(item.unit)}` : ''}</td>
+                                                <td>${this.Utils.formatCurrency(item.rate)}</td>
+                                                <td>${this.ui.escapeHtml(this.invoiceRenderer.formatLineDiscount(item))}</td>
+                                                <td>${Number(item.tax_rate) || 0}%</td>
                                                 <td>${this.Utils.formatCurrency(item.amount)}</td>
                                             </tr>
                                         `).join('')}
@@ -1069,22 +1867,60 @@ class BillingManager {
                                 </table>
                             </div>
 
+                            ${this.getTaxBreakupHtml(bill, items)}
+
                             <!-- Bill Summary -->
                             <div class="bill-summary-view">
                                 <div class="summary-row">
                                     <span>Sub Total:</span>
                                     <span>${this.Utils.formatCurrency(bill.sub_total)}</span>
                                 </div>
-                                <div class="summary-row">
-                                    <span>GST (${bill.gst_rate}%):</span>
-                                    <span>${this.Utils.formatCurrency(bill.gst_amount)}</span>
-                                </div>
+                                ${this.invoiceRenderer.getAdjustmentRows(bill, items).map(([label, amount]) => `
+                                    <div class="summary-row">
+                                        <span>${this.ui.escapeHtml(label)}:</span>
+                                        <span>${this.Utils.formatCurrency(amount)}</span>
+                                    </div>
+                                `).join('')}
+                                ${this.getTaxSummaryRows(bill).map(([label, amount]) => `
+                                    <div class="summary-row">
+                                        <span>${label}:</span>
+                                        <span>${this.Utils.formatCurrency(amount)}</span>
+                                    </div>
+                                `).join('')}
+                                ${Number(bill.round_off) ? `
+                                    <div class="summary-row">
+                                        <span>Round Off:</span>
+                                        <span>${this.Utils.formatCurrency(bill.round_off)}</span>
+                                    </div>
+                                ` : ''}
                                 <div class="summary-row total">
                                     <span>Total Amount:</span>
                                     <span>${this.Utils.formatCurrency(bill.total_amount)}</span>
                                 </div>
+                                ${Number(bill.credited_amount) > 0 ? `
+                                    <div class="summary-row">
+                                        <span>Less: Credit Notes:</span>
+                                        <span>${this.Utils.formatCurrency(-Number(bill.credited_amount))}</span>
+                                    </div>
+                                ` : ''}
+                                ${Number(bill.amount_paid) > 0 ? `
+                                    <div class="summary-row">
+                                        <span>Paid:</span>
+                                        <span>${this.Utils.formatCurrency(bill.amount_paid)}</span>
+                                    </div>
+                                ` : ''}
+                                ${Utils.isBillOpen(bill) ? `
+                                    <div class="summary-row">
+                                        <span>Balance Due:</span>
+                                        <span><strong>${this.Utils.formatCurrency(Utils.getBillBalanceDue(bill))}</strong></span>
+                                    </div>
+                                ` : ''}
                             </div>
 
+                            ${deliveries ? deliveryManager.getBillDeliveryHtml(bill, deliveries) : ''}
+
+                            ${credits ? creditNoteManager.getBillCreditsHtml(bill, credits) : ''}
+
                             <!-- Bill Actions -->
                             <div class="bill-actions-view">
                                 ${this.canEditBill(bill) ? `
@@ -1092,17 +1928,47 @@ class BillingManager {
                                         <i class="fas fa-edit"></i> Edit Bill
                                     </button>
                                 ` : ''}
-                                ${bill.status === 'pending' && this.canPerformAction('edit') ? `
+                                ${Utils.isBillOpen(bill) && this.canPerformAction('edit') ? `
                                     <button class="btn-secondary" id="markPaidBtn">
-                                        <i class="fas fa-check"></i> Mark as Paid
+                                        <i class="fas fa-hand-holding-usd"></i> Record Payment
+                                    </button>
+                                ` : ''}
+                                ${this.getAdvanceForBill(bill) && this.canPerformAction('edit') ? `
+                                    <button class="btn-secondary" id="applyAdvanceBtn">
+                                        <i class="fas fa-money-bill-wave"></i> Adjust Advance
                                     </button>
                                 ` : ''}
+                                ${bill.status === 'pending' && bill.invoice_sequence && !Number(bill.credited_amount) && this.canPerformAction('delete') ? `
+                                    <button class="btn-danger" id="cancelInvoiceBtn">
+                                        <i class="fas fa-ban"></i> Cancel Invoice
+                                    </button>
+                                ` : ''}
+                                ${recurringBillManager && bill.status !== 'cancelled' && this.canPerformAction('create') ? `
+                                    <button class="btn-secondary" id="makeRecurringBtn">
+                                        <i class="fas fa-redo"></i> Repeat Regularly
+                                    </button>
+                                ` : ''}
+                                <select id="invoicePaperSelect" title="Invoice paper size">
+                                    ${this.invoiceRenderer.PAPER_SIZES.map(size => `
+                                        <option value="${size}" ${size === Utils.getBusinessProfile().invoice_paper_size ? 'selected' : ''}>${size}</option>
+                                    `).join('')}
+                                </select>
                                 <button class="btn-secondary" id="printBillBtn">
-                                    <i class="fas fa-print"></i> Print
+                                    <i class="fas fa-print"></i> Print Invoice
+                                </button>
+                                <button class="btn-secondary" id="printReceiptBtn">
+                                    <i class="fas fa-receipt"></i> Print Receipt
                                 </button>
+                                ${window.electronAPI?.renderPdf ? `
+                                    <button class="btn-secondary" id="saveBillPdfBtn">
+                                        <i class="fas fa-file-pdf"></i> Save as PDF
+                                    </button>
+                                ` : ''}
                             </div>
                         </div>
 
+                        <div class="record-tab-panel" data-record-panel="history"></div>
+
                         <div class="modal-actions">
                             <button class="btn-secondary" id="closeViewBillBtn">
                                 Close
@@ -1118,7 +1984,14 @@ class BillingManager {
             setTimeout(() => {
                 const editBtn = document.getElementById('editBillBtn');
                 const markPaidBtn = document.getElementById('markPaidBtn');
+                const applyAdvanceBtn = document.getElementById('applyAdvanceBtn');
+                const cancelInvoiceBtn = document.getElementById('cancelInvoiceBtn');
                 const printBtn = document.getElementById('printBillBtn');
+                const savePdfBtn = document.getElementById('saveBillPdfBtn');
+                const printReceiptBtn = document.getElementById('printReceiptBtn');
+                const addChallanBtn = document.getElementById('addChallanBtn');
+                const addCreditNoteBtn = document.getElementById('addCreditNoteBtn');
+                const makeRecurringBtn = document.getElementById('makeRecurringBtn');
                 const closeBtn = document.getElementById('closeViewBillBtn');
                 const closeHeaderBtn = document.querySelector('#viewBillModal .modal-close');
 
@@ -1136,10 +2009,53 @@ class BillingManager {
                     });
                 }
 
+                if (applyAdvanceBtn) {
+                    applyAdvanceBtn.addEventListener('click', () => {
+                        this.closeViewBill();
+                        this.offerAdvanceAdjustment(billId);
+                    });
+                }
+
+                if (cancelInvoiceBtn) {
+                    cancelInvoiceBtn.addEventListener('click', () => {
+                        this.closeViewBill();
+                        this.cancelInvoice(billId);
+                    });
+                }
+
                 if (printBtn) {
                     printBtn.addEventListener('click', () => this.printBill(billId));
                 }
 
+                if (printReceiptBtn) {
+                    printReceiptBtn.addEventListener('click', () => this.printReceipt(billId));
+                }
+
+                if (savePdfBtn) {
+                    savePdfBtn.addEventListener('click', () => this.saveBillPdf(billId, savePdfBtn));
+                }
+
+                if (addChallanBtn) {
+                    addChallanBtn.addEventListener('click', () => {
+                        this.closeViewBill();
+                        deliveryManager.showChallanModal(billId);
+                    });
+                }
+
+                if (addCreditNoteBtn) {
+                    addCreditNoteBtn.addEventListener('click', () => {
+                        this.closeViewBill();
+                        creditNoteManager.showCreditNoteModal(billId);
+                    });
+                }
+
+                if (makeRecurringBtn) {
+                    makeRecurringBtn.addEventListener('click', () => {
+                        this.closeViewBill();
+                        recurringBillManager.showRecurringBillModal(null, billId);
+                    });
+                }
+
                 if (closeBtn) {
                     closeBtn.addEventListener('click', () => this.closeViewBill());
                 }
@@ -1147,6 +2063,8 @@ class BillingManager {
                 if (closeHeaderBtn) {
                     closeHeaderBtn.addEventListener('click', () => this.closeViewBill());
                 }
+
+                auditManager?.setupRecordTabs('viewBillModal', 'bills', billId);
             }, 100);
 
         } catch (error) {
@@ -1163,8 +2081,59 @@ class BillingManager {
         }
     }
 
-    printBill(billId) {
-        window.print();
+    // ==================== INVOICE PRINTING ====================
+
+    async getInvoiceData(billId) {
+        const bill = this.bills.find(b => b.id === billId);
+        if (!bill) throw new Error('Bill not found');
+
+        const items = await this.getBillLines(bill);
+        const customer = this.customers.find(c => c.id === bill.customer_id)
+            || window.app?.getManagers()?.customer?.findCustomerByPhone(bill.customer_phone);
+        const paperSize = document.getElementById('invoicePaperSelect')?.value;
+
+        return { bill, items, options: { paperSize, customer } };
+    }
+
+    async printBill(billId) {
+        try {
+            const { bill, items, options } = await this.getInvoiceData(billId);
+            await this.invoiceRenderer.print(bill, items, options);
+        } catch (error) {
+            console.error('❌ Error printing invoice:', error);
+            this.ui.showToast('Error printing invoice: ' + error.message, 'error');
+        }
+    }
+
+    async printReceipt(billId) {
+        try {
+            const { bill, items } = await this.getInvoiceData(billId);
+            const settings = Utils.getReceiptSettings(this.auth.getCurrentUser()?.id);
+            const result = await this.invoiceRenderer.printReceipt(bill, items, settings);
+            if (result.silent) {
+                this.ui.showToast(`Receipt sent to ${settings.printer}`, 'success');
+            }
+        } catch (error) {
+            console.error('❌ Error printing receipt:', error);
+            this.ui.showToast('Error printing receipt: ' + error.message, 'error');
+        }
+    }
+
+    async saveBillPdf(billId, button) {
+        const resetButton = button ? this.ui.showButtonLoading(button, 'Saving...') : () => {};
+
+        try {
+            const { bill, items, options } = await this.getInvoiceData(billId);
+            const filePath = await this.invoiceRenderer.savePdf(bill, items, options);
+            if (filePath) {
+                this.ui.showToast(`Invoice saved to ${filePath}`, 'success');
+            }
+        } catch (error) {
+            console.error('❌ Error saving invoice PDF:', error);
+            this.ui.showToast('Error saving PDF: ' + error.message, 'error');
+        } finally {
+            resetButton();
+        }
     }
 
     async showCustomerByBill(billId) {
@@ -1184,9 +2153,434 @@ class BillingManager {
 
     // ==================== BILL ACTIONS ====================
 
-    async markAsPaid(billId) {
+    markAsPaid(billId) {
+        this.showPaymentModal({ billId });
+    }
+
+    // ==================== PAYMENTS ====================
+
+    /**
+     * 💰 OPEN BILLS OF ONE CUSTOMER, OLDEST FIRST - the order payments settle them in
+     */
+    getOpenBillsForCustomer(phone) {
+        const customerManager = window.app?.getManagers()?.customer;
+        const normalize = value => customerManager ? customerManager.normalizePhone(value) : String(value || '').replace(/\D/g, '');
+        const target = normalize(phone);
+
+        return this.bills
+            .filter(bill => Utils.isBillOpen(bill) && normalize(bill.customer_phone) === target)
+            .sort((a, b) =>
+                String(a.bill_date || '').localeCompare(String(b.bill_date || '')) ||
+                (Number(a.invoice_sequence) || 0) - (Number(b.invoice_sequence) || 0) ||
+                String(a.created_at || '').localeCompare(String(b.created_at || ''))
+            );
+    }
+
+    /**
+     * 💰 CUSTOMERS WHO OWE MONEY - [{ phone, name, due }] for the payment dialog
+     */
+    getCustomersWithDues() {
+        const byPhone = new Map();
+        this.bills.filter(bill => Utils.isBillOpen(bill)).forEach(bill => {
+            const key = String(bill.customer_phone || '').replace(/\D/g, '');
+            const entry = byPhone.get(key) || { phone: bill.customer_phone, name: bill.customer_name, due: 0 };
+            entry.due = Utils.roundMoney(entry.due + Utils.getBillBalanceDue(bill));
+            byPhone.set(key, entry);
+        });
+        return Array.from(byPhone.values()).sort((a, b) => String(a.name).localeCompare(String(b.name)));
+    }
+
+    /**
+     * 💰 PAYMENT ENTRY - part or full payment, spread over one or more bills
+     * Opened for one bill (billId), one customer (customerPhone) or to pick a customer.
+     */
+    async showPaymentModal({ billId = null, customerPhone = null } = {}) {
         if (!this.canPerformAction('edit')) {
-            this.ui.showToast('Insufficient permissions to update bills', 'error');
+            this.ui.showToast('Insufficient permissions to record payments', 'error');
+            return;
+        }
+
+        // Opened from Customers or Payments before the Billing screen was visited
+        if (this.bills.length === 0) {
+            await this.loadBills();
+        }
+
+        const bill = billId ? this.bills.find(b => b.id === billId) : null;
+        if (billId && !Utils.isBillOpen(bill)) {
+            this.ui.showToast(bill ? 'This bill has nothing left to pay' : 'Bill not found', 'info');
+            return;
+        }
+
+        const phone = bill?.customer_phone || customerPhone;
+        const customers = this.getCustomersWithDues();
+        if (customers.length === 0) {
+            this.ui.showToast('No customer has a bill waiting for payment', 'info');
+            return;
+        }
+
+        const modalHtml = `
+            <div id="paymentModal" class="modal">
+                <div class="modal-content" style="max-width: 760px;">
+                    <div class="modal-header">
+                        <h3><i class="fas fa-hand-holding-usd"></i> Record Payment</h3>
+                        <button class="modal-close">&times;</button>
+                    </div>
+
+                    <form id="paymentForm">
+                        <div class="form-group">
+                            <label for="paymentCustomer">Customer *</label>
+                            <select id="paymentCustomer" required>
+                                <option value="">Select customer</option>
+                                ${customers.map(customer => `
+                                    <option value="${this.ui.escapeHtml(customer.phone || '')}">
+                                        ${this.ui.escapeHtml(customer.name || 'N/A')} (${this.ui.escapeHtml(customer.phone || 'no phone')}) - ${this.Utils.formatCurrency(customer.due)} due
+                                    </option>
+                                `).join('')}
+                            </select>
+                        </div>
+
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="paymentAmount">Amount Received *</label>
+                                <input type="number" id="paymentAmount" min="0.01" step="0.01" required>
+                            </div>
+                            <div class="form-group">
+                                <label for="paymentDate">Date *</label>
+                                <input type="date" id="paymentDate" value="${new Date().toISOString().split('T')[0]}" required>
+                            </div>
+                        </div>
+
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="paymentMethod">Method *</label>
+                                <select id="paymentMethod" required>
+                                    ${Object.entries(this.PAYMENT_METHODS).map(([value, label]) => `
+                                        <option value="${value}">${label}</option>
+                                    `).join('')}
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label for="paymentReference">Reference</label>
+                                <input type="text" id="paymentReference" maxlength="100" placeholder="UPI ref, cheque no. or bank ref">
+                            </div>
+                        </div>
+
+                        <div class="form-group">
+                            <label>Apply To</label>
+                            <div class="radio-group">
+                                <label><input type="radio" name="allocationMode" value="oldest" ${bill ? '' : 'checked'}> Oldest bills first</label>
+                                <label><input type="radio" name="allocationMode" value="manual" ${bill ? 'checked' : ''}> Choose amounts per bill</label>
+                            </div>
+                        </div>
+
+                        <div id="paymentAllocations" class="payment-allocations"></div>
+
+                        <div class="form-group">
+                            <label for="paymentNotes">Notes</label>
+                            <textarea id="paymentNotes" rows="2"></textarea>
+                        </div>
+
+                        <div class="modal-actions">
+                            <button type="button" class="btn-secondary" id="cancelPaymentBtn">
+                                Cancel
+                            </button>
+                            <button type="submit" class="btn-primary">
+                                <i class="fas fa-save"></i> Save Payment
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        this.showCustomModal(modalHtml, 'paymentModal');
+
+        setTimeout(() => {
+            const modal = document.getElementById('paymentModal');
+            const form = document.getElementById('paymentForm');
+            const customerSelect = document.getElementById('paymentCustomer');
+            const amountInput = document.getElementById('paymentAmount');
+            if (!modal || !form) return;
+
+            customerSelect.addEventListener('change', () => this.renderPaymentAllocations(customerSelect.value));
+            amountInput.addEventListener('input', () => this.updatePaymentAllocations());
+            modal.querySelectorAll('input[name="allocationMode"]').forEach(radio => {
+                radio.addEventListener('change', () => this.updatePaymentAllocations());
+            });
+            modal.addEventListener('input', (e) => {
+                if (e.target.classList.contains('allocation-input')) this.updatePaymentAllocationSummary();
+            });
+
+            form.addEventListener('submit', (e) => this.handlePaymentSubmit(e));
+            document.getElementById('cancelPaymentBtn')?.addEventListener('click', () => this.closePaymentModal());
+            modal.querySelector('.modal-close')?.addEventListener('click', () => this.closePaymentModal());
+
+            if (phone) {
+                const option = Array.from(customerSelect.options).find(opt =>
+                    opt.value.replace(/\D/g, '') === String(phone).replace(/\D/g, ''));
+                if (option) customerSelect.value = option.value;
+                this.renderPaymentAllocations(customerSelect.value, bill);
+            } else {
+                this.renderPaymentAllocations('');
+            }
+        }, 100);
+    }
+
+    renderPaymentAllocations(phone, focusBill = null) {
+        const container = document.getElementById('paymentAllocations');
+        if (!container) return;
+
+        const bills = phone ? this.getOpenBillsForCustomer(phone) : [];
+        if (bills.length === 0) {
+            container.innerHTML = '<p class="no-data">Select a customer to see their unpaid bills</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="items-table">
+                <thead>
+                    <tr>
+                        <th>Bill No</th>
+                        <th>Date</th>
+                        <th>Total</th>
+                        <th>Paid</th>
+                        <th>Due</th>
+                        <th>Apply</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${bills.map(bill => `
+                        <tr>
+                            <td>${this.ui.escapeHtml(bill.bill_number || 'Draft')}</td>
+                            <td>${this.Utils.formatDate(bill.bill_date)}</td>
+                            <td>${this.Utils.formatCurrency(bill.total_amount)}</td>
+                            <td>${this.Utils.formatCurrency(bill.amount_paid || 0)}</td>
+                            <td>${this.Utils.formatCurrency(Utils.getBillBalanceDue(bill))}</td>
+                            <td>
+                                <input type="number" class="allocation-input" min="0" step="0.01"
+                                       data-bill-id="${bill.id}" data-due="${Utils.getBillBalanceDue(bill)}"
+                                       value="${focusBill?.id === bill.id ? Utils.getBillBalanceDue(bill) : ''}">
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div id="paymentAllocationSummary" class="allocation-summary"></div>
+        `;
+
+        const amountInput = document.getElementById('paymentAmount');
+        if (focusBill && amountInput) {
+            amountInput.value = Utils.getBillBalanceDue(focusBill);
+        }
+        this.updatePaymentAllocations();
+    }
+
+    /**
+     * 💰 OLDEST FIRST - fill each bill's due in date order until the amount runs out
+     */
+    updatePaymentAllocations() {
+        const mode = document.querySelector('input[name="allocationMode"]:checked')?.value || 'oldest';
+        const inputs = Array.from(document.querySelectorAll('#paymentAllocations .allocation-input'));
+
+        inputs.forEach(input => { input.readOnly = mode === 'oldest'; });
+
+        if (mode === 'oldest') {
+            let remaining = Utils.roundMoney(document.getElementById('paymentAmount')?.value);
+            inputs.forEach(input => {
+                const share = Math.min(remaining, Number(input.dataset.due) || 0);
+                input.value = share > 0 ? Utils.roundMoney(share) : '';
+                remaining = Utils.roundMoney(remaining - Math.max(share, 0));
+            });
+        }
+
+        this.updatePaymentAllocationSummary();
+    }
+
+    getPaymentAllocationLines() {
+        return Array.from(document.querySelectorAll('#paymentAllocations .allocation-input'))
+            .map(input => ({ bill_id: input.dataset.billId, amount: Utils.roundMoney(input.value), due: Number(input.dataset.due) || 0 }))
+            .filter(line => line.amount > 0);
+    }
+
+    updatePaymentAllocationSummary() {
+        const summary = document.getElementById('paymentAllocationSummary');
+        if (!summary) return;
+
+        const amount = Utils.roundMoney(document.getElementById('paymentAmount')?.value);
+        const allocated = Utils.roundMoney(this.getPaymentAllocationLines().reduce((sum, line) => sum + line.amount, 0));
+        const left = Utils.roundMoney(amount - allocated);
+
+        summary.innerHTML = `
+            Applied ${this.Utils.formatCurrency(allocated)} of ${this.Utils.formatCurrency(amount)}
+            ${left !== 0 ? `<span class="allocation-warning">(${left > 0 ? `${this.Utils.formatCurrency(left)} not applied` : `${this.Utils.formatCurrency(-left)} over`})</span>` : ''}
+        `;
+    }
+
+    async handlePaymentSubmit(e) {
+        e.preventDefault();
+
+        const phone = document.getElementById('paymentCustomer').value;
+        const amount = Utils.roundMoney(document.getElementById('paymentAmount').value);
+        const method = document.getElementById('paymentMethod').value;
+        const reference = document.getElementById('paymentReference').value.trim();
+        const lines = this.getPaymentAllocationLines();
+        const allocated = Utils.roundMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+        const totalDue = Utils.roundMoney(this.getOpenBillsForCustomer(phone).reduce((sum, bill) => sum + Utils.getBillBalanceDue(bill), 0));
+
+        if (!phone) {
+            this.ui.showToast('Please select a customer', 'error');
+            return;
+        }
+        if (amount <= 0) {
+            this.ui.showToast('Please enter the amount received', 'error');
+            return;
+        }
+        if (amount > totalDue) {
+            this.ui.showToast(`The customer owes only ${this.Utils.formatCurrency(totalDue)}`, 'error');
+            return;
+        }
+        if (method === 'cheque' && !reference) {
+            this.ui.showToast('Please enter the cheque number', 'error');
+            return;
+        }
+        const overpaid = lines.find(line => line.amount > line.due);
+        if (overpaid) {
+            const bill = this.bills.find(b => b.id === overpaid.bill_id);
+            this.ui.showToast(`Bill ${bill?.bill_number || ''} has only ${this.Utils.formatCurrency(overpaid.due)} due`, 'error');
+            return;
+        }
+        if (allocated !== amount) {
+            this.ui.showToast(`Apply the whole ${this.Utils.formatCurrency(amount)} to bills (applied ${this.Utils.formatCurrency(allocated)})`, 'error');
+            return;
+        }
+
+        const bills = lines.map(line => this.bills.find(b => b.id === line.bill_id));
+        const customer = window.app?.getManagers()?.customer?.findCustomerByPhone(phone);
+        const customerId = bills.find(bill => bill?.customer_id)?.customer_id || customer?.id;
+        if (!customerId) {
+            this.ui.showToast('Add this customer to the customer list before recording a payment', 'error');
+            return;
+        }
+
+        const submitBtn = e.target.querySelector('button[type="submit"]');
+        const resetButton = submitBtn ? this.ui.showButtonLoading(submitBtn, 'Saving...') : () => {};
+
+        try {
+            const currentUser = this.getCurrentUser();
+            await this.db.recordPayment({
+                // A payment against a single bill keeps the old bill link for lists and exports
+                bill_id: lines.length === 1 ? bills[0].id : null,
+                bill_number: lines.length === 1 ? bills[0].bill_number : null,
+                customer_id: customerId,
+                customer_name: bills[0]?.customer_name || customer?.name,
+                customer_phone: phone,
+                amount,
+                payment_method: method,
+                reference_number: reference || null,
+                notes: this.Utils.sanitizeInput(document.getElementById('paymentNotes').value.trim()) || null,
+                payment_date: document.getElementById('paymentDate').value,
+                status: 'completed',
+                created_by: currentUser?.id || 'system'
+            }, lines);
+
+            console.log(`💰 Payment of ${amount} applied to ${lines.length} bill(s)`);
+            this.ui.showToast(`Payment of ${this.Utils.formatCurrency(amount)} recorded`, 'success');
+            this.closePaymentModal();
+
+            await this.loadBills();
+            await this.loadPendingBills();
+            await this.loadPayments();
+
+            const customerManager = window.app?.getManagers()?.customer;
+            if (customerManager && customerManager.syncWithBillingData) {
+                await customerManager.syncWithBillingData();
+            }
+        } catch (error) {
+            console.error('❌ Error recording payment:', error);
+            this.ui.showToast('Error recording payment: ' + error.message, 'error');
+        } finally {
+            resetButton();
+        }
+    }
+
+    closePaymentModal() {
+        this.ui.hideModal('paymentModal');
+        document.getElementById('paymentModal')?.remove();
+    }
+
+    /**
+     * 💳 ADVANCE AVAILABLE TO A BILL - the customer's unused advances and how much of the bill they cover
+     */
+    getAdvanceForBill(bill) {
+        const customerManager = window.app?.getManagers()?.customer;
+        const customer = customerManager?.findCustomerByPhone(bill?.customer_phone);
+        if (!customer || !Utils.isBillOpen(bill)) return null;
+
+        const advances = customerManager.getAvailableAdvances(customer);
+        const available = Utils.roundMoney(advances.reduce((sum, adv) => sum + Utils.getAdvanceRemaining(adv), 0));
+        if (available <= 0) return null;
+
+        return { customer, advances, available, amount: Math.min(available, Utils.getBillBalanceDue(bill)) };
+    }
+
+    /**
+     * 💳 OFFER TO PAY A BILL FROM THE CUSTOMER'S ADVANCE
+     * Asked after a new bill is saved and from the bill view. The adjustment is
+     * recorded as payments linked to the advances, so the customer balance is unchanged.
+     */
+    async offerAdvanceAdjustment(billId) {
+        const bill = this.bills.find(b => b.id === billId);
+        const advance = this.getAdvanceForBill(bill);
+        if (!advance || !this.canPerformAction('edit')) return false;
+
+        const confirmed = await this.ui.showConfirmation(
+            'Adjust Advance',
+            `${this.ui.escapeHtml(advance.customer.name)} has ${this.Utils.formatCurrency(advance.available)} paid in advance. ` +
+            `Adjust ${this.Utils.formatCurrency(advance.amount)} against bill ${this.ui.escapeHtml(bill.bill_number || '')}?`,
+            'Adjust Advance',
+            'Keep Advance',
+            'info'
+        );
+        if (!confirmed) return false;
+
+        try {
+            const currentUser = this.getCurrentUser();
+            const result = await this.db.applyAdvanceToBill(bill.id, advance.advances.map(adv => adv.id), advance.amount, {
+                customer_id: bill.customer_id || advance.customer.id,
+                customer_name: bill.customer_name,
+                customer_phone: bill.customer_phone,
+                notes: 'Adjusted from advance',
+                created_by: currentUser?.id || 'system'
+            });
+
+            console.log(`💳 Adjusted ${result.applied} of advance against bill ${bill.bill_number}`);
+            this.ui.showToast(`${this.Utils.formatCurrency(result.applied)} adjusted from advance`, 'success');
+
+            await this.loadBills();
+            await this.loadPendingBills();
+            await this.loadPayments();
+
+            const customerManager = window.app?.getManagers()?.customer;
+            if (customerManager) {
+                await customerManager.loadAdvancePayments();
+                if (customerManager.syncWithBillingData) {
+                    await customerManager.syncWithBillingData();
+                }
+            }
+            return true;
+        } catch (error) {
+            console.error('❌ Error adjusting advance:', error);
+            this.ui.showToast('Error adjusting advance: ' + error.message, 'error');
+            return false;
+        }
+    }
+
+    /**
+     * 🚫 CANCEL AN INVOICE - it keeps its number and stays listed, but no longer counts as a sale
+     */
+    cancelInvoice(billId) {
+        if (!this.canPerformAction('delete')) {
+            this.ui.showToast('Insufficient permissions to cancel invoices', 'error');
             return;
         }
 
@@ -1196,54 +2590,118 @@ class BillingManager {
             return;
         }
 
-        this.showConfirmationModal(
-            'Mark as Paid',
-            `Are you sure you want to mark bill "<strong>${bill.bill_number}</strong>" as paid?`,
-            async () => {
-                try {
-                    this.ui.showLoading('Updating bill...');
+        if (bill.status === 'cancelled') {
+            this.ui.showToast('This invoice is already cancelled', 'info');
+            return;
+        }
 
-                    const currentUser = this.getCurrentUser();
-                    await this.db.update('bills', billId, { 
-                        status: 'paid',
-                        updated_at: new Date().toISOString(),
-                        updated_by: currentUser?.id || 'system'
-                    });
+        if (Number(bill.credited_amount) > 0) {
+            this.ui.showToast('This invoice has credit notes against it - cancel them first', 'error');
+            return;
+        }
 
-                    const paymentData = {
-                        bill_id: billId,
-                        bill_number: bill.bill_number,
-                        customer_name: bill.customer_name,
-                        customer_phone: bill.customer_phone,
-                        amount: bill.total_amount,
-                        payment_method: 'cash',
-                        payment_date: new Date().toISOString().split('T')[0],
-                        created_at: new Date().toISOString(),
-                        created_by: currentUser?.id || 'system'
-                    };
-
-                    paymentData.id = `PAY_${billId}_${Date.now()}`;
-                    await this.db.create('payments', paymentData);
-
-                    this.ui.showToast('Bill marked as paid', 'success');
-                    await this.loadBills();
-                    await this.loadPendingBills();
-                    await this.loadPayments();
+        if (bill.status === 'paid' || Number(bill.amount_paid) > 0) {
+            this.ui.showToast('Invoices with payments against them cannot be cancelled', 'error');
+            return;
+        }
 
-                    // 🔧 FIXED: Sync customer data after marking as paid
-                    const customerManager = window.app?.getManagers()?.customer;
-                    if (customerManager && customerManager.syncWithBillingData) {
-                        await customerManager.syncWithBillingData();
-                    }
+        const modalHtml = `
+            <div id="cancelBillModal" class="modal">
+                <div class="modal-content" style="max-width: 500px;">
+                    <div class="modal-header">
+                        <h3><i class="fas fa-ban"></i> Cancel Invoice ${this.ui.escapeHtml(bill.bill_number || '')}</h3>
+                        <button class="modal-close">&times;</button>
+                    </div>
 
-                } catch (error) {
-                    console.error('Error updating bill:', error);
-                    this.ui.showToast('Error updating bill: ' + error.message, 'error');
-                } finally {
-                    this.ui.hideLoading();
-                }
+                    <form id="cancelBillForm">
+                        <p>
+                            The invoice for <strong>${this.ui.escapeHtml(bill.customer_name || '')}</strong>
+                            (${this.Utils.formatCurrency(bill.total_amount)}) keeps its number and stays in the list
+                            marked as cancelled. It will no longer count towards sales or the customer's balance.
+                        </p>
+
+                        <div class="form-group">
+                            <label for="cancelReason">Reason *</label>
+                            <textarea id="cancelReason" required placeholder="e.g. Wrong customer, duplicate entry"></textarea>
+                        </div>
+
+                        <div class="modal-actions">
+                            <button type="button" class="btn-secondary" id="keepBillBtn">
+                                Keep Invoice
+                            </button>
+                            <button type="submit" class="btn-danger">
+                                <i class="fas fa-ban"></i> Cancel Invoice
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        this.showCustomModal(modalHtml, 'cancelBillModal');
+
+        setTimeout(() => {
+            const form = document.getElementById('cancelBillForm');
+            const keepBtn = document.getElementById('keepBillBtn');
+            const closeBtn = document.querySelector('#cancelBillModal .modal-close');
+
+            if (form) {
+                form.addEventListener('submit', (e) => this.handleCancelInvoice(e, billId));
             }
-        );
+
+            if (keepBtn) {
+                keepBtn.addEventListener('click', () => this.closeCancelInvoice());
+            }
+
+            if (closeBtn) {
+                closeBtn.addEventListener('click', () => this.closeCancelInvoice());
+            }
+        }, 100);
+    }
+
+    async handleCancelInvoice(e, billId) {
+        e.preventDefault();
+
+        const reason = document.getElementById('cancelReason')?.value.trim();
+        if (!reason) {
+            this.ui.showToast('Please give a reason for cancelling', 'error');
+            return;
+        }
+
+        const button = e.target.querySelector('button[type="submit"]');
+        const resetButton = this.ui.showButtonLoading(button, 'Cancelling...');
+
+        try {
+            await this.db.update('bills', billId, {
+                status: 'cancelled',
+                cancelled_at: new Date().toISOString(),
+                cancelled_by: this.db.getActingUser() || 'system',
+                cancel_reason: this.Utils.sanitizeInput(reason)
+            });
+
+            this.ui.showToast('Invoice cancelled', 'success');
+            this.closeCancelInvoice();
+            await this.loadBills();
+            await this.loadPendingBills();
+
+            const customerManager = window.app?.getManagers()?.customer;
+            if (customerManager && customerManager.syncWithBillingData) {
+                await customerManager.syncWithBillingData();
+            }
+        } catch (error) {
+            console.error('Error cancelling invoice:', error);
+            this.ui.showToast('Error cancelling invoice: ' + error.message, 'error');
+        } finally {
+            resetButton();
+        }
+    }
+
+    closeCancelInvoice() {
+        this.ui.hideModal('cancelBillModal');
+        const modal = document.getElementById('cancelBillModal');
+        if (modal) {
+            modal.remove();
+        }
     }
 
     async deleteBill(billId) {
@@ -1258,14 +2716,20 @@ class BillingManager {
             return;
         }
 
+        // Deleting a numbered invoice would leave a gap in the series
+        if (bill.invoice_sequence || Number(bill.credited_amount) > 0) {
+            this.cancelInvoice(billId);
+            return;
+        }
+
         this.showConfirmationModal(
             'Delete Bill',
-            `Are you sure you want to delete bill "<strong>${bill.bill_number}</strong>" for customer "<strong>${bill.customer_name}</strong>"? This action cannot be undone.`,
+            `Are you sure you want to delete bill "<strong>${bill.bill_number}</strong>" for customer "<strong>${bill.customer_name}</strong>"? An admin can restore it from the Trash.`,
             async () => {
                 try {
                     this.ui.showLoading('Deleting bill...');
                     await this.db.delete('bills', billId);
-                    this.ui.showToast('Bill deleted successfully', 'success');
+                    this.ui.showToast('Bill moved to Trash', 'success');
                     await this.loadBills();
                     await this.loadPendingBills();
 
@@ -1296,6 +2760,7 @@ class BillingManager {
 
             this.ui.showSectionLoading('billingContent', 'Loading bills...');
             this.bills = await this.db.getBills() || [];
+            await this.db.migrateLegacyBillItems(this.bills);
             this.renderBillsTable(this.bills);
 
             // 🔧 FIXED: Update customer manager with bills data
@@ -1325,8 +2790,7 @@ class BillingManager {
             }
 
             this.ui.showSectionLoading('pendingContent', 'Loading pending bills...');
-            const bills = await this.db.getBills() || [];
-            const pendingBills = bills.filter(bill => bill.status === 'pending');
+            const pendingBills = await this.db.getBills({ status: ['pending', 'partially_paid'] }) || [];
             this.renderPendingTable(pendingBills);
         } catch (error) {
             console.error('Error loading pending bills:', error);
@@ -1345,6 +2809,7 @@ class BillingManager {
 
             this.ui.showSectionLoading('paymentsContent', 'Loading payments...');
             this.payments = await this.db.getPayments() || [];
+            this.paymentAllocations = await this.db.getPaymentAllocations() || [];
             this.renderPaymentsTable(this.payments);
         } catch (error) {
             console.error('Error loading payments:', error);
@@ -1385,8 +2850,8 @@ class BillingManager {
             }
             
             return `
-            <tr>
-                <td>${bill.bill_number || 'N/A'}</td>
+            <tr class="${bill.status === 'cancelled' ? 'cancelled-row' : ''}">
+                <td>${this.getBillNumberHtml(bill)}</td>
                 <td>
                     <a href="javascript:void(0)" 
                        onclick="app.getManagers().billing.showCustomerByBill('${bill.id}')"
@@ -1398,7 +2863,10 @@ class BillingManager {
                 <td>${this.Utils.formatCurrency(bill.gst_amount)}</td>
                 <td>${this.Utils.formatDate(bill.bill_date)}</td>
                 <td>
-                    <span class="status-badge status-${bill.status}">${bill.status}</span>
+                    <span class="status-badge status-${bill.status}">${(bill.status || '').replace('_', ' ')}</span>
+                    ${bill.delivery_status && bill.delivery_status !== 'pending' ? `
+                        <br>${window.app?.getManagers()?.delivery?.getDeliveryBadgeHtml(bill.delivery_status) || ''}
+                    ` : ''}
                 </td>
                 <td>${this.formatBalance(balance)}</td>
                 <td>
@@ -1406,17 +2874,25 @@ class BillingManager {
                         <button class="btn-icon" onclick="app.getManagers().billing.viewBill('${bill.id}')" title="View Bill">
                             <i class="fas fa-eye"></i>
                         </button>
+                        <button class="btn-icon" onclick="app.getManagers().billing.printReceipt('${bill.id}')" title="Print Receipt">
+                            <i class="fas fa-receipt"></i>
+                        </button>
                         ${this.canEditBill(bill) ? `
                             <button class="btn-icon" onclick="app.getManagers().billing.editBill('${bill.id}')" title="Edit Bill">
                                 <i class="fas fa-edit"></i>
                             </button>
                         ` : ''}
-                        ${bill.status === 'pending' && this.canPerformAction('edit') ? `
-                            <button class="btn-icon" onclick="app.getManagers().billing.markAsPaid('${bill.id}')" title="Mark as Paid">
-                                <i class="fas fa-check"></i>
+                        ${Utils.isBillOpen(bill) && this.canPerformAction('edit') ? `
+                            <button class="btn-icon" onclick="app.getManagers().billing.markAsPaid('${bill.id}')" title="Record Payment">
+                                <i class="fas fa-hand-holding-usd"></i>
                             </button>
                         ` : ''}
-                        ${this.canPerformAction('delete') ? `
+                        ${this.canPerformAction('delete') && bill.invoice_sequence && bill.status === 'pending' && !Number(bill.credited_amount) ? `
+                            <button class="btn-icon btn-danger" onclick="app.getManagers().billing.cancelInvoice('${bill.id}')" title="Cancel Invoice">
+                                <i class="fas fa-ban"></i>
+                            </button>
+                        ` : ''}
+                        ${this.canPerformAction('delete') && !bill.invoice_sequence ? `
                             <button class="btn-icon btn-danger" onclick="app.getManagers().billing.deleteBill('${bill.id}')" title="Delete Bill">
                                 <i class="fas fa-trash"></i>
                             </button>
@@ -1434,7 +2910,7 @@ class BillingManager {
         if (bills.length === 0) {
             tbody.innerHTML = `
                 <tr>
-                    <td colspan="6" class="no-data">
+                    <td colspan="8" class="no-data">
                         <i class="fas fa-clock"></i>
                         <br>No pending bills found
                     </td>
@@ -1453,7 +2929,7 @@ class BillingManager {
             
             return `
             <tr>
-                <td>${bill.bill_number || 'N/A'}</td>
+                <td>${this.getBillNumberHtml(bill)}</td>
                 <td>
                     <a href="javascript:void(0)" 
                        onclick="app.getManagers().billing.showCustomerByBill('${bill.id}')"
@@ -1462,13 +2938,18 @@ class BillingManager {
                     </a>
                 </td>
                 <td>${this.Utils.formatCurrency(bill.total_amount)}</td>
+                <td>${this.Utils.formatCurrency(bill.amount_paid || 0)}</td>
+                <td>
+                    <strong>${this.Utils.formatCurrency(Utils.getBillBalanceDue(bill))}</strong>
+                    ${bill.status === 'partially_paid' ? '<br><span class="status-badge status-partially_paid">partially paid</span>' : ''}
+                </td>
                 <td>${this.Utils.formatDate(bill.bill_date)}</td>
                 <td>${this.formatBalance(balance)}</td>
                 <td>
                     <div class="action-buttons">
                         ${this.canPerformAction('edit') ? `
-                            <button class="btn-icon" onclick="app.getManagers().billing.markAsPaid('${bill.id}')" title="Mark as Paid">
-                                <i class="fas fa-check"></i>
+                            <button class="btn-icon" onclick="app.getManagers().billing.markAsPaid('${bill.id}')" title="Record Payment">
+                                <i class="fas fa-hand-holding-usd"></i>
                             </button>
                         ` : ''}
                         <button class="btn-icon" onclick="app.getManagers().billing.viewBill('${bill.id}')" title="View Bill">
@@ -1487,7 +2968,7 @@ class BillingManager {
         if (payments.length === 0) {
             tbody.innerHTML = `
                 <tr>
-                    <td colspan="6" class="no-data">
+                    <td colspan="7" class="no-data">
                         <i class="fas fa-credit-card"></i>
                         <br>No payments found
                     </td>
@@ -1496,16 +2977,27 @@ class BillingManager {
             return;
         }
 
-        tbody.innerHTML = payments.map(payment => `
+        const billsByPayment = {};
+        this.paymentAllocations.forEach(allocation => {
+            (billsByPayment[allocation.payment_id] = billsByPayment[allocation.payment_id] || [])
+                .push(`${allocation.bill_number || 'Draft'}: ${this.Utils.formatCurrency(allocation.amount)}`);
+        });
+
+        tbody.innerHTML = payments.map(payment => {
+            const settled = billsByPayment[payment.id] || [];
+            return `
             <tr>
                 <td>${payment.id?.slice(0, 8) || 'N/A'}</td>
-                <td>${payment.bill_number || 'N/A'}</td>
+                <td>${settled.length > 1
+                    ? `<span title="${this.ui.escapeHtml(settled.join('\n'))}">${settled.length} bills</span>`
+                    : this.ui.escapeHtml(payment.bill_number || 'N/A')}</td>
                 <td>${payment.customer_name || 'N/A'}</td>
                 <td>${this.Utils.formatCurrency(payment.amount)}</td>
                 <td>${this.Utils.formatDate(payment.payment_date)}</td>
-                <td>${payment.payment_method || 'cash'}</td>
+                <td>${payment.payment_method === 'advance' ? this.ADVANCE_PAYMENT_METHOD_LABEL : (this.PAYMENT_METHODS[payment.payment_method] || payment.payment_method || 'Cash')}</td>
+                <td>${this.ui.escapeHtml(payment.reference_number || '-')}</td>
             </tr>
-        `).join('');
+        `}).join('');
     }
 
     // ==================== FILTER METHODS ====================
@@ -1718,8 +3210,7 @@ class BillingManager {
                     title = 'Bills Export';
                     break;
                 case 'pending':
-                    const bills = await this.db.getBills();
-                    data = bills.filter(bill => bill.status === 'pending');
+                    data = await this.db.getBills({ status: ['pending', 'partially_paid'] });
                     filename = 'pending_bills_export';
                     title = 'Pending Bills Export';
                     break;
@@ -1745,7 +3236,10 @@ class BillingManager {
                             'Customer': record.customer_name,
                             'Date': this.Utils.formatDate(record.bill_date),
                             'Sub Total': record.sub_total,
+                            'Discount': Number(record.discount_amount) || 0,
+                            'Charges': Number(record.charges_amount) || 0,
                             'GST Amount': record.gst_amount,
+                            'Round Off': Number(record.round_off) || 0,
                             'Total Amount': record.total_amount,
                             'Status': record.status
                         };
@@ -1798,7 +3292,11 @@ class BillingManager {
 
     cleanup() {
         console.log('🧹 Cleaning up BillingManager...');
-        // Cleanup any event listeners or timeouts if needed
+        this.realtimeUnsubscribers.forEach(unsubscribe => unsubscribe());
+        this.realtimeUnsubscribers = [];
+        clearTimeout(this.realtimeRenderTimer);
+        clearInterval(this.recurringTimer);
+        this.recurringTimer = null;
     }
 }
 
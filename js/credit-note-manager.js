@@ -0,0 +1,687 @@
+class CreditNoteManager {
+    constructor(dependencies) {
+        // ✅ VALIDATION
+        if (!dependencies) throw new Error('CreditNoteManager: dependencies required');
+        if (!dependencies.db) throw new Error('CreditNoteManager: db required');
+        if (!dependencies.ui) throw new Error('CreditNoteManager: ui required');
+        if (!dependencies.auth) throw new Error('CreditNoteManager: auth required');
+
+        // ✅ ASSIGN DEPENDENCIES
+        this.db = dependencies.db;
+        this.ui = dependencies.ui;
+        this.auth = dependencies.auth;
+        this.invoiceRenderer = new InvoiceRenderer({ ui: this.ui });
+
+        // 🧾 WHY GOODS CAME BACK - the first is the default
+        this.REASONS = ['Goods returned', 'Damaged in transit', 'Short supply', 'Quality complaint', 'Other'];
+        this.STATUSES = { issued: 'Issued', cancelled: 'Cancelled' };
+
+        console.log('✅ CreditNoteManager initialized');
+    }
+
+    // ==================== PERMISSION METHODS ====================
+
+    getCurrentUser() {
+        return this.auth.getCurrentUser();
+    }
+
+    canPerformAction(action) {
+        const user = this.getCurrentUser();
+        if (!user) return false;
+
+        const permissions = {
+            'admin': ['create', 'edit', 'delete', 'view', 'export'],
+            'supervisor': ['create', 'view', 'export'],
+            'user': ['view']
+        };
+
+        const userPermissions = permissions[user.role] || permissions['user'];
+        return userPermissions.includes(action);
+    }
+
+    getBilling() {
+        return window.app?.getManagers()?.billing;
+    }
+
+    // ==================== INITIALIZATION ====================
+
+    async initialize() {
+        return Promise.resolve();
+    }
+
+    // ==================== RETURNABLE QUANTITIES ====================
+
+    /**
+     * 📦 WHAT IS LEFT TO CREDIT ON EACH ITEM LINE OF A BILL
+     * Credit note lines point at the bill_items row they return (bill_item_id);
+     * a bill with credit notes can't be edited, so those rows stay put.
+     * @returns {Array<{ line, billed, credited, returnable, creditedTaxable, creditedCgst, creditedSgst, creditedIgst }>}
+     */
+    getReturnableLines(billLines, creditLines) {
+        // Quantities are stored to 3 decimals - don't let float sums leave 0.000001 to return
+        const round = value => Math.round(value * 1000) / 1000;
+
+        return billLines.filter(line => line.line_type !== 'charge').map(line => {
+            const returned = creditLines.filter(item => item.bill_item_id === line.id);
+            const sum = field => Utils.roundMoney(returned.reduce((total, item) => total + (Number(item[field]) || 0), 0));
+            const billed = Number(line.quantity) || 0;
+            const credited = round(returned.reduce((total, item) => total + (Number(item.quantity) || 0), 0));
+
+            return {
+                line,
+                billed,
+                credited,
+                returnable: Math.max(round(billed - credited), 0),
+                creditedTaxable: sum('taxable_value'),
+                creditedCgst: sum('cgst_amount'),
+                creditedSgst: sum('sgst_amount'),
+                creditedIgst: sum('igst_amount')
+            };
+        });
+    }
+
+    /**
+     * 🧮 CREDIT NOTE LINES AND TOTALS FOR THE QUANTITIES BEING RETURNED
+     * Each line takes its share of what the bill line was charged - after line and
+     * bill discounts - and reverses GST at the line's own rate, split CGST/SGST or
+     * IGST like the bill. Returning all that is left takes exactly what remains, so
+     * a bill returned in parts never credits a paisa more than it charged.
+     * returns = [{ row, quantity }] with rows from getReturnableLines
+     */
+    calculateCredit(returns, { interState = false, maxTotal = Infinity } = {}) {
+        const totals = { subTotal: 0, cgst: 0, sgst: 0, igst: 0, taxAmount: 0 };
+
+        const lines = returns.map(({ row, quantity }) => {
+            const { line } = row;
+            const isRest = quantity >= row.returnable;
+            const share = row.billed > 0 ? quantity / row.billed : 0;
+            const lineTaxable = Number(line.taxable_value ?? line.amount) || 0;
+
+            let taxableValue;
+            let tax;
+            if (isRest) {
+                taxableValue = Utils.roundMoney(lineTaxable - row.creditedTaxable);
+                tax = {
+                    cgst: Utils.roundMoney((Number(line.cgst_amount) || 0) - row.creditedCgst),
+                    sgst: Utils.roundMoney((Number(line.sgst_amount) || 0) - row.creditedSgst),
+                    igst: Utils.roundMoney((Number(line.igst_amount) || 0) - row.creditedIgst)
+                };
+            } else {
+                taxableValue = Utils.roundMoney(lineTaxable * share);
+                tax = Utils.calculateLineTax(taxableValue, line.tax_rate, interState);
+            }
+            const taxAmount = Utils.roundMoney(tax.cgst + tax.sgst + tax.igst);
+
+            totals.subTotal += taxableValue;
+            totals.cgst += tax.cgst;
+            totals.sgst += tax.sgst;
+            totals.igst += tax.igst;
+            totals.taxAmount += taxAmount;
+
+            return {
+                bill_item_id: line.id,
+                product_id: line.product_id || null,
+                description: line.description,
+                hsn_code: line.hsn_code || null,
+                unit: line.unit || null,
+                quantity,
+                // The rate actually charged, after discounts
+                rate: quantity > 0 ? Utils.roundMoney(taxableValue / quantity) : 0,
+                amount: taxableValue,
+                taxable_value: taxableValue,
+                tax_rate: Number(line.tax_rate) || 0,
+                cgst_amount: tax.cgst,
+                sgst_amount: tax.sgst,
+                igst_amount: tax.igst
+            };
+        });
+
+        Object.keys(totals).forEach(key => {
+            totals[key] = Utils.roundMoney(totals[key]);
+        });
+
+        // Rounded to the rupee like the bill, but never past what is left of it
+        const exact = Utils.roundMoney(totals.subTotal + totals.taxAmount);
+        const total = Math.max(Math.min(Math.round(exact), Utils.roundMoney(maxTotal)), 0);
+
+        return { ...totals, lines, roundOff: Utils.roundMoney(total - exact), total };
+    }
+
+    isInterState(bill) {
+        return Number(bill.igst_amount) > 0 || Boolean(this.getBilling()?.isInterState(bill.place_of_supply));
+    }
+
+    /**
+     * 🧾 A BILL'S CREDIT NOTES AND WHAT IS STILL RETURNABLE
+     * Cancelled credit notes are listed but return nothing.
+     * @returns {Promise<{ creditNotes, itemsByNote, returnable }>}
+     */
+    async getBillCredits(bill, billLines) {
+        const creditNotes = await this.db.getCreditNotes({ bill_id: bill.id }) || [];
+        const itemsByNote = await this.db.getCreditNoteItemsByNote(creditNotes.map(note => note.id));
+        const activeLines = creditNotes
+            .filter(note => note.status !== 'cancelled')
+            .flatMap(note => itemsByNote[note.id] || []);
+
+        return { creditNotes, itemsByNote, returnable: this.getReturnableLines(billLines, activeLines) };
+    }
+
+    // ==================== BILL VIEW ====================
+
+    /**
+     * 🧾 CREDIT NOTES BLOCK FOR THE BILL VIEW
+     */
+    getBillCreditsHtml(bill, credits) {
+        const { creditNotes, returnable } = credits;
+        const esc = value => this.ui.escapeHtml(value === undefined || value === null ? '' : String(value));
+        const canIssue = this.canPerformAction('create') && bill.status !== 'cancelled' && returnable.some(row => row.returnable > 0);
+
+        if (creditNotes.length === 0 && !canIssue) return '';
+
+        return `
+            <div class="bill-credit-notes">
+                <div class="credit-notes-header">
+                    <h4><i class="fas fa-undo-alt"></i> Credit Notes</h4>
+                    ${canIssue ? `
+                        <button type="button" class="btn-secondary" id="addCreditNoteBtn">
+                            <i class="fas fa-plus"></i> Credit Note
+                        </button>
+                    ` : ''}
+                </div>
+
+                ${creditNotes.length > 0 ? `
+                    <table class="items-table">
+                        <thead>
+                            <tr>
+                                <th>Credit Note No</th>
+                                <th>Date</th>
+                                <th>Reason</th>
+                                <th>Amount</th>
+                                <th>Status</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${creditNotes.map(note => `
+                                <tr>
+                                    <td>${esc(note.credit_note_number)}</td>
+                                    <td>${Utils.formatDate(note.credit_note_date)}</td>
+                                    <td>${esc(note.reason || '-')}${note.restocked ? '<br><small>Restocked</small>' : ''}</td>
+                                    <td>${Utils.formatCurrency(note.total_amount)}</td>
+                                    <td><span class="status-badge status-${esc(note.status)}">${this.STATUSES[note.status] || esc(note.status)}</span></td>
+                                    <td>
+                                        <div class="action-buttons">
+                                            <button class="btn-icon" onclick="app.getManagers().creditNote.viewCreditNote('${note.id}')" title="View Credit Note">
+                                                <i class="fas fa-eye"></i>
+                                            </button>
+                                            <button class="btn-icon" onclick="app.getManagers().creditNote.printCreditNote('${note.id}')" title="Print Credit Note">
+                                                <i class="fas fa-print"></i>
+                                            </button>
+                                            ${note.status !== 'cancelled' && this.canPerformAction('delete') ? `
+                                                <button class="btn-icon btn-danger" onclick="app.getManagers().creditNote.cancelCreditNote('${note.id}')" title="Cancel Credit Note">
+                                                    <i class="fas fa-ban"></i>
+                                                </button>
+                                            ` : ''}
+                                        </div>
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    // ==================== CREDIT NOTE FORM ====================
+
+    /**
+     * ➕ ISSUE A CREDIT NOTE AGAINST A BILL - quantities default to nothing, capped at what is left to return
+     */
+    async showCreditNoteModal(billId) {
+        if (!this.canPerformAction('create')) {
+            this.ui.showToast('Insufficient permissions to issue credit notes', 'error');
+            return;
+        }
+
+        const billing = this.getBilling();
+        const bill = billing?.bills.find(b => b.id === billId);
+        if (!bill) {
+            this.ui.showToast('Bill not found', 'error');
+            return;
+        }
+
+        if (bill.status === 'cancelled') {
+            this.ui.showToast('A cancelled invoice cannot be credited', 'error');
+            return;
+        }
+
+        let credits;
+        try {
+            credits = await this.getBillCredits(bill, await billing.getBillLines(bill));
+        } catch (error) {
+            console.error('Error loading credit notes:', error);
+            this.ui.showToast('Error loading credit notes: ' + error.message, 'error');
+            return;
+        }
+
+        const rows = credits.returnable.filter(row => row.returnable > 0);
+        if (rows.length === 0) {
+            this.ui.showToast('Everything on this bill has already been credited', 'info');
+            return;
+        }
+
+        const esc = value => this.ui.escapeHtml(value === undefined || value === null ? '' : String(value));
+        const unit = row => row.line.unit ? ` ${esc(row.line.unit)}` : '';
+        this.creditBill = { bill, rows, interState: this.isInterState(bill) };
+
+        const modalHtml = `
+            <div id="creditNoteModal" class="modal">
+                <div class="modal-content" style="max-width: 800px;">
+                    <div class="modal-header">
+                        <h3><i class="fas fa-undo-alt"></i> Credit Note - ${esc(bill.bill_number || 'Draft')} (${esc(bill.customer_name)})</h3>
+                        <button class="modal-close">&times;</button>
+                    </div>
+
+                    <form id="creditNoteForm">
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="creditNoteDate">Date *</label>
+                                <input type="date" id="creditNoteDate" value="${new Date().toISOString().split('T')[0]}"
+                                       min="${esc(bill.bill_date)}" required>
+                            </div>
+                            <div class="form-group">
+                                <label for="creditNoteReason">Reason *</label>
+                                <select id="creditNoteReason" required>
+                                    ${this.REASONS.map(reason => `<option value="${esc(reason)}">${esc(reason)}</option>`).join('')}
+                                </select>
+                            </div>
+                        </div>
+
+                        <table class="items-table credit-note-lines">
+                            <thead>
+                                <tr>
+                                    <th>Item</th>
+                                    <th>Billed</th>
+                                    <th>Credited</th>
+                                    <th>GST %</th>
+                                    <th>Return</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${rows.map(row => `
+                                    <tr>
+                                        <td>${esc(row.line.description)}</td>
+                                        <td>${row.billed}${unit(row)}</td>
+                                        <td>${row.credited}${unit(row)}</td>
+                                        <td>${Number(row.line.tax_rate) || 0}%</td>
+                                        <td>
+                                            <input type="number" class="credit-qty-input" data-bill-item-id="${esc(row.line.id)}"
+                                                   min="0" max="${row.returnable}" step="any" value="0">
+                                            <small>of ${row.returnable}${unit(row)} left</small>
+                                        </td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+
+                        <div class="bill-summary-view" id="creditNoteTotals"></div>
+
+                        <div class="form-group">
+                            <label for="creditNoteDetails">Details</label>
+                            <textarea id="creditNoteDetails" rows="2" placeholder="e.g. 200 bricks broken on unloading"></textarea>
+                        </div>
+
+                        <div class="form-group">
+                            <label class="checkbox-label">
+                                <input type="checkbox" id="creditNoteRestock" checked>
+                                <span>Put returned products back into stock</span>
+                            </label>
+                        </div>
+
+                        <div class="modal-actions">
+                            <button type="button" class="btn-secondary" id="cancelCreditNoteBtn">
+                                Cancel
+                            </button>
+                            <button type="submit" class="btn-primary">
+                                <i class="fas fa-save"></i> Issue Credit Note
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        this.showCustomModal(modalHtml, 'creditNoteModal');
+
+        setTimeout(() => {
+            const modal = document.getElementById('creditNoteModal');
+            const form = document.getElementById('creditNoteForm');
+            if (!modal || !form) return;
+
+            modal.querySelectorAll('.credit-qty-input').forEach(input => {
+                input.addEventListener('input', () => this.updateCreditTotals());
+            });
+            this.updateCreditTotals();
+
+            form.addEventListener('submit', (e) => this.handleCreditNoteSubmit(e));
+            document.getElementById('cancelCreditNoteBtn')?.addEventListener('click', () => this.closeCreditNoteModal());
+            modal.querySelector('.modal-close')?.addEventListener('click', () => this.closeCreditNoteModal());
+        }, 100);
+    }
+
+    // Quantities entered so far - errors are left to the submit handler
+    getEnteredReturns() {
+        const { rows } = this.creditBill || {};
+        const returns = [];
+
+        document.querySelectorAll('#creditNoteModal .credit-qty-input').forEach(input => {
+            const quantity = parseFloat(input.value) || 0;
+            const row = (rows || []).find(r => r.line.id === input.getAttribute('data-bill-item-id'));
+            if (row && quantity !== 0) returns.push({ row, quantity });
+        });
+
+        return returns;
+    }
+
+    updateCreditTotals() {
+        const container = document.getElementById('creditNoteTotals');
+        const { bill, interState } = this.creditBill || {};
+        if (!container || !bill) return;
+
+        const valid = this.getEnteredReturns().filter(({ row, quantity }) => quantity > 0 && quantity <= row.returnable);
+        const credit = this.calculateCredit(valid, { interState, maxTotal: Utils.getBillNetTotal(bill) });
+        const row = (label, amount, className = '') => `
+            <div class="summary-row ${className}">
+                <span>${label}:</span>
+                <span>${Utils.formatCurrency(amount)}</span>
+            </div>
+        `;
+
+        container.innerHTML = `
+            ${row('Taxable Value', credit.subTotal)}
+            ${interState ? row('IGST', credit.igst) : row('CGST', credit.cgst) + row('SGST', credit.sgst)}
+            ${credit.roundOff ? row('Round Off', credit.roundOff) : ''}
+            ${row('Credit Note Total', credit.total, 'total')}
+            ${credit.total > 0 ? row('Off the Balance Due', Math.min(credit.total, Utils.getBillBalanceDue(bill))) : ''}
+        `;
+    }
+
+    async handleCreditNoteSubmit(e) {
+        e.preventDefault();
+
+        const { bill, interState } = this.creditBill || {};
+        if (!bill) return;
+
+        const button = e.target.querySelector('button[type="submit"]');
+        const resetButton = this.ui.showButtonLoading(button, 'Issuing...');
+
+        try {
+            const noteDate = document.getElementById('creditNoteDate').value;
+            const reason = document.getElementById('creditNoteReason').value;
+            const details = document.getElementById('creditNoteDetails').value.trim();
+            const restock = document.getElementById('creditNoteRestock').checked;
+
+            if (!noteDate) {
+                this.ui.showToast('Credit note date is required', 'error');
+                return;
+            }
+
+            if (noteDate < bill.bill_date) {
+                this.ui.showToast('A credit note cannot be dated before its invoice', 'error');
+                return;
+            }
+
+            const returns = this.getEnteredReturns();
+            for (const { row, quantity } of returns) {
+                if (quantity < 0) {
+                    this.ui.showToast(`Quantity for ${row.line.description} cannot be negative`, 'error');
+                    return;
+                }
+
+                if (quantity > row.returnable) {
+                    this.ui.showToast(`Only ${row.returnable} ${row.line.unit || ''} of ${row.line.description} is left to credit`, 'error');
+                    return;
+                }
+            }
+
+            if (returns.length === 0) {
+                this.ui.showToast('Enter the quantity being returned', 'error');
+                return;
+            }
+
+            const credit = this.calculateCredit(returns, { interState, maxTotal: Utils.getBillNetTotal(bill) });
+            if (credit.total <= 0) {
+                this.ui.showToast('This credit note has nothing to credit', 'error');
+                return;
+            }
+
+            const noteData = {
+                id: this.db.generateId(),
+                credit_note_number: await this.db.ids.nextNumber('credit_note'),
+                credit_note_date: noteDate,
+                bill_id: bill.id,
+                bill_number: bill.bill_number || null,
+                bill_date: bill.bill_date,
+                customer_id: bill.customer_id || null,
+                customer_name: bill.customer_name,
+                customer_phone: bill.customer_phone || null,
+                customer_gstin: bill.customer_gstin || null,
+                place_of_supply: bill.place_of_supply || null,
+                reason: Utils.sanitizeInput(details ? `${reason} - ${details}` : reason),
+                sub_total: credit.subTotal,
+                gst_amount: credit.taxAmount,
+                cgst_amount: credit.cgst,
+                sgst_amount: credit.sgst,
+                igst_amount: credit.igst,
+                round_off: credit.roundOff,
+                total_amount: credit.total,
+                created_by: this.getCurrentUser()?.id || 'system'
+            };
+
+            const { creditNote, bill: updatedBill } = await this.db.saveCreditNote(noteData, credit.lines, { restock });
+            if (updatedBill) Object.assign(bill, updatedBill);
+
+            const excess = Utils.getCreditNoteUnapplied(creditNote);
+            this.ui.showToast(
+                `Credit note ${creditNote.credit_note_number} issued for ${Utils.formatCurrency(creditNote.total_amount)}` +
+                (excess > 0 ? ` - ${Utils.formatCurrency(excess)} is owed to the customer` : ''),
+                'success'
+            );
+            this.closeCreditNoteModal();
+            await this.refreshAfterChange(bill.id);
+
+        } catch (error) {
+            console.error('Error issuing credit note:', error);
+            this.ui.showToast('Error issuing credit note: ' + error.message, 'error');
+        } finally {
+            resetButton();
+        }
+    }
+
+    closeCreditNoteModal() {
+        this.ui.hideModal('creditNoteModal');
+        document.getElementById('creditNoteModal')?.remove();
+        this.creditBill = null;
+    }
+
+    // Bill balances, the customer's outstanding and the bill view all move with a credit note
+    async refreshAfterChange(billId) {
+        const billing = this.getBilling();
+        if (!billing) return;
+
+        await billing.loadBills();
+        await billing.loadPendingBills();
+        await window.app?.getManagers()?.customer?.loadCreditNotes?.();
+        await billing.viewBill(billId);
+    }
+
+    // ==================== VIEW & PRINT ====================
+
+    async getCreditNote(creditNoteId) {
+        const rows = await this.db.read('credit_notes', { where: { id: creditNoteId } });
+        if (!rows?.[0]) throw new Error('Credit note not found');
+        return rows[0];
+    }
+
+    /**
+     * 📄 CREDIT NOTE IN THE INVOICE LAYOUT - with the invoice it is against under its number
+     */
+    async getCreditNoteDocument(creditNoteId) {
+        const creditNote = await this.getCreditNote(creditNoteId);
+        const items = (await this.db.getCreditNoteItemsByNote([creditNoteId]))[creditNoteId] || [];
+        const customer = window.app?.getManagers()?.customer?.findCustomerByPhone(creditNote.customer_phone);
+        const printable = { ...creditNote, bill_number: creditNote.credit_note_number, bill_date: creditNote.credit_note_date };
+        const options = {
+            customer,
+            documentType: 'credit_note',
+            paperSize: document.getElementById('invoicePaperSelect')?.value,
+            metaRows: [
+                ['Against Invoice', creditNote.bill_number || 'Unnumbered'],
+                ['Invoice Date', Utils.formatDate(creditNote.bill_date)],
+                ['Reason', creditNote.reason || '-']
+            ]
+        };
+
+        return { creditNote, printable, items, options };
+    }
+
+    async viewCreditNote(creditNoteId) {
+        try {
+            const { creditNote, printable, items, options } = await this.getCreditNoteDocument(creditNoteId);
+
+            const modalHtml = `
+                <div id="viewCreditNoteModal" class="modal">
+                    <div class="modal-content" style="max-width: 900px;">
+                        <div class="modal-header">
+                            <h3><i class="fas fa-undo-alt"></i> Credit Note ${this.ui.escapeHtml(creditNote.credit_note_number || '')}
+                                <span class="status-badge status-${this.ui.escapeHtml(creditNote.status)}">${this.STATUSES[creditNote.status] || this.ui.escapeHtml(creditNote.status)}</span>
+                            </h3>
+                            <button class="modal-close">&times;</button>
+                        </div>
+
+                        <p>
+                            <strong>Off the bill's balance:</strong> ${Utils.formatCurrency(creditNote.applied_amount)}
+                            ${Utils.getCreditNoteUnapplied(creditNote) > 0 ? `
+                                &nbsp;|&nbsp; <strong>Owed to the customer:</strong> ${Utils.formatCurrency(Utils.getCreditNoteUnapplied(creditNote))}
+                            ` : ''}
+                        </p>
+
+                        <iframe id="creditNotePreview" class="document-preview" title="Credit note preview"></iframe>
+
+                        <div class="modal-actions">
+                            ${window.electronAPI?.renderPdf ? `
+                                <button type="button" class="btn-secondary" id="saveCreditNotePdfBtn">
+                                    <i class="fas fa-file-pdf"></i> Save PDF
+                                </button>
+                            ` : ''}
+                            <button type="button" class="btn-secondary" id="printCreditNoteBtn">
+                                <i class="fas fa-print"></i> Print
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            this.showCustomModal(modalHtml, 'viewCreditNoteModal');
+
+            setTimeout(() => {
+                const modal = document.getElementById('viewCreditNoteModal');
+                if (!modal) return;
+
+                document.getElementById('creditNotePreview').srcdoc = this.invoiceRenderer.render(printable, items, options);
+                document.getElementById('printCreditNoteBtn')?.addEventListener('click', () => this.printCreditNote(creditNoteId));
+                document.getElementById('saveCreditNotePdfBtn')?.addEventListener('click', (e) => this.saveCreditNotePdf(creditNoteId, e.currentTarget));
+                modal.querySelector('.modal-close')?.addEventListener('click', () => this.closeViewCreditNote());
+            }, 100);
+
+        } catch (error) {
+            console.error('Error viewing credit note:', error);
+            this.ui.showToast('Error loading credit note: ' + error.message, 'error');
+        }
+    }
+
+    closeViewCreditNote() {
+        this.ui.hideModal('viewCreditNoteModal');
+        document.getElementById('viewCreditNoteModal')?.remove();
+    }
+
+    async printCreditNote(creditNoteId) {
+        try {
+            const { printable, items, options } = await this.getCreditNoteDocument(creditNoteId);
+            await this.invoiceRenderer.print(printable, items, options);
+        } catch (error) {
+            console.error('❌ Error printing credit note:', error);
+            this.ui.showToast('Error printing credit note: ' + error.message, 'error');
+        }
+    }
+
+    async saveCreditNotePdf(creditNoteId, button) {
+        const resetButton = button ? this.ui.showButtonLoading(button, 'Saving...') : () => {};
+
+        try {
+            const { printable, items, options } = await this.getCreditNoteDocument(creditNoteId);
+            const filePath = await this.invoiceRenderer.savePdf(printable, items, options);
+            if (filePath) {
+                this.ui.showToast(`Credit note saved to ${filePath}`, 'success');
+            }
+        } catch (error) {
+            console.error('❌ Error saving credit note PDF:', error);
+            this.ui.showToast('Error saving PDF: ' + error.message, 'error');
+        } finally {
+            resetButton();
+        }
+    }
+
+    // ==================== CANCELLATION ====================
+
+    /**
+     * 🚫 CANCEL A CREDIT NOTE - it keeps its number; the bill owes the amount again
+     */
+    async cancelCreditNote(creditNoteId) {
+        if (!this.canPerformAction('delete')) {
+            this.ui.showToast('Insufficient permissions to cancel credit notes', 'error');
+            return;
+        }
+
+        try {
+            const creditNote = await this.getCreditNote(creditNoteId);
+            if (creditNote.status === 'cancelled') {
+                this.ui.showToast('This credit note is already cancelled', 'info');
+                return;
+            }
+
+            const confirmed = await this.ui.showConfirmation(
+                'Cancel Credit Note',
+                `Cancel credit note <strong>${this.ui.escapeHtml(creditNote.credit_note_number)}</strong> for ${Utils.formatCurrency(creditNote.total_amount)}? ` +
+                `Bill ${this.ui.escapeHtml(creditNote.bill_number || '')} will owe that amount again` +
+                `${creditNote.restocked ? ' and the returned products come back out of stock' : ''}. The credit note keeps its number.`,
+                'Cancel Credit Note',
+                'Keep',
+                'danger'
+            );
+            if (!confirmed) return;
+
+            await this.db.cancelCreditNote(creditNoteId, { cancelledBy: this.db.getActingUser() || 'system' });
+            this.ui.showToast('Credit note cancelled', 'success');
+            await this.refreshAfterChange(creditNote.bill_id);
+        } catch (error) {
+            console.error('Error cancelling credit note:', error);
+            this.ui.showToast('Error cancelling credit note: ' + error.message, 'error');
+        }
+    }
+
+    // ==================== MODAL MANAGEMENT ====================
+
+    showCustomModal(html, modalId) {
+        const existingModal = document.getElementById(modalId);
+        if (existingModal) {
+            existingModal.remove();
+        }
+
+        document.body.insertAdjacentHTML('beforeend', html);
+        this.ui.showModal(modalId);
+    }
+}
+
+window.CreditNoteManager = CreditNoteManager;
@@ -20,10 +20,15 @@ class CustomerManager {
         this.employees = [];
         this.customers = [];
         this.advancePayments = [];
+        this.creditNotes = []; // Issued ones - what they didn't take off a bill is owed back
         this.bills = []; // For balance calculations
         this.filteredCustomers = [];
         this.currentSearchTerm = '';
 
+        // 📡 REALTIME - unsubscribe functions from db.onChange and the pending re-render
+        this.realtimeUnsubscribers = [];
+        this.realtimeRenderTimer = null;
+
         // ✅ BIND METHODS
         this.handleCustomerSubmit = this.handleCustomerSubmit.bind(this);
         this.handleCustomerSearch = this.handleCustomerSearch.bind(this);
@@ -158,10 +163,59 @@ class CustomerManager {
     async initialize() {
         await this.loadCustomers();
         await this.loadAdvancePayments();
+        await this.loadCreditNotes();
         this.setupEventListeners();
+        this.setupRealtimeListeners();
         return Promise.resolve();
     }
 
+    // ==================== REALTIME UPDATES ====================
+
+    /**
+     * 📡 PATCH CUSTOMERS, ADVANCES, BILL BALANCES AND CREDIT NOTES CHANGED ON ANOTHER DESKTOP
+     */
+    setupRealtimeListeners() {
+        if (this.realtimeUnsubscribers.length > 0 || typeof this.db.onChange !== 'function') return;
+
+        this.realtimeUnsubscribers = [
+            this.db.onChange('customers', (change) => {
+                this.customers = this.db.applyChangeToList(this.customers, change);
+                this.scheduleRealtimeRender();
+            }),
+            this.db.onChange('advance_payments', (change) => {
+                this.advancePayments = this.db.applyChangeToList(this.advancePayments, change);
+                this.scheduleRealtimeRender();
+            }),
+            this.db.onChange('bills', (change) => {
+                this.bills = this.db.applyChangeToList(this.bills, change);
+                this.scheduleRealtimeRender();
+            }),
+            this.db.onChange('credit_notes', (change) => {
+                this.creditNotes = this.db.applyChangeToList(this.creditNotes, change, note => note.status === 'issued');
+                this.scheduleRealtimeRender();
+            })
+        ];
+    }
+
+    // Bulk changes arrive as a burst of events - render once they settle
+    scheduleRealtimeRender() {
+        clearTimeout(this.realtimeRenderTimer);
+        this.realtimeRenderTimer = setTimeout(() => this.renderRealtimeChanges(), 300);
+    }
+
+    renderRealtimeChanges() {
+        if (this.currentSearchTerm) {
+            this.filteredCustomers = this.customers.filter(customer =>
+                this.customerMatchesSearch(customer, this.currentSearchTerm)
+            );
+        }
+
+        if (!this.ui.isSectionVisible('customersContent')) return;
+
+        this.renderCustomersTable(this.currentSearchTerm ? this.filteredCustomers : this.customers);
+        this.updateSearchResultsCount();
+    }
+
     async loadCustomers() {
         try {
             if (!this.canPerformAction('view')) {
@@ -205,6 +259,16 @@ class CustomerManager {
         }
     }
 
+    async loadCreditNotes() {
+        try {
+            this.creditNotes = await this.db.getCreditNotes({ status: 'issued' }) || [];
+            console.log('✅ Credit notes loaded:', this.creditNotes.length);
+        } catch (error) {
+            console.error('Error loading credit notes:', error);
+            this.creditNotes = [];
+        }
+    }
+
     // ==================== EVENT LISTENERS ====================
 
     setupEventListeners() {
@@ -252,6 +316,7 @@ class CustomerManager {
         document.getElementById('customerModalTitle').textContent = 'Add Customer';
         document.getElementById('customerForm').reset();
         document.getElementById('editCustomerId').value = '';
+        document.getElementById('customerStateCode').innerHTML = Utils.getStateOptionsHtml(Utils.getBusinessProfile().state_code);
     }
 
     async editCustomer(customerId) {
@@ -270,6 +335,9 @@ class CustomerManager {
                 document.getElementById('customerPhoneInput').value = customer.phone || '';
                 document.getElementById('customerEmailInput').value = customer.email || '';
                 document.getElementById('customerAddress').value = customer.address || '';
+                document.getElementById('customerStateCode').innerHTML =
+                    Utils.getStateOptionsHtml(customer.state_code || Utils.getBusinessProfile().state_code);
+                document.getElementById('customerGstinInput').value = customer.gstin || '';
 
                 this.ui.showModal('customerModal');
             } else {
@@ -294,6 +362,8 @@ class CustomerManager {
         const phone = document.getElementById('customerPhoneInput').value.trim();
         const email = document.getElementById('customerEmailInput').value.trim();
         const address = document.getElementById('customerAddress').value.trim();
+        const stateCode = document.getElementById('customerStateCode').value;
+        const gstin = document.getElementById('customerGstinInput').value.trim().toUpperCase();
 
         // Validate inputs
         if (!name) {
@@ -316,6 +386,17 @@ class CustomerManager {
             return;
         }
 
+        // The GSTIN's first two digits are the buyer's state
+        if (gstin && !Utils.validateGSTIN(gstin)) {
+            this.ui.showToast('Please enter a valid 15-character GSTIN', 'error');
+            return;
+        }
+
+        if (gstin && Utils.getStateCodeFromGSTIN(gstin) !== stateCode) {
+            this.ui.showToast(`GSTIN ${gstin} is registered in ${Utils.getStateName(Utils.getStateCodeFromGSTIN(gstin))} - pick that state`, 'error');
+            return;
+        }
+
         // Check for duplicate phone (excluding current customer when editing)
         const existingCustomer = this.customers.find(c => 
             c.phone === phone && c.id !== customerId
@@ -335,6 +416,8 @@ class CustomerManager {
                 phone: this.Utils.sanitizeInput(phone),
                 email: email ? this.Utils.sanitizeInput(email) : null,
                 address: address ? this.Utils.sanitizeInput(address) : null,
+                state_code: stateCode || null,
+                gstin: gstin || null,
                 updated_at: new Date().toISOString(),
                 updated_by: currentUser?.id || 'system'
             };
@@ -345,7 +428,7 @@ class CustomerManager {
                 this.ui.showToast('Customer updated successfully', 'success');
             } else {
                 // Create new customer
-                customerData.id = `CUST_${Date.now()}`;
+                customerData.id = this.db.generateId();
                 customerData.created_at = new Date().toISOString();
                 customerData.created_by = currentUser?.id || 'system';
                 await this.db.create('customers', customerData);
@@ -383,9 +466,14 @@ class CustomerManager {
             );
 
             const balance = this.calculateCustomerBalance(customer);
-            const totalAdvance = customerAdvances.reduce((sum, adv) => sum + adv.amount, 0);
-            const totalPending = customerBills.filter(b => b.status === 'pending')
-                .reduce((sum, bill) => sum + bill.total_amount, 0);
+            const totalAdvance = customerAdvances.reduce((sum, adv) => sum + Utils.getAdvanceRemaining(adv), 0);
+            const totalPending = customerBills.filter(bill => Utils.isBillOpen(bill))
+                .reduce((sum, bill) => sum + Utils.getBillBalanceDue(bill), 0);
+            const totalCredit = this.creditNotes
+                .filter(note => this.normalizePhone(note.customer_phone) === this.normalizePhone(customer.phone))
+                .reduce((sum, note) => sum + Utils.getCreditNoteUnapplied(note), 0);
+
+            const auditManager = window.app?.getManagers()?.audit;
 
             const modalHtml = `
                 <div id="customerDetailsModal" class="modal">
@@ -394,102 +482,122 @@ class CustomerManager {
                             <h3><i class="fas fa-user"></i> ${customer.name}</h3>
                             <button class="modal-close">&times;</button>
                         </div>
-                        
-                        <div class="customer-details">
-                            <div class="detail-row">
-                                <label>Phone:</label>
-                                <span>${customer.phone || 'N/A'}</span>
-                            </div>
-                            <div class="detail-row">
-                                <label>Email:</label>
-                                <span>${customer.email || 'N/A'}</span>
-                            </div>
-                            <div class="detail-row">
-                                <label>Address:</label>
-                                <span>${customer.address || 'N/A'}</span>
-                            </div>
-                            <div class="detail-row">
-                                <label>Total Bills:</label>
-                                <span>${customerBills.length}</span>
-                            </div>
-                            <div class="detail-row">
-                                <label>Total Advance:</label>
-                                <span style="color: #10b981;">${this.Utils.formatCurrency(totalAdvance)}</span>
-                            </div>
-                            <div class="detail-row">
-                                <label>Pending Bills:</label>
-                                <span style="color: #ef4444;">${this.Utils.formatCurrency(totalPending)}</span>
-                            </div>
-                            <div class="detail-row">
-                                <label>Current Balance:</label>
-                                <span>${this.formatBalance(balance)}</span>
+
+                        ${auditManager ? auditManager.getRecordTabsHtml() : ''}
+
+                        <div class="record-tab-panel active" data-record-panel="details">
+                            <div class="customer-details">
+                                <div class="detail-row">
+                                    <label>Phone:</label>
+                                    <span>${customer.phone || 'N/A'}</span>
+                                </div>
+                                <div class="detail-row">
+                                    <label>Email:</label>
+                                    <span>${customer.email || 'N/A'}</span>
+                                </div>
+                                <div class="detail-row">
+                                    <label>Address:</label>
+                                    <span>${customer.address || 'N/A'}</span>
+                                </div>
+                                <div class="detail-row">
+                                    <label>Total Bills:</label>
+                                    <span>${customerBills.length}</span>
+                                </div>
+                                <div class="detail-row">
+                                    <label>Advance Available:</label>
+                                    <span style="color: #10b981;">${this.Utils.formatCurrency(totalAdvance)}</span>
+                                </div>
+                                ${totalCredit > 0 ? `
+                                    <div class="detail-row">
+                                        <label>Credit Notes Owed Back:</label>
+                                        <span style="color: #10b981;">${this.Utils.formatCurrency(totalCredit)}</span>
+                                    </div>
+                                ` : ''}
+                                <div class="detail-row">
+                                    <label>Pending Bills:</label>
+                                    <span style="color: #ef4444;">${this.Utils.formatCurrency(totalPending)}</span>
+                                </div>
+                                <div class="detail-row">
+                                    <label>Current Balance:</label>
+                                    <span>${this.formatBalance(balance)}</span>
+                                </div>
                             </div>
-                        </div>
 
-                        <div class="customer-actions" style="margin: 1.5rem 0; display: flex; gap: 10px; flex-wrap: wrap;">
-                            ${this.canPerformAction('create') ? `
-                                <button class="btn-primary" id="addSaleBtn">
-                                    <i class="fas fa-plus"></i> Add New Sale
-                                </button>
-                                <button class="btn-secondary" id="addAdvanceBtn">
-                                    <i class="fas fa-money-bill-wave"></i> Add Advance
-                                </button>
-                            ` : ''}
-                            ${this.canPerformAction('edit') ? `
-                                <button class="btn-secondary" id="editCustomerBtn">
-                                    <i class="fas fa-edit"></i> Edit Customer
-                                </button>
-                            ` : ''}
-                        </div>
+                            <div class="customer-actions" style="margin: 1.5rem 0; display: flex; gap: 10px; flex-wrap: wrap;">
+                                ${this.canPerformAction('create') ? `
+                                    <button class="btn-primary" id="addSaleBtn">
+                                        <i class="fas fa-plus"></i> Add New Sale
+                                    </button>
+                                    <button class="btn-secondary" id="addAdvanceBtn">
+                                        <i class="fas fa-money-bill-wave"></i> Add Advance
+                                    </button>
+                                ` : ''}
+                                ${this.canPerformAction('edit') && totalPending > 0 ? `
+                                    <button class="btn-secondary" id="recordCustomerPaymentBtn">
+                                        <i class="fas fa-hand-holding-usd"></i> Record Payment
+                                    </button>
+                                ` : ''}
+                                ${this.canPerformAction('edit') ? `
+                                    <button class="btn-secondary" id="editCustomerBtn">
+                                        <i class="fas fa-edit"></i> Edit Customer
+                                    </button>
+                                ` : ''}
+                            </div>
 
-                        <!-- Advance Payments Section -->
-                        <div class="customer-section">
-                            <h4><i class="fas fa-money-bill-wave"></i> Advance Payments</h4>
-                            ${customerAdvances.length === 0 ?
-                                '<p class="no-data">No advance payments</p>' :
-                                `<div class="advance-list">
-                                    ${customerAdvances.map(advance => `
-                                        <div class="advance-item">
-                                            <div class="advance-info">
-                                                <strong>${this.Utils.formatCurrency(advance.amount)}</strong>
-                                                <span>${this.Utils.formatDate(advance.payment_date)}</span>
+                            <!-- Advance Payments Section -->
+                            <div class="customer-section">
+                                <h4><i class="fas fa-money-bill-wave"></i> Advance Payments</h4>
+                                ${customerAdvances.length === 0 ?
+                                    '<p class="no-data">No advance payments</p>' :
+                                    `<div class="advance-list">
+                                        ${customerAdvances.map(advance => `
+                                            <div class="advance-item">
+                                                <div class="advance-info">
+                                                    <strong>${this.Utils.formatCurrency(advance.amount)}</strong>
+                                                    <span>${this.Utils.formatDate(advance.payment_date)}</span>
+                                                    ${Number(advance.allocation_used) > 0 ? `
+                                                        <span>${this.Utils.formatCurrency(advance.allocation_used)} adjusted, ${this.Utils.formatCurrency(Utils.getAdvanceRemaining(advance))} left</span>
+                                                    ` : ''}
+                                                </div>
+                                                <div class="advance-notes">
+                                                    ${advance.notes || 'No notes'}
+                                                </div>
                                             </div>
-                                            <div class="advance-notes">
-                                                ${advance.notes || 'No notes'}
-                                            </div>
-                                        </div>
-                                    `).join('')}
-                                </div>`
-                            }
-                        </div>
+                                        `).join('')}
+                                    </div>`
+                                }
+                            </div>
 
-                        <!-- Recent Bills Section -->
-                        <div class="customer-section">
-                            <h4><i class="fas fa-file-invoice"></i> Recent Bills</h4>
-                            ${customerBills.length === 0 ?
-                                '<p class="no-data">No bills found</p>' :
-                                `<div class="bills-list">
-                                    ${customerBills.slice(0, 10).map(bill => `
-                                        <div class="bill-item-summary">
-                                            <div class="bill-info">
-                                                <strong>${bill.bill_number}</strong>
-                                                <span>${this.Utils.formatDate(bill.bill_date)}</span>
-                                            </div>
-                                            <div class="bill-amount">
-                                                ${this.Utils.formatCurrency(bill.total_amount)}
-                                                <span class="status-${bill.status}">${bill.status}</span>
+                            <!-- Recent Bills Section -->
+                            <div class="customer-section">
+                                <h4><i class="fas fa-file-invoice"></i> Recent Bills</h4>
+                                ${customerBills.length === 0 ?
+                                    '<p class="no-data">No bills found</p>' :
+                                    `<div class="bills-list">
+                                        ${customerBills.slice(0, 10).map(bill => `
+                                            <div class="bill-item-summary">
+                                                <div class="bill-info">
+                                                    <strong>${bill.bill_number}</strong>
+                                                    <span>${this.Utils.formatDate(bill.bill_date)}</span>
+                                                </div>
+                                                <div class="bill-amount">
+                                                    ${this.Utils.formatCurrency(bill.total_amount)}
+                                                    <span class="status-${bill.status}">${(bill.status || '').replace('_', ' ')}</span>
+                                                </div>
+                                                <div class="bill-actions">
+                                                    <button class="btn-icon view-bill-btn" data-bill-id="${bill.id}">
+                                                        <i class="fas fa-eye"></i>
+                                                    </button>
+                                                </div>
                                             </div>
-                                            <div class="bill-actions">
-                                                <button class="btn-icon view-bill-btn" data-bill-id="${bill.id}">
-                                                    <i class="fas fa-eye"></i>
-                                                </button>
-                                            </div>
-                                        </div>
-                                    `).join('')}
-                                </div>`
-                            }
+                                        `).join('')}
+                                    </div>`
+                                }
+                            </div>
                         </div>
 
+                        <div class="record-tab-panel" data-record-panel="history"></div>
+
                         <div class="modal-actions">
                             <button class="btn-secondary" id="closeCustomerDetailsBtn">
                                 Close
@@ -522,6 +630,14 @@ class CustomerManager {
                     addAdvanceBtn.addEventListener('click', () => this.showAddAdvanceModal(customer.id));
                 }
 
+                const recordPaymentBtn = document.getElementById('recordCustomerPaymentBtn');
+                if (recordPaymentBtn) {
+                    recordPaymentBtn.addEventListener('click', () => {
+                        this.closeCustomerDetails();
+                        window.app?.getManagers()?.billing?.showPaymentModal({ customerPhone: customer.phone });
+                    });
+                }
+
                 if (editCustomerBtn) {
                     editCustomerBtn.addEventListener('click', () => this.editCustomer(customer.id));
                 }
@@ -540,6 +656,7 @@ class CustomerManager {
                     });
                 });
 
+                auditManager?.setupRecordTabs('customerDetailsModal', 'customers', customer.id);
             }, 100);
 
         } catch (error) {
@@ -682,7 +799,7 @@ class CustomerManager {
                 created_by: currentUser?.id || 'system'
             };
 
-            advanceData.id = `ADV_${customer.id}_${Date.now()}`;
+            advanceData.id = this.db.generateId();
 
             await this.db.create('advance_payments', advanceData);
             
@@ -812,7 +929,7 @@ class CustomerManager {
             const customerBills = this.bills.filter(bill => 
                 this.normalizePhone(bill.customer_phone) === this.normalizePhone(customer.phone)
             );
-            const pendingBills = customerBills.filter(bill => bill.status === 'pending');
+            const pendingBills = customerBills.filter(bill => Utils.isBillOpen(bill));
             
             return `
             <tr class="customer-row" data-customer-id="${customer.id}">
@@ -901,19 +1018,39 @@ class CustomerManager {
         const customerPhone = this.normalizePhone(customer.phone);
         const customerBills = this.bills.filter(bill => {
             const billPhone = this.normalizePhone(bill.customer_phone);
-            return billPhone === customerPhone && bill.status === 'pending';
+            return billPhone === customerPhone && Utils.isBillOpen(bill);
         });
         
-        const totalPending = customerBills.reduce((sum, bill) => sum + (bill.total_amount || 0), 0);
+        // Only what is still owed - part payments are already off the bill
+        const totalPending = customerBills.reduce((sum, bill) => sum + Utils.getBillBalanceDue(bill), 0);
         
         const customerAdvances = this.advancePayments.filter(adv => {
             const advPhone = this.normalizePhone(adv.customer_phone);
             return advPhone === customerPhone;
         });
         
-        const totalAdvance = customerAdvances.reduce((sum, adv) => sum + (adv.amount || 0), 0);
+        // Advance already adjusted against bills is counted in their payments instead
+        const totalAdvance = customerAdvances.reduce((sum, adv) => sum + Utils.getAdvanceRemaining(adv), 0);
+
+        // Credit notes are already off their bills' balances; only what was left over is owed back
+        const totalCredit = this.creditNotes
+            .filter(note => this.normalizePhone(note.customer_phone) === customerPhone)
+            .reduce((sum, note) => sum + Utils.getCreditNoteUnapplied(note), 0);
         
-        return totalAdvance - totalPending;
+        return totalAdvance + totalCredit - totalPending;
+    }
+
+    /**
+     * 💳 ADVANCES WITH MONEY LEFT, OLDEST FIRST - the order bills draw on them
+     */
+    getAvailableAdvances(customer) {
+        const customerPhone = this.normalizePhone(customer.phone);
+        return this.advancePayments
+            .filter(adv => this.normalizePhone(adv.customer_phone) === customerPhone && Utils.getAdvanceRemaining(adv) > 0)
+            .sort((a, b) =>
+                String(a.payment_date || '').localeCompare(String(b.payment_date || '')) ||
+                String(a.created_at || '').localeCompare(String(b.created_at || ''))
+            );
     }
 
     formatBalance(balance) {
@@ -967,12 +1104,12 @@ class CustomerManager {
 
         this.showConfirmationModal(
             'Delete Customer',
-            `Are you sure you want to delete customer "<strong>${customer.name}</strong>"? This action cannot be undone.`,
+            `Are you sure you want to delete customer "<strong>${customer.name}</strong>"? An admin can restore it from the Trash.`,
             async () => {
                 try {
                     this.ui.showLoading('Deleting customer...');
                     await this.db.delete('customers', customerId);
-                    this.ui.showToast('Customer deleted successfully', 'success');
+                    this.ui.showToast('Customer moved to Trash', 'success');
                     await this.loadCustomers();
                 } catch (error) {
                     console.error('Error deleting customer:', error);
@@ -1146,7 +1283,7 @@ class CustomerManager {
                     'Email': customer.email || '',
                     'Address': customer.address || '',
                     'Total Bills': customerBills.length,
-                    'Pending Bills': customerBills.filter(b => b.status === 'pending').length,
+                    'Pending Bills': customerBills.filter(bill => Utils.isBillOpen(bill)).length,
                     'Balance': balance,
                     'Created Date': this.Utils.formatDate(customer.created_at)
                 };
@@ -1189,7 +1326,9 @@ class CustomerManager {
 
     cleanup() {
         console.log('🧹 Cleaning up CustomerManager...');
-        // Cleanup any event listeners or timeouts if needed
+        this.realtimeUnsubscribers.forEach(unsubscribe => unsubscribe());
+        this.realtimeUnsubscribers = [];
+        clearTimeout(this.realtimeRenderTimer);
     }
 }
 
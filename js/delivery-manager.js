@@ -0,0 +1,744 @@
+class DeliveryManager {
+    constructor(dependencies) {
+        // ✅ VALIDATION
+        if (!dependencies) throw new Error('DeliveryManager: dependencies required');
+        if (!dependencies.db) throw new Error('DeliveryManager: db required');
+        if (!dependencies.ui) throw new Error('DeliveryManager: ui required');
+        if (!dependencies.auth) throw new Error('DeliveryManager: auth required');
+
+        // ✅ ASSIGN DEPENDENCIES
+        this.db = dependencies.db;
+        this.ui = dependencies.ui;
+        this.auth = dependencies.auth;
+        this.invoiceRenderer = new InvoiceRenderer({ ui: this.ui });
+
+        // ✅ DELIVERY DATA
+        this.drivers = [];
+        this.tripReportRows = [];
+
+        // 🚚 DELIVERY STATUS - kept on bills.delivery_status as trips are saved, deleted or restored
+        this.DELIVERY_STATUSES = { pending: 'Not Delivered', partial: 'Part Delivered', delivered: 'Delivered' };
+
+        console.log('✅ DeliveryManager initialized');
+    }
+
+    // ==================== PERMISSION METHODS ====================
+
+    getCurrentUser() {
+        return this.auth.getCurrentUser();
+    }
+
+    canPerformAction(action) {
+        const user = this.getCurrentUser();
+        if (!user) return false;
+
+        const permissions = {
+            'admin': ['create', 'edit', 'delete', 'view', 'export'],
+            'supervisor': ['create', 'edit', 'view', 'export'],
+            'user': ['view']
+        };
+
+        const userPermissions = permissions[user.role] || permissions['user'];
+        return userPermissions.includes(action);
+    }
+
+    getBilling() {
+        return window.app?.getManagers()?.billing;
+    }
+
+    // ==================== INITIALIZATION ====================
+
+    async initialize() {
+        this.setupEventListeners();
+        return Promise.resolve();
+    }
+
+    setupEventListeners() {
+        document.getElementById('generateTripReport')?.addEventListener('click', () => this.generateTripReport());
+        document.getElementById('exportTripReport')?.addEventListener('click', () => this.exportTripReport());
+    }
+
+    async loadDrivers() {
+        try {
+            const employees = await this.db.getEmployees({ employee_type: 'driver' }) || [];
+            this.drivers = employees.filter(driver => driver.status !== 'inactive');
+        } catch (error) {
+            console.error('Error loading drivers:', error);
+            this.drivers = [];
+        }
+        return this.drivers;
+    }
+
+    // ==================== DELIVERY PROGRESS ====================
+
+    // Challan lines match bill lines by product, or by name for custom products
+    getLineKey(line) {
+        return line.product_id ? `product:${line.product_id}` : `name:${String(line.description || '').trim().toLowerCase()}`;
+    }
+
+    /**
+     * 📦 ORDERED VS DELIVERED FOR EACH ITEM ON A BILL
+     * billLines are bill_items rows (charges are skipped); challanLines are
+     * delivery_challan_items rows from the bill's trips.
+     * @returns {Array<{ key, product_id, description, unit, ordered, delivered }>}
+     */
+    getDeliveryProgress(billLines, challanLines) {
+        const progress = new Map();
+
+        billLines.filter(line => line.line_type !== 'charge').forEach(line => {
+            const key = this.getLineKey(line);
+            const row = progress.get(key) || {
+                key,
+                product_id: line.product_id || null,
+                description: line.description,
+                unit: line.unit || '',
+                ordered: 0,
+                delivered: 0
+            };
+            row.ordered += Number(line.quantity) || 0;
+            progress.set(key, row);
+        });
+
+        challanLines.forEach(line => {
+            const row = progress.get(this.getLineKey(line));
+            if (row) row.delivered += Number(line.quantity) || 0;
+        });
+
+        // Quantities are stored to 3 decimals - don't let float sums leave 0.000001 to deliver
+        const round = value => Math.round(value * 1000) / 1000;
+        return Array.from(progress.values()).map(row => ({ ...row, ordered: round(row.ordered), delivered: round(row.delivered) }));
+    }
+
+    getDeliveryStatus(progress) {
+        if (!progress.some(row => row.delivered > 0)) return 'pending';
+        return progress.every(row => row.delivered >= row.ordered) ? 'delivered' : 'partial';
+    }
+
+    /**
+     * 🚚 A BILL'S TRIPS AND DELIVERY PROGRESS
+     * status is worked out from the trips for display - bills.delivery_status is
+     * only written where trips change (save, delete, restore).
+     * @returns {Promise<{ challans, itemsByChallan, progress, status }>}
+     */
+    async getBillDeliveries(bill, billLines) {
+        const challans = await this.db.getChallans({ bill_id: bill.id }) || [];
+        const itemsByChallan = await this.db.getChallanItemsByChallan(challans.map(challan => challan.id));
+        const progress = this.getDeliveryProgress(billLines, Object.values(itemsByChallan).flat());
+        const status = this.getDeliveryStatus(progress);
+
+        return { challans, itemsByChallan, progress, status };
+    }
+
+    /**
+     * 🔧 PUT bills.delivery_status RIGHT AFTER A TRIP IS DELETED OR RESTORED
+     * @returns {Promise<string|null>} the bill's delivery status
+     */
+    async repairBillDeliveryStatus(billId) {
+        const billing = this.getBilling();
+        const bill = (await this.db.read('bills', { where: { id: billId } }))[0];
+        if (!bill || !billing || bill.status === 'cancelled') return null;
+
+        const { status } = await this.getBillDeliveries(bill, await billing.getBillLines(bill));
+        if ((bill.delivery_status || 'pending') !== status) {
+            await this.db.update('bills', bill.id, { delivery_status: status, updated_at: new Date().toISOString() });
+        }
+
+        const listed = billing.bills?.find(b => b.id === billId);
+        if (listed) listed.delivery_status = status;
+        return status;
+    }
+
+    getDeliveryBadgeHtml(status) {
+        const key = status || 'pending';
+        return `<span class="status-badge delivery-${key}">${this.DELIVERY_STATUSES[key] || key}</span>`;
+    }
+
+    formatQuantity(quantity, unit) {
+        return `${Number(quantity) || 0}${unit ? ` ${this.ui.escapeHtml(unit)}` : ''}`;
+    }
+
+    /**
+     * 🧾 DELIVERIES BLOCK FOR THE BILL VIEW - progress per item and the trips so far
+     */
+    getBillDeliveryHtml(bill, deliveries) {
+        const { challans, itemsByChallan, progress, status } = deliveries;
+        const esc = value => this.ui.escapeHtml(value === undefined || value === null ? '' : String(value));
+        const canAddTrip = this.canPerformAction('create') && bill.status !== 'cancelled' && status !== 'delivered';
+
+        return `
+            <div class="bill-deliveries">
+                <div class="deliveries-header">
+                    <h4><i class="fas fa-truck"></i> Deliveries ${this.getDeliveryBadgeHtml(status)}</h4>
+                    ${canAddTrip ? `
+                        <button type="button" class="btn-secondary" id="addChallanBtn">
+                            <i class="fas fa-plus"></i> Add Trip
+                        </button>
+                    ` : ''}
+                </div>
+
+                <table class="items-table">
+                    <thead>
+                        <tr>
+                            <th>Item</th>
+                            <th>Ordered</th>
+                            <th>Delivered</th>
+                            <th>Balance</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${progress.map(row => `
+                            <tr>
+                                <td>${esc(row.description)}</td>
+                                <td>${this.formatQuantity(row.ordered, row.unit)}</td>
+                                <td>${this.formatQuantity(row.delivered, row.unit)}</td>
+                                <td>${this.formatQuantity(Math.max(0, row.ordered - row.delivered), row.unit)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+
+                ${challans.length > 0 ? `
+                    <table class="items-table">
+                        <thead>
+                            <tr>
+                                <th>Challan No</th>
+                                <th>Trip Date</th>
+                                <th>Driver</th>
+                                <th>Vehicle</th>
+                                <th>Quantity</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${challans.map(challan => `
+                                <tr>
+                                    <td>${esc(challan.challan_number)}</td>
+                                    <td>${Utils.formatDate(challan.trip_date)}</td>
+                                    <td>${esc(challan.driver_name || '-')}</td>
+                                    <td>${esc(challan.vehicle_number || '-')}</td>
+                                    <td>${(itemsByChallan[challan.id] || []).map(line =>
+                                        `${this.formatQuantity(line.quantity, line.unit)} ${esc(line.description)}`).join('<br>')}</td>
+                                    <td>
+                                        <div class="action-buttons">
+                                            <button class="btn-icon" onclick="app.getManagers().delivery.printChallan('${challan.id}')" title="Print Challan">
+                                                <i class="fas fa-print"></i>
+                                            </button>
+                                            ${this.canPerformAction('delete') ? `
+                                                <button class="btn-icon btn-danger" onclick="app.getManagers().delivery.deleteChallan('${challan.id}')" title="Delete Trip">
+                                                    <i class="fas fa-trash"></i>
+                                                </button>
+                                            ` : ''}
+                                        </div>
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                ` : '<p class="no-data">No trips yet</p>'}
+            </div>
+        `;
+    }
+
+    // ==================== CHALLAN FORM ====================
+
+    /**
+     * ➕ RECORD A TRIP AGAINST A BILL - quantities default to nothing, capped at what is still to deliver
+     */
+    async showChallanModal(billId) {
+        if (!this.canPerformAction('create')) {
+            this.ui.showToast('Insufficient permissions to record deliveries', 'error');
+            return;
+        }
+
+        const billing = this.getBilling();
+        const bill = billing?.bills.find(b => b.id === billId);
+        if (!bill) {
+            this.ui.showToast('Bill not found', 'error');
+            return;
+        }
+
+        if (bill.status === 'cancelled') {
+            this.ui.showToast('A cancelled invoice cannot be delivered', 'error');
+            return;
+        }
+
+        let deliveries;
+        try {
+            deliveries = await this.getBillDeliveries(bill, await billing.getBillLines(bill));
+            await this.loadDrivers();
+        } catch (error) {
+            console.error('Error loading deliveries:', error);
+            this.ui.showToast('Error loading deliveries: ' + error.message, 'error');
+            return;
+        }
+
+        const pending = deliveries.progress.filter(row => row.ordered - row.delivered > 0);
+        if (pending.length === 0) {
+            this.ui.showToast('Everything on this bill has been delivered', 'info');
+            return;
+        }
+
+        const esc = value => this.ui.escapeHtml(value === undefined || value === null ? '' : String(value));
+        const customer = window.app?.getManagers()?.customer?.findCustomerByPhone(bill.customer_phone);
+        this.challanBill = { bill, progress: deliveries.progress };
+
+        const modalHtml = `
+            <div id="challanModal" class="modal">
+                <div class="modal-content" style="max-width: 760px;">
+                    <div class="modal-header">
+                        <h3><i class="fas fa-truck"></i> New Trip - ${esc(bill.bill_number || 'Draft')} (${esc(bill.customer_name)})</h3>
+                        <button class="modal-close">&times;</button>
+                    </div>
+
+                    <form id="challanForm">
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="challanTripDate">Trip Date *</label>
+                                <input type="date" id="challanTripDate" value="${new Date().toISOString().split('T')[0]}" required>
+                            </div>
+                            <div class="form-group">
+                                <label for="challanDriver">Driver *</label>
+                                <select id="challanDriver" required>
+                                    <option value="">Select driver</option>
+                                    ${this.drivers.map(driver => `
+                                        <option value="${esc(driver.id)}">${esc(driver.name)}${driver.vehicle_number ? ` (${esc(driver.vehicle_number)})` : ''}</option>
+                                    `).join('')}
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label for="challanVehicle">Vehicle No *</label>
+                                <input type="text" id="challanVehicle" maxlength="20" placeholder="TN 00 AB 0000" required>
+                            </div>
+                        </div>
+
+                        <table class="items-table challan-lines">
+                            <thead>
+                                <tr>
+                                    <th>Item</th>
+                                    <th>Ordered</th>
+                                    <th>Delivered</th>
+                                    <th>This Trip</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${pending.map(row => `
+                                    <tr>
+                                        <td>${esc(row.description)}</td>
+                                        <td>${this.formatQuantity(row.ordered, row.unit)}</td>
+                                        <td>${this.formatQuantity(row.delivered, row.unit)}</td>
+                                        <td>
+                                            <input type="number" class="challan-qty-input" data-line-key="${esc(row.key)}"
+                                                   min="0" max="${row.ordered - row.delivered}" step="any" value="0">
+                                            <small>of ${this.formatQuantity(row.ordered - row.delivered, row.unit)} left</small>
+                                        </td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+
+                        <div class="form-group">
+                            <label for="challanAddress">Delivery Address</label>
+                            <textarea id="challanAddress" rows="2">${esc(customer?.address || bill.customer_address || '')}</textarea>
+                        </div>
+
+                        <div class="form-group">
+                            <label for="challanNotes">Notes</label>
+                            <textarea id="challanNotes" rows="2"></textarea>
+                        </div>
+
+                        <div class="modal-actions">
+                            <button type="button" class="btn-secondary" id="cancelChallanBtn">
+                                Cancel
+                            </button>
+                            <button type="submit" class="btn-primary">
+                                <i class="fas fa-save"></i> Save Trip
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        this.showCustomModal(modalHtml, 'challanModal');
+
+        setTimeout(() => {
+            const modal = document.getElementById('challanModal');
+            const form = document.getElementById('challanForm');
+            if (!modal || !form) return;
+
+            // A driver's own lorry is the usual one - it can still be changed for the trip
+            document.getElementById('challanDriver')?.addEventListener('change', (e) => {
+                const driver = this.drivers.find(d => d.id === e.target.value);
+                const vehicleInput = document.getElementById('challanVehicle');
+                if (driver?.vehicle_number && vehicleInput) vehicleInput.value = driver.vehicle_number;
+            });
+
+            form.addEventListener('submit', (e) => this.handleChallanSubmit(e));
+            document.getElementById('cancelChallanBtn')?.addEventListener('click', () => this.closeChallanModal());
+            modal.querySelector('.modal-close')?.addEventListener('click', () => this.closeChallanModal());
+        }, 100);
+    }
+
+    async handleChallanSubmit(e) {
+        e.preventDefault();
+
+        const { bill, progress } = this.challanBill || {};
+        if (!bill) return;
+
+        const button = e.target.querySelector('button[type="submit"]');
+        const resetButton = this.ui.showButtonLoading(button, 'Saving Trip...');
+
+        try {
+            const tripDate = document.getElementById('challanTripDate').value;
+            const driver = this.drivers.find(d => d.id === document.getElementById('challanDriver').value);
+            const vehicleNumber = document.getElementById('challanVehicle').value.trim().toUpperCase();
+            const address = document.getElementById('challanAddress').value.trim();
+            const notes = document.getElementById('challanNotes').value.trim();
+
+            if (!tripDate) {
+                this.ui.showToast('Trip date is required', 'error');
+                return;
+            }
+
+            if (!driver) {
+                this.ui.showToast('Please select the driver', 'error');
+                return;
+            }
+
+            if (!vehicleNumber) {
+                this.ui.showToast('Vehicle number is required', 'error');
+                return;
+            }
+
+            const lines = [];
+            for (const input of document.querySelectorAll('#challanModal .challan-qty-input')) {
+                const quantity = parseFloat(input.value) || 0;
+                if (quantity === 0) continue;
+
+                const row = progress.find(r => r.key === input.getAttribute('data-line-key'));
+                if (!row) continue;
+
+                if (quantity < 0) {
+                    this.ui.showToast(`Quantity for ${row.description} cannot be negative`, 'error');
+                    return;
+                }
+
+                if (quantity > row.ordered - row.delivered) {
+                    this.ui.showToast(`Only ${row.ordered - row.delivered} ${row.unit || ''} of ${row.description} is left to deliver`, 'error');
+                    return;
+                }
+
+                lines.push({ product_id: row.product_id, description: row.description, unit: row.unit, quantity });
+            }
+
+            if (lines.length === 0) {
+                this.ui.showToast('Enter the quantity carried on this trip', 'error');
+                return;
+            }
+
+            // The bill's status once this trip is counted
+            const after = progress.map(row => {
+                const line = lines.find(l => this.getLineKey(l) === row.key);
+                return { ...row, delivered: row.delivered + (line ? line.quantity : 0) };
+            });
+
+            const challanData = {
+                id: this.db.generateId(),
+                challan_number: await this.db.ids.nextNumber('challan'),
+                bill_id: bill.id,
+                bill_number: bill.bill_number || null,
+                trip_date: tripDate,
+                driver_id: driver.id,
+                driver_name: driver.name,
+                vehicle_number: Utils.sanitizeInput(vehicleNumber),
+                customer_name: bill.customer_name,
+                customer_phone: bill.customer_phone || null,
+                delivery_address: address ? Utils.sanitizeInput(address) : null,
+                notes: notes ? Utils.sanitizeInput(notes) : null,
+                created_by: this.getCurrentUser()?.id || 'system',
+                created_at: new Date().toISOString()
+            };
+
+            const status = this.getDeliveryStatus(after);
+            await this.db.saveChallanWithItems(challanData, lines, status);
+            bill.delivery_status = status;
+
+            this.ui.showToast(`Trip ${challanData.challan_number} saved - bill is ${this.DELIVERY_STATUSES[status].toLowerCase()}`, 'success');
+            this.closeChallanModal();
+            await this.refreshBillView(bill.id);
+
+        } catch (error) {
+            console.error('Error saving trip:', error);
+            this.ui.showToast('Error saving trip: ' + error.message, 'error');
+        } finally {
+            resetButton();
+        }
+    }
+
+    closeChallanModal() {
+        this.ui.hideModal('challanModal');
+        document.getElementById('challanModal')?.remove();
+        this.challanBill = null;
+    }
+
+    // Bill view and bills table show the new progress
+    async refreshBillView(billId) {
+        const billing = this.getBilling();
+        if (!billing) return;
+
+        if (this.ui.isSectionVisible('billingContent')) {
+            billing.renderBillsTable(billing.bills);
+        }
+        await billing.viewBill(billId);
+    }
+
+    // ==================== CHALLAN ACTIONS ====================
+
+    async getChallan(challanId) {
+        const rows = await this.db.read('delivery_challans', { where: { id: challanId } });
+        if (!rows?.[0]) throw new Error('Challan not found');
+        return rows[0];
+    }
+
+    /**
+     * 🖨️ PRINT A TRIP'S CHALLAN - with what had been delivered up to and including it
+     */
+    async printChallan(challanId) {
+        try {
+            const billing = this.getBilling();
+            const challan = await this.getChallan(challanId);
+            const bill = billing?.bills.find(b => b.id === challan.bill_id)
+                || (await this.db.read('bills', { where: { id: challan.bill_id } }))[0];
+            if (!bill) throw new Error('Bill not found');
+
+            // Trips come newest first - keep this one and the ones before it
+            const challans = await this.db.getChallans({ bill_id: bill.id });
+            const upToThis = challans.slice(challans.findIndex(c => c.id === challanId));
+            const itemsByChallan = await this.db.getChallanItemsByChallan(upToThis.map(c => c.id));
+            const progress = this.getDeliveryProgress(await billing.getBillLines(bill), Object.values(itemsByChallan).flat());
+
+            const lines = (itemsByChallan[challanId] || []).map(line => {
+                const row = progress.find(r => r.key === this.getLineKey(line));
+                return { ...line, ordered: row?.ordered || 0, delivered: row?.delivered || 0 };
+            });
+
+            const customer = window.app?.getManagers()?.customer?.findCustomerByPhone(bill.customer_phone);
+            const paperSize = document.getElementById('invoicePaperSelect')?.value;
+            await this.invoiceRenderer.printHtml(this.invoiceRenderer.renderChallan(challan, lines, { paperSize, customer }));
+        } catch (error) {
+            console.error('❌ Error printing challan:', error);
+            this.ui.showToast('Error printing challan: ' + error.message, 'error');
+        }
+    }
+
+    async deleteChallan(challanId) {
+        if (!this.canPerformAction('delete')) {
+            this.ui.showToast('Insufficient permissions to delete trips', 'error');
+            return;
+        }
+
+        try {
+            const challan = await this.getChallan(challanId);
+            const confirmed = await this.ui.showConfirmation(
+                'Delete Trip',
+                `Delete challan <strong>${this.ui.escapeHtml(challan.challan_number)}</strong> (${Utils.formatDate(challan.trip_date)}, ${this.ui.escapeHtml(challan.driver_name || 'no driver')})? Its quantities will count as not delivered. An admin can restore it from the Trash.`,
+                'Delete',
+                'Cancel',
+                'danger'
+            );
+            if (!confirmed) return;
+
+            await this.db.delete('delivery_challans', challanId);
+            this.ui.showToast('Trip moved to Trash', 'success');
+
+            await this.repairBillDeliveryStatus(challan.bill_id);
+            await this.refreshBillView(challan.bill_id);
+        } catch (error) {
+            console.error('Error deleting trip:', error);
+            this.ui.showToast('Error deleting trip: ' + error.message, 'error');
+        }
+    }
+
+    // ==================== DRIVER TRIP REPORT ====================
+
+    /**
+     * 📊 FILL THE DRIVER FILTER AND RUN THE REPORT FOR THIS MONTH (Reports screen)
+     */
+    async loadTripReport() {
+        const startInput = document.getElementById('tripReportStartDate');
+        const endInput = document.getElementById('tripReportEndDate');
+        const driverSelect = document.getElementById('tripReportDriver');
+        if (!startInput || !endInput || !driverSelect) return;
+
+        const today = new Date().toISOString().split('T')[0];
+        if (!startInput.value) startInput.value = `${today.slice(0, 8)}01`;
+        if (!endInput.value) endInput.value = today;
+
+        await this.loadDrivers();
+        const selected = driverSelect.value;
+        driverSelect.innerHTML = `
+            <option value="">All drivers</option>
+            ${this.drivers.map(driver => `
+                <option value="${this.ui.escapeHtml(driver.id)}" ${driver.id === selected ? 'selected' : ''}>${this.ui.escapeHtml(driver.name)}</option>
+            `).join('')}
+        `;
+
+        await this.generateTripReport();
+    }
+
+    async generateTripReport() {
+        const startDate = document.getElementById('tripReportStartDate')?.value;
+        const endDate = document.getElementById('tripReportEndDate')?.value;
+        const driverId = document.getElementById('tripReportDriver')?.value;
+
+        if (!startDate || !endDate) {
+            this.ui.showToast('Please select both start and end dates', 'error');
+            return;
+        }
+
+        if (startDate > endDate) {
+            this.ui.showToast('Start date cannot be after end date', 'error');
+            return;
+        }
+
+        try {
+            this.ui.showSectionLoading('reportsContent', 'Loading trips...');
+
+            const filters = { trip_date: { between: [startDate, endDate] } };
+            if (driverId) filters.driver_id = driverId;
+
+            const challans = await this.db.getChallans(filters) || [];
+            const itemsByChallan = await this.db.getChallanItemsByChallan(challans.map(challan => challan.id));
+
+            this.tripReportRows = challans.map(challan => ({
+                challan,
+                items: itemsByChallan[challan.id] || []
+            }));
+            this.renderTripReport();
+
+        } catch (error) {
+            console.error('Error generating trip report:', error);
+            this.ui.showToast('Error generating trip report: ' + error.message, 'error');
+        } finally {
+            this.ui.hideSectionLoading('reportsContent');
+        }
+    }
+
+    /**
+     * 🚛 TRIPS GROUPED BY DRIVER - trip count, bills served and quantity carried per item
+     */
+    getTripSummary(rows) {
+        const drivers = new Map();
+
+        rows.forEach(({ challan, items }) => {
+            const key = challan.driver_id || challan.driver_name || 'unknown';
+            const summary = drivers.get(key) || {
+                driver_name: challan.driver_name || 'Unknown',
+                vehicles: new Set(),
+                bills: new Set(),
+                trips: 0,
+                quantities: new Map()
+            };
+
+            summary.trips += 1;
+            if (challan.vehicle_number) summary.vehicles.add(challan.vehicle_number);
+            summary.bills.add(challan.bill_id);
+            items.forEach(item => {
+                const label = `${item.unit ? `${item.unit} ` : ''}${item.description}`;
+                summary.quantities.set(label, (summary.quantities.get(label) || 0) + (Number(item.quantity) || 0));
+            });
+
+            drivers.set(key, summary);
+        });
+
+        return Array.from(drivers.values()).sort((a, b) => b.trips - a.trips);
+    }
+
+    formatCarried(quantities) {
+        return Array.from(quantities.entries()).map(([label, quantity]) => `${quantity} ${label}`).join(', ');
+    }
+
+    renderTripReport() {
+        const summaryBody = document.getElementById('tripSummaryTableBody');
+        const tripsBody = document.getElementById('tripReportTableBody');
+        if (!summaryBody || !tripsBody) return;
+
+        const esc = value => this.ui.escapeHtml(value === undefined || value === null ? '' : String(value));
+
+        if (this.tripReportRows.length === 0) {
+            const empty = (colspan) => `
+                <tr>
+                    <td colspan="${colspan}" class="no-data">
+                        <i class="fas fa-truck"></i>
+                        <br>No trips in the selected period
+                    </td>
+                </tr>
+            `;
+            summaryBody.innerHTML = empty(5);
+            tripsBody.innerHTML = empty(6);
+            return;
+        }
+
+        summaryBody.innerHTML = this.getTripSummary(this.tripReportRows).map(summary => `
+            <tr>
+                <td><strong>${esc(summary.driver_name)}</strong></td>
+                <td>${esc(Array.from(summary.vehicles).join(', ') || '-')}</td>
+                <td>${summary.trips}</td>
+                <td>${summary.bills.size}</td>
+                <td>${esc(this.formatCarried(summary.quantities))}</td>
+            </tr>
+        `).join('');
+
+        tripsBody.innerHTML = this.tripReportRows.map(({ challan, items }) => `
+            <tr>
+                <td>${Utils.formatDate(challan.trip_date)}</td>
+                <td>${esc(challan.challan_number)}</td>
+                <td>${esc(challan.driver_name || '-')}</td>
+                <td>${esc(challan.vehicle_number || '-')}</td>
+                <td>${esc(challan.bill_number || '-')} - ${esc(challan.customer_name)}</td>
+                <td>${items.map(item => `${this.formatQuantity(item.quantity, item.unit)} ${esc(item.description)}`).join('<br>')}</td>
+            </tr>
+        `).join('');
+    }
+
+    async exportTripReport() {
+        if (this.tripReportRows.length === 0) {
+            this.ui.showToast('Generate the trip report first', 'warning');
+            return;
+        }
+
+        try {
+            const exportData = this.tripReportRows.flatMap(({ challan, items }) => items.map(item => ({
+                'Trip Date': Utils.formatDate(challan.trip_date),
+                'Challan No': challan.challan_number || '',
+                'Driver': challan.driver_name || '',
+                'Vehicle': challan.vehicle_number || '',
+                'Bill No': challan.bill_number || '',
+                'Customer': challan.customer_name || '',
+                'Item': item.description,
+                'Quantity': Number(item.quantity) || 0,
+                'Unit': item.unit || ''
+            })));
+
+            await window.app?.getManagers()?.reports?.performExport(exportData, 'driver_trips_export', 'Driver Trip Report');
+            this.ui.showToast('Trip report exported successfully', 'success');
+        } catch (error) {
+            console.error('Error exporting trip report:', error);
+            this.ui.showToast('Error exporting trip report: ' + error.message, 'error');
+        }
+    }
+
+    // ==================== MODAL MANAGEMENT ====================
+
+    showCustomModal(html, modalId) {
+        const existingModal = document.getElementById(modalId);
+        if (existingModal) {
+            existingModal.remove();
+        }
+
+        document.body.insertAdjacentHTML('beforeend', html);
+        this.ui.showModal(modalId);
+    }
+}
+
+window.DeliveryManager = DeliveryManager;
@@ -681,7 +681,7 @@ class EmployeeManager {
                                                 </div>
                                                 <div class="member-info">
                                                     <h5>${member.name}</h5>
-                                                    <span class="member-id">${member.id}</span>
+                                                    <span class="member-id">${this.getEmployeeCode(member)}</span>
                                                     <span class="member-role">${member.role}</span>
                                                 </div>
                                                 ${member.id === familyGroup.primary_member_id ? `
@@ -758,7 +758,7 @@ ${familyMembers.length > 0 ? `
             <i class="fas fa-exclamation-circle"></i>
             <div class="warning-text">
                 <strong>Delete this family group</strong>
-                <p>This will remove all ${familyMembers.length} member${familyMembers.length !== 1 ? 's' : ''} from the family group and delete the family permanently. This action cannot be undone.</p>
+                <p>This will remove all ${familyMembers.length} member${familyMembers.length !== 1 ? 's' : ''} from the family group and move the family to the Trash.</p>
             </div>
         </div>
         <button class="btn-danger" onclick="app.getManagers().employee.deleteFamilyGroupFromDetails('${familyGroup.id}')">
@@ -915,7 +915,7 @@ ${familyMembers.length > 0 ? `
                                                 <div class="employee-details">
                                                     <h5>${emp.name}</h5>
                                                     <div class="employee-meta">
-                                                        <span class="employee-id">${emp.id}</span>
+                                                        <span class="employee-id">${this.getEmployeeCode(emp)}</span>
                                                         <span class="employee-role">${emp.role}</span>
                                                         <span class="employee-type ${emp.employee_type}">${emp.employee_type}</span>
                                                     </div>
@@ -962,6 +962,7 @@ ${familyMembers.length > 0 ? `
                         if (employee) {
                             const matches = employee.name.toLowerCase().includes(searchTerm) ||
                                 employee.id.toLowerCase().includes(searchTerm) ||
+                                (employee.employee_code || '').toLowerCase().includes(searchTerm) ||
                                 employee.role.toLowerCase().includes(searchTerm);
                             card.style.display = matches ? 'flex' : 'none';
                         }
@@ -1052,7 +1053,7 @@ ${familyMembers.length > 0 ? `
 
         familyMembers.forEach(member => {
             exportData.push([
-                member.id,
+                this.getEmployeeCode(member),
                 member.name,
                 member.role,
                 member.phone || 'N/A',
@@ -1136,7 +1137,7 @@ ${familyMembers.length > 0 ? `
 
             return `
                 <tr class="employee-row" data-employee-id="${employee.id}">
-                    <td><strong>${employee.id || 'N/A'}</strong></td>
+                    <td><strong>${this.getEmployeeCode(employee)}</strong></td>
                     <td>${employee.name || 'N/A'}</td>
                     <td>${employee.phone || 'N/A'}</td>
                     <td>
@@ -1693,7 +1694,7 @@ ${familyMembers.length > 0 ? `
                                                 </div>
                                                 <div class="member-info">
                                                     <h5>${member.name}</h5>
-                                                    <span class="member-id">${member.id}</span>
+                                                    <span class="member-id">${this.getEmployeeCode(member)}</span>
                                                     <span class="member-role">${member.role}</span>
                                                 </div>
                                                 ${member.id === familyGroup.primary_member_id ? `
@@ -1731,7 +1732,7 @@ ${familyMembers.length > 0 ? `
             <i class="fas fa-exclamation-circle"></i>
             <div class="warning-text">
                 <strong>Delete this family group</strong>
-                <p>This will remove all ${familyMembers.length} member${familyMembers.length !== 1 ? 's' : ''} from the family group and delete the family permanently. This action cannot be undone.</p>
+                <p>This will remove all ${familyMembers.length} member${familyMembers.length !== 1 ? 's' : ''} from the family group and move the family to the Trash.</p>
             </div>
         </div>
         <button class="btn-danger" onclick="app.getManagers().employee.deleteFamilyGroupFromDetails('${familyGroup.id}')">
@@ -1779,7 +1780,7 @@ ${familyMembers.length > 0 ? `
 
         const confirmation = await this.ui.showConfirmation(
             'Delete Empty Family Groups?',
-            `This will permanently delete ${emptyFamilyGroups.length} empty family group${emptyFamilyGroups.length !== 1 ? 's' : ''}. This action cannot be undone.`,
+            `This will move ${emptyFamilyGroups.length} empty family group${emptyFamilyGroups.length !== 1 ? 's' : ''} to the Trash.`,
             `Delete ${emptyFamilyGroups.length} Empty Families`,
             'Cancel',
             'danger'
@@ -1910,7 +1911,7 @@ ${familyMembers.length > 0 ? `
                     const familyMembers = this.employees.filter(emp => emp.family_group_id === familyGroup.id);
                     familyMembers.forEach(member => {
                         exportData.push([
-                            member.id,
+                            this.getEmployeeCode(member),
                             member.name,
                             member.role,
                             member.phone || 'N/A',
@@ -2194,7 +2195,8 @@ ${familyMembers.length > 0 ? `
                 this.ui.showToast('Employee updated successfully', 'success');
             } else {
                 // Create new employee
-                employeeData.id = this.generateEmployeeId(employeeType, this.employees);
+                employeeData.id = this.db.generateId();
+                employeeData.employee_code = await this.db.ids.nextNumber(employeeType === 'driver' ? 'driver' : 'employee');
                 employeeData.created_at = new Date().toISOString();
                 await this.db.create('employees', employeeData);
                 this.ui.showToast('Employee created successfully', 'success');
@@ -2234,6 +2236,7 @@ ${familyMembers.length > 0 ? `
 
         const searchFields = [
             employee.id?.toLowerCase(),
+            employee.employee_code?.toLowerCase(),
             employee.name?.toLowerCase(),
             employee.phone?.toLowerCase(),
             employee.role?.toLowerCase(),
@@ -2290,23 +2293,11 @@ ${familyMembers.length > 0 ? `
         );
     }
 
-    generateEmployeeId(employeeType, existingEmployees) {
-        const prefix = employeeType === 'driver' ? 'DR' : 'EMP';
-        const sameTypeEmployees = existingEmployees.filter(emp =>
-            emp.employee_type === employeeType &&
-            emp.id &&
-            emp.id.startsWith(prefix)
-        );
-
-        const numbers = sameTypeEmployees.map(emp => {
-            const match = emp.id.match(new RegExp(`^${prefix}(\\d+)$`));
-            return match ? parseInt(match[1]) : 0;
-        }).filter(num => num > 0);
-
-        const highestNumber = numbers.length > 0 ? Math.max(...numbers) : 0;
-        const nextNumber = highestNumber + 1;
-
-        return `${prefix}${nextNumber.toString().padStart(4, '0')}`;
+    /**
+     * 🏷️ Code shown to people - employee_code, or the id for employees created before codes existed
+     */
+    getEmployeeCode(employee) {
+        return employee?.employee_code || employee?.id || 'N/A';
     }
 
     populateEmployeeSelect(employees) {
@@ -2318,7 +2309,7 @@ ${familyMembers.length > 0 ? `
         select.innerHTML = '<option value="">Select Employee</option>' +
             activeEmployees.map(emp => `
                 <option value="${emp.id}">
-                    ${emp.id} - ${emp.name} - ${emp.role}
+                    ${this.getEmployeeCode(emp)} - ${emp.name} - ${emp.role}
                 </option>
             `).join('');
     }
@@ -2360,6 +2351,8 @@ ${familyMembers.length > 0 ? `
             emp.family_group_id === employee.family_group_id && emp.id !== employee.id
         );
 
+        const auditManager = window.app?.getManagers()?.audit;
+
         const modalHtml = `
             <div id="employeeDetailsModal" class="modal">
                 <div class="modal-content" style="max-width: 900px;">
@@ -2370,8 +2363,10 @@ ${familyMembers.length > 0 ? `
                         </h3>
                         <button class="modal-close">&times;</button>
                     </div>
-                    
-                    <div class="employee-details-container">
+
+                    ${auditManager ? auditManager.getRecordTabsHtml() : ''}
+
+                    <div class="employee-details-container record-tab-panel active" data-record-panel="details">
                         <div class="employee-overview-card">
                             <div class="employee-header">
                                 <div class="employee-avatar large">
@@ -2380,7 +2375,7 @@ ${familyMembers.length > 0 ? `
                                 <div class="employee-info">
                                     <h4>${employee.name}</h4>
                                     <div class="employee-meta">
-                                        <span class="employee-id">${employee.id}</span>
+                                        <span class="employee-id">${this.getEmployeeCode(employee)}</span>
                                         <span class="employee-role">${employee.role}</span>
                                         <span class="employee-type ${employee.employee_type}">${employee.employee_type}</span>
                                     </div>
@@ -2469,6 +2464,8 @@ ${familyMembers.length > 0 ? `
                         </div>
                     </div>
 
+                    <div class="record-tab-panel" data-record-panel="history"></div>
+
                     <div class="modal-actions">
                         <button class="btn-secondary" onclick="app.getManagers().employee.closeEmployeeDetails()">
                             <i class="fas fa-times"></i> Close
@@ -2479,6 +2476,7 @@ ${familyMembers.length > 0 ? `
         `;
 
         this.showCustomModal(modalHtml, 'employeeDetailsModal');
+        auditManager?.setupRecordTabs('employeeDetailsModal', 'employees', employee.id);
     }
 
     closeEmployeeDetails() {
@@ -2523,7 +2521,7 @@ ${familyMembers.length > 0 ? `
                                 <option value="">Select Primary Member</option>
                                 ${availableEmployees.map(emp => `
                                     <option value="${emp.id}" ${familyGroup?.primary_member_id === emp.id ? 'selected' : ''}>
-                                        ${emp.name} (${emp.id}) - ${emp.role}
+                                        ${emp.name} (${this.getEmployeeCode(emp)}) - ${emp.role}
                                     </option>
                                 `).join('')}
                             </select>
@@ -2619,7 +2617,7 @@ ${familyMembers.length > 0 ? `
     // ENHANCED FAMILY GROUP CREATION WITH BETTER ERROR HANDLING
     async createFamilyGroup(familyData) {
         try {
-            const familyId = `FAM_${Date.now()}`;
+            const familyId = this.db.generateId();
 
             const groupData = {
                 id: familyId,
@@ -2989,7 +2987,7 @@ ${familyMembers.length > 0 ? `
                 const familyGroup = this.familyGroups.find(fg => fg.id === employee.family_group_id);
 
                 return {
-                    'Employee ID': employee.id,
+                    'Employee ID': this.getEmployeeCode(employee),
                     'Name': employee.name,
                     'Phone': employee.phone || '',
                     'Email': employee.email || '',
@@ -3300,7 +3298,7 @@ ${familyMembers.length > 0 ? `
                 created_at: new Date().toISOString()
             };
 
-            paymentData.id = `ADV_${employeeId}_${Date.now()}`;
+            paymentData.id = this.db.generateId();
 
             await this.db.create('advance_payments', paymentData);
             this.ui.showToast('Advance payment added successfully', 'success');
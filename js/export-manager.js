@@ -318,6 +318,8 @@ class ExportManager {
                     'Customer': bill.customer_name,
                     'Date': this.formatDate(bill.bill_date),
                     'Amount': bill.total_amount,
+                    'Discount': bill.discount_amount || 0,
+                    'Charges': bill.charges_amount || 0,
                     'GST': bill.gst_amount,
                     'Status': bill.status
                 })),
@@ -0,0 +1,241 @@
+/**
+ * 🆔 ID SERVICE - record ids and human-readable numbers that never collide across desktops
+ *
+ * Record ids are ULIDs: a 48-bit millisecond timestamp plus 80 random bits in
+ * Crockford base32, so they sort by creation time and two offline machines
+ * cannot produce the same one.
+ *
+ * Human-readable numbers (employee and driver codes, quotation, challan and
+ * credit note numbers) come from per-entity blocks reserved on the server
+ * with reserve_id_block (sql/migrations/009).
+ * Each device keeps the unused part of its block, so it can keep numbering
+ * offline; if a block runs out before the device is back online, the number
+ * carries this device's code instead (EMP-K7Q2-0001) and still can't clash.
+ *
+ * Bill numbers are GST invoice numbers and must not skip, so they are not
+ * handed out in blocks - see DatabaseManager.assignInvoiceNumber().
+ */
+class IdService {
+    constructor({ db }) {
+        this.db = db;
+
+        this.ENCODING = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+        this.DEVICE_ID_KEY = 'db_device_id';
+        this.BLOCKS_KEY = 'id_sequence_blocks';
+        this.BLOCK_SIZE = 20;
+
+        this.SEQUENCES = {
+            employee: { prefix: 'EMP', pad: 4 },
+            driver: { prefix: 'DR', pad: 4 },
+            quotation: { prefix: 'QTN', pad: 4 },
+            challan: { prefix: 'DC', pad: 4 },
+            credit_note: { prefix: 'CN', pad: 4 }
+        };
+
+        this.lastTime = 0;
+        this.lastRandom = null;
+        this.numberChain = Promise.resolve();
+        this.reserveUnavailable = false;
+    }
+
+    // ==================== RECORD IDS ====================
+
+    /**
+     * 🆕 NEW RECORD ID - 26-character ULID, monotonic within the same millisecond
+     */
+    newId() {
+        const now = Date.now();
+
+        if (now === this.lastTime && this.lastRandom) {
+            this.lastRandom = this.incrementRandom(this.lastRandom);
+        } else {
+            this.lastTime = now;
+            this.lastRandom = this.randomChars(16);
+        }
+
+        return this.encodeTime(now) + this.lastRandom;
+    }
+
+    encodeTime(time) {
+        let encoded = '';
+        for (let i = 0; i < 10; i++) {
+            encoded = this.ENCODING[time % 32] + encoded;
+            time = Math.floor(time / 32);
+        }
+        return encoded;
+    }
+
+    randomChars(length) {
+        const bytes = new Uint8Array(length);
+        crypto.getRandomValues(bytes);
+        return Array.from(bytes, byte => this.ENCODING[byte % 32]).join('');
+    }
+
+    incrementRandom(chars) {
+        const digits = chars.split('');
+        for (let i = digits.length - 1; i >= 0; i--) {
+            const value = this.ENCODING.indexOf(digits[i]);
+            if (value < 31) {
+                digits[i] = this.ENCODING[value + 1];
+                return digits.join('');
+            }
+            digits[i] = '0';
+        }
+        return digits.join('');
+    }
+
+    // ==================== DEVICE IDENTITY ====================
+
+    getDeviceId() {
+        let deviceId = localStorage.getItem(this.DEVICE_ID_KEY);
+        if (!deviceId) {
+            deviceId = this.newId();
+            localStorage.setItem(this.DEVICE_ID_KEY, deviceId);
+        }
+        return deviceId;
+    }
+
+    /**
+     * 🏷️ SHORT DEVICE CODE - four base32 characters hashed from the device id
+     */
+    getDeviceCode() {
+        const deviceId = this.getDeviceId();
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < deviceId.length; i++) {
+            hash ^= deviceId.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+
+        let code = '';
+        for (let i = 0; i < 4; i++) {
+            code += this.ENCODING[hash % 32];
+            hash = Math.floor(hash / 32);
+        }
+        return code;
+    }
+
+    // ==================== HUMAN-READABLE NUMBERS ====================
+
+    /**
+     * 🔢 NEXT NUMBER FOR AN ENTITY - 'employee' -> EMP0007, 'driver' -> DR0003, 'quotation' -> QTN0012, 'challan' -> DC0040, 'credit_note' -> CN0005
+     * Calls are serialized so two saves never take the same number.
+     */
+    nextNumber(entity) {
+        const next = this.numberChain.then(() => this.takeNumber(entity));
+        this.numberChain = next.catch(() => {});
+        return next;
+    }
+
+    async takeNumber(entity) {
+        const sequence = this.SEQUENCES[entity];
+        if (!sequence) {
+            throw new Error(`Unknown number sequence: ${entity}`);
+        }
+
+        let block = this.getBlockState().blocks[entity];
+        if (!block || block.next > block.end) {
+            block = await this.reserveBlock(entity);
+        }
+
+        if (!block) {
+            return this.takeOfflineNumber(entity);
+        }
+
+        this.updateBlockState(state => {
+            state.blocks[entity] = { ...block, next: block.next + 1 };
+        });
+        return `${sequence.prefix}${String(block.next).padStart(sequence.pad, '0')}`;
+    }
+
+    /**
+     * 📦 RESERVE THE NEXT BLOCK FROM THE SERVER (null when that isn't possible)
+     */
+    async reserveBlock(entity) {
+        if (!this.db.supabase || !this.db.isOnline || this.reserveUnavailable) return null;
+
+        try {
+            const { data, error } = await this.db.supabase.rpc('reserve_id_block', {
+                p_entity: entity,
+                p_device_id: this.getDeviceId(),
+                p_size: this.BLOCK_SIZE
+            });
+
+            if (error) {
+                if (error.code === 'PGRST202' || error.message?.includes('reserve_id_block')) {
+                    this.reserveUnavailable = true;
+                    console.warn('⚠️ reserve_id_block missing - apply sql/migrations/009_id_sequences.sql; numbering with the device code');
+                } else {
+                    console.warn(`⚠️ Could not reserve ${entity} numbers:`, error.message);
+                }
+                return null;
+            }
+
+            const block = { next: Number(data.range_start), end: Number(data.range_end) };
+            this.updateBlockState(state => {
+                state.blocks[entity] = block;
+            });
+            console.log(`🔢 Reserved ${entity} numbers ${block.next}-${block.end}`);
+            return block;
+        } catch (error) {
+            console.warn(`⚠️ Could not reserve ${entity} numbers:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * 📦 TOP UP EMPTY BLOCKS WHILE ONLINE so the next offline stretch has numbers
+     */
+    async ensureBlocks() {
+        const { blocks } = this.getBlockState();
+        for (const entity of Object.keys(this.SEQUENCES)) {
+            const block = blocks[entity];
+            if (!block || block.next > block.end) {
+                await this.reserveBlock(entity);
+            }
+        }
+    }
+
+    takeOfflineNumber(entity) {
+        const sequence = this.SEQUENCES[entity];
+        let value = 0;
+
+        this.updateBlockState(state => {
+            value = (state.offline[entity] || 0) + 1;
+            state.offline[entity] = value;
+        });
+
+        return `${sequence.prefix}-${this.getDeviceCode()}-${String(value).padStart(4, '0')}`;
+    }
+
+    // ==================== BLOCK STATE ====================
+
+    /**
+     * Blocks belong to one database - keyed by connection profile, or 'sqlite'
+     */
+    getScope() {
+        return this.db.isLocalServerMode() ? 'sqlite' : `profile:${this.db.activeProfileId}`;
+    }
+
+    loadAllBlockStates() {
+        try {
+            return JSON.parse(localStorage.getItem(this.BLOCKS_KEY) || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+
+    getBlockState() {
+        const state = this.loadAllBlockStates()[this.getScope()] || {};
+        return { blocks: state.blocks || {}, offline: state.offline || {} };
+    }
+
+    updateBlockState(mutate) {
+        const all = this.loadAllBlockStates();
+        const state = this.getBlockState();
+        mutate(state);
+        all[this.getScope()] = state;
+        localStorage.setItem(this.BLOCKS_KEY, JSON.stringify(all));
+    }
+}
+
+window.IdService = IdService;
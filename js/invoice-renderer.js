@@ -0,0 +1,757 @@
+/**
+ * 🧾 INVOICE RENDERER - GST tax invoice (or quotation, credit note) as a standalone A4 or A5 HTML page
+ *
+ * The same page is printed through a hidden iframe and turned into a PDF by
+ * the main process (render-pdf), so what is printed and what is saved always
+ * match. Seller details, logo, bank details and the signatory come from
+ * Settings > Invoicing (Utils.getBusinessProfile()).
+ */
+class InvoiceRenderer {
+    constructor({ ui }) {
+        this.ui = ui;
+        this.PAPER_SIZES = ['A4', 'A5'];
+        this.RECEIPT_WIDTHS = ['58mm', '80mm'];
+
+        // 📄 WHAT THE PAGE IS - quotations and credit notes use the invoice layout with their own headings
+        this.DOCUMENT_TYPES = {
+            invoice: {
+                name: 'Invoice',
+                title: 'TAX INVOICE',
+                subtitle: 'Original for Recipient',
+                numberLabel: 'Invoice No',
+                reverseCharge: true,
+                footer: 'This is a computer generated invoice.'
+            },
+            quotation: {
+                name: 'Quotation',
+                title: 'QUOTATION',
+                subtitle: '',
+                numberLabel: 'Quotation No',
+                reverseCharge: false,
+                footer: 'This is a computer generated quotation. Prices and taxes are as on the quotation date.'
+            },
+            credit_note: {
+                name: 'Credit Note',
+                title: 'CREDIT NOTE',
+                subtitle: 'Original for Recipient',
+                numberLabel: 'Credit Note No',
+                reverseCharge: true,
+                footer: 'This is a computer generated credit note. GST is reversed at the rates charged on the original invoice.'
+            }
+        };
+    }
+
+    // ==================== AMOUNT IN WORDS ====================
+
+    splitAmount(amount) {
+        const paiseTotal = Math.round(Math.abs(Number(amount) || 0) * 100);
+        return { rupees: Math.floor(paiseTotal / 100), paise: paiseTotal % 100 };
+    }
+
+    // Indian grouping - crore, lakh, thousand, hundred
+    splitIndianGroups(number) {
+        return {
+            crore: Math.floor(number / 10000000),
+            lakh: Math.floor((number % 10000000) / 100000),
+            thousand: Math.floor((number % 100000) / 1000),
+            rest: number % 1000
+        };
+    }
+
+    /**
+     * 🔤 RUPEES IN ENGLISH - "Rupees One Lakh Twenty Thousand and Fifty Paise Only"
+     */
+    amountInWords(amount) {
+        const { rupees, paise } = this.splitAmount(amount);
+        const words = rupees === 0 ? 'Zero' : this.numberToWords(rupees);
+        return `Rupees ${words}${paise ? ` and ${this.numberToWords(paise)} Paise` : ''} Only`;
+    }
+
+    numberToWords(number) {
+        const ones = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+            'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+        const tens = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+        const belowHundred = n => n < 20
+            ? ones[n]
+            : `${tens[Math.floor(n / 10)]}${n % 10 ? ` ${ones[n % 10]}` : ''}`;
+        const belowThousand = n => [
+            Math.floor(n / 100) ? `${ones[Math.floor(n / 100)]} Hundred` : '',
+            n % 100 ? belowHundred(n % 100) : ''
+        ].filter(Boolean).join(' ');
+
+        const { crore, lakh, thousand, rest } = this.splitIndianGroups(number);
+        return [
+            crore ? `${this.numberToWords(crore)} Crore` : '',
+            lakh ? `${belowHundred(lakh)} Lakh` : '',
+            thousand ? `${belowHundred(thousand)} Thousand` : '',
+            rest ? belowThousand(rest) : ''
+        ].filter(Boolean).join(' ');
+    }
+
+    /**
+     * 🔤 RUPEES IN TAMIL - "ரூபாய் ஆயிரத்து இருநூற்று ஐம்பது மட்டும்"
+     */
+    amountInWordsTamil(amount) {
+        const { rupees, paise } = this.splitAmount(amount);
+        const words = rupees === 0 ? 'பூஜ்ஜியம்' : this.numberToTamilWords(rupees);
+        return `ரூபாய் ${words}${paise ? ` மற்றும் ${this.numberToTamilWords(paise)} பைசா` : ''} மட்டும்`;
+    }
+
+    numberToTamilWords(number) {
+        const ones = ['', 'ஒன்று', 'இரண்டு', 'மூன்று', 'நான்கு', 'ஐந்து', 'ஆறு', 'ஏழு', 'எட்டு', 'ஒன்பது',
+            'பத்து', 'பதினொன்று', 'பன்னிரண்டு', 'பதின்மூன்று', 'பதினான்கு', 'பதினைந்து', 'பதினாறு', 'பதினேழு', 'பதினெட்டு', 'பத்தொன்பது'];
+        const tens = ['', '', 'இருபது', 'முப்பது', 'நாற்பது', 'ஐம்பது', 'அறுபது', 'எழுபது', 'எண்பது', 'தொண்ணூறு'];
+        const tensJoined = ['', '', 'இருபத்து', 'முப்பத்து', 'நாற்பத்து', 'ஐம்பத்து', 'அறுபத்து', 'எழுபத்து', 'எண்பத்து', 'தொண்ணூற்று'];
+        const hundreds = ['', 'நூறு', 'இருநூறு', 'முந்நூறு', 'நானூறு', 'ஐந்நூறு', 'அறுநூறு', 'எழுநூறு', 'எண்ணூறு', 'தொள்ளாயிரம்'];
+        const hundredsJoined = ['', 'நூற்று', 'இருநூற்று', 'முந்நூற்று', 'நானூற்று', 'ஐந்நூற்று', 'அறுநூற்று', 'எழுநூற்று', 'எண்ணூற்று', 'தொள்ளாயிரத்து'];
+
+        const belowHundred = n => {
+            if (n < 20) return ones[n];
+            const t = Math.floor(n / 10);
+            return n % 10 ? `${tensJoined[t]} ${ones[n % 10]}` : tens[t];
+        };
+        const belowThousand = n => {
+            const h = Math.floor(n / 100);
+            const r = n % 100;
+            if (!h) return belowHundred(r);
+            return r ? `${hundredsJoined[h]} ${belowHundred(r)}` : hundreds[h];
+        };
+
+        // A count before ஆயிரம்/இலட்சம்/கோடி ends in ஒரு, not ஒன்று (இருபத்து ஒரு ஆயிரம்)
+        const countWords = words => words.replace(/ஒன்று$/, 'ஒரு');
+
+        // A group takes its joining form (ஆயிரத்து, இலட்சத்து, கோடியே) when more follows
+        const { crore, lakh, thousand, rest } = this.splitIndianGroups(number);
+        const parts = [];
+        if (crore) {
+            const more = lakh || thousand || rest;
+            parts.push(`${countWords(this.numberToTamilWords(crore))} ${more ? 'கோடியே' : 'கோடி'}`);
+        }
+        if (lakh) {
+            const more = thousand || rest;
+            parts.push(`${countWords(belowHundred(lakh))} ${more ? 'இலட்சத்து' : 'இலட்சம்'}`);
+        }
+        if (thousand) {
+            const word = rest ? 'ஆயிரத்து' : 'ஆயிரம்';
+            parts.push(thousand === 1 ? word : `${countWords(belowHundred(thousand))} ${word}`);
+        }
+        if (rest) parts.push(belowThousand(rest));
+        return parts.join(' ');
+    }
+
+    // ==================== TAX BREAKUP ====================
+
+    /**
+     * 📊 LINES GROUPED BY HSN/SAC AND RATE - [{ hsn_code, tax_rate, taxable, cgst, sgst, igst }]
+     * Lines taxed but saved without their own CGST/SGST/IGST (all zero, as in
+     * sql/migrations/012's backfill) are taxed here at their tax_rate
+     */
+    getTaxBreakup(items, interState = false) {
+        const groups = new Map();
+        items.forEach(item => {
+            const key = `${item.hsn_code || ''}|${Number(item.tax_rate) || 0}`;
+            const group = groups.get(key) || {
+                hsn_code: item.hsn_code || '',
+                tax_rate: Number(item.tax_rate) || 0,
+                taxable: 0, cgst: 0, sgst: 0, igst: 0
+            };
+            // Lines from before bill discounts have no separate taxable value
+            const taxable = Number(item.taxable_value ?? item.amount) || 0;
+            const hasSplit = ['cgst_amount', 'sgst_amount', 'igst_amount'].some(field => Number(item[field]) > 0);
+            const tax = hasSplit || !(Number(item.tax_rate) > 0)
+                ? { cgst: Number(item.cgst_amount) || 0, sgst: Number(item.sgst_amount) || 0, igst: Number(item.igst_amount) || 0 }
+                : Utils.calculateLineTax(taxable, item.tax_rate, interState);
+            group.taxable += taxable;
+            group.cgst += tax.cgst;
+            group.sgst += tax.sgst;
+            group.igst += tax.igst;
+            groups.set(key, group);
+        });
+        return Array.from(groups.values());
+    }
+
+    // ==================== DISCOUNTS & CHARGES ====================
+
+    getItemLines(items) {
+        return items.filter(item => item.line_type !== 'charge');
+    }
+
+    /**
+     * 🧮 BETWEEN SUB TOTAL AND TAXABLE VALUE - [[label, amount]] for the bill discount and each charge
+     */
+    getAdjustmentRows(bill, items) {
+        const rows = [];
+        const discount = Number(bill.discount_amount) || 0;
+        if (discount > 0) {
+            const percent = bill.discount_type === 'percent' ? ` (${Number(bill.discount_value) || 0}%)` : '';
+            rows.push([`Less: Discount${percent}`, -discount]);
+        }
+        items.filter(item => item.line_type === 'charge').forEach(charge => {
+            rows.push([`Add: ${charge.description}`, Number(charge.amount) || 0]);
+        });
+        return rows;
+    }
+
+    formatLineDiscount(item) {
+        const discount = Number(item.discount) || 0;
+        if (discount <= 0) return '-';
+        return item.discount_type === 'percent'
+            ? `${Number(item.discount_value) || 0}%`
+            : Utils.formatCurrency(discount);
+    }
+
+    // ==================== HTML ====================
+
+    /**
+     * 🖨️ THE WHOLE INVOICE AS ONE HTML DOCUMENT
+     * options = { paperSize: 'A4' | 'A5', customer, documentType: 'invoice' | 'quotation' | 'credit_note', metaRows: [[label, value]] }
+     * (customer fills in address/GSTIN the bill didn't keep; metaRows are extra lines
+     * under the number and date, such as a quotation's validity)
+     */
+    render(bill, items, options = {}) {
+        const business = Utils.getBusinessProfile();
+        const paperSize = this.PAPER_SIZES.includes(options.paperSize) ? options.paperSize : (business.invoice_paper_size || 'A4');
+        const customer = options.customer || {};
+        const doc = this.DOCUMENT_TYPES[options.documentType] || this.DOCUMENT_TYPES.invoice;
+        const esc = value => this.ui.escapeHtml(value === undefined || value === null ? '' : String(value));
+        const money = value => Utils.formatCurrency(Number(value) || 0);
+
+        const placeOfSupply = bill.place_of_supply || business.state_code;
+        const interState = Number(bill.igst_amount) > 0 || placeOfSupply !== business.state_code;
+        const breakup = this.getTaxBreakup(items, interState);
+        const sum = field => breakup.reduce((total, row) => total + row[field], 0);
+        const adjustments = this.getAdjustmentRows(bill, items);
+        const roundOff = Number(bill.round_off) || 0;
+        const buyerGstin = bill.customer_gstin || customer.gstin || '';
+        const buyerAddress = bill.customer_address || customer.address || '';
+        const isCancelled = bill.status === 'cancelled';
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${esc(bill.bill_number || `Draft ${doc.name}`)}</title>
+    <style>${this.getStyles(paperSize)}</style>
+</head>
+<body>
+    <div class="invoice">
+        ${isCancelled ? '<div class="watermark">CANCELLED</div>' : ''}
+
+        <header class="letterhead">
+            ${business.logo ? `<img class="logo" src="${esc(business.logo)}" alt="">` : ''}
+            <div class="seller">
+                <h1>${esc(business.name || 'Your Business Name')}</h1>
+                ${business.address ? `<p>${esc(business.address).replace(/\n/g, '<br>')}</p>` : ''}
+                ${business.phone ? `<p>Phone: ${esc(business.phone)}</p>` : ''}
+                <p>
+                    ${business.gstin ? `GSTIN: <strong>${esc(business.gstin)}</strong> &nbsp;|&nbsp; ` : ''}
+                    State: ${esc(Utils.getStateName(business.state_code))} (${esc(business.state_code)})
+                </p>
+            </div>
+            <div class="title">
+                <h2>${doc.title}</h2>
+                ${doc.subtitle ? `<small>${doc.subtitle}</small>` : ''}
+            </div>
+        </header>
+
+        <section class="parties">
+            <div class="party">
+                <h3>Bill To</h3>
+                <p><strong>${esc(bill.customer_name)}</strong></p>
+                ${buyerAddress ? `<p>${esc(buyerAddress).replace(/\n/g, '<br>')}</p>` : ''}
+                ${bill.customer_phone ? `<p>Phone: ${esc(bill.customer_phone)}</p>` : ''}
+                <p>GSTIN: ${buyerGstin ? `<strong>${esc(buyerGstin)}</strong>` : 'Unregistered'}</p>
+            </div>
+            <div class="party meta">
+                <table>
+                    <tr><th>${doc.numberLabel}</th><td>${bill.bill_number ? esc(bill.bill_number) : '<em>Draft - number pending</em>'}</td></tr>
+                    <tr><th>Date</th><td>${esc(Utils.formatDate(bill.bill_date))}</td></tr>
+                    ${(options.metaRows || []).map(([label, value]) => `
+                        <tr><th>${esc(label)}</th><td>${esc(value)}</td></tr>
+                    `).join('')}
+                    <tr><th>Place of Supply</th><td>${esc(Utils.getStateName(placeOfSupply))} (${esc(placeOfSupply)})</td></tr>
+                    ${doc.reverseCharge ? '<tr><th>Reverse Charge</th><td>No</td></tr>' : ''}
+                </table>
+            </div>
+        </section>
+
+        <table class="lines">
+            <thead>
+                <tr>
+                    <th>#</th>
+                    <th class="wide">Description</th>
+                    <th>HSN/SAC</th>
+                    <th class="num">Qty</th>
+                    <th class="num">Rate</th>
+                    <th class="num">Disc</th>
+                    <th class="num">Amount</th>
+                    <th class="num">GST %</th>
+                    <th class="num">GST</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${this.getItemLines(items).map((item, index) => {
+                    // GST is on the taxable value, after any share of the bill discount
+                    const tax = (Number(item.cgst_amount) || 0) + (Number(item.sgst_amount) || 0) + (Number(item.igst_amount) || 0);
+                    return `
+                        <tr>
+                            <td>${index + 1}</td>
+                            <td class="wide">${esc(item.description)}</td>
+                            <td>${esc(item.hsn_code || '-')}</td>
+                            <td class="num">${esc(item.quantity)}${item.unit ? ` ${esc(item.unit)}` : ''}</td>
+                            <td class="num">${money(item.rate)}</td>
+                            <td class="num">${esc(this.formatLineDiscount(item))}</td>
+                            <td class="num">${money(item.amount)}</td>
+                            <td class="num">${Number(item.tax_rate) || 0}%</td>
+                            <td class="num">${money(tax)}</td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+
+        <section class="summary">
+            <div class="words">
+                <h3>Amount in Words</h3>
+                <p>${esc(this.amountInWords(bill.total_amount))}</p>
+                <p class="tamil">${esc(this.amountInWordsTamil(bill.total_amount))}</p>
+            </div>
+            <table class="totals">
+                ${adjustments.length > 0 ? `
+                    <tr><th>Sub Total</th><td>${money(bill.sub_total)}</td></tr>
+                    ${adjustments.map(([label, amount]) => `
+                        <tr><th>${esc(label)}</th><td>${money(amount)}</td></tr>
+                    `).join('')}
+                ` : ''}
+                <tr><th>Taxable Value</th><td>${money(sum('taxable'))}</td></tr>
+                ${interState ? `
+                    <tr><th>IGST</th><td>${money(bill.igst_amount || bill.gst_amount)}</td></tr>
+                ` : `
+                    <tr><th>CGST</th><td>${money(bill.cgst_amount)}</td></tr>
+                    <tr><th>SGST</th><td>${money(bill.sgst_amount)}</td></tr>
+                `}
+                ${roundOff !== 0 ? `<tr><th>Round Off</th><td>${money(roundOff)}</td></tr>` : ''}
+                <tr class="grand"><th>${doc.name} Total</th><td>${money(bill.total_amount)}</td></tr>
+            </table>
+        </section>
+
+        <table class="breakup">
+            <thead>
+                <tr>
+                    <th>HSN/SAC</th>
+                    <th class="num">Taxable Value</th>
+                    ${interState ? `
+                        <th class="num">IGST Rate</th>
+                        <th class="num">IGST</th>
+                    ` : `
+                        <th class="num">CGST Rate</th>
+                        <th class="num">CGST</th>
+                        <th class="num">SGST Rate</th>
+                        <th class="num">SGST</th>
+                    `}
+                    <th class="num">Total Tax</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${breakup.map(row => `
+                    <tr>
+                        <td>${esc(row.hsn_code || '-')}</td>
+                        <td class="num">${money(row.taxable)}</td>
+                        ${interState ? `
+                            <td class="num">${row.tax_rate}%</td>
+                            <td class="num">${money(row.igst)}</td>
+                        ` : `
+                            <td class="num">${row.tax_rate / 2}%</td>
+                            <td class="num">${money(row.cgst)}</td>
+                            <td class="num">${row.tax_rate / 2}%</td>
+                            <td class="num">${money(row.sgst)}</td>
+                        `}
+                        <td class="num">${money(row.cgst + row.sgst + row.igst)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+            <tfoot>
+                <tr>
+                    <th>Total</th>
+                    <th class="num">${money(sum('taxable'))}</th>
+                    ${interState ? `
+                        <th></th>
+                        <th class="num">${money(sum('igst'))}</th>
+                    ` : `
+                        <th></th>
+                        <th class="num">${money(sum('cgst'))}</th>
+                        <th></th>
+                        <th class="num">${money(sum('sgst'))}</th>
+                    `}
+                    <th class="num">${money(sum('cgst') + sum('sgst') + sum('igst'))}</th>
+                </tr>
+            </tfoot>
+        </table>
+
+        <footer class="closing">
+            <div class="bank">
+                ${business.bank_account_number ? `
+                    <h3>Bank Details</h3>
+                    ${business.bank_account_name ? `<p>A/c Name: ${esc(business.bank_account_name)}</p>` : ''}
+                    <p>A/c No: <strong>${esc(business.bank_account_number)}</strong></p>
+                    ${business.bank_name ? `<p>Bank: ${esc(business.bank_name)}${business.bank_branch ? `, ${esc(business.bank_branch)}` : ''}</p>` : ''}
+                    ${business.bank_ifsc ? `<p>IFSC: ${esc(business.bank_ifsc)}</p>` : ''}
+                ` : ''}
+                ${isCancelled ? `<p class="cancelled">Cancelled on ${esc(Utils.formatDate(bill.cancelled_at))}${bill.cancel_reason ? ` - ${esc(bill.cancel_reason)}` : ''}</p>` : ''}
+            </div>
+            <div class="signature">
+                <p>For <strong>${esc(business.name || 'Your Business Name')}</strong></p>
+                <div class="sign-space"></div>
+                <p>${business.signatory ? `${esc(business.signatory)}<br>` : ''}Authorised Signatory</p>
+            </div>
+        </footer>
+
+        <p class="computer-generated">${doc.footer}</p>
+    </div>
+</body>
+</html>`;
+    }
+
+    getStyles(paperSize) {
+        const compact = paperSize === 'A5';
+
+        return `
+            @page { size: ${paperSize}; margin: ${compact ? '8mm' : '12mm'}; }
+            * { box-sizing: border-box; }
+            body {
+                margin: 0;
+                font-family: 'Segoe UI', 'Noto Sans', 'Noto Sans Tamil', 'Nirmala UI', 'Latha', Arial, sans-serif;
+                font-size: ${compact ? '8.5pt' : '10pt'};
+                color: #111;
+            }
+            .invoice { position: relative; }
+            h1 { font-size: ${compact ? '13pt' : '17pt'}; margin: 0 0 2px; }
+            h2 { font-size: ${compact ? '11pt' : '14pt'}; margin: 0; letter-spacing: 1px; }
+            h3 { font-size: ${compact ? '8.5pt' : '9.5pt'}; margin: 0 0 4px; text-transform: uppercase; color: #444; }
+            p { margin: 1px 0; }
+            table { width: 100%; border-collapse: collapse; }
+            th, td { padding: ${compact ? '3px 4px' : '5px 6px'}; text-align: left; vertical-align: top; }
+            .num { text-align: right; white-space: nowrap; }
+
+            .letterhead { display: flex; align-items: center; gap: 12px; border-bottom: 2px solid #111; padding-bottom: 8px; }
+            .logo { max-height: ${compact ? '40px' : '64px'}; max-width: ${compact ? '80px' : '120px'}; object-fit: contain; }
+            .seller { flex: 1; }
+            .title { text-align: right; }
+            .title small { color: #555; }
+
+            .parties { display: flex; gap: 12px; margin: 8px 0; }
+            .party { flex: 1; border: 1px solid #999; padding: 6px; }
+            .meta th { width: 40%; color: #444; font-weight: 600; padding: 2px 4px; }
+            .meta td { padding: 2px 4px; }
+
+            .lines, .breakup { border: 1px solid #999; margin-top: 6px; }
+            .lines th, .breakup th { background: #eee; border-bottom: 1px solid #999; }
+            .lines td { border-bottom: 1px solid #ddd; }
+            .lines .wide { width: 30%; }
+            .breakup tfoot th { border-top: 1px solid #999; }
+
+            .summary { display: flex; gap: 12px; margin-top: 8px; }
+            .words { flex: 1; border: 1px solid #999; padding: 6px; }
+            .words .tamil { margin-top: 4px; }
+            .totals { width: 40%; border: 1px solid #999; }
+            .totals th { font-weight: 500; }
+            .totals td { text-align: right; }
+            .totals .grand th, .totals .grand td { font-weight: 700; border-top: 1px solid #111; }
+
+            .closing { display: flex; gap: 12px; margin-top: 10px; page-break-inside: avoid; }
+            .bank { flex: 1; }
+            .signature { width: 40%; text-align: right; }
+            .sign-space { height: ${compact ? '28px' : '48px'}; }
+            .cancelled { color: #b00020; font-weight: 600; margin-top: 6px; }
+            .computer-generated { text-align: center; color: #666; font-size: ${compact ? '7pt' : '8pt'}; margin-top: 10px; }
+
+            .watermark {
+                position: absolute; top: 35%; left: 0; right: 0; text-align: center;
+                font-size: 60pt; font-weight: 700; color: rgba(176, 0, 32, 0.12);
+                transform: rotate(-20deg); pointer-events: none;
+            }
+        `;
+    }
+
+    // ==================== THERMAL RECEIPT ====================
+
+    /**
+     * 🧾 COUNTER RECEIPT - the same bill on a 58mm or 80mm roll
+     * options = { width: '58mm' | '80mm' }
+     */
+    renderReceipt(bill, items, options = {}) {
+        const business = Utils.getBusinessProfile();
+        const width = this.RECEIPT_WIDTHS.includes(options.width) ? options.width : '80mm';
+        const esc = value => this.ui.escapeHtml(value === undefined || value === null ? '' : String(value));
+        const money = value => (Number(value) || 0).toFixed(2);
+
+        const taxRows = Number(bill.igst_amount) > 0
+            ? [['IGST', bill.igst_amount]]
+            : Number(bill.cgst_amount) > 0 || Number(bill.sgst_amount) > 0
+                ? [['CGST', bill.cgst_amount], ['SGST', bill.sgst_amount]]
+                : [['GST', bill.gst_amount]];
+        const adjustments = this.getAdjustmentRows(bill, items);
+        const roundOff = Number(bill.round_off) || 0;
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${esc(bill.bill_number || 'Receipt')}</title>
+    <style>${this.getReceiptStyles(width)}</style>
+</head>
+<body>
+    <div class="center">
+        <div class="shop">${esc(business.name || 'Your Business Name')}</div>
+        ${business.address ? `<div>${esc(business.address).replace(/\n/g, '<br>')}</div>` : ''}
+        ${business.phone ? `<div>Ph: ${esc(business.phone)}</div>` : ''}
+        ${business.gstin ? `<div>GSTIN: ${esc(business.gstin)}</div>` : ''}
+    </div>
+    <div class="rule"></div>
+    <div class="row"><span>${bill.bill_number ? esc(bill.bill_number) : 'DRAFT'}</span><span>${esc(Utils.formatDate(bill.bill_date))}</span></div>
+    <div>${esc(bill.customer_name)}${bill.customer_phone ? ` - ${esc(bill.customer_phone)}` : ''}</div>
+    ${bill.status === 'cancelled' ? '<div class="center strong">*** CANCELLED ***</div>' : ''}
+    <div class="rule"></div>
+    ${this.getItemLines(items).map(item => `
+        <div class="item">${esc(item.description)}</div>
+        <div class="row">
+            <span>${esc(item.quantity)}${item.unit ? ` ${esc(item.unit)}` : ''} x ${money(item.rate)}${Number(item.discount) > 0 ? ` less ${money(item.discount)}` : ''}</span>
+            <span>${money(item.amount)}</span>
+        </div>
+    `).join('')}
+    <div class="rule"></div>
+    <div class="row"><span>Sub Total</span><span>${money(bill.sub_total)}</span></div>
+    ${adjustments.map(([label, amount]) => `
+        <div class="row"><span>${esc(label)}</span><span>${money(amount)}</span></div>
+    `).join('')}
+    ${taxRows.map(([label, amount]) => `
+        <div class="row"><span>${label}</span><span>${money(amount)}</span></div>
+    `).join('')}
+    ${roundOff !== 0 ? `<div class="row"><span>Round Off</span><span>${money(roundOff)}</span></div>` : ''}
+    <div class="row strong total"><span>TOTAL</span><span>Rs. ${money(bill.total_amount)}</span></div>
+    <div class="rule"></div>
+    <div class="center">Thank you! Visit again.</div>
+</body>
+</html>`;
+    }
+
+    getReceiptStyles(width) {
+        const narrow = width === '58mm';
+
+        return `
+            @page { size: ${width} auto; margin: 0; }
+            * { box-sizing: border-box; }
+            body {
+                width: ${width};
+                margin: 0;
+                padding: ${narrow ? '2mm' : '3mm 4mm'};
+                font-family: 'Consolas', 'Courier New', monospace;
+                font-size: ${narrow ? '8pt' : '9.5pt'};
+                line-height: 1.35;
+                color: #000;
+            }
+            .center { text-align: center; }
+            .shop { font-size: ${narrow ? '10pt' : '12pt'}; font-weight: 700; }
+            .strong { font-weight: 700; }
+            .row { display: flex; justify-content: space-between; gap: 2mm; }
+            .row span:last-child { text-align: right; white-space: nowrap; }
+            .item { margin-top: 1mm; word-break: break-word; }
+            .total { font-size: ${narrow ? '9pt' : '11pt'}; margin-top: 1mm; }
+            .rule { border-top: 1px dashed #000; margin: 1.5mm 0; }
+        `;
+    }
+
+    // ==================== DELIVERY CHALLAN ====================
+
+    /**
+     * 🚚 DELIVERY CHALLAN FOR ONE TRIP - quantities only, no prices
+     * lines = [{ description, unit, quantity, ordered, delivered }] where delivered is the
+     * running total up to and including this trip
+     * options = { paperSize: 'A4' | 'A5', customer }
+     */
+    renderChallan(challan, lines, options = {}) {
+        const business = Utils.getBusinessProfile();
+        const paperSize = this.PAPER_SIZES.includes(options.paperSize) ? options.paperSize : (business.invoice_paper_size || 'A4');
+        const customer = options.customer || {};
+        const esc = value => this.ui.escapeHtml(value === undefined || value === null ? '' : String(value));
+        const qty = (value, unit) => `${esc(Number(value) || 0)}${unit ? ` ${esc(unit)}` : ''}`;
+        const address = challan.delivery_address || customer.address || '';
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${esc(challan.challan_number || 'Delivery Challan')}</title>
+    <style>${this.getStyles(paperSize)}</style>
+</head>
+<body>
+    <div class="invoice">
+        <header class="letterhead">
+            ${business.logo ? `<img class="logo" src="${esc(business.logo)}" alt="">` : ''}
+            <div class="seller">
+                <h1>${esc(business.name || 'Your Business Name')}</h1>
+                ${business.address ? `<p>${esc(business.address).replace(/\n/g, '<br>')}</p>` : ''}
+                ${business.phone ? `<p>Phone: ${esc(business.phone)}</p>` : ''}
+                ${business.gstin ? `<p>GSTIN: <strong>${esc(business.gstin)}</strong></p>` : ''}
+            </div>
+            <div class="title">
+                <h2>DELIVERY CHALLAN</h2>
+            </div>
+        </header>
+
+        <section class="parties">
+            <div class="party">
+                <h3>Deliver To</h3>
+                <p><strong>${esc(challan.customer_name)}</strong></p>
+                ${address ? `<p>${esc(address).replace(/\n/g, '<br>')}</p>` : ''}
+                ${challan.customer_phone ? `<p>Phone: ${esc(challan.customer_phone)}</p>` : ''}
+            </div>
+            <div class="party meta">
+                <table>
+                    <tr><th>Challan No</th><td>${esc(challan.challan_number)}</td></tr>
+                    <tr><th>Trip Date</th><td>${esc(Utils.formatDate(challan.trip_date))}</td></tr>
+                    <tr><th>Against Bill</th><td>${esc(challan.bill_number || '-')}</td></tr>
+                    <tr><th>Driver</th><td>${esc(challan.driver_name || '-')}</td></tr>
+                    <tr><th>Vehicle No</th><td>${esc(challan.vehicle_number || '-')}</td></tr>
+                </table>
+            </div>
+        </section>
+
+        <table class="lines">
+            <thead>
+                <tr>
+                    <th>#</th>
+                    <th class="wide">Description</th>
+                    <th class="num">This Trip</th>
+                    <th class="num">Ordered</th>
+                    <th class="num">Delivered to Date</th>
+                    <th class="num">Balance</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${lines.map((line, index) => `
+                    <tr>
+                        <td>${index + 1}</td>
+                        <td class="wide">${esc(line.description)}</td>
+                        <td class="num"><strong>${qty(line.quantity, line.unit)}</strong></td>
+                        <td class="num">${qty(line.ordered, line.unit)}</td>
+                        <td class="num">${qty(line.delivered, line.unit)}</td>
+                        <td class="num">${qty(Math.max(0, (Number(line.ordered) || 0) - (Number(line.delivered) || 0)), line.unit)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+
+        ${challan.notes ? `<p style="margin-top: 6px;"><strong>Notes:</strong> ${esc(challan.notes)}</p>` : ''}
+
+        <footer class="closing">
+            <div class="signature" style="text-align: left;">
+                <p>Received the above in good condition</p>
+                <div class="sign-space"></div>
+                <p>Receiver's Signature</p>
+            </div>
+            <div class="bank" style="text-align: center;">
+                <div class="sign-space"></div>
+                <p>Driver's Signature</p>
+            </div>
+            <div class="signature">
+                <p>For <strong>${esc(business.name || 'Your Business Name')}</strong></p>
+                <div class="sign-space"></div>
+                <p>Authorised Signatory</p>
+            </div>
+        </footer>
+
+        <p class="computer-generated">Goods sent for delivery against the bill above. This challan is not a tax invoice.</p>
+    </div>
+</body>
+</html>`;
+    }
+
+    // ==================== OUTPUT ====================
+
+    /**
+     * 🖨️ PRINT THROUGH A HIDDEN IFRAME - only the invoice reaches the printer
+     */
+    print(bill, items, options = {}) {
+        return this.printHtml(this.render(bill, items, options));
+    }
+
+    /**
+     * 🧾 PRINT A RECEIPT - straight to the saved printer when silent printing is on,
+     * otherwise through the normal print dialog
+     * options = { width, printer, silent }
+     * @returns {Promise<{ silent: boolean }>}
+     */
+    async printReceipt(bill, items, options = {}) {
+        const html = this.renderReceipt(bill, items, options);
+        const api = window.electronAPI;
+
+        if (options.silent && options.printer && api?.printSilent) {
+            const result = await api.printSilent(html, { deviceName: options.printer });
+            if (!result.success) {
+                throw new Error(result.error || `Could not print on ${options.printer}`);
+            }
+            return { silent: true };
+        }
+
+        await this.printHtml(html);
+        return { silent: false };
+    }
+
+    printHtml(html) {
+        return new Promise((resolve) => {
+            const frame = document.createElement('iframe');
+            frame.style.cssText = 'position: fixed; right: 0; bottom: 0; width: 0; height: 0; border: 0;';
+            frame.onload = () => {
+                frame.contentWindow.focus();
+                frame.contentWindow.print();
+                setTimeout(() => {
+                    frame.remove();
+                    resolve();
+                }, 500);
+            };
+            document.body.appendChild(frame);
+            frame.srcdoc = html;
+        });
+    }
+
+    /**
+     * 💾 SAVE AS PDF - the main process renders the page, the file goes where the user picks
+     * @returns {Promise<string|null>} the saved path, or null if the dialog was cancelled
+     */
+    async savePdf(bill, items, options = {}) {
+        const api = window.electronAPI;
+        if (!api?.renderPdf || !api?.showSaveDialog || !api?.writeFile) {
+            throw new Error('Saving invoices as PDF needs the desktop app');
+        }
+
+        const paperSize = this.PAPER_SIZES.includes(options.paperSize)
+            ? options.paperSize
+            : (Utils.getBusinessProfile().invoice_paper_size || 'A4');
+        const doc = this.DOCUMENT_TYPES[options.documentType] || this.DOCUMENT_TYPES.invoice;
+        const fileName = `${(bill.bill_number || `draft-${bill.id}`).replace(/[\\/:*?"<>|]+/g, '-')}.pdf`;
+
+        const { canceled, filePath } = await api.showSaveDialog({
+            title: `Save ${doc.name} as PDF`,
+            defaultPath: fileName,
+            filters: [{ name: 'PDF', extensions: ['pdf'] }]
+        });
+        if (canceled || !filePath) return null;
+
+        const rendered = await api.renderPdf(this.render(bill, items, { ...options, paperSize }), { pageSize: paperSize });
+        if (!rendered.success) {
+            throw new Error(rendered.error || `Could not render the ${doc.name.toLowerCase()}`);
+        }
+
+        const written = await api.writeFile(filePath, rendered.data);
+        if (!written.success) {
+            throw new Error(written.error || 'Could not write the PDF');
+        }
+
+        console.log(`🧾 ${doc.name} saved to ${filePath}`);
+        return filePath;
+    }
+}
+
+window.InvoiceRenderer = InvoiceRenderer;
@@ -15,6 +15,8 @@ class LanguageManager {
                 employees: 'Employees',
                 salary: 'Salary',
                 billing: 'Billing',
+                quotations: 'Quotations',
+                recurring: 'Recurring Bills',
                 customers: 'Customers',
                 pending: 'Pending',
                 payments: 'Payments',
@@ -60,6 +62,7 @@ class LanguageManager {
                 add_user: 'Add User',
                 add_employee: 'Add Employee',
                 add_bill: 'Add Bill',
+                record_payment: 'Record Payment',
                 add_customer: 'Add Customer',
                 add_salary: 'Add Salary',
                 edit_user: 'Edit User',
@@ -76,6 +79,9 @@ class LanguageManager {
                 due_date: 'Due Date',
                 payment_id: 'Payment ID',
                 method: 'Method',
+                reference: 'Reference',
+                balance_due: 'Balance Due',
+                customer_balance: 'Customer Balance',
                 employee_id: 'Employee ID',
                 join_date: 'Join Date',
                 work_hours: 'Work Hours',
@@ -91,6 +97,7 @@ class LanguageManager {
                 active: 'Active',
                 inactive: 'Inactive',
                 paid: 'Paid',
+                partially_paid: 'Partially Paid',
                 pending: 'Pending',
                 completed: 'Completed',
                 cancelled: 'Cancelled',
@@ -146,6 +153,8 @@ class LanguageManager {
                 employees: 'ஊழியர்கள்',
                 salary: 'சம்பளம்',
                 billing: 'பில்லிங்',
+                quotations: 'விலைப்புள்ளிகள்',
+                recurring: 'தொடர் பில்கள்',
                 customers: 'வாடிக்கையாளர்கள்',
                 pending: 'நிலுவை',
                 payments: 'கட்டணங்கள்',
@@ -191,6 +200,7 @@ class LanguageManager {
                 add_user: 'பயனர் சேர்க்க',
                 add_employee: 'ஊழியர் சேர்க்க',
                 add_bill: 'பில் சேர்க்க',
+                record_payment: 'கட்டணம் பதிவு',
                 add_customer: 'வாடிக்கையாளர் சேர்க்க',
                 add_salary: 'சம்பளம் சேர்க்க',
                 edit_user: 'பயனர் திருத்து',
@@ -207,6 +217,9 @@ class LanguageManager {
                 due_date: 'கெடு தேதி',
                 payment_id: 'கட்டண ஐடி',
                 method: 'முறை',
+                reference: 'குறிப்பு எண்',
+                balance_due: 'நிலுவைத் தொகை',
+                customer_balance: 'வாடிக்கையாளர் இருப்பு',
                 employee_id: 'ஊழியர் ஐடி',
                 join_date: 'சேர்ந்த தேதி',
                 work_hours: 'வேலை நேரம்',
@@ -222,6 +235,7 @@ class LanguageManager {
                 active: 'செயலில்',
                 inactive: 'செயலற்ற',
                 paid: 'செலுத்தப்பட்டது',
+                partially_paid: 'பகுதி செலுத்தப்பட்டது',
                 pending: 'நிலுவையில்',
                 completed: 'முடிந்தது',
                 cancelled: 'ரத்து செய்யப்பட்டது',
@@ -0,0 +1,487 @@
+/**
+ * 🗃️ LOCAL STORE - IndexedDB storage engine behind DatabaseManager's *Local methods
+ *
+ * One object store per table (keyed by id) with secondary indexes for the
+ * columns we filter on most. Falls back to the old one-JSON-array-per-table
+ * localStorage layout when IndexedDB is unavailable.
+ */
+class LocalStore {
+    constructor({ name, version, tables, indexes = {} }) {
+        this.name = name;
+        this.version = version;
+        this.tables = tables;
+        this.indexes = indexes;
+
+        this.db = null;
+        this.openPromise = null;
+        this.useLocalStorage = false;
+    }
+
+    /**
+     * 🔌 OPEN ONCE, SHARE THE PROMISE
+     */
+    ready() {
+        if (!this.openPromise) {
+            this.openPromise = this.open();
+        }
+        return this.openPromise;
+    }
+
+    open() {
+        return new Promise((resolve) => {
+            if (!window.indexedDB) {
+                console.warn('⚠️ IndexedDB not available - local store using localStorage');
+                this.useLocalStorage = true;
+                resolve(this);
+                return;
+            }
+
+            const request = window.indexedDB.open(this.name, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                const transaction = request.transaction;
+
+                // Idempotent so bumping the version only adds what's missing
+                this.tables.forEach(table => {
+                    const store = db.objectStoreNames.contains(table)
+                        ? transaction.objectStore(table)
+                        : db.createObjectStore(table, { keyPath: 'id' });
+
+                    (this.indexes[table] || []).forEach(field => {
+                        if (!store.indexNames.contains(field)) {
+                            store.createIndex(field, field, { unique: false });
+                        }
+                    });
+                });
+
+                console.log(`🗃️ Local store schema upgraded to v${this.version}`);
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Another window upgrading the schema - let it through
+                this.db.onversionchange = () => this.db.close();
+                console.log('✅ Local store (IndexedDB) ready');
+                resolve(this);
+            };
+
+            request.onerror = () => {
+                console.error('❌ Failed to open IndexedDB, using localStorage:', request.error);
+                this.useLocalStorage = true;
+                resolve(this);
+            };
+
+            request.onblocked = () => {
+                console.warn('⚠️ Local store upgrade blocked by another open window');
+            };
+        });
+    }
+
+    // ==================== READS ====================
+
+    async getAll(table) {
+        await this.ready();
+        if (this.useLocalStorage) return this.readFallback(table);
+
+        const store = this.db.transaction(table, 'readonly').objectStore(table);
+        return this.promisify(store.getAll());
+    }
+
+    async get(table, id) {
+        await this.ready();
+        if (this.useLocalStorage) {
+            return this.readFallback(table).find(item => item.id === id) || null;
+        }
+
+        const store = this.db.transaction(table, 'readonly').objectStore(table);
+        return (await this.promisify(store.get(id))) || null;
+    }
+
+    /**
+     * 🔎 EXACT-MATCH LOOKUP THROUGH A SECONDARY INDEX
+     */
+    async getAllByIndex(table, field, value) {
+        await this.ready();
+        if (this.useLocalStorage || !this.hasIndex(table, field)) {
+            return (await this.getAll(table)).filter(item => item[field] === value);
+        }
+
+        const index = this.db.transaction(table, 'readonly').objectStore(table).index(field);
+        return this.promisify(index.getAll(IDBKeyRange.only(value)));
+    }
+
+    /**
+     * 📏 RANGE LOOKUP THROUGH A SECONDARY INDEX
+     * @param {Object} bounds - any of { gte, gt, lte, lt }
+     */
+    async getAllInRange(table, field, bounds = {}) {
+        await this.ready();
+
+        const lower = bounds.gte !== undefined ? bounds.gte : bounds.gt;
+        const upper = bounds.lte !== undefined ? bounds.lte : bounds.lt;
+        const lowerOpen = bounds.gte === undefined && bounds.gt !== undefined;
+        const upperOpen = bounds.lte === undefined && bounds.lt !== undefined;
+
+        let range = null;
+        if (lower !== undefined && upper !== undefined) {
+            if (lower > upper) return [];
+            range = IDBKeyRange.bound(lower, upper, lowerOpen, upperOpen);
+        } else if (lower !== undefined) {
+            range = IDBKeyRange.lowerBound(lower, lowerOpen);
+        } else if (upper !== undefined) {
+            range = IDBKeyRange.upperBound(upper, upperOpen);
+        }
+
+        // The caller re-applies its filters, so the unindexed path can just return everything
+        if (!range || this.useLocalStorage || !this.hasIndex(table, field)) {
+            return this.getAll(table);
+        }
+
+        const index = this.db.transaction(table, 'readonly').objectStore(table).index(field);
+        return this.promisify(index.getAll(range));
+    }
+
+    hasIndex(table, field) {
+        return (this.indexes[table] || []).includes(field);
+    }
+
+    // ==================== WRITES ====================
+
+    async put(table, item) {
+        return this.putMany(table, [item]);
+    }
+
+    async putMany(table, items) {
+        await this.ready();
+
+        if (this.useLocalStorage) {
+            const byId = new Map(this.readFallback(table).map(item => [item.id, item]));
+            items.forEach(item => byId.set(item.id, item));
+            this.writeFallback(table, Array.from(byId.values()));
+            return items;
+        }
+
+        const transaction = this.db.transaction(table, 'readwrite');
+        const store = transaction.objectStore(table);
+        items.forEach(item => store.put(item));
+        await this.completeTransaction(transaction);
+        return items;
+    }
+
+    async delete(table, id) {
+        await this.ready();
+
+        if (this.useLocalStorage) {
+            this.writeFallback(table, this.readFallback(table).filter(item => item.id !== id));
+            return true;
+        }
+
+        const transaction = this.db.transaction(table, 'readwrite');
+        transaction.objectStore(table).delete(id);
+        await this.completeTransaction(transaction);
+        return true;
+    }
+
+    /**
+     * ♻️ REPLACE A WHOLE TABLE IN ONE TRANSACTION
+     */
+    async replaceAll(table, items) {
+        await this.ready();
+
+        if (this.useLocalStorage) {
+            this.writeFallback(table, items);
+            return items;
+        }
+
+        const transaction = this.db.transaction(table, 'readwrite');
+        const store = transaction.objectStore(table);
+        store.clear();
+        items.forEach(item => store.put(item));
+        await this.completeTransaction(transaction);
+        return items;
+    }
+
+    /**
+     * 🔀 STORE A SYNC'S RESULT WITHOUT LOSING WRITES MADE WHILE IT RAN
+     * baseline maps each id to the updated_at it had when the sync read the table.
+     * A row whose updated_at has moved since (or that appeared meanwhile) was
+     * written locally during the sync and is kept, as is a row deleted meanwhile;
+     * the rest are put or removed.
+     */
+    async mergeSynced(table, items, removedIds, baseline) {
+        await this.ready();
+
+        const unchanged = (current, id) => current
+            ? baseline.has(id) && (current.updated_at || null) === baseline.get(id)
+            : !baseline.has(id);
+
+        if (this.useLocalStorage) {
+            const byId = new Map(this.readFallback(table).map(item => [item.id, item]));
+            items.forEach(item => {
+                if (unchanged(byId.get(item.id), item.id)) byId.set(item.id, item);
+            });
+            removedIds.forEach(id => {
+                if (unchanged(byId.get(id), id)) byId.delete(id);
+            });
+            this.writeFallback(table, Array.from(byId.values()));
+            return;
+        }
+
+        const transaction = this.db.transaction(table, 'readwrite');
+        const store = transaction.objectStore(table);
+        const done = this.completeTransaction(transaction);
+
+        items.forEach(item => {
+            const request = store.get(item.id);
+            request.onsuccess = () => {
+                if (unchanged(request.result, item.id)) store.put(item);
+            };
+        });
+        removedIds.forEach(id => {
+            const request = store.get(id);
+            request.onsuccess = () => {
+                if (unchanged(request.result, id)) store.delete(id);
+            };
+        });
+
+        await done;
+    }
+
+    /**
+     * 🔐 APPLY SEVERAL WRITES ATOMICALLY
+     * @param {Array} operations - [{ type: 'create' | 'update' | 'increment' | 'delete', table, id, data, set }]
+     * Updates merge data into the stored row and fail if it doesn't exist; increments add
+     * data's numbers to the stored ones, then merge set (or set(row)); creates fail on a
+     * duplicate id. Any failure rolls back every operation.
+     */
+    async commit(operations) {
+        await this.ready();
+
+        if (this.useLocalStorage) {
+            return this.commitFallback(operations);
+        }
+
+        const tables = Array.from(new Set(operations.map(operation => operation.table)));
+        const transaction = this.db.transaction(tables, 'readwrite');
+        const done = this.completeTransaction(transaction);
+        const results = [];
+        let failure = null;
+
+        const fail = (error) => {
+            failure = failure || error;
+            try {
+                transaction.abort();
+            } catch (abortError) {
+                // Already aborting
+            }
+        };
+
+        // Each op is issued from the previous one's callback so ops on the same row apply in order
+        const runNext = (index) => {
+            if (index >= operations.length) return;
+
+            const { type, table, id, data } = operations[index];
+            const store = transaction.objectStore(table);
+            let request;
+
+            if (type === 'create') {
+                request = store.add(data);
+                request.onsuccess = () => {
+                    results[index] = data;
+                    runNext(index + 1);
+                };
+            } else if (type === 'update' || type === 'increment') {
+                request = store.get(id);
+                request.onsuccess = () => {
+                    if (!request.result) {
+                        fail(new Error(`Item not found in ${table} with id: ${id}`));
+                        return;
+                    }
+                    let updated;
+                    try {
+                        updated = type === 'increment'
+                            ? this.applyIncrement(request.result, operations[index])
+                            : { ...request.result, ...data };
+                    } catch (error) {
+                        fail(error);
+                        return;
+                    }
+                    const putRequest = store.put(updated);
+                    putRequest.onsuccess = () => {
+                        results[index] = updated;
+                        runNext(index + 1);
+                    };
+                    putRequest.onerror = (event) => {
+                        event.preventDefault();
+                        fail(putRequest.error);
+                    };
+                };
+            } else if (type === 'delete') {
+                request = store.delete(id);
+                request.onsuccess = () => {
+                    results[index] = true;
+                    runNext(index + 1);
+                };
+            } else {
+                fail(new Error(`Unknown local store operation: ${type}`));
+                return;
+            }
+
+            request.onerror = (event) => {
+                // Abort ourselves, once, instead of letting the error bubble
+                event.preventDefault();
+                fail(request.error);
+            };
+        };
+
+        runNext(0);
+
+        try {
+            await done;
+        } catch (error) {
+            throw failure || error;
+        }
+        return results;
+    }
+
+    /**
+     * localStorage has no transactions - snapshot the touched tables and restore them on failure
+     */
+    commitFallback(operations) {
+        const tables = Array.from(new Set(operations.map(operation => operation.table)));
+        const snapshot = {};
+        tables.forEach(table => {
+            snapshot[table] = localStorage.getItem(table);
+        });
+
+        try {
+            return operations.map(({ type, table, id, data, set }) => {
+                const items = this.readFallback(table);
+                const index = items.findIndex(item => item.id === id);
+
+                if (type === 'create') {
+                    if (index !== -1) throw new Error(`Duplicate id in ${table}: ${id}`);
+                    items.push(data);
+                    this.writeFallback(table, items);
+                    return data;
+                }
+                if (type === 'update') {
+                    if (index === -1) throw new Error(`Item not found in ${table} with id: ${id}`);
+                    items[index] = { ...items[index], ...data };
+                    this.writeFallback(table, items);
+                    return items[index];
+                }
+                if (type === 'increment') {
+                    if (index === -1) throw new Error(`Item not found in ${table} with id: ${id}`);
+                    items[index] = this.applyIncrement(items[index], { data, set });
+                    this.writeFallback(table, items);
+                    return items[index];
+                }
+                if (type === 'delete') {
+                    this.writeFallback(table, items.filter(item => item.id !== id));
+                    return true;
+                }
+                throw new Error(`Unknown local store operation: ${type}`);
+            });
+        } catch (error) {
+            tables.forEach(table => {
+                if (snapshot[table] === null) {
+                    localStorage.removeItem(table);
+                } else {
+                    localStorage.setItem(table, snapshot[table]);
+                }
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Add an increment op's numbers to a stored row, then merge its set
+     * Rounded to 6 places so repeated money deltas don't pile up float noise
+     */
+    applyIncrement(row, { data = {}, set }) {
+        const updated = { ...row };
+        Object.entries(data).forEach(([field, delta]) => {
+            const sum = (Number(updated[field]) || 0) + (Number(delta) || 0);
+            updated[field] = Math.round(sum * 1e6) / 1e6;
+        });
+        const changes = typeof set === 'function' ? set(updated) : set;
+        return { ...updated, ...(changes || {}) };
+    }
+
+    // ==================== MIGRATION ====================
+
+    /**
+     * 🚚 ONE-TIME MIGRATION FROM THE OLD localStorage TABLE KEYS
+     * Each key is removed once its rows are safely in IndexedDB, so this only
+     * ever moves data once and resumes cleanly if interrupted.
+     */
+    async migrateFromLocalStorage() {
+        await this.ready();
+        if (this.useLocalStorage) return 0;
+
+        let migrated = 0;
+
+        for (const table of this.tables) {
+            const raw = localStorage.getItem(table);
+            if (raw === null) continue;
+
+            try {
+                const items = JSON.parse(raw || '[]').filter(item => item && item.id);
+                if (items.length > 0) {
+                    await this.putMany(table, items);
+                    migrated += items.length;
+                }
+                localStorage.removeItem(table);
+            } catch (error) {
+                console.error(`❌ Failed to migrate ${table} from localStorage:`, error);
+            }
+        }
+
+        if (migrated > 0) {
+            console.log(`🚚 Migrated ${migrated} local records from localStorage to IndexedDB`);
+        }
+        return migrated;
+    }
+
+    // ==================== HELPERS ====================
+
+    promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    completeTransaction(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Local store transaction aborted'));
+        });
+    }
+
+    readFallback(table) {
+        try {
+            return JSON.parse(localStorage.getItem(table) || '[]');
+        } catch (error) {
+            console.error(`❌ Corrupt local data for ${table}:`, error);
+            return [];
+        }
+    }
+
+    writeFallback(table, items) {
+        localStorage.setItem(table, JSON.stringify(items));
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+            this.openPromise = null;
+        }
+    }
+}
+
+window.LocalStore = LocalStore;
@@ -0,0 +1,200 @@
+/**
+ * 🧱 MIGRATION RUNNER - versioned schema changes for Supabase and the local store
+ *
+ * Supabase migrations live in sql/migrations/NNN_name.sql and record themselves
+ * in schema_migrations; the anon key cannot run DDL, so the app only reports
+ * which ones are pending. Local migrations are JS backfills with the same
+ * version numbers that bring rows already in the local store up to the new
+ * shape, and are applied automatically on startup.
+ */
+class MigrationRunner {
+    constructor({ db }) {
+        this.db = db;
+        this.LOCAL_MIGRATIONS_KEY = 'db_local_migrations';
+        this.lastStatus = null;
+
+        // Keep in version order; each up() must be safe to run twice
+        this.localMigrations = [
+            {
+                version: '004',
+                name: 'app_written_columns',
+                up: (store) => this.backfillAppWrittenColumns(store)
+            }
+        ];
+    }
+
+    // ==================== LOCAL STORE ====================
+
+    getAppliedLocal() {
+        try {
+            return JSON.parse(localStorage.getItem(this.LOCAL_MIGRATIONS_KEY) || '[]');
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * ▶️ APPLY PENDING LOCAL MIGRATIONS IN ORDER
+     */
+    async applyLocalMigrations() {
+        const applied = this.getAppliedLocal();
+        const appliedVersions = new Set(applied.map(item => item.version));
+        const pending = this.localMigrations.filter(migration => !appliedVersions.has(migration.version));
+
+        for (const migration of pending) {
+            try {
+                const changed = await migration.up(this.db.localStore);
+                applied.push({
+                    version: migration.version,
+                    name: migration.name,
+                    applied_at: new Date().toISOString()
+                });
+                localStorage.setItem(this.LOCAL_MIGRATIONS_KEY, JSON.stringify(applied));
+                console.log(`🧱 Applied local migration ${migration.version}_${migration.name} (${changed || 0} rows updated)`);
+            } catch (error) {
+                // Later migrations may depend on this one - stop and retry next start
+                console.error(`❌ Local migration ${migration.version}_${migration.name} failed:`, error);
+                break;
+            }
+        }
+
+        return applied;
+    }
+
+    /**
+     * 004 - fill the bill/payment columns older app versions never stored locally
+     */
+    async backfillAppWrittenColumns(store) {
+        const customers = new Map((await store.getAll('customers')).map(customer => [customer.id, customer]));
+        const bills = await store.getAll('bills');
+        const billsById = new Map(bills.map(bill => [bill.id, bill]));
+        let changed = 0;
+
+        const updatedBills = bills.filter(bill => {
+            const customer = customers.get(bill.customer_id) || {};
+            const before = JSON.stringify(bill);
+
+            if (!Array.isArray(bill.items)) bill.items = [];
+            if (bill.customer_name === undefined && customer.name) bill.customer_name = customer.name;
+            if (bill.customer_phone === undefined && customer.phone) bill.customer_phone = customer.phone;
+            if (bill.customer_email === undefined && customer.email) bill.customer_email = customer.email;
+            if (bill.customer_address === undefined && customer.address) bill.customer_address = customer.address;
+            if (bill.sub_total === undefined) {
+                bill.sub_total = (parseFloat(bill.total_amount) || 0) - (parseFloat(bill.gst_amount) || 0);
+            }
+
+            return JSON.stringify(bill) !== before;
+        });
+
+        if (updatedBills.length > 0) {
+            await store.putMany('bills', updatedBills);
+            changed += updatedBills.length;
+        }
+
+        const updatedPayments = (await store.getAll('payments')).filter(payment => {
+            const bill = billsById.get(payment.bill_id);
+            const customer = customers.get(payment.customer_id);
+            let touched = false;
+
+            if (payment.bill_number === undefined && bill?.bill_number) {
+                payment.bill_number = bill.bill_number;
+                touched = true;
+            }
+            if (payment.customer_name === undefined && (customer?.name || bill?.customer_name)) {
+                payment.customer_name = customer?.name || bill.customer_name;
+                touched = true;
+            }
+            return touched;
+        });
+
+        if (updatedPayments.length > 0) {
+            await store.putMany('payments', updatedPayments);
+            changed += updatedPayments.length;
+        }
+
+        const updatedAdvances = (await store.getAll('advance_payments')).filter(advance => {
+            const customer = customers.get(advance.customer_id);
+            if (advance.customer_phone === undefined && customer?.phone) {
+                advance.customer_phone = customer.phone;
+                return true;
+            }
+            return false;
+        });
+
+        if (updatedAdvances.length > 0) {
+            await store.putMany('advance_payments', updatedAdvances);
+            changed += updatedAdvances.length;
+        }
+
+        return changed;
+    }
+
+    // ==================== SUPABASE ====================
+
+    /**
+     * 📋 MIGRATIONS SHIPPED WITH THIS BUILD (read from sql/migrations by the main process)
+     */
+    async getExpectedMigrations() {
+        if (!window.electronAPI?.listSchemaMigrations) return null;
+
+        const result = await window.electronAPI.listSchemaMigrations();
+        if (!result?.success) {
+            throw new Error(result?.error || 'Could not read migration files');
+        }
+        return result.data;
+    }
+
+    /**
+     * 🔍 COMPARE SHIPPED MIGRATIONS WITH schema_migrations
+     */
+    async checkRemote() {
+        const expected = await this.getExpectedMigrations();
+        if (!expected) {
+            console.log('ℹ️ Migration files not available outside the desktop app - skipping check');
+            return null;
+        }
+
+        let applied = [];
+        let trackingMissing = false;
+
+        const { data, error } = await this.db.supabase
+            .from('schema_migrations')
+            .select('version, name, applied_at')
+            .order('version', { ascending: true });
+
+        if (error) {
+            if (!this.db.isTableMissingError(error) && !['42P01', 'PGRST205'].includes(error.code)) {
+                throw new Error(error.message);
+            }
+            // 001 hasn't been run yet, so everything is pending
+            trackingMissing = true;
+        } else {
+            applied = data || [];
+        }
+
+        const appliedVersions = new Set(applied.map(item => item.version));
+        const pending = expected.filter(migration => !appliedVersions.has(migration.version));
+
+        this.lastStatus = {
+            checked_at: new Date().toISOString(),
+            expected,
+            applied,
+            pending,
+            trackingMissing
+        };
+
+        if (pending.length > 0) {
+            console.warn(`⚠️ ${pending.length} pending database migration(s):`, pending.map(item => item.file));
+        } else {
+            console.log('✅ Database schema is up to date');
+        }
+
+        return this.lastStatus;
+    }
+
+    getStatus() {
+        return this.lastStatus;
+    }
+}
+
+window.MigrationRunner = MigrationRunner;
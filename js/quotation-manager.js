@@ -0,0 +1,1061 @@
+class QuotationManager {
+    constructor(dependencies) {
+        // ✅ VALIDATION
+        if (!dependencies) throw new Error('QuotationManager: dependencies required');
+        if (!dependencies.db) throw new Error('QuotationManager: db required');
+        if (!dependencies.ui) throw new Error('QuotationManager: ui required');
+        if (!dependencies.auth) throw new Error('QuotationManager: auth required');
+
+        // ✅ ASSIGN DEPENDENCIES
+        this.db = dependencies.db;
+        this.ui = dependencies.ui;
+        this.auth = dependencies.auth;
+        this.invoiceRenderer = new InvoiceRenderer({ ui: this.ui });
+
+        // ✅ QUOTATION DATA
+        this.quotations = [];
+        this.quoteItems = [];
+        this.quoteCharges = [];
+        this.editingQuotationId = null;
+
+        // 📅 VALIDITY - days a new quotation's prices hold for
+        this.QUOTATION_VALIDITY_DAYS = 15;
+
+        // 🏷️ STATUSES - draft and sent quotations expire once their validity date passes
+        this.STATUSES = { draft: 'Draft', sent: 'Sent', accepted: 'Accepted', expired: 'Expired' };
+
+        // 📡 REALTIME - unsubscribe functions from db.onChange and the pending re-render
+        this.realtimeUnsubscribers = [];
+        this.realtimeRenderTimer = null;
+
+        console.log('✅ QuotationManager initialized');
+    }
+
+    // ==================== PERMISSION METHODS ====================
+
+    getCurrentUser() {
+        return this.auth.getCurrentUser();
+    }
+
+    canPerformAction(action) {
+        const user = this.getCurrentUser();
+        if (!user) return false;
+
+        const permissions = {
+            'admin': ['create', 'edit', 'delete', 'view', 'export'],
+            'supervisor': ['create', 'edit', 'view', 'export'],
+            'user': ['view']
+        };
+
+        const userPermissions = permissions[user.role] || permissions['user'];
+        return userPermissions.includes(action);
+    }
+
+    // Products, charge presets and line rules are the bill form's
+    getBilling() {
+        return window.app?.getManagers()?.billing;
+    }
+
+    // ==================== INITIALIZATION ====================
+
+    async initialize() {
+        this.setupEventListeners();
+        this.setupRealtimeListeners();
+        return Promise.resolve();
+    }
+
+    setupEventListeners() {
+        document.getElementById('addQuotationBtn')?.addEventListener('click', () => this.showQuotationModal());
+        document.getElementById('quotationStatusFilter')?.addEventListener('change', () => this.renderQuotationsTable(this.quotations));
+    }
+
+    // ==================== REALTIME UPDATES ====================
+
+    /**
+     * 📡 PATCH QUOTATIONS CHANGED ON ANOTHER DESKTOP
+     */
+    setupRealtimeListeners() {
+        if (this.realtimeUnsubscribers.length > 0 || typeof this.db.onChange !== 'function') return;
+
+        this.realtimeUnsubscribers = [
+            this.db.onChange('quotations', (change) => {
+                this.quotations = this.db.applyChangeToList(this.quotations, change);
+                clearTimeout(this.realtimeRenderTimer);
+                this.realtimeRenderTimer = setTimeout(() => {
+                    if (this.ui.isSectionVisible('quotationsContent')) {
+                        this.renderQuotationsTable(this.quotations);
+                    }
+                }, 300);
+            })
+        ];
+    }
+
+    // ==================== DATA LOADING ====================
+
+    async loadQuotations() {
+        try {
+            if (!this.canPerformAction('view')) {
+                this.ui.showToast('Access denied', 'error');
+                return;
+            }
+
+            this.ui.showSectionLoading('quotationsContent', 'Loading quotations...');
+            this.quotations = await this.db.getQuotations() || [];
+            await this.expireOverdueQuotations();
+            this.renderQuotationsTable(this.quotations);
+
+        } catch (error) {
+            console.error('Error loading quotations:', error);
+            this.ui.showToast('Error loading quotations', 'error');
+            this.quotations = [];
+        } finally {
+            this.ui.hideSectionLoading('quotationsContent');
+        }
+    }
+
+    /**
+     * ⌛ MARK DRAFT AND SENT QUOTATIONS PAST THEIR VALIDITY DATE AS EXPIRED
+     */
+    async expireOverdueQuotations() {
+        const today = this.getToday();
+        const overdue = this.quotations.filter(q =>
+            ['draft', 'sent'].includes(q.status) && q.valid_until && q.valid_until < today);
+
+        for (const quotation of overdue) {
+            try {
+                await this.db.update('quotations', quotation.id, { status: 'expired', updated_at: new Date().toISOString() });
+                quotation.status = 'expired';
+            } catch (error) {
+                console.error(`Error expiring quotation ${quotation.quotation_number}:`, error);
+            }
+        }
+
+        if (overdue.length > 0) {
+            console.log(`⌛ ${overdue.length} quotation(s) expired`);
+        }
+    }
+
+    getToday() {
+        return new Date().toISOString().split('T')[0];
+    }
+
+    addDays(date, days) {
+        const result = new Date(`${date}T00:00:00Z`);
+        result.setUTCDate(result.getUTCDate() + days);
+        return result.toISOString().split('T')[0];
+    }
+
+    // ==================== RENDER METHODS ====================
+
+    renderQuotationsTable(quotations) {
+        const tbody = document.getElementById('quotationsTableBody');
+        if (!tbody) return;
+
+        const statusFilter = document.getElementById('quotationStatusFilter')?.value || 'all';
+        const filtered = statusFilter === 'all' ? quotations : quotations.filter(q => q.status === statusFilter);
+
+        if (filtered.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="7" class="no-data">
+                        <i class="fas fa-file-signature"></i>
+                        <br>No quotations found
+                        ${statusFilter !== 'all' ? ' for selected filter' : ''}
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = filtered.map(q => `
+            <tr>
+                <td><strong>${this.ui.escapeHtml(q.quotation_number || '')}</strong></td>
+                <td>${this.ui.escapeHtml(q.customer_name || 'N/A')}</td>
+                <td>${Utils.formatCurrency(q.total_amount)}</td>
+                <td>${Utils.formatDate(q.quotation_date)}</td>
+                <td>${Utils.formatDate(q.valid_until)}</td>
+                <td>
+                    <span class="status-badge status-${q.status}">${this.STATUSES[q.status] || q.status}</span>
+                </td>
+                <td>
+                    <div class="action-buttons">
+                        <button class="btn-icon" onclick="app.getManagers().quotation.viewQuotation('${q.id}')" title="View Quotation">
+                            <i class="fas fa-eye"></i>
+                        </button>
+                        <button class="btn-icon" onclick="app.getManagers().quotation.printQuotation('${q.id}')" title="Print Quotation">
+                            <i class="fas fa-print"></i>
+                        </button>
+                        ${this.canPerformAction('edit') && q.status !== 'accepted' ? `
+                            <button class="btn-icon" onclick="app.getManagers().quotation.showQuotationModal('${q.id}')" title="Edit Quotation">
+                                <i class="fas fa-edit"></i>
+                            </button>
+                        ` : ''}
+                        ${this.canPerformAction('edit') && q.status === 'draft' ? `
+                            <button class="btn-icon" onclick="app.getManagers().quotation.markSent('${q.id}')" title="Mark as Sent">
+                                <i class="fas fa-paper-plane"></i>
+                            </button>
+                        ` : ''}
+                        ${this.canPerformAction('create') && !q.converted_bill_id ? `
+                            <button class="btn-icon" onclick="app.getManagers().quotation.convertToBill('${q.id}')" title="Convert to Bill">
+                                <i class="fas fa-file-invoice-dollar"></i>
+                            </button>
+                        ` : ''}
+                        ${this.canPerformAction('delete') && !q.converted_bill_id ? `
+                            <button class="btn-icon btn-danger" onclick="app.getManagers().quotation.deleteQuotation('${q.id}')" title="Delete Quotation">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        ` : ''}
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    // ==================== QUOTATION FORM ====================
+
+    /**
+     * ➕ NEW OR EDIT QUOTATION - same lines, charges and discount as a bill
+     */
+    async showQuotationModal(quotationId = null) {
+        const action = quotationId ? 'edit' : 'create';
+        if (!this.canPerformAction(action)) {
+            this.ui.showToast(`Insufficient permissions to ${action} quotations`, 'error');
+            return;
+        }
+
+        const billing = this.getBilling();
+        if (!billing) {
+            this.ui.showToast('Billing is not ready yet', 'error');
+            return;
+        }
+
+        const quotation = quotationId ? this.quotations.find(q => q.id === quotationId) : null;
+        if (quotationId && !quotation) {
+            this.ui.showToast('Quotation not found', 'error');
+            return;
+        }
+
+        if (quotation?.status === 'accepted') {
+            this.ui.showToast('An accepted quotation has already become a bill', 'info');
+            return;
+        }
+
+        try {
+            const formLines = billing.toFormLines(quotation ? await this.db.getQuotationItems(quotation.id) : []);
+            this.quoteItems = formLines.items;
+            this.quoteCharges = formLines.charges;
+        } catch (error) {
+            console.error('Error loading quotation lines:', error);
+            this.ui.showToast('Error loading quotation', 'error');
+            return;
+        }
+
+        this.editingQuotationId = quotation?.id || null;
+        if (this.quoteItems.length === 0) this.addQuoteItem(false);
+
+        const esc = value => this.ui.escapeHtml(value === undefined || value === null ? '' : String(value));
+        const today = this.getToday();
+        const quotationDate = quotation?.quotation_date || today;
+        const validUntil = quotation?.valid_until || this.addDays(today, this.QUOTATION_VALIDITY_DAYS);
+        const discountType = quotation?.discount_type || 'percent';
+        const customers = billing.customers || [];
+
+        const modalHtml = `
+            <div id="quotationModal" class="modal">
+                <div class="modal-content" style="max-width: 1100px;">
+                    <div class="modal-header">
+                        <h3><i class="fas fa-file-signature"></i> ${quotation ? `Edit Quotation ${esc(quotation.quotation_number)}` : 'New Quotation'}</h3>
+                        <button class="modal-close">&times;</button>
+                    </div>
+
+                    <form id="quotationForm">
+                        ${customers.length > 0 ? `
+                            <div class="form-group">
+                                <label for="quoteCustomerSelect">Existing Customer</label>
+                                <select id="quoteCustomerSelect">
+                                    <option value="">Select customer or type below</option>
+                                    ${customers.map(customer => `
+                                        <option value="${esc(customer.id)}">${esc(customer.name)} (${esc(customer.phone || 'no phone')})</option>
+                                    `).join('')}
+                                </select>
+                            </div>
+                        ` : ''}
+
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="quoteCustomerName">Customer Name *</label>
+                                <input type="text" id="quoteCustomerName" value="${esc(quotation?.customer_name)}" required>
+                            </div>
+                            <div class="form-group">
+                                <label for="quoteCustomerPhone">Phone *</label>
+                                <input type="tel" id="quoteCustomerPhone" value="${esc(quotation?.customer_phone)}" required>
+                            </div>
+                            <div class="form-group">
+                                <label for="quoteCustomerEmail">Email</label>
+                                <input type="email" id="quoteCustomerEmail" value="${esc(quotation?.customer_email)}">
+                            </div>
+                        </div>
+
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="quoteDate">Date *</label>
+                                <input type="date" id="quoteDate" value="${esc(quotationDate)}" required>
+                            </div>
+                            <div class="form-group">
+                                <label for="quoteValidUntil">Valid Until *</label>
+                                <input type="date" id="quoteValidUntil" value="${esc(validUntil)}" required>
+                            </div>
+                            <div class="form-group">
+                                <label for="quotePlaceOfSupply">Place of Supply *</label>
+                                <select id="quotePlaceOfSupply" required>
+                                    ${Utils.getStateOptionsHtml(quotation?.place_of_supply || Utils.getBusinessProfile().state_code)}
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label for="quoteCustomerGstin">Customer GSTIN</label>
+                                <input type="text" id="quoteCustomerGstin" value="${esc(quotation?.customer_gstin)}" maxlength="15" placeholder="Leave blank if unregistered">
+                            </div>
+                        </div>
+
+                        <h4>Items</h4>
+                        <div id="quoteItems"></div>
+                        <button type="button" class="btn-secondary" id="addQuoteItemBtn">
+                            <i class="fas fa-plus"></i> Add Item
+                        </button>
+
+                        <h4>Additional Charges</h4>
+                        <div id="quoteCharges"></div>
+                        <button type="button" class="btn-secondary" id="addQuoteChargeBtn">
+                            <i class="fas fa-truck"></i> Add Charge
+                        </button>
+
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label>Discount</label>
+                                <div class="discount-input-group">
+                                    <input type="number" id="quoteDiscountValue" value="${Number(quotation?.discount_value) || 0}" step="0.01" min="0">
+                                    <select id="quoteDiscountType">
+                                        <option value="percent" ${discountType === 'percent' ? 'selected' : ''}>%</option>
+                                        <option value="amount" ${discountType === 'amount' ? 'selected' : ''}>₹</option>
+                                    </select>
+                                </div>
+                            </div>
+                            <div class="form-group">
+                                <label for="quoteNotes">Notes</label>
+                                <textarea id="quoteNotes" rows="2" placeholder="Delivery terms, payment terms...">${esc(quotation?.notes)}</textarea>
+                            </div>
+                        </div>
+
+                        <div id="quoteTotals" class="bill-summary"></div>
+
+                        <div class="modal-actions">
+                            <button type="button" class="btn-secondary" id="cancelQuotationBtn">
+                                Cancel
+                            </button>
+                            <button type="submit" class="btn-primary">
+                                <i class="fas fa-save"></i> Save Quotation
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        this.showCustomModal(modalHtml, 'quotationModal');
+
+        setTimeout(() => {
+            const modal = document.getElementById('quotationModal');
+            const form = document.getElementById('quotationForm');
+            if (!modal || !form) return;
+
+            modal.addEventListener('input', (e) => this.handleQuoteInput(e));
+            modal.addEventListener('change', (e) => this.handleQuoteInput(e));
+            modal.addEventListener('click', (e) => {
+                const removeItem = e.target.closest('.quote-remove-item-btn');
+                const removeCharge = e.target.closest('.quote-remove-charge-btn');
+                if (removeItem) this.removeQuoteLine('quoteItems', removeItem.getAttribute('data-line-id'));
+                if (removeCharge) this.removeQuoteLine('quoteCharges', removeCharge.getAttribute('data-line-id'));
+            });
+
+            document.getElementById('addQuoteItemBtn')?.addEventListener('click', () => this.addQuoteItem());
+            document.getElementById('addQuoteChargeBtn')?.addEventListener('click', () => this.addQuoteCharge());
+            document.getElementById('quoteCustomerSelect')?.addEventListener('change', (e) => this.selectQuoteCustomer(e.target.value));
+
+            form.addEventListener('submit', (e) => this.handleQuotationSubmit(e));
+            document.getElementById('cancelQuotationBtn')?.addEventListener('click', () => this.closeQuotationModal());
+            modal.querySelector('.modal-close')?.addEventListener('click', () => this.closeQuotationModal());
+
+            this.renderQuoteLines();
+        }, 100);
+    }
+
+    selectQuoteCustomer(customerId) {
+        const customer = (this.getBilling()?.customers || []).find(c => c.id === customerId);
+        if (!customer) return;
+
+        const setValue = (id, value) => {
+            const el = document.getElementById(id);
+            if (el) el.value = value || '';
+        };
+        setValue('quoteCustomerName', customer.name);
+        setValue('quoteCustomerPhone', customer.phone);
+        setValue('quoteCustomerEmail', customer.email);
+        setValue('quoteCustomerGstin', customer.gstin);
+        setValue('quotePlaceOfSupply', customer.state_code || Utils.getStateCodeFromGSTIN(customer.gstin) || Utils.getBusinessProfile().state_code);
+        this.updateQuoteTotals();
+    }
+
+    addQuoteItem(render = true) {
+        this.quoteItems.push({
+            id: Utils.generateId(),
+            product_id: '',
+            product_name: '',
+            hsn_code: '',
+            tax_rate: this.getBilling()?.DEFAULT_TAX_RATE ?? 18,
+            unit: '',
+            quantity: 1,
+            price: 0,
+            discount_type: 'percent',
+            discount_value: 0,
+            amount: 0,
+            is_custom: false,
+            custom_product_name: ''
+        });
+        if (render) this.renderQuoteLines();
+    }
+
+    addQuoteCharge() {
+        const preset = this.getBilling().CHARGE_TYPES.transport;
+        this.quoteCharges.push({
+            id: Utils.generateId(),
+            charge_type: 'transport',
+            description: preset.label,
+            hsn_code: preset.hsn_code,
+            tax_rate: preset.tax_rate,
+            amount: 0
+        });
+        this.renderQuoteLines();
+    }
+
+    removeQuoteLine(list, lineId) {
+        this[list] = this[list].filter(line => line.id !== lineId);
+        this.renderQuoteLines();
+    }
+
+    renderQuoteLines() {
+        const billing = this.getBilling();
+        const itemsContainer = document.getElementById('quoteItems');
+        const chargesContainer = document.getElementById('quoteCharges');
+        if (!billing || !itemsContainer || !chargesContainer) return;
+
+        const esc = value => this.ui.escapeHtml(value === undefined || value === null ? '' : String(value));
+        const products = [...billing.products, ...billing.customProducts];
+
+        itemsContainer.innerHTML = this.quoteItems.map(item => `
+            <div class="bill-item">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label>Product *</label>
+                        <select class="quote-product-select" data-line-id="${item.id}">
+                            <option value="">Select Product</option>
+                            ${products.map(product => `
+                                <option value="${esc(product.id)}" ${item.product_id === product.id ? 'selected' : ''}>${esc(product.name)} (${esc(product.unit)})</option>
+                            `).join('')}
+                            <option value="custom" ${item.is_custom ? 'selected' : ''}>Others (Custom Product)</option>
+                        </select>
+                    </div>
+                    <div class="form-group" style="${item.is_custom ? '' : 'display: none;'}">
+                        <label>Custom Product Name *</label>
+                        <input type="text" class="quote-line-input" data-line-id="${item.id}" data-field="custom_product_name" value="${esc(item.custom_product_name)}">
+                    </div>
+                    <div class="form-group">
+                        <label>Quantity *</label>
+                        <input type="number" class="quote-line-input" data-line-id="${item.id}" data-field="quantity" value="${item.quantity}" min="1">
+                    </div>
+                    <div class="form-group">
+                        <label>Price (₹) *</label>
+                        <input type="number" class="quote-line-input" data-line-id="${item.id}" data-field="price" value="${item.price}" step="0.01" min="0">
+                    </div>
+                    <div class="form-group">
+                        <label>Discount</label>
+                        <div class="discount-input-group">
+                            <input type="number" class="quote-line-input" data-line-id="${item.id}" data-field="discount_value" value="${item.discount_value || 0}" step="0.01" min="0">
+                            <select class="quote-line-input" data-line-id="${item.id}" data-field="discount_type">
+                                <option value="percent" ${item.discount_type === 'percent' ? 'selected' : ''}>%</option>
+                                <option value="amount" ${item.discount_type === 'amount' ? 'selected' : ''}>₹</option>
+                            </select>
+                        </div>
+                    </div>
+                    <div class="form-group">
+                        <label>HSN/SAC</label>
+                        <input type="text" class="quote-line-input" data-line-id="${item.id}" data-field="hsn_code" value="${esc(item.hsn_code)}" maxlength="8">
+                    </div>
+                    <div class="form-group">
+                        <label>GST % *</label>
+                        <input type="number" class="quote-line-input" data-line-id="${item.id}" data-field="tax_rate" value="${item.tax_rate}" step="0.01" min="0" max="100">
+                    </div>
+                    <div class="form-group">
+                        <label>Amount</label>
+                        <input type="text" class="quote-amount-display" data-line-id="${item.id}" value="${Utils.formatCurrency(item.amount)}" readonly>
+                    </div>
+                    <div class="form-group">
+                        <button type="button" class="btn-secondary quote-remove-item-btn" data-line-id="${item.id}">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `).join('');
+
+        chargesContainer.innerHTML = this.quoteCharges.map(charge => `
+            <div class="bill-item">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label>Charge *</label>
+                        <select class="quote-charge-type-select" data-line-id="${charge.id}">
+                            ${Object.entries(billing.CHARGE_TYPES).map(([type, preset]) => `
+                                <option value="${type}" ${charge.charge_type === type ? 'selected' : ''}>${preset.label}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label>Description *</label>
+                        <input type="text" class="quote-charge-input" data-line-id="${charge.id}" data-field="description" value="${esc(charge.description)}">
+                    </div>
+                    <div class="form-group">
+                        <label>SAC</label>
+                        <input type="text" class="quote-charge-input" data-line-id="${charge.id}" data-field="hsn_code" value="${esc(charge.hsn_code)}" maxlength="8">
+                    </div>
+                    <div class="form-group">
+                        <label>GST % *</label>
+                        <input type="number" class="quote-charge-input" data-line-id="${charge.id}" data-field="tax_rate" value="${charge.tax_rate}" step="0.01" min="0" max="100">
+                    </div>
+                    <div class="form-group">
+                        <label>Amount (₹) *</label>
+                        <input type="number" class="quote-charge-input" data-line-id="${charge.id}" data-field="amount" value="${charge.amount}" step="0.01" min="0">
+                    </div>
+                    <div class="form-group">
+                        <button type="button" class="btn-secondary quote-remove-charge-btn" data-line-id="${charge.id}">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `).join('');
+
+        this.updateQuoteTotals();
+    }
+
+    /**
+     * ✏️ ONE HANDLER FOR EVERY FIELD IN THE FORM (delegated from the modal)
+     */
+    handleQuoteInput(e) {
+        const target = e.target;
+        const lineId = target.getAttribute('data-line-id');
+        const field = target.getAttribute('data-field');
+        const numeric = ['quantity', 'price', 'discount_value', 'tax_rate', 'amount'];
+        const value = numeric.includes(field) ? parseFloat(target.value) || 0 : target.value;
+
+        if (target.classList.contains('quote-product-select') && e.type === 'change') {
+            this.setQuoteProduct(lineId, target.value);
+            return;
+        }
+
+        if (target.classList.contains('quote-charge-type-select') && e.type === 'change') {
+            const charge = this.quoteCharges.find(c => c.id === lineId);
+            const preset = this.getBilling().CHARGE_TYPES[target.value] || this.getBilling().CHARGE_TYPES.other;
+            if (charge) Object.assign(charge, { charge_type: target.value, description: preset.label, hsn_code: preset.hsn_code, tax_rate: preset.tax_rate });
+            this.renderQuoteLines();
+            return;
+        }
+
+        if (target.classList.contains('quote-line-input')) {
+            const item = this.quoteItems.find(i => i.id === lineId);
+            if (!item) return;
+
+            item[field] = field === 'hsn_code' ? value.trim() : value;
+            const gross = (item.quantity || 0) * (item.price || 0);
+            item.amount = Utils.roundMoney(gross - Utils.calculateDiscount(gross, item.discount_type, item.discount_value));
+
+            const amountDisplay = document.querySelector(`.quote-amount-display[data-line-id="${lineId}"]`);
+            if (amountDisplay) amountDisplay.value = Utils.formatCurrency(item.amount);
+        } else if (target.classList.contains('quote-charge-input')) {
+            const charge = this.quoteCharges.find(c => c.id === lineId);
+            if (!charge) return;
+            charge[field] = field === 'hsn_code' ? value.trim() : value;
+        } else if (target.id === 'quoteCustomerGstin') {
+            // A registered buyer's place of supply is the state in their GSTIN
+            const stateCode = Utils.getStateCodeFromGSTIN(target.value.trim().toUpperCase());
+            const select = document.getElementById('quotePlaceOfSupply');
+            if (stateCode && select) select.value = stateCode;
+        } else if (!['quoteDiscountValue', 'quoteDiscountType', 'quotePlaceOfSupply'].includes(target.id)) {
+            return;
+        }
+
+        this.updateQuoteTotals();
+    }
+
+    setQuoteProduct(lineId, productId) {
+        const billing = this.getBilling();
+        const item = this.quoteItems.find(i => i.id === lineId);
+        if (!item) return;
+
+        if (productId === 'custom') {
+            Object.assign(item, { is_custom: true, product_id: '', product_name: '', unit: '' });
+        } else {
+            const product = [...billing.products, ...billing.customProducts].find(p => p.id === productId);
+            Object.assign(item, {
+                is_custom: false,
+                custom_product_name: '',
+                product_id: product?.id || '',
+                product_name: product?.name || '',
+                unit: product?.unit || '',
+                hsn_code: product?.hsn_code || '',
+                tax_rate: Number(product?.gst_rate) > 0 ? Number(product.gst_rate) : billing.DEFAULT_TAX_RATE
+            });
+        }
+
+        this.renderQuoteLines();
+    }
+
+    getQuoteDiscount() {
+        return {
+            type: document.getElementById('quoteDiscountType')?.value === 'amount' ? 'amount' : 'percent',
+            value: parseFloat(document.getElementById('quoteDiscountValue')?.value) || 0
+        };
+    }
+
+    /**
+     * 🧮 TAX THE QUOTATION THE WAY ITS BILL WILL BE TAXED
+     */
+    computeQuoteTotals() {
+        const discount = this.getQuoteDiscount();
+        const placeOfSupply = document.getElementById('quotePlaceOfSupply')?.value || Utils.getBusinessProfile().state_code;
+        const lines = [
+            ...this.quoteItems.map(item => ({
+                line_type: 'item',
+                quantity: item.quantity,
+                rate: item.price,
+                discount_type: item.discount_type,
+                discount_value: item.discount_value,
+                tax_rate: item.tax_rate,
+                item
+            })),
+            ...this.quoteCharges.map(charge => ({
+                line_type: 'charge',
+                amount: charge.amount,
+                tax_rate: charge.tax_rate,
+                charge
+            }))
+        ];
+
+        return Utils.calculateBillTotals(lines, {
+            discountType: discount.type,
+            discountValue: discount.value,
+            interState: this.getBilling().isInterState(placeOfSupply)
+        });
+    }
+
+    updateQuoteTotals() {
+        const container = document.getElementById('quoteTotals');
+        if (!container) return;
+
+        const totals = this.computeQuoteTotals();
+        const row = (label, value) => `
+            <div class="summary-row">
+                <span>${label}:</span>
+                <span>${Utils.formatCurrency(value)}</span>
+            </div>`;
+
+        container.innerHTML = `
+            ${row('Sub Total', totals.subTotal)}
+            ${totals.discountAmount > 0 ? row('Discount', -totals.discountAmount) : ''}
+            ${totals.chargesAmount > 0 ? row('Charges', totals.chargesAmount) : ''}
+            ${row('Taxable Value', totals.taxableValue)}
+            ${totals.interState ? row('IGST', totals.igst) : row('CGST', totals.cgst) + row('SGST', totals.sgst)}
+            ${totals.roundOff !== 0 ? row('Round Off', totals.roundOff) : ''}
+            <div class="summary-row total">
+                <span>Total:</span>
+                <span>${Utils.formatCurrency(totals.total)}</span>
+            </div>
+        `;
+    }
+
+    // ==================== QUOTATION SUBMISSION ====================
+
+    async handleQuotationSubmit(e) {
+        e.preventDefault();
+
+        const billing = this.getBilling();
+        const button = e.target.querySelector('button[type="submit"]');
+        const resetButton = this.ui.showButtonLoading(button, 'Saving Quotation...');
+
+        try {
+            const quotationDate = document.getElementById('quoteDate').value;
+            const validUntil = document.getElementById('quoteValidUntil').value;
+            const customerName = document.getElementById('quoteCustomerName').value.trim();
+            const customerPhone = document.getElementById('quoteCustomerPhone').value.trim();
+            const customerEmail = document.getElementById('quoteCustomerEmail').value.trim();
+            const customerGstin = document.getElementById('quoteCustomerGstin').value.trim().toUpperCase();
+            const placeOfSupply = document.getElementById('quotePlaceOfSupply').value;
+            const notes = document.getElementById('quoteNotes').value.trim();
+
+            if (!customerName) {
+                this.ui.showToast('Customer name is required', 'error');
+                return;
+            }
+
+            if (!Utils.validatePhone(customerPhone)) {
+                this.ui.showToast('Please enter a valid 10-digit phone number', 'error');
+                return;
+            }
+
+            if (!quotationDate || !validUntil) {
+                this.ui.showToast('Quotation date and validity are required', 'error');
+                return;
+            }
+
+            if (validUntil < quotationDate) {
+                this.ui.showToast('A quotation cannot expire before its date', 'error');
+                return;
+            }
+
+            if (customerGstin && !Utils.validateGSTIN(customerGstin)) {
+                this.ui.showToast('Please enter a valid 15-character GSTIN', 'error');
+                return;
+            }
+
+            if (customerGstin && Utils.getStateCodeFromGSTIN(customerGstin) !== placeOfSupply) {
+                this.ui.showToast(`GSTIN ${customerGstin} is registered in ${Utils.getStateName(Utils.getStateCodeFromGSTIN(customerGstin))} - place of supply must match`, 'error');
+                return;
+            }
+
+            const discount = this.getQuoteDiscount();
+            const lineError = billing.getFormLinesError(this.quoteItems, this.quoteCharges, discount);
+            if (lineError) {
+                this.ui.showToast(lineError, 'error');
+                return;
+            }
+
+            const totals = this.computeQuoteTotals();
+            const existing = this.editingQuotationId ? this.quotations.find(q => q.id === this.editingQuotationId) : null;
+            const customer = billing.customers.find(c => String(c.phone || '').replace(/\D/g, '') === customerPhone.replace(/\D/g, ''));
+
+            const quotationData = {
+                quotation_date: quotationDate,
+                valid_until: validUntil,
+                customer_id: customer?.id || null,
+                customer_name: Utils.sanitizeInput(customerName),
+                customer_phone: Utils.sanitizeInput(customerPhone),
+                customer_email: customerEmail ? Utils.sanitizeInput(customerEmail) : null,
+                customer_gstin: customerGstin || null,
+                place_of_supply: placeOfSupply,
+                sub_total: totals.subTotal,
+                discount_type: discount.type,
+                discount_value: discount.value,
+                discount_amount: totals.discountAmount,
+                charges_amount: totals.chargesAmount,
+                gst_amount: totals.taxAmount,
+                cgst_amount: totals.cgst,
+                sgst_amount: totals.sgst,
+                igst_amount: totals.igst,
+                round_off: totals.roundOff,
+                total_amount: totals.total,
+                notes: notes ? Utils.sanitizeInput(notes) : null
+            };
+
+            if (existing) {
+                // Extending an expired quotation's validity reopens it as a draft
+                quotationData.status = existing.status === 'expired' && validUntil >= this.getToday() ? 'draft' : existing.status;
+                quotationData.updated_at = new Date().toISOString();
+                await this.db.saveQuotationWithItems(existing.id, quotationData, billing.toSavedLines(totals.lines));
+                this.ui.showToast(`Quotation ${existing.quotation_number} updated`, 'success');
+            } else {
+                quotationData.id = this.db.generateId();
+                quotationData.quotation_number = await this.db.ids.nextNumber('quotation');
+                quotationData.status = 'draft';
+                quotationData.created_by = this.getCurrentUser()?.id || 'system';
+                quotationData.created_at = new Date().toISOString();
+                await this.db.saveQuotationWithItems(null, quotationData, billing.toSavedLines(totals.lines));
+                this.ui.showToast(`Quotation ${quotationData.quotation_number} created`, 'success');
+            }
+
+            this.closeQuotationModal();
+            await this.loadQuotations();
+
+        } catch (error) {
+            console.error('Error saving quotation:', error);
+            this.ui.showToast('Error saving quotation: ' + error.message, 'error');
+        } finally {
+            resetButton();
+        }
+    }
+
+    closeQuotationModal() {
+        this.ui.hideModal('quotationModal');
+        document.getElementById('quotationModal')?.remove();
+        this.editingQuotationId = null;
+    }
+
+    // ==================== VIEW & PRINT ====================
+
+    /**
+     * 📄 QUOTATION IN THE INVOICE LAYOUT - number, date and validity in place of the invoice's
+     */
+    async getQuotationDocument(quotationId) {
+        const quotation = this.quotations.find(q => q.id === quotationId);
+        if (!quotation) throw new Error('Quotation not found');
+
+        const items = await this.db.getQuotationItems(quotationId);
+        const customer = window.app?.getManagers()?.customer?.findCustomerByPhone(quotation.customer_phone);
+        const printable = { ...quotation, bill_number: quotation.quotation_number, bill_date: quotation.quotation_date };
+        const options = {
+            customer,
+            documentType: 'quotation',
+            metaRows: [['Valid Until', Utils.formatDate(quotation.valid_until)]]
+        };
+
+        return { quotation, printable, items, options };
+    }
+
+    async viewQuotation(quotationId) {
+        try {
+            const { quotation, printable, items, options } = await this.getQuotationDocument(quotationId);
+            const billNumber = this.getBilling()?.bills.find(b => b.id === quotation.converted_bill_id)?.bill_number;
+
+            const modalHtml = `
+                <div id="viewQuotationModal" class="modal">
+                    <div class="modal-content" style="max-width: 900px;">
+                        <div class="modal-header">
+                            <h3><i class="fas fa-file-signature"></i> Quotation ${this.ui.escapeHtml(quotation.quotation_number || '')}
+                                <span class="status-badge status-${quotation.status}">${this.STATUSES[quotation.status] || quotation.status}</span>
+                            </h3>
+                            <button class="modal-close">&times;</button>
+                        </div>
+
+                        ${quotation.converted_bill_id ? `
+                            <p><strong>Billed:</strong> ${billNumber ? `Bill ${this.ui.escapeHtml(billNumber)}` : 'Converted to a bill'}</p>
+                        ` : ''}
+                        ${quotation.notes ? `<p><strong>Notes:</strong> ${this.ui.escapeHtml(quotation.notes)}</p>` : ''}
+
+                        <iframe id="quotationPreview" class="document-preview" title="Quotation preview"></iframe>
+
+                        <div class="modal-actions">
+                            <button type="button" class="btn-secondary" id="saveQuotationPdfBtn">
+                                <i class="fas fa-file-pdf"></i> Save PDF
+                            </button>
+                            <button type="button" class="btn-secondary" id="printQuotationBtn">
+                                <i class="fas fa-print"></i> Print
+                            </button>
+                            ${this.canPerformAction('create') && !quotation.converted_bill_id ? `
+                                <button type="button" class="btn-primary" id="convertQuotationBtn">
+                                    <i class="fas fa-file-invoice-dollar"></i> Convert to Bill
+                                </button>
+                            ` : ''}
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            this.showCustomModal(modalHtml, 'viewQuotationModal');
+
+            setTimeout(() => {
+                const modal = document.getElementById('viewQuotationModal');
+                if (!modal) return;
+
+                document.getElementById('quotationPreview').srcdoc = this.invoiceRenderer.render(printable, items, options);
+                document.getElementById('printQuotationBtn')?.addEventListener('click', () => this.printQuotation(quotationId));
+                document.getElementById('saveQuotationPdfBtn')?.addEventListener('click', (e) => this.saveQuotationPdf(quotationId, e.currentTarget));
+                document.getElementById('convertQuotationBtn')?.addEventListener('click', () => {
+                    this.closeViewQuotation();
+                    this.convertToBill(quotationId);
+                });
+                modal.querySelector('.modal-close')?.addEventListener('click', () => this.closeViewQuotation());
+            }, 100);
+
+        } catch (error) {
+            console.error('Error viewing quotation:', error);
+            this.ui.showToast('Error loading quotation: ' + error.message, 'error');
+        }
+    }
+
+    closeViewQuotation() {
+        this.ui.hideModal('viewQuotationModal');
+        document.getElementById('viewQuotationModal')?.remove();
+    }
+
+    async printQuotation(quotationId) {
+        try {
+            const { printable, items, options } = await this.getQuotationDocument(quotationId);
+            await this.invoiceRenderer.print(printable, items, options);
+        } catch (error) {
+            console.error('❌ Error printing quotation:', error);
+            this.ui.showToast('Error printing quotation: ' + error.message, 'error');
+        }
+    }
+
+    async saveQuotationPdf(quotationId, button) {
+        const resetButton = button ? this.ui.showButtonLoading(button, 'Saving...') : () => {};
+
+        try {
+            const { printable, items, options } = await this.getQuotationDocument(quotationId);
+            const filePath = await this.invoiceRenderer.savePdf(printable, items, options);
+            if (filePath) {
+                this.ui.showToast(`Quotation saved to ${filePath}`, 'success');
+            }
+        } catch (error) {
+            console.error('❌ Error saving quotation PDF:', error);
+            this.ui.showToast('Error saving PDF: ' + error.message, 'error');
+        } finally {
+            resetButton();
+        }
+    }
+
+    // ==================== QUOTATION ACTIONS ====================
+
+    async markSent(quotationId) {
+        if (!this.canPerformAction('edit')) {
+            this.ui.showToast('Insufficient permissions to update quotations', 'error');
+            return;
+        }
+
+        try {
+            await this.db.update('quotations', quotationId, { status: 'sent', updated_at: new Date().toISOString() });
+            this.ui.showToast('Quotation marked as sent', 'success');
+            await this.loadQuotations();
+        } catch (error) {
+            console.error('Error updating quotation:', error);
+            this.ui.showToast('Error updating quotation: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * 🔁 CONVERT TO BILL - opens the bill form with the quotation's customer, lines and discount.
+     * The quotation is marked accepted once that bill is saved (see markConverted).
+     */
+    async convertToBill(quotationId) {
+        const billing = this.getBilling();
+        const quotation = this.quotations.find(q => q.id === quotationId);
+        if (!billing || !quotation) {
+            this.ui.showToast('Quotation not found', 'error');
+            return;
+        }
+
+        if (quotation.converted_bill_id) {
+            this.ui.showToast('This quotation has already been billed', 'info');
+            return;
+        }
+
+        if (quotation.status === 'expired') {
+            const proceed = await this.ui.showConfirmation(
+                'Quotation Expired',
+                `Quotation <strong>${this.ui.escapeHtml(quotation.quotation_number)}</strong> expired on ${Utils.formatDate(quotation.valid_until)}. Bill it at the quoted prices anyway?`,
+                'Create Bill',
+                'Cancel',
+                'warning'
+            );
+            if (!proceed) return;
+        }
+
+        try {
+            const lines = await this.db.getQuotationItems(quotationId);
+            const customer = {
+                name: quotation.customer_name,
+                phone: quotation.customer_phone,
+                email: quotation.customer_email,
+                state_code: quotation.place_of_supply,
+                gstin: quotation.customer_gstin
+            };
+
+            billing.showAddBillModal(customer, {
+                quotation_id: quotation.id,
+                quotation_number: quotation.quotation_number,
+                lines,
+                place_of_supply: quotation.place_of_supply,
+                customer_gstin: quotation.customer_gstin,
+                discount_type: quotation.discount_type,
+                discount_value: quotation.discount_value
+            });
+        } catch (error) {
+            console.error('Error converting quotation:', error);
+            this.ui.showToast('Error converting quotation: ' + error.message, 'error');
+        }
+    }
+
+    // Called by BillingManager once the bill made from a quotation is saved
+    async markConverted(quotationId, billId) {
+        try {
+            await this.db.update('quotations', quotationId, {
+                status: 'accepted',
+                converted_bill_id: billId,
+                updated_at: new Date().toISOString()
+            });
+            const quotation = this.quotations.find(q => q.id === quotationId);
+            this.ui.showToast(`Quotation ${quotation?.quotation_number || ''} accepted and billed`, 'success');
+
+            if (this.ui.isSectionVisible('quotationsContent')) {
+                await this.loadQuotations();
+            }
+        } catch (error) {
+            // The bill is saved either way - only the quotation's status is behind
+            console.error('Error marking quotation as converted:', error);
+            this.ui.showToast('Bill saved, but the quotation could not be marked accepted', 'warning');
+        }
+    }
+
+    async deleteQuotation(quotationId) {
+        if (!this.canPerformAction('delete')) {
+            this.ui.showToast('Insufficient permissions to delete quotations', 'error');
+            return;
+        }
+
+        const quotation = this.quotations.find(q => q.id === quotationId);
+        if (!quotation) {
+            this.ui.showToast('Quotation not found', 'error');
+            return;
+        }
+
+        const confirmed = await this.ui.showConfirmation(
+            'Delete Quotation',
+            `Are you sure you want to delete quotation <strong>${this.ui.escapeHtml(quotation.quotation_number)}</strong> for <strong>${this.ui.escapeHtml(quotation.customer_name)}</strong>? An admin can restore it from the Trash.`,
+            'Delete',
+            'Cancel',
+            'danger'
+        );
+        if (!confirmed) return;
+
+        try {
+            this.ui.showLoading('Deleting quotation...');
+            await this.db.delete('quotations', quotationId);
+            this.ui.showToast('Quotation moved to Trash', 'success');
+            await this.loadQuotations();
+        } catch (error) {
+            console.error('Error deleting quotation:', error);
+            this.ui.showToast('Error deleting quotation: ' + error.message, 'error');
+        } finally {
+            this.ui.hideLoading();
+        }
+    }
+
+    // ==================== MODAL MANAGEMENT ====================
+
+    showCustomModal(html, modalId) {
+        const existingModal = document.getElementById(modalId);
+        if (existingModal) {
+            existingModal.remove();
+        }
+
+        document.body.insertAdjacentHTML('beforeend', html);
+        this.ui.showModal(modalId);
+    }
+
+    // ==================== CLEANUP ====================
+
+    cleanup() {
+        this.realtimeUnsubscribers.forEach(unsubscribe => unsubscribe());
+        this.realtimeUnsubscribers = [];
+        clearTimeout(this.realtimeRenderTimer);
+    }
+}
+
+window.QuotationManager = QuotationManager;
@@ -0,0 +1,781 @@
+class RecurringBillManager {
+    constructor(dependencies) {
+        // ✅ VALIDATION
+        if (!dependencies) throw new Error('RecurringBillManager: dependencies required');
+        if (!dependencies.db) throw new Error('RecurringBillManager: db required');
+        if (!dependencies.ui) throw new Error('RecurringBillManager: ui required');
+        if (!dependencies.auth) throw new Error('RecurringBillManager: auth required');
+
+        // ✅ ASSIGN DEPENDENCIES
+        this.db = dependencies.db;
+        this.ui = dependencies.ui;
+        this.auth = dependencies.auth;
+
+        // ✅ RECURRING BILL DATA
+        this.recurringBills = [];
+        this.runs = [];
+        // The template being set up or edited - { recurringBill, bill, lines, interState }
+        this.recurringForm = null;
+
+        // 📅 FREQUENCIES - see Utils.getNextRecurringDate
+        this.FREQUENCIES = { weekly: 'Every Week', fortnightly: 'Every 2 Weeks', monthly: 'Every Month' };
+
+        // 🏷️ RUN STATUSES - a queued run waits in review until it is billed or skipped
+        this.RUN_STATUSES = { pending: 'Awaiting Review', confirmed: 'Billed', skipped: 'Skipped' };
+
+        // 📡 REALTIME - unsubscribe functions from db.onChange and the pending re-render
+        this.realtimeUnsubscribers = [];
+        this.realtimeRenderTimer = null;
+
+        console.log('✅ RecurringBillManager initialized');
+    }
+
+    // ==================== PERMISSION METHODS ====================
+
+    getCurrentUser() {
+        return this.auth.getCurrentUser();
+    }
+
+    canPerformAction(action) {
+        const user = this.getCurrentUser();
+        if (!user) return false;
+
+        const permissions = {
+            'admin': ['create', 'edit', 'delete', 'view', 'export'],
+            'supervisor': ['create', 'edit', 'view', 'export'],
+            'user': ['view']
+        };
+
+        const userPermissions = permissions[user.role] || permissions['user'];
+        return userPermissions.includes(action);
+    }
+
+    // Bills, their lines and the bill form are billing's
+    getBilling() {
+        return window.app?.getManagers()?.billing;
+    }
+
+    // ==================== INITIALIZATION ====================
+
+    async initialize() {
+        this.setupEventListeners();
+        this.setupRealtimeListeners();
+        return Promise.resolve();
+    }
+
+    setupEventListeners() {
+        document.getElementById('recurringRunStatusFilter')?.addEventListener('change', () => this.renderRunsTable(this.runs));
+    }
+
+    // ==================== REALTIME UPDATES ====================
+
+    /**
+     * 📡 PATCH TEMPLATES AND RUNS CHANGED ON ANOTHER DESKTOP
+     */
+    setupRealtimeListeners() {
+        if (this.realtimeUnsubscribers.length > 0 || typeof this.db.onChange !== 'function') return;
+
+        this.realtimeUnsubscribers = [
+            this.db.onChange('recurring_bills', (change) => {
+                this.recurringBills = this.db.applyChangeToList(this.recurringBills, change);
+                this.scheduleRealtimeRender();
+            }),
+            this.db.onChange('recurring_bill_runs', (change) => {
+                this.runs = this.db.applyChangeToList(this.runs, change);
+                this.scheduleRealtimeRender();
+            })
+        ];
+    }
+
+    scheduleRealtimeRender() {
+        clearTimeout(this.realtimeRenderTimer);
+        this.realtimeRenderTimer = setTimeout(() => {
+            if (this.ui.isSectionVisible('recurringContent')) {
+                this.renderRunsTable(this.runs);
+                this.renderRecurringBillsTable(this.recurringBills);
+            }
+        }, 300);
+    }
+
+    // ==================== DATA LOADING ====================
+
+    async loadRecurringBills() {
+        try {
+            if (!this.canPerformAction('view')) {
+                this.ui.showToast('Access denied', 'error');
+                return;
+            }
+
+            this.ui.showSectionLoading('recurringContent', 'Loading recurring bills...');
+            const [recurringBills, runs] = await Promise.all([
+                this.db.getRecurringBills(),
+                this.db.getRecurringBillRuns()
+            ]);
+            this.recurringBills = recurringBills || [];
+            this.runs = runs || [];
+            this.renderRunsTable(this.runs);
+            this.renderRecurringBillsTable(this.recurringBills);
+
+        } catch (error) {
+            console.error('Error loading recurring bills:', error);
+            this.ui.showToast('Error loading recurring bills', 'error');
+            this.recurringBills = [];
+            this.runs = [];
+        } finally {
+            this.ui.hideSectionLoading('recurringContent');
+        }
+    }
+
+    getToday() {
+        return new Date().toISOString().split('T')[0];
+    }
+
+    // Monthly templates remember the day they were set up for, so the 31st comes back after February.
+    // Saving with the date already shown keeps it - that date may be a short month's clamped one
+    getAnchorDay(recurringBill, frequency, nextRunDate) {
+        if (frequency !== 'monthly') return null;
+        if (recurringBill?.day_of_month && recurringBill.frequency === 'monthly' &&
+            recurringBill.next_run_date === nextRunDate) {
+            return recurringBill.day_of_month;
+        }
+        return Number(nextRunDate.split('-')[2]);
+    }
+
+    // Paused templates and templates past their end date are both inactive
+    getTemplateStatus(recurringBill) {
+        if (recurringBill.active) return { key: 'active', label: 'Active' };
+        if (recurringBill.end_date && recurringBill.next_run_date > recurringBill.end_date) {
+            return { key: 'inactive', label: 'Ended' };
+        }
+        return { key: 'inactive', label: 'Paused' };
+    }
+
+    // ==================== RENDER METHODS ====================
+
+    renderRunsTable(runs) {
+        const tbody = document.getElementById('recurringRunsTableBody');
+        if (!tbody) return;
+
+        const statusFilter = document.getElementById('recurringRunStatusFilter')?.value || 'pending';
+        const filtered = statusFilter === 'all' ? runs : runs.filter(run => run.status === statusFilter);
+
+        const pendingCount = runs.filter(run => run.status === 'pending').length;
+        const countBadge = document.getElementById('recurringPendingCount');
+        if (countBadge) {
+            countBadge.textContent = pendingCount;
+            countBadge.style.display = pendingCount > 0 ? 'inline-block' : 'none';
+        }
+
+        if (filtered.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="6" class="no-data">
+                        <i class="fas fa-redo"></i>
+                        <br>${statusFilter === 'pending' ? 'No recurring bills are waiting for review' : 'No recurring bills found for selected filter'}
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = filtered.map(run => {
+            const recurringBill = this.recurringBills.find(r => r.id === run.recurring_bill_id);
+            return `
+                <tr>
+                    <td>${this.ui.escapeHtml(run.customer_name || recurringBill?.customer_name || 'N/A')}</td>
+                    <td>${Utils.formatDate(run.run_date)}</td>
+                    <td>${recurringBill ? this.FREQUENCIES[recurringBill.frequency] || recurringBill.frequency : '-'}</td>
+                    <td>${Utils.formatCurrency(run.total_amount)}</td>
+                    <td>
+                        <span class="status-badge status-${run.status}">${this.RUN_STATUSES[run.status] || run.status}</span>
+                    </td>
+                    <td>
+                        <div class="action-buttons">
+                            ${this.canPerformAction('create') && run.status === 'pending' ? `
+                                <button class="btn-icon" onclick="app.getManagers().recurringBill.confirmRun('${run.id}')" title="Review and Create Bill">
+                                    <i class="fas fa-check"></i>
+                                </button>
+                                <button class="btn-icon btn-danger" onclick="app.getManagers().recurringBill.skipRun('${run.id}')" title="Skip This Bill">
+                                    <i class="fas fa-forward"></i>
+                                </button>
+                            ` : ''}
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    renderRecurringBillsTable(recurringBills) {
+        const tbody = document.getElementById('recurringBillsTableBody');
+        if (!tbody) return;
+
+        if (recurringBills.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="7" class="no-data">
+                        <i class="fas fa-redo"></i>
+                        <br>No recurring bills yet - open a bill and choose Repeat Regularly
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = recurringBills.map(r => {
+            const status = this.getTemplateStatus(r);
+            return `
+                <tr>
+                    <td>${this.ui.escapeHtml(r.customer_name || 'N/A')}</td>
+                    <td>${this.FREQUENCIES[r.frequency] || this.ui.escapeHtml(r.frequency)}</td>
+                    <td>${r.active ? Utils.formatDate(r.next_run_date) : '-'}</td>
+                    <td>${r.end_date ? Utils.formatDate(r.end_date) : '-'}</td>
+                    <td>${Utils.formatCurrency(r.total_amount)}</td>
+                    <td>
+                        <span class="status-badge status-${status.key}">${status.label}</span>
+                    </td>
+                    <td>
+                        <div class="action-buttons">
+                            ${this.canPerformAction('edit') ? `
+                                <button class="btn-icon" onclick="app.getManagers().recurringBill.showRecurringBillModal('${r.id}')" title="Edit Recurring Bill">
+                                    <i class="fas fa-edit"></i>
+                                </button>
+                                <button class="btn-icon" onclick="app.getManagers().recurringBill.toggleActive('${r.id}')" title="${r.active ? 'Pause' : 'Resume'}">
+                                    <i class="fas fa-${r.active ? 'pause' : 'play'}"></i>
+                                </button>
+                            ` : ''}
+                            ${this.canPerformAction('delete') ? `
+                                <button class="btn-icon btn-danger" onclick="app.getManagers().recurringBill.deleteRecurringBill('${r.id}')" title="Delete Recurring Bill">
+                                    <i class="fas fa-trash"></i>
+                                </button>
+                            ` : ''}
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    // ==================== RECURRING BILL FORM ====================
+
+    /**
+     * ➕ REPEAT A BILL, OR EDIT A RECURRING BILL'S SCHEDULE AND QUANTITIES
+     * New templates copy the bill's customer, place of supply, discount and lines.
+     */
+    async showRecurringBillModal(recurringBillId = null, billId = null) {
+        const action = recurringBillId ? 'edit' : 'create';
+        if (!this.canPerformAction(action)) {
+            this.ui.showToast(`Insufficient permissions to ${action} recurring bills`, 'error');
+            return;
+        }
+
+        const billing = this.getBilling();
+        if (!billing) {
+            this.ui.showToast('Billing is not ready yet', 'error');
+            return;
+        }
+
+        let recurringBill = null;
+        let bill = null;
+        let lines;
+        try {
+            if (recurringBillId) {
+                recurringBill = this.recurringBills.find(r => r.id === recurringBillId);
+                if (!recurringBill) {
+                    this.ui.showToast('Recurring bill not found', 'error');
+                    return;
+                }
+                lines = await this.db.getRecurringBillItems(recurringBillId);
+            } else {
+                bill = billing.bills.find(b => b.id === billId);
+                if (!bill) {
+                    this.ui.showToast('Bill not found', 'error');
+                    return;
+                }
+                lines = await billing.getBillLines(bill);
+            }
+        } catch (error) {
+            console.error('Error loading recurring bill lines:', error);
+            this.ui.showToast('Error loading bill lines: ' + error.message, 'error');
+            return;
+        }
+
+        const source = recurringBill || bill;
+        this.recurringForm = {
+            recurringBill,
+            bill,
+            lines: lines.map(line => ({ ...line })),
+            interState: billing.isInterState(source.place_of_supply)
+        };
+
+        const esc = value => this.ui.escapeHtml(value === undefined || value === null ? '' : String(value));
+        const frequency = recurringBill?.frequency || 'weekly';
+        const nextRunDate = recurringBill?.next_run_date || Utils.getNextRecurringDate(this.getToday(), frequency);
+
+        const modalHtml = `
+            <div id="recurringBillModal" class="modal">
+                <div class="modal-content" style="max-width: 800px;">
+                    <div class="modal-header">
+                        <h3><i class="fas fa-redo"></i> ${recurringBill ? 'Edit Recurring Bill' : 'Repeat Bill Regularly'} - ${esc(source.customer_name)}</h3>
+                        <button class="modal-close">&times;</button>
+                    </div>
+
+                    <form id="recurringBillForm">
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="recurringFrequency">Repeat *</label>
+                                <select id="recurringFrequency" required>
+                                    ${Object.entries(this.FREQUENCIES).map(([key, label]) => `
+                                        <option value="${key}" ${key === frequency ? 'selected' : ''}>${label}</option>
+                                    `).join('')}
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label for="recurringNextRunDate">Next Bill On *</label>
+                                <input type="date" id="recurringNextRunDate" value="${esc(nextRunDate)}" required>
+                            </div>
+                            <div class="form-group">
+                                <label for="recurringEndDate">Stop After</label>
+                                <input type="date" id="recurringEndDate" value="${esc(recurringBill?.end_date)}">
+                            </div>
+                        </div>
+
+                        <table class="items-table recurring-bill-lines">
+                            <thead>
+                                <tr>
+                                    <th>Item</th>
+                                    <th>Quantity</th>
+                                    <th>Rate / Amount</th>
+                                    <th>GST %</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${this.recurringForm.lines.map((line, index) => `
+                                    <tr>
+                                        <td>${esc(line.description)}</td>
+                                        <td>
+                                            ${line.line_type === 'charge' ? '-' : `
+                                                <input type="number" class="recurring-qty-input" data-line-index="${index}"
+                                                       min="0" step="any" value="${Number(line.quantity) || 0}">
+                                                ${esc(line.unit)}
+                                            `}
+                                        </td>
+                                        <td>
+                                            <input type="number" class="recurring-rate-input" data-line-index="${index}" min="0" step="0.01"
+                                                   value="${line.line_type === 'charge' ? Number(line.amount) || 0 : Number(line.rate) || 0}">
+                                        </td>
+                                        <td>${Number(line.tax_rate) || 0}%</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                        <small>Set a quantity to 0 to leave that item off. Each bill can still be changed when it is reviewed.</small>
+
+                        <div class="bill-summary-view" id="recurringBillTotals"></div>
+
+                        <div class="form-group">
+                            <label for="recurringNotes">Notes</label>
+                            <textarea id="recurringNotes" rows="2" placeholder="e.g. 4000 bricks every Monday to the site">${esc(recurringBill?.notes)}</textarea>
+                        </div>
+
+                        <div class="modal-actions">
+                            <button type="button" class="btn-secondary" id="cancelRecurringBillBtn">
+                                Cancel
+                            </button>
+                            <button type="submit" class="btn-primary">
+                                <i class="fas fa-save"></i> Save Recurring Bill
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        this.showCustomModal(modalHtml, 'recurringBillModal');
+
+        setTimeout(() => {
+            const modal = document.getElementById('recurringBillModal');
+            const form = document.getElementById('recurringBillForm');
+            if (!modal || !form) return;
+
+            modal.querySelectorAll('.recurring-qty-input, .recurring-rate-input').forEach(input => {
+                input.addEventListener('input', () => this.updateRecurringTotals());
+            });
+            this.updateRecurringTotals();
+
+            form.addEventListener('submit', (e) => this.handleRecurringBillSubmit(e));
+            document.getElementById('cancelRecurringBillBtn')?.addEventListener('click', () => this.closeRecurringBillModal());
+            modal.querySelector('.modal-close')?.addEventListener('click', () => this.closeRecurringBillModal());
+        }, 100);
+    }
+
+    // Lines with the quantities and rates entered - items set to 0 are dropped
+    getEnteredLines() {
+        const lines = (this.recurringForm?.lines || []).map(line => ({ ...line }));
+
+        document.querySelectorAll('#recurringBillModal .recurring-qty-input').forEach(input => {
+            const line = lines[Number(input.getAttribute('data-line-index'))];
+            if (line) line.quantity = parseFloat(input.value) || 0;
+        });
+        document.querySelectorAll('#recurringBillModal .recurring-rate-input').forEach(input => {
+            const line = lines[Number(input.getAttribute('data-line-index'))];
+            if (!line) return;
+            if (line.line_type === 'charge') {
+                line.amount = parseFloat(input.value) || 0;
+            } else {
+                line.rate = parseFloat(input.value) || 0;
+            }
+        });
+
+        return lines.filter(line => line.line_type === 'charge' ? line.amount > 0 : line.quantity > 0);
+    }
+
+    computeRecurringTotals(lines) {
+        const source = this.recurringForm.recurringBill || this.recurringForm.bill;
+        return Utils.calculateBillTotals(lines, {
+            discountType: source.discount_type,
+            discountValue: Number(source.discount_value) || 0,
+            interState: this.recurringForm.interState
+        });
+    }
+
+    updateRecurringTotals() {
+        const container = document.getElementById('recurringBillTotals');
+        if (!container || !this.recurringForm) return;
+
+        const totals = this.computeRecurringTotals(this.getEnteredLines());
+        const row = (label, amount, className = '') => `
+            <div class="summary-row ${className}">
+                <span>${label}:</span>
+                <span>${Utils.formatCurrency(amount)}</span>
+            </div>
+        `;
+
+        container.innerHTML = `
+            ${row('Taxable Value', totals.taxableValue)}
+            ${totals.interState ? row('IGST', totals.igst) : row('CGST', totals.cgst) + row('SGST', totals.sgst)}
+            ${row('Each Bill (at today\'s rates)', totals.total, 'total')}
+        `;
+    }
+
+    async handleRecurringBillSubmit(e) {
+        e.preventDefault();
+
+        const { recurringBill, bill } = this.recurringForm || {};
+        if (!recurringBill && !bill) return;
+
+        const button = e.target.querySelector('button[type="submit"]');
+        const resetButton = this.ui.showButtonLoading(button, 'Saving...');
+
+        try {
+            const frequency = document.getElementById('recurringFrequency').value;
+            const nextRunDate = document.getElementById('recurringNextRunDate').value;
+            const endDate = document.getElementById('recurringEndDate').value || null;
+            const notes = document.getElementById('recurringNotes').value.trim();
+
+            if (!this.FREQUENCIES[frequency]) {
+                this.ui.showToast('Choose how often to repeat the bill', 'error');
+                return;
+            }
+
+            if (!nextRunDate) {
+                this.ui.showToast('Next bill date is required', 'error');
+                return;
+            }
+
+            if (!recurringBill && nextRunDate < this.getToday()) {
+                this.ui.showToast('The first bill cannot be dated in the past', 'error');
+                return;
+            }
+
+            if (endDate && endDate < nextRunDate) {
+                this.ui.showToast('The stop date must be on or after the next bill date', 'error');
+                return;
+            }
+
+            const lines = this.getEnteredLines();
+            if (!lines.some(line => line.line_type !== 'charge')) {
+                this.ui.showToast('Keep at least one item with a quantity', 'error');
+                return;
+            }
+
+            const totals = this.computeRecurringTotals(lines);
+            const now = new Date().toISOString();
+            const data = {
+                frequency,
+                day_of_month: this.getAnchorDay(recurringBill, frequency, nextRunDate),
+                next_run_date: nextRunDate,
+                end_date: endDate,
+                notes: notes ? Utils.sanitizeInput(notes) : null,
+                total_amount: totals.total,
+                updated_at: now
+            };
+
+            if (recurringBill) {
+                await this.db.saveRecurringBillWithItems(recurringBill.id, data, totals.lines);
+                this.ui.showToast('Recurring bill updated', 'success');
+            } else {
+                await this.db.saveRecurringBillWithItems(null, {
+                    ...data,
+                    customer_id: bill.customer_id || null,
+                    customer_name: bill.customer_name,
+                    customer_phone: bill.customer_phone || null,
+                    customer_email: bill.customer_email || null,
+                    customer_gstin: bill.customer_gstin || null,
+                    place_of_supply: bill.place_of_supply || null,
+                    discount_type: bill.discount_type || 'amount',
+                    discount_value: Number(bill.discount_value) || 0,
+                    active: true,
+                    source_bill_id: bill.id,
+                    created_by: this.getCurrentUser()?.id || 'system',
+                    created_at: now
+                }, totals.lines);
+                this.ui.showToast(`${bill.customer_name} will be billed ${this.FREQUENCIES[frequency].toLowerCase()} from ${Utils.formatDate(nextRunDate)}`, 'success');
+            }
+
+            this.closeRecurringBillModal();
+
+            // A template due today goes straight into the review queue
+            await this.getBilling()?.queueDueRecurringBills();
+            if (this.ui.isSectionVisible('recurringContent')) {
+                await this.loadRecurringBills();
+            }
+
+        } catch (error) {
+            console.error('Error saving recurring bill:', error);
+            this.ui.showToast('Error saving recurring bill: ' + error.message, 'error');
+        } finally {
+            resetButton();
+        }
+    }
+
+    closeRecurringBillModal() {
+        this.ui.hideModal('recurringBillModal');
+        document.getElementById('recurringBillModal')?.remove();
+        this.recurringForm = null;
+    }
+
+    // ==================== REVIEW QUEUE ====================
+
+    /**
+     * ✅ OPEN THE BILL FORM PREFILLED FROM A QUEUED RUN
+     * Rates and quantities can still be changed; the run is marked billed once
+     * the bill is saved (see markConfirmed).
+     */
+    async confirmRun(runId) {
+        if (!this.canPerformAction('create')) {
+            this.ui.showToast('Insufficient permissions to create bills', 'error');
+            return;
+        }
+
+        const billing = this.getBilling();
+        if (!billing) {
+            this.ui.showToast('Billing is not ready yet', 'error');
+            return;
+        }
+
+        try {
+            // Re-read the run in case another desktop has already reviewed it
+            const run = (await this.db.getRecurringBillRuns({ id: runId }))[0];
+            if (!run || run.status !== 'pending') {
+                this.ui.showToast('This recurring bill has already been reviewed', 'info');
+                await this.loadRecurringBills();
+                return;
+            }
+
+            const recurringBill = this.recurringBills.find(r => r.id === run.recurring_bill_id);
+            if (!recurringBill) {
+                this.ui.showToast('The recurring bill for this run has been deleted - skip it instead', 'error');
+                return;
+            }
+
+            const lines = await this.db.getRecurringBillItems(recurringBill.id);
+            const customer = {
+                name: recurringBill.customer_name,
+                phone: recurringBill.customer_phone,
+                email: recurringBill.customer_email,
+                state_code: recurringBill.place_of_supply,
+                gstin: recurringBill.customer_gstin
+            };
+
+            billing.showAddBillModal(customer, {
+                recurring_run_id: run.id,
+                bill_date: run.run_date,
+                lines,
+                place_of_supply: recurringBill.place_of_supply,
+                customer_gstin: recurringBill.customer_gstin,
+                discount_type: recurringBill.discount_type,
+                discount_value: recurringBill.discount_value
+            });
+        } catch (error) {
+            console.error('Error opening recurring bill:', error);
+            this.ui.showToast('Error opening recurring bill: ' + error.message, 'error');
+        }
+    }
+
+    // Called by BillingManager once the bill made from a run is saved
+    async markConfirmed(runId, billId) {
+        try {
+            await this.db.update('recurring_bill_runs', runId, {
+                status: 'confirmed',
+                bill_id: billId,
+                reviewed_by: this.getCurrentUser()?.id || 'system',
+                reviewed_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            });
+
+            if (this.ui.isSectionVisible('recurringContent')) {
+                await this.loadRecurringBills();
+            }
+        } catch (error) {
+            // The bill is saved either way - only the queue is behind
+            console.error('Error marking recurring bill as billed:', error);
+            this.ui.showToast('Bill saved, but it is still shown as awaiting review', 'warning');
+        }
+    }
+
+    async skipRun(runId) {
+        if (!this.canPerformAction('create')) {
+            this.ui.showToast('Insufficient permissions to review recurring bills', 'error');
+            return;
+        }
+
+        const run = this.runs.find(r => r.id === runId);
+        if (!run) {
+            this.ui.showToast('Recurring bill not found', 'error');
+            return;
+        }
+
+        const confirmed = await this.ui.showConfirmation(
+            'Skip Bill',
+            `Skip the bill for <strong>${this.ui.escapeHtml(run.customer_name)}</strong> due on ${Utils.formatDate(run.run_date)}? No bill is created and the next one is queued as usual.`,
+            'Skip',
+            'Cancel',
+            'warning'
+        );
+        if (!confirmed) return;
+
+        try {
+            await this.db.update('recurring_bill_runs', runId, {
+                status: 'skipped',
+                reviewed_by: this.getCurrentUser()?.id || 'system',
+                reviewed_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            });
+            this.ui.showToast('Bill skipped', 'success');
+            await this.loadRecurringBills();
+        } catch (error) {
+            console.error('Error skipping recurring bill:', error);
+            this.ui.showToast('Error skipping recurring bill: ' + error.message, 'error');
+        }
+    }
+
+    // ==================== TEMPLATE ACTIONS ====================
+
+    async toggleActive(recurringBillId) {
+        if (!this.canPerformAction('edit')) {
+            this.ui.showToast('Insufficient permissions to edit recurring bills', 'error');
+            return;
+        }
+
+        const recurringBill = this.recurringBills.find(r => r.id === recurringBillId);
+        if (!recurringBill) {
+            this.ui.showToast('Recurring bill not found', 'error');
+            return;
+        }
+
+        const changes = { active: !recurringBill.active, updated_at: new Date().toISOString() };
+        if (changes.active) {
+            // Dates that passed while paused are not billed on resume
+            let nextRunDate = recurringBill.next_run_date;
+            while (nextRunDate < this.getToday()) {
+                nextRunDate = Utils.getNextRecurringDate(nextRunDate, recurringBill.frequency, recurringBill.day_of_month);
+            }
+            if (recurringBill.end_date && nextRunDate > recurringBill.end_date) {
+                this.ui.showToast('This recurring bill has ended - edit it to set a later stop date first', 'error');
+                return;
+            }
+            changes.next_run_date = nextRunDate;
+        }
+
+        try {
+            await this.db.update('recurring_bills', recurringBillId, changes);
+            this.ui.showToast(changes.active
+                ? `Resumed - next bill on ${Utils.formatDate(changes.next_run_date)}`
+                : 'Recurring bill paused', 'success');
+            await this.getBilling()?.queueDueRecurringBills();
+            await this.loadRecurringBills();
+        } catch (error) {
+            console.error('Error updating recurring bill:', error);
+            this.ui.showToast('Error updating recurring bill: ' + error.message, 'error');
+        }
+    }
+
+    async deleteRecurringBill(recurringBillId) {
+        if (!this.canPerformAction('delete')) {
+            this.ui.showToast('Insufficient permissions to delete recurring bills', 'error');
+            return;
+        }
+
+        const recurringBill = this.recurringBills.find(r => r.id === recurringBillId);
+        if (!recurringBill) {
+            this.ui.showToast('Recurring bill not found', 'error');
+            return;
+        }
+
+        const pendingRuns = this.runs.filter(run => run.recurring_bill_id === recurringBillId && run.status === 'pending');
+        const confirmed = await this.ui.showConfirmation(
+            'Delete Recurring Bill',
+            `Stop billing <strong>${this.ui.escapeHtml(recurringBill.customer_name)}</strong> ${this.FREQUENCIES[recurringBill.frequency]?.toLowerCase() || ''}?` +
+            (pendingRuns.length ? ` The ${pendingRuns.length} bill(s) awaiting review will be skipped.` : '') +
+            ' An admin can restore it from the Trash.',
+            'Delete',
+            'Cancel',
+            'danger'
+        );
+        if (!confirmed) return;
+
+        try {
+            this.ui.showLoading('Deleting recurring bill...');
+            const now = new Date().toISOString();
+            for (const run of pendingRuns) {
+                await this.db.update('recurring_bill_runs', run.id, {
+                    status: 'skipped',
+                    reviewed_by: this.getCurrentUser()?.id || 'system',
+                    reviewed_at: now,
+                    updated_at: now
+                });
+            }
+            await this.db.delete('recurring_bills', recurringBillId);
+            this.ui.showToast('Recurring bill moved to Trash', 'success');
+            await this.loadRecurringBills();
+        } catch (error) {
+            console.error('Error deleting recurring bill:', error);
+            this.ui.showToast('Error deleting recurring bill: ' + error.message, 'error');
+        } finally {
+            this.ui.hideLoading();
+        }
+    }
+
+    // ==================== MODAL MANAGEMENT ====================
+
+    showCustomModal(html, modalId) {
+        const existingModal = document.getElementById(modalId);
+        if (existingModal) {
+            existingModal.remove();
+        }
+
+        document.body.insertAdjacentHTML('beforeend', html);
+        this.ui.showModal(modalId);
+    }
+
+    // ==================== CLEANUP ====================
+
+    cleanup() {
+        this.realtimeUnsubscribers.forEach(unsubscribe => unsubscribe());
+        this.realtimeUnsubscribers = [];
+        clearTimeout(this.realtimeRenderTimer);
+    }
+}
+
+window.RecurringBillManager = RecurringBillManager;
@@ -4,6 +4,8 @@ class ReportsManager {
         this.ui = dependencies.ui;
         this.auth = dependencies.auth;
         this.currentReportData = [];
+        this.currentCreditNotes = [];
+        this.currentReportRange = null;
         this.exportManager = dependencies.exportManager;
     }
 
@@ -130,23 +132,23 @@ class ReportsManager {
                 return;
             }
 
-            // Get bills from database
-            const bills = await this.db.getBills();
-            
-            // Filter by date range
-            const filteredBills = bills.filter(bill => {
-                if (!bill.bill_date) return false;
-                
-                const billDate = new Date(bill.bill_date);
-                const start = new Date(startDate);
-                const end = new Date(endDate);
-                end.setHours(23, 59, 59, 999);
-                
-                return billDate >= start && billDate <= end;
+            // Get bills in the date range from database
+            const filteredBills = await this.db.getBills({
+                bill_date: { between: [startDate, endDate] }
+            });
+
+            // Returns count in the period the credit note is dated, like get_dashboard_stats
+            const creditNotes = await this.db.getCreditNotes({
+                credit_note_date: { between: [startDate, endDate] }
+            }).catch(error => {
+                console.error('Error loading credit notes:', error);
+                return [];
             });
 
             this.currentReportData = filteredBills;
-            this.displayReport(filteredBills);
+            this.currentCreditNotes = creditNotes || [];
+            this.currentReportRange = { startDate, endDate };
+            this.displayReport(filteredBills, this.currentCreditNotes);
             await this.loadReportStats();
             
             this.ui.showToast(`Report generated: ${filteredBills.length} records found`, 'success');
@@ -158,7 +160,7 @@ class ReportsManager {
         }
     }
 
-    displayReport(bills) {
+    displayReport(bills, creditNotes = []) {
         const tbody = document.getElementById('reportsTableBody');
         if (!tbody) {
             console.error('Reports table body not found');
@@ -167,7 +169,7 @@ class ReportsManager {
 
         tbody.innerHTML = '';
 
-        if (!bills || bills.length === 0) {
+        if ((!bills || bills.length === 0) && creditNotes.length === 0) {
             tbody.innerHTML = `
                 <tr>
                     <td colspan="6" class="no-data">
@@ -179,7 +181,7 @@ class ReportsManager {
             return;
         }
 
-        bills.forEach(bill => {
+        (bills || []).forEach(bill => {
             const row = document.createElement('tr');
             row.innerHTML = `
                 <td>${Utils.formatDate(bill.bill_date) || 'N/A'}</td>
@@ -191,6 +193,73 @@ class ReportsManager {
             `;
             tbody.appendChild(row);
         });
+
+        // Credit notes take their amount and GST back off the period's sales
+        creditNotes.forEach(note => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${Utils.formatDate(note.credit_note_date) || 'N/A'}</td>
+                <td>${this.ui.escapeHtml(note.credit_note_number || 'N/A')}<br><small>against ${this.ui.escapeHtml(note.bill_number || 'unnumbered bill')}</small></td>
+                <td>${this.ui.escapeHtml(note.customer_name || 'N/A')}</td>
+                <td>${Utils.formatCurrency(-(Number(note.total_amount) || 0))}</td>
+                <td>${Utils.formatCurrency(-(Number(note.gst_amount) || 0))}</td>
+                <td><span class="status-${note.status === 'cancelled' ? 'cancelled' : 'issued'}">${note.status === 'cancelled' ? 'cancelled' : 'credit note'}</span></td>
+            `;
+            tbody.appendChild(row);
+        });
+    }
+
+    /**
+     * 🧾 BILLS AND CREDIT NOTES AS EXPORT ROWS - a credit note's amounts are negative
+     * so the columns add up to the period's net sales and GST
+     */
+    getReportExportRows() {
+        const billRows = this.currentReportData.map(bill => ({
+            'Date': Utils.formatDate(bill.bill_date) || 'N/A',
+            'Document': 'Invoice',
+            'Bill Number': bill.bill_number || 'N/A',
+            'Against Invoice': '',
+            'Customer Name': bill.customer_name || 'N/A',
+            'Customer Phone': bill.customer_phone || '',
+            'Customer GSTIN': bill.customer_gstin || '',
+            'Place of Supply': bill.place_of_supply || '',
+            'Sub Total': parseFloat(bill.sub_total) || 0,
+            'Discount': parseFloat(bill.discount_amount) || 0,
+            'Charges': parseFloat(bill.charges_amount) || 0,
+            'GST Rate': bill.gst_rate ? `${bill.gst_rate}%` : (parseFloat(bill.gst_amount) ? 'Mixed' : '0%'),
+            'CGST': parseFloat(bill.cgst_amount) || 0,
+            'SGST': parseFloat(bill.sgst_amount) || 0,
+            'IGST': parseFloat(bill.igst_amount) || 0,
+            'GST Amount': parseFloat(bill.gst_amount) || 0,
+            'Round Off': parseFloat(bill.round_off) || 0,
+            'Total Amount': parseFloat(bill.total_amount) || 0,
+            'Status': bill.status || 'pending'
+        }));
+
+        const negative = value => -(parseFloat(value) || 0);
+        const creditRows = this.currentCreditNotes.map(note => ({
+            'Date': Utils.formatDate(note.credit_note_date) || 'N/A',
+            'Document': 'Credit Note',
+            'Bill Number': note.credit_note_number || 'N/A',
+            'Against Invoice': note.bill_number || '',
+            'Customer Name': note.customer_name || 'N/A',
+            'Customer Phone': note.customer_phone || '',
+            'Customer GSTIN': note.customer_gstin || '',
+            'Place of Supply': note.place_of_supply || '',
+            'Sub Total': negative(note.sub_total),
+            'Discount': 0,
+            'Charges': 0,
+            'GST Rate': '',
+            'CGST': negative(note.cgst_amount),
+            'SGST': negative(note.sgst_amount),
+            'IGST': negative(note.igst_amount),
+            'GST Amount': negative(note.gst_amount),
+            'Round Off': negative(note.round_off),
+            'Total Amount': negative(note.total_amount),
+            'Status': note.status || 'issued'
+        }));
+
+        return [...billRows, ...creditRows];
     }
 
     async loadReportStats() {
@@ -198,51 +267,44 @@ class ReportsManager {
             const statsElement = document.getElementById('reportStats');
             if (!statsElement) return;
 
-            const [bills, customers, employees, payments] = await Promise.all([
-                this.db.getBills().catch(() => []),
-                this.db.getCustomers().catch(() => []),
-                this.db.getEmployees().catch(() => []),
-                this.db.getPayments().catch(() => [])
+            // Overall totals, plus the same totals for the generated report's date range
+            const [stats, reportStats] = await Promise.all([
+                this.db.getDashboardStats(),
+                this.currentReportRange ? this.db.getDashboardStats(this.currentReportRange) : null
             ]);
 
-            // Calculate statistics with safe defaults
-            const totalSales = bills.reduce((sum, bill) => sum + (parseFloat(bill.total_amount) || 0), 0);
-            const totalGST = bills.reduce((sum, bill) => sum + (parseFloat(bill.gst_amount) || 0), 0);
-            const paidBills = bills.filter(bill => bill.status === 'paid').length;
-            const pendingBills = bills.filter(bill => bill.status === 'pending').length;
-            
-            // Current report stats
-            const currentSales = this.currentReportData.reduce((sum, bill) => sum + (parseFloat(bill.total_amount) || 0), 0);
-            const currentGST = this.currentReportData.reduce((sum, bill) => sum + (parseFloat(bill.gst_amount) || 0), 0);
+            const currentSales = reportStats ? reportStats.totalSales : 0;
+            const currentGST = reportStats ? reportStats.totalGST : 0;
+            const currentCredited = reportStats ? reportStats.totalCredited : 0;
 
             statsElement.innerHTML = `
                 <div class="stat-item">
                     <span>Total Customers:</span>
-                    <strong>${customers.length}</strong>
+                    <strong>${stats.totalCustomers}</strong>
                 </div>
                 <div class="stat-item">
                     <span>Total Employees:</span>
-                    <strong>${employees.length}</strong>
+                    <strong>${stats.totalEmployees}</strong>
                 </div>
                 <div class="stat-item">
                     <span>Total Bills:</span>
-                    <strong>${bills.length}</strong>
+                    <strong>${stats.totalBills}</strong>
                 </div>
                 <div class="stat-item">
                     <span>Paid Bills:</span>
-                    <strong>${paidBills}</strong>
+                    <strong>${stats.paidBills}</strong>
                 </div>
                 <div class="stat-item">
                     <span>Pending Bills:</span>
-                    <strong>${pendingBills}</strong>
+                    <strong>${stats.pendingPayments}</strong>
                 </div>
                 <div class="stat-item">
                     <span>Total Sales:</span>
-                    <strong>${Utils.formatCurrency(totalSales)}</strong>
+                    <strong>${Utils.formatCurrency(stats.totalSales)}</strong>
                 </div>
                 <div class="stat-item">
                     <span>Total GST:</span>
-                    <strong>${Utils.formatCurrency(totalGST)}</strong>
+                    <strong>${Utils.formatCurrency(stats.totalGST)}</strong>
                 </div>
                 <div class="stat-item" style="border-top: 2px solid var(--primary-color); padding-top: 0.5rem;">
                     <span>Current Report Sales:</span>
@@ -252,6 +314,12 @@ class ReportsManager {
                     <span>Current Report GST:</span>
                     <strong style="color: var(--primary-color);">${Utils.formatCurrency(currentGST)}</strong>
                 </div>
+                ${currentCredited > 0 ? `
+                    <div class="stat-item">
+                        <span>Current Report Credit Notes:</span>
+                        <strong style="color: var(--primary-color);">${Utils.formatCurrency(-currentCredited)}</strong>
+                    </div>
+                ` : ''}
             `;
         } catch (error) {
             console.error('Error loading report stats:', error);
@@ -353,8 +421,14 @@ class ReportsManager {
         }
 
         const previewData = this.currentReportData.slice(0, 5);
-        const totalAmount = this.currentReportData.reduce((sum, bill) => sum + (parseFloat(bill.total_amount) || 0), 0);
-        const totalGST = this.currentReportData.reduce((sum, bill) => sum + (parseFloat(bill.gst_amount) || 0), 0);
+        const activeBills = this.currentReportData.filter(bill => bill.status !== 'cancelled');
+        const activeCredits = this.currentCreditNotes.filter(note => note.status !== 'cancelled');
+        const totalCredited = activeCredits.reduce((sum, note) => sum + (parseFloat(note.total_amount) || 0), 0);
+        const totalAmount = activeBills.reduce((sum, bill) => sum + (parseFloat(bill.total_amount) || 0), 0) - totalCredited;
+        const totalGST = activeBills.reduce((sum, bill) => sum + (parseFloat(bill.gst_amount) || 0), 0)
+            - activeCredits.reduce((sum, note) => sum + (parseFloat(note.gst_amount) || 0), 0);
+        const totalDiscount = activeBills.reduce((sum, bill) => sum + (parseFloat(bill.discount_amount) || 0), 0);
+        const totalCharges = activeBills.reduce((sum, bill) => sum + (parseFloat(bill.charges_amount) || 0), 0);
 
         return `
             <div class="preview-table">
@@ -394,14 +468,28 @@ class ReportsManager {
                     <span>Total Records:</span>
                     <strong>${this.currentReportData.length}</strong>
                 </div>
+                ${activeCredits.length > 0 ? `
+                    <div class="summary-item">
+                        <span>Credit Notes (${activeCredits.length}):</span>
+                        <strong>${Utils.formatCurrency(-totalCredited)}</strong>
+                    </div>
+                ` : ''}
                 <div class="summary-item">
-                    <span>Total Amount:</span>
+                    <span>Net Amount:</span>
                     <strong>${Utils.formatCurrency(totalAmount)}</strong>
                 </div>
                 <div class="summary-item">
                     <span>Total GST:</span>
                     <strong>${Utils.formatCurrency(totalGST)}</strong>
                 </div>
+                <div class="summary-item">
+                    <span>Bill Discounts:</span>
+                    <strong>${Utils.formatCurrency(totalDiscount)}</strong>
+                </div>
+                <div class="summary-item">
+                    <span>Transport &amp; Other Charges:</span>
+                    <strong>${Utils.formatCurrency(totalCharges)}</strong>
+                </div>
             </div>
         `;
     }
@@ -452,17 +540,7 @@ class ReportsManager {
             const endDate = document.getElementById('reportEndDate')?.value;
             const title = `Sales Report (${Utils.formatDate(startDate)} to ${Utils.formatDate(endDate)})`;
 
-            const exportData = this.currentReportData.map(bill => ({
-                'Date': Utils.formatDate(bill.bill_date) || 'N/A',
-                'Bill Number': bill.bill_number || 'N/A',
-                'Customer Name': bill.customer_name || 'N/A',
-                'Customer Phone': bill.customer_phone || '',
-                'Sub Total': parseFloat(bill.sub_total) || 0,
-                'GST Rate': bill.gst_rate ? `${bill.gst_rate}%` : '0%',
-                'GST Amount': parseFloat(bill.gst_amount) || 0,
-                'Total Amount': parseFloat(bill.total_amount) || 0,
-                'Status': bill.status || 'pending'
-            }));
+            const exportData = this.getReportExportRows();
 
             // Use available export manager
             if (this.exportManager && typeof this.exportManager.exportToExcel === 'function') {
@@ -498,13 +576,13 @@ class ReportsManager {
             const endDate = document.getElementById('reportEndDate')?.value;
             const title = `Sales Report (${Utils.formatDate(startDate)} to ${Utils.formatDate(endDate)})`;
 
-            const exportData = this.currentReportData.map(bill => ({
-                'Date': Utils.formatDate(bill.bill_date) || 'N/A',
-                'Bill Number': bill.bill_number || 'N/A',
-                'Customer': bill.customer_name || 'N/A',
-                'Amount': Utils.formatCurrency(bill.total_amount || 0),
-                'GST': Utils.formatCurrency(bill.gst_amount || 0),
-                'Status': bill.status || 'pending'
+            const exportData = this.getReportExportRows().map(row => ({
+                'Date': row['Date'],
+                'Bill Number': row['Document'] === 'Credit Note' ? `${row['Bill Number']} (against ${row['Against Invoice'] || 'unnumbered bill'})` : row['Bill Number'],
+                'Customer': row['Customer Name'],
+                'Amount': Utils.formatCurrency(row['Total Amount']),
+                'GST': Utils.formatCurrency(row['GST Amount']),
+                'Status': row['Status']
             }));
 
             // Use available export manager
@@ -748,7 +826,7 @@ class ReportsManager {
             }
 
             const exportData = employees.map(emp => ({
-                'Employee ID': emp.employee_id || 'N/A',
+                'Employee ID': emp.employee_code || emp.id || 'N/A',
                 'Name': emp.name || 'N/A',
                 'Phone': emp.phone || '',
                 'Email': emp.email || '',
@@ -812,7 +890,10 @@ class ReportsManager {
                 'Customer': bill.customer_name || 'N/A',
                 'Date': Utils.formatDate(bill.bill_date) || 'N/A',
                 'Sub Total': parseFloat(bill.sub_total) || 0,
+                'Discount': parseFloat(bill.discount_amount) || 0,
+                'Charges': parseFloat(bill.charges_amount) || 0,
                 'GST Amount': parseFloat(bill.gst_amount) || 0,
+                'Round Off': parseFloat(bill.round_off) || 0,
                 'Total Amount': parseFloat(bill.total_amount) || 0,
                 'Status': bill.status || 'pending'
             }));
@@ -889,8 +970,7 @@ class ReportsManager {
     async quickExportPending() {
         try {
             this.ui.showExportProgress('Exporting pending bills...');
-            const bills = await this.db.getBills().catch(() => []);
-            const pendingBills = bills.filter(bill => bill.status === 'pending');
+            const pendingBills = await this.db.getBills({ status: ['pending', 'partially_paid'] }).catch(() => []);
             
             if (pendingBills.length === 0) {
                 this.ui.showToast('No pending bills available for export', 'warning');
@@ -901,6 +981,7 @@ class ReportsManager {
                 'Bill Number': bill.bill_number || 'N/A',
                 'Customer': bill.customer_name || 'N/A',
                 'Amount': parseFloat(bill.total_amount) || 0,
+                'Balance Due': Utils.getBillBalanceDue(bill),
                 'Date': Utils.formatDate(bill.bill_date) || 'N/A',
                 'Due Date': Utils.formatDate(bill.due_date) || 'N/A'
             }));
@@ -968,6 +1049,7 @@ class ReportsManager {
     destroy() {
         // Remove any event listeners if needed
         this.currentReportData = [];
+        this.currentReportRange = null;
     }
 }
 
@@ -44,18 +44,69 @@ class SalaryManager {
 
         this.boundClickHandler = null;
         this.setupEventListeners();
+
+        // 📡 Realtime - subscribed once here, since initialize() only runs inside the salary section
+        this.realtimeUnsubscribers = [];
+        this.realtimeRenderTimer = null;
+        this.setupRealtimeListeners();
         console.log('✅ SalaryManager initialized with enhanced UX');
     }
 
     /**
-     * ✅ FIXED: Generate proper UUID for Supabase
+     * 📡 PATCH SALARY DATA CHANGED ON ANOTHER DESKTOP
      */
-    generateId() {
-        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function (c) {
-            const r = Math.random() * 16 | 0;
-            const v = c == 'x' ? r : (r & 0x3 | 0x8);
-            return v.toString(16);
+    setupRealtimeListeners() {
+        if (this.realtimeUnsubscribers.length > 0 || typeof this.db?.onChange !== 'function') return;
+
+        const patch = (table, property, keep) => this.db.onChange(table, (change) => {
+            this[property] = this.db.applyChangeToList(this[property], change, keep);
+            this.scheduleRealtimeRender();
         });
+
+        this.realtimeUnsubscribers = [
+            patch('employees', 'dailyEmployees', (employee) => employee.salary_type === 'daily' || !employee.salary_type),
+            patch('attendance', 'attendanceRecords'),
+            patch('salary_payments', 'salaryPayments'),
+            patch('salary_records', 'salaryRecords'),
+            patch('advance_records', 'advanceRecords')
+        ];
+    }
+
+    // Bulk payouts arrive as a burst of events - render once they settle
+    scheduleRealtimeRender() {
+        clearTimeout(this.realtimeRenderTimer);
+        this.realtimeRenderTimer = setTimeout(() => this.renderRealtimeChanges(), 300);
+    }
+
+    renderRealtimeChanges() {
+        if (this.isLoading) return;
+
+        if (this.isInitialized && this.ui.isSectionVisible('salaryContent')) {
+            this.processTodaysData();
+            this.calculateEmployeeSummaries();
+            this.renderEnhancedDashboard();
+            this.updateSummaryCards();
+        }
+
+        if (this.ui.isSectionVisible('salaryPaymentsContent')) {
+            this.renderSalaryPaymentsTable();
+            this.updateSalaryPaymentsSummary();
+        }
+    }
+
+    /**
+     * 🆔 Record id from the shared ID service
+     */
+    generateId() {
+        return this.db.generateId();
+    }
+
+    /**
+     * 🏷️ Employee code for display - older employees use their id as the code
+     */
+    getEmployeeCode(employeeId) {
+        const employee = this.dailyEmployees.find(emp => emp.id === employeeId);
+        return employee?.employee_code || employeeId;
     }
 
     /**
@@ -843,7 +894,7 @@ class SalaryManager {
                                 </div>
                                 <div class="detail-item">
                                     <label>Employee ID:</label>
-                                    <span>${payment.employee_id}</span>
+                                    <span>${this.getEmployeeCode(payment.employee_id)}</span>
                                 </div>
                             </div>
                         </div>
@@ -1011,13 +1062,13 @@ class SalaryManager {
      * ✅ NEW: Delete salary payment
      */
     async deleteSalaryPayment(paymentId) {
-        if (!confirm('Are you sure you want to delete this salary payment? This action cannot be undone.')) {
+        if (!confirm('Are you sure you want to delete this salary payment? An admin can restore it from the Trash.')) {
             return;
         }
 
         try {
             await this.db.delete('salary_payments', paymentId);
-            this.ui.showToast('Salary payment deleted successfully', 'success');
+            this.ui.showToast('Salary payment moved to Trash', 'success');
             await this.loadSalaryPaymentsData();
         } catch (error) {
             console.error('❌ Error deleting salary payment:', error);
@@ -1612,7 +1663,7 @@ class SalaryManager {
                     </div>
                     <div class="employee-info">
                         <h4>${employee.name}</h4>
-                        <p>${employee.role} • ${employee.id}</p>
+                        <p>${employee.role} • ${employee.employee_code || employee.id}</p>
                     </div>
                     <div class="employee-status ${statusClass}">
                         <i class="fas ${this.getStatusIcon(summary.todayStatus)}"></i>
@@ -1697,7 +1748,7 @@ class SalaryManager {
                 return `
                     <tr class="${isAdvance ? 'advance-record' : 'salary-record'}">
                         <td class="time-cell">${this.formatTime(record.record_date)}</td>
-                        <td><strong>${record.employee_id}</strong></td>
+                        <td><strong>${this.getEmployeeCode(record.employee_id)}</strong></td>
                         <td>${record.employee_name}</td>
                         <td>
                             ${isAdvance ?
@@ -1752,7 +1803,7 @@ class SalaryManager {
                              alt="${employee?.name}" class="avatar-small">
                         <div class="info">
                             <strong>${employee?.name || 'Unknown Employee'}</strong>
-                            <small>${employee?.role || 'N/A'} • ${advance.employee_id}</small>
+                            <small>${employee?.role || 'N/A'} • ${employee?.employee_code || advance.employee_id}</small>
                         </div>
                     </div>
                     <span class="advance-amount">${Utils.formatCurrency(advance.amount)}</span>
@@ -2156,7 +2207,7 @@ class SalaryManager {
                             <div class="profile-info">
                                 <h2>${employee.name}</h2>
                                 <p class="employee-role">${employee.role || 'Daily Employee'}</p>
-                                <p class="employee-id">ID: ${employee.id}</p>
+                                <p class="employee-id">ID: ${employee.employee_code || employee.id}</p>
                                 <p class="employee-status ${this.getStatusClass(summary.todayStatus)}">
                                     <i class="fas ${this.getStatusIcon(summary.todayStatus)}"></i>
                                     Today: ${this.getStatusText(summary.todayStatus)}
@@ -2627,7 +2678,7 @@ class SalaryManager {
                 year: new Date(date).getFullYear(),
                 created_at: new Date().toISOString()
             };
-            await this.db.create('salary_records', salaryData);
+            const operations = [{ type: 'create', table: 'salary_records', data: salaryData }];
 
             // Deduct advances if requested
             if (deductAdvance) {
@@ -2638,15 +2689,23 @@ class SalaryManager {
                         adv.employee_id === employeeId && adv.status === 'pending'
                     );
 
-                    for (const advance of pendingAdvances) {
-                        await this.db.update('advance_records', advance.id, {
-                            status: 'deducted',
-                            deducted_date: new Date().toISOString()
+                    pendingAdvances.forEach(advance => {
+                        operations.push({
+                            type: 'update',
+                            table: 'advance_records',
+                            id: advance.id,
+                            data: {
+                                status: 'deducted',
+                                deducted_date: new Date().toISOString()
+                            }
                         });
-                    }
+                    });
                 }
             }
 
+            // Salary record and advance deductions are saved as one unit
+            await this.db.transaction(operations);
+
             this.ui.showToast(`Salary paid to ${employee.name}`, 'success');
             await this.loadSalaryData();
         } catch (error) {
@@ -2892,7 +2951,7 @@ class SalaryManager {
                                 </div>
                                 <div class="detail-item">
                                     <label>Employee ID:</label>
-                                    <span>${advance.employee_id}</span>
+                                    <span>${employee?.employee_code || advance.employee_id}</span>
                                 </div>
                             </div>
                         </div>
@@ -3013,7 +3072,7 @@ class SalaryManager {
             const summary = this.getEmployeeSummary(employee.id);
             const option = document.createElement('option');
             option.value = employee.id;
-            option.textContent = `${employee.name} (${employee.id}) - ${employee.role} - Adv: ${Utils.formatCurrency(summary.pendingAdvances)}`;
+            option.textContent = `${employee.name} (${employee.employee_code || employee.id}) - ${employee.role} - Adv: ${Utils.formatCurrency(summary.pendingAdvances)}`;
             employeeSelect.appendChild(option);
         });
     }
@@ -3277,6 +3336,9 @@ class SalaryManager {
      */
     cleanup() {
         this.cleanupEventListeners();
+        this.realtimeUnsubscribers.forEach(unsubscribe => unsubscribe());
+        this.realtimeUnsubscribers = [];
+        clearTimeout(this.realtimeRenderTimer);
         this.isInitialized = false;
         this.isLoading = false;
         this.activeSection = null;
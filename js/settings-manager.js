@@ -5,6 +5,8 @@ class SettingsManager {
         this.auth = dependencies.auth;
         this.theme = dependencies.theme;
         this.backupHistory = [];
+        // The logo is stored in localStorage, so keep it small
+        this.MAX_LOGO_BYTES = 200 * 1024;
         this.currentSettings = this.getCurrentSettings();
     }
 
@@ -13,6 +15,14 @@ class SettingsManager {
         this.loadUserProfile();
         this.loadSettings();
         await this.loadBackupHistory();
+
+        // The startup check runs before this manager exists, so look at its result too
+        window.addEventListener('schemaMigrationsPending', (e) => this.notifyPendingMigrations(e.detail));
+        const migrationStatus = this.db.migrations.getStatus();
+        if (migrationStatus?.pending.length > 0) {
+            this.notifyPendingMigrations(migrationStatus);
+        }
+
         return Promise.resolve();
     }
 
@@ -93,6 +103,12 @@ class SettingsManager {
                 <button class="nav-tab" data-tab="notifications">
                     <i class="fas fa-bell"></i> Notifications
                 </button>
+                <button class="nav-tab" data-tab="database">
+                    <i class="fas fa-server"></i> Database
+                </button>
+                <button class="nav-tab" data-tab="invoicing">
+                    <i class="fas fa-file-invoice"></i> Invoicing
+                </button>
             </div>
             <div class="settings-content">
                 <div id="profileTab" class="tab-content active">
@@ -110,6 +126,12 @@ class SettingsManager {
                 <div id="notificationsTab" class="tab-content">
                     ${this.getNotificationsTabContent()}
                 </div>
+                <div id="databaseTab" class="tab-content">
+                    ${this.getDatabaseTabContent()}
+                </div>
+                <div id="invoicingTab" class="tab-content">
+                    ${this.getInvoicingTabContent()}
+                </div>
             </div>
         `;
 
@@ -655,6 +677,422 @@ class SettingsManager {
         `;
     }
 
+    getDatabaseTabContent() {
+        const mode = this.db.mode;
+        const isDesktop = !!window.electronAPI?.sqliteQuery;
+
+        return `
+            <div class="settings-section">
+                <h3><i class="fas fa-server"></i> Database</h3>
+
+                <form id="databaseModeForm" class="settings-form">
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="databaseMode">Where data is stored</label>
+                            <select id="databaseMode">
+                                <option value="supabase" ${mode === 'supabase' ? 'selected' : ''}>Supabase (cloud, syncs between devices)</option>
+                                <option value="sqlite" ${mode === 'sqlite' ? 'selected' : ''} ${isDesktop ? '' : 'disabled'}>Local server (SQLite on this computer)</option>
+                            </select>
+                            <small class="form-hint">
+                                Local server mode keeps everything in a SQLite file on this computer and works fully offline.
+                                The two modes keep separate data - switching does not copy records across.
+                            </small>
+                        </div>
+                    </div>
+                    <div class="form-actions">
+                        <button type="submit" class="btn-primary">
+                            <i class="fas fa-redo"></i> Switch & Restart
+                        </button>
+                    </div>
+                </form>
+
+                <div class="backup-history">
+                    <div class="section-header">
+                        <h4><i class="fas fa-plug"></i> Supabase Connection Profiles</h4>
+                    </div>
+                    <div id="connectionProfileList" class="backup-list">
+                        ${this.renderConnectionProfiles()}
+                    </div>
+                </div>
+
+                <div class="backup-settings">
+                    <h4 id="connectionProfileFormTitle"><i class="fas fa-plus"></i> Add Profile</h4>
+                    <form id="connectionProfileForm" class="settings-form">
+                        <input type="hidden" id="connectionProfileId">
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="connectionProfileLabel">Profile Name</label>
+                                <input type="text" id="connectionProfileLabel" placeholder="e.g. Test project" required>
+                            </div>
+                            <div class="form-group">
+                                <label for="connectionProfileUrl">Project URL</label>
+                                <input type="url" id="connectionProfileUrl" placeholder="https://xxxx.supabase.co" required>
+                            </div>
+                        </div>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="connectionProfileKey">Anon Key</label>
+                                <input type="password" id="connectionProfileKey" autocomplete="off" required>
+                            </div>
+                        </div>
+                        <div class="form-actions">
+                            <button type="button" id="resetConnectionProfileBtn" class="btn-secondary">
+                                <i class="fas fa-times"></i> Clear
+                            </button>
+                            <button type="button" id="testConnectionProfileBtn" class="btn-secondary">
+                                <i class="fas fa-vial"></i> Test Connection
+                            </button>
+                            <button type="submit" class="btn-primary">
+                                <i class="fas fa-save"></i> Save Profile
+                            </button>
+                        </div>
+                    </form>
+                </div>
+
+                <div class="backup-history">
+                    <div class="section-header">
+                        <h4><i class="fas fa-layer-group"></i> Schema Migrations</h4>
+                        <button id="checkMigrationsBtn" class="btn-icon" title="Check again">
+                            <i class="fas fa-sync-alt"></i>
+                        </button>
+                    </div>
+                    <div id="schemaMigrationList" class="backup-list">
+                        ${this.renderSchemaMigrations(this.db.migrations.getStatus())}
+                    </div>
+                </div>
+
+                <div class="backup-history">
+                    <div class="section-header">
+                        <h4><i class="fas fa-hdd"></i> Local Server Status</h4>
+                        <button id="refreshDatabaseStatusBtn" class="btn-icon" title="Refresh status">
+                            <i class="fas fa-sync-alt"></i>
+                        </button>
+                    </div>
+                    <div id="databaseStatus" class="backup-list">
+                        <p class="no-data">${isDesktop ? 'Click refresh to check the local database' : 'Local server mode needs the desktop app'}</p>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    getInvoicingTabContent() {
+        const years = this.getInvoiceFinancialYears();
+        const business = Utils.getBusinessProfile();
+        const receipt = Utils.getReceiptSettings(this.auth.getCurrentUser()?.id);
+
+        return `
+            <div class="settings-section">
+                <h3><i class="fas fa-building"></i> GST Registration</h3>
+                <small class="form-hint">
+                    Bills to customers in this state get CGST + SGST; bills to other states get IGST.
+                    Saved on this computer - set the same details on every desktop.
+                </small>
+                <form id="businessProfileForm" class="settings-form">
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="businessName">Business Name</label>
+                            <input type="text" id="businessName" value="${this.ui.escapeHtml(business.name)}" placeholder="As registered for GST">
+                        </div>
+                        <div class="form-group">
+                            <label for="businessGstin">GSTIN</label>
+                            <input type="text" id="businessGstin" maxlength="15" value="${this.ui.escapeHtml(business.gstin)}">
+                        </div>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="businessStateCode">State</label>
+                            <select id="businessStateCode">
+                                ${Utils.getStateOptionsHtml(business.state_code)}
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="businessPhone">Phone</label>
+                            <input type="tel" id="businessPhone" value="${this.ui.escapeHtml(business.phone)}">
+                        </div>
+                    </div>
+                    <div class="form-group">
+                        <label for="businessAddress">Address</label>
+                        <textarea id="businessAddress" rows="2">${this.ui.escapeHtml(business.address)}</textarea>
+                    </div>
+                    <div class="form-actions">
+                        <button type="submit" class="btn-primary">
+                            <i class="fas fa-save"></i> Save GST Details
+                        </button>
+                    </div>
+                </form>
+            </div>
+
+            <div class="settings-section">
+                <h3><i class="fas fa-print"></i> Invoice Letterhead</h3>
+                <small class="form-hint">
+                    Printed on every tax invoice along with the GST details above. Saved on this computer.
+                </small>
+                <form id="invoiceLetterheadForm" class="settings-form">
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="businessLogoInput">Logo (PNG or JPG, up to ${Math.round(this.MAX_LOGO_BYTES / 1024)} KB)</label>
+                            <input type="file" id="businessLogoInput" accept="image/png,image/jpeg">
+                            <div class="logo-preview">
+                                <img id="businessLogoPreview" src="${this.ui.escapeHtml(business.logo)}" alt="Logo" ${business.logo ? '' : 'style="display: none;"'}>
+                                <button type="button" id="removeBusinessLogoBtn" class="btn-secondary" ${business.logo ? '' : 'style="display: none;"'}>
+                                    <i class="fas fa-times"></i> Remove Logo
+                                </button>
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label for="invoicePaperSize">Invoice Paper Size</label>
+                            <select id="invoicePaperSize">
+                                <option value="A4" ${business.invoice_paper_size === 'A4' ? 'selected' : ''}>A4</option>
+                                <option value="A5" ${business.invoice_paper_size === 'A5' ? 'selected' : ''}>A5</option>
+                            </select>
+                        </div>
+                    </div>
+                    <div class="form-group">
+                        <label for="businessSignatory">Authorised Signatory</label>
+                        <input type="text" id="businessSignatory" value="${this.ui.escapeHtml(business.signatory)}" placeholder="Name printed under the signature">
+                    </div>
+                    <h4><i class="fas fa-university"></i> Bank Details</h4>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="bankAccountName">Account Name</label>
+                            <input type="text" id="bankAccountName" value="${this.ui.escapeHtml(business.bank_account_name)}">
+                        </div>
+                        <div class="form-group">
+                            <label for="bankAccountNumber">Account Number</label>
+                            <input type="text" id="bankAccountNumber" value="${this.ui.escapeHtml(business.bank_account_number)}">
+                        </div>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="bankName">Bank</label>
+                            <input type="text" id="bankName" value="${this.ui.escapeHtml(business.bank_name)}">
+                        </div>
+                        <div class="form-group">
+                            <label for="bankBranch">Branch</label>
+                            <input type="text" id="bankBranch" value="${this.ui.escapeHtml(business.bank_branch)}">
+                        </div>
+                        <div class="form-group">
+                            <label for="bankIfsc">IFSC</label>
+                            <input type="text" id="bankIfsc" maxlength="11" value="${this.ui.escapeHtml(business.bank_ifsc)}">
+                        </div>
+                    </div>
+                    <div class="form-actions">
+                        <button type="submit" class="btn-primary">
+                            <i class="fas fa-save"></i> Save Letterhead
+                        </button>
+                    </div>
+                </form>
+            </div>
+
+            <div class="settings-section">
+                <h3><i class="fas fa-receipt"></i> Receipt Printer</h3>
+                <small class="form-hint">
+                    Counter receipts for walk-in sales. Your choice is saved for your login on this computer.
+                </small>
+                <form id="receiptPrinterForm" class="settings-form">
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="receiptPrinter">Printer</label>
+                            <select id="receiptPrinter">
+                                <option value="">Loading printers...</option>
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="receiptWidth">Paper Width</label>
+                            <select id="receiptWidth">
+                                <option value="58mm" ${receipt.width === '58mm' ? 'selected' : ''}>58 mm</option>
+                                <option value="80mm" ${receipt.width === '80mm' ? 'selected' : ''}>80 mm</option>
+                            </select>
+                        </div>
+                    </div>
+                    <div class="form-group">
+                        <label class="checkbox-label">
+                            <input type="checkbox" id="receiptSilent" ${receipt.silent ? 'checked' : ''}>
+                            Print receipts straight to this printer without the print dialog
+                        </label>
+                    </div>
+                    <div class="form-actions">
+                        <button type="submit" class="btn-primary">
+                            <i class="fas fa-save"></i> Save Receipt Printer
+                        </button>
+                    </div>
+                </form>
+            </div>
+
+            <div class="settings-section">
+                <h3><i class="fas fa-file-invoice"></i> Invoice Numbering</h3>
+                <small class="form-hint">
+                    Invoice numbers run without gaps within each financial year (April - March) and are assigned when a bill is saved.
+                    A year's prefix can be changed until its first invoice is issued.
+                </small>
+
+                <div class="backup-history">
+                    <div class="section-header">
+                        <h4><i class="fas fa-list-ol"></i> Series</h4>
+                        <button id="refreshInvoiceSeriesBtn" class="btn-icon" title="Refresh series">
+                            <i class="fas fa-sync-alt"></i>
+                        </button>
+                    </div>
+                    <div id="invoiceSeriesList" class="backup-list">
+                        <p class="no-data">Click refresh to load the invoice series</p>
+                    </div>
+                </div>
+
+                <div class="backup-settings">
+                    <h4><i class="fas fa-edit"></i> Set Prefix</h4>
+                    <form id="invoicePrefixForm" class="settings-form">
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="invoiceFinancialYear">Financial Year</label>
+                                <select id="invoiceFinancialYear">
+                                    ${years.map(year => `<option value="${year}">${year}</option>`).join('')}
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label for="invoicePrefix">Prefix</label>
+                                <input type="text" id="invoicePrefix" maxlength="${this.db.INVOICE_PREFIX_MAX_LENGTH}"
+                                       placeholder="${this.db.getDefaultInvoicePrefix(years[0])}" required>
+                                <small class="form-hint">
+                                    Letters, digits, "/" or "-"; a 4-digit running number follows, e.g. ${this.formatInvoiceNumber(this.db.getDefaultInvoicePrefix(years[0]), 1)}
+                                </small>
+                            </div>
+                        </div>
+                        <div class="form-actions">
+                            <button type="submit" class="btn-primary">
+                                <i class="fas fa-save"></i> Save Prefix
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+    }
+
+    // This year's series and the next one, so the prefix can be set before 1 April
+    getInvoiceFinancialYears() {
+        const current = Utils.getFinancialYear(new Date());
+        const nextStart = parseInt(current, 10) + 1;
+        return [current, `${nextStart}-${String((nextStart + 1) % 100).padStart(2, '0')}`];
+    }
+
+    formatInvoiceNumber(prefix, number) {
+        return `${prefix}${String(number).padStart(4, '0')}`;
+    }
+
+    renderInvoiceSeries(series) {
+        const byYear = new Map(series.map(item => [item.financial_year, item]));
+
+        // Years without an invoice yet still show the number they will start with
+        this.getInvoiceFinancialYears().forEach(year => {
+            if (!byYear.has(year)) {
+                byYear.set(year, { financial_year: year, prefix: this.db.getDefaultInvoicePrefix(year), last_number: 0 });
+            }
+        });
+
+        return Array.from(byYear.values())
+            .sort((a, b) => b.financial_year.localeCompare(a.financial_year))
+            .map(item => {
+                const issued = parseInt(item.last_number, 10) || 0;
+                return `
+                    <div class="backup-item">
+                        <div class="backup-item-info">
+                            <div class="backup-filename">
+                                <i class="fas fa-file-invoice"></i>
+                                FY ${this.ui.escapeHtml(item.financial_year)}
+                                ${issued > 0 ? '<span class="encryption-badge"><i class="fas fa-lock"></i> Prefix locked</span>' : ''}
+                            </div>
+                            <div class="backup-details">
+                                <span><i class="fas fa-tag"></i> ${this.ui.escapeHtml(item.prefix)}</span>
+                                <span><i class="fas fa-hashtag"></i> ${issued} issued</span>
+                                <span><i class="fas fa-arrow-right"></i> Next: ${this.ui.escapeHtml(this.formatInvoiceNumber(item.prefix, issued + 1))}</span>
+                            </div>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+    }
+
+    renderConnectionProfiles() {
+        return this.db.getConnectionProfiles().map(profile => `
+            <div class="backup-item">
+                <div class="backup-item-info">
+                    <div class="backup-filename">
+                        <i class="fas fa-cloud"></i>
+                        ${this.ui.escapeHtml(profile.label)}
+                        ${profile.active ? '<span class="encryption-badge"><i class="fas fa-check"></i> In use</span>' : ''}
+                    </div>
+                    <div class="backup-details">
+                        <span><i class="fas fa-link"></i> ${this.ui.escapeHtml(profile.url)}</span>
+                        <span><i class="fas fa-key"></i> ${this.ui.escapeHtml(this.maskKey(profile.key))}</span>
+                    </div>
+                </div>
+                <div class="backup-item-actions">
+                    ${profile.active ? '' : `
+                        <button class="btn-icon" data-profile-action="use" data-profile-id="${profile.id}" title="Use this profile">
+                            <i class="fas fa-exchange-alt"></i>
+                        </button>
+                    `}
+                    <button class="btn-icon" data-profile-action="test" data-profile-id="${profile.id}" title="Test connection">
+                        <i class="fas fa-vial"></i>
+                    </button>
+                    <button class="btn-icon" data-profile-action="edit" data-profile-id="${profile.id}" title="Edit profile">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    ${profile.active ? '' : `
+                        <button class="btn-icon danger" data-profile-action="delete" data-profile-id="${profile.id}" title="Delete profile">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    `}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    renderSchemaMigrations(status) {
+        if (this.db.isLocalServerMode()) {
+            return '<p class="no-data">The local server applies its own migrations on start - see its status below</p>';
+        }
+        if (!status) {
+            return '<p class="no-data">Migrations have not been checked yet</p>';
+        }
+
+        const appliedByVersion = new Map(status.applied.map(item => [item.version, item]));
+        const notice = status.pending.length > 0
+            ? `<p class="no-data">Run the pending files below in order in the Supabase SQL editor${status.trackingMissing ? ', starting with 001' : ''}.</p>`
+            : '<p class="no-data">Database schema is up to date</p>';
+
+        return notice + status.expected.map(migration => {
+            const applied = appliedByVersion.get(migration.version);
+            return `
+                <div class="backup-item">
+                    <div class="backup-item-info">
+                        <div class="backup-filename">
+                            <i class="fas ${applied ? 'fa-check-circle' : 'fa-clock'}"></i>
+                            ${this.ui.escapeHtml(migration.file)}
+                            ${applied ? '' : '<span class="encryption-badge"><i class="fas fa-exclamation-triangle"></i> Pending</span>'}
+                        </div>
+                        <div class="backup-details">
+                            <span><i class="fas fa-calendar"></i> ${applied?.applied_at ? 'Applied ' + new Date(applied.applied_at).toLocaleString('en-IN') : 'Not applied'}</span>
+                        </div>
+                    </div>
+                    <div class="backup-item-actions">
+                        ${applied ? '' : `
+                            <button class="btn-icon" data-migration-version="${migration.version}" title="Copy SQL">
+                                <i class="fas fa-copy"></i>
+                            </button>
+                        `}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    maskKey(key) {
+        if (!key || key.length < 12) return '••••';
+        return `${key.slice(0, 6)}…${key.slice(-4)}`;
+    }
+
     setupSettingsForms() {
         this.setupProfileForm();
         this.setupPasswordForm();
@@ -662,6 +1100,7 @@ class SettingsManager {
         this.setupBackupForm();
         this.setupSecurityForm();
         this.setupNotificationsForm();
+        this.setupDatabaseForm();
     }
 
     setupProfileForm() {
@@ -797,6 +1236,109 @@ class SettingsManager {
         }
     }
 
+    setupDatabaseForm() {
+        const databaseModeForm = document.getElementById('databaseModeForm');
+        const refreshDatabaseStatusBtn = document.getElementById('refreshDatabaseStatusBtn');
+
+        if (databaseModeForm && !databaseModeForm.hasListener) {
+            databaseModeForm.addEventListener('submit', (e) => this.handleDatabaseModeChange(e));
+            databaseModeForm.hasListener = true;
+        }
+
+        const connectionProfileForm = document.getElementById('connectionProfileForm');
+        const connectionProfileList = document.getElementById('connectionProfileList');
+        const testConnectionProfileBtn = document.getElementById('testConnectionProfileBtn');
+        const resetConnectionProfileBtn = document.getElementById('resetConnectionProfileBtn');
+
+        if (connectionProfileForm && !connectionProfileForm.hasListener) {
+            connectionProfileForm.addEventListener('submit', (e) => this.handleConnectionProfileSave(e));
+            connectionProfileForm.hasListener = true;
+        }
+
+        if (connectionProfileList && !connectionProfileList.hasListener) {
+            connectionProfileList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-profile-action]');
+                if (button) {
+                    this.handleConnectionProfileAction(button.dataset.profileAction, button.dataset.profileId, button);
+                }
+            });
+            connectionProfileList.hasListener = true;
+        }
+
+        if (testConnectionProfileBtn && !testConnectionProfileBtn.hasListener) {
+            testConnectionProfileBtn.addEventListener('click', (e) => this.testConnectionProfile(this.getConnectionProfileFormData(), e.currentTarget));
+            testConnectionProfileBtn.hasListener = true;
+        }
+
+        if (resetConnectionProfileBtn && !resetConnectionProfileBtn.hasListener) {
+            resetConnectionProfileBtn.addEventListener('click', () => this.fillConnectionProfileForm(null));
+            resetConnectionProfileBtn.hasListener = true;
+        }
+
+        const checkMigrationsBtn = document.getElementById('checkMigrationsBtn');
+        const schemaMigrationList = document.getElementById('schemaMigrationList');
+
+        if (checkMigrationsBtn && !checkMigrationsBtn.hasListener) {
+            checkMigrationsBtn.addEventListener('click', (e) => this.checkSchemaMigrations(e.currentTarget));
+            checkMigrationsBtn.hasListener = true;
+        }
+
+        if (schemaMigrationList && !schemaMigrationList.hasListener) {
+            schemaMigrationList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-migration-version]');
+                if (button) {
+                    this.copyMigrationSql(button.dataset.migrationVersion);
+                }
+            });
+            schemaMigrationList.hasListener = true;
+        }
+
+        const businessProfileForm = document.getElementById('businessProfileForm');
+        if (businessProfileForm && !businessProfileForm.hasListener) {
+            businessProfileForm.addEventListener('submit', (e) => this.handleBusinessProfileSave(e));
+            businessProfileForm.hasListener = true;
+        }
+
+        const invoiceLetterheadForm = document.getElementById('invoiceLetterheadForm');
+        if (invoiceLetterheadForm && !invoiceLetterheadForm.hasListener) {
+            this.pendingLogo = undefined;
+            invoiceLetterheadForm.addEventListener('submit', (e) => this.handleLetterheadSave(e));
+            document.getElementById('businessLogoInput')?.addEventListener('change', (e) => this.handleLogoSelected(e));
+            document.getElementById('removeBusinessLogoBtn')?.addEventListener('click', () => this.showLogoPreview(''));
+            invoiceLetterheadForm.hasListener = true;
+        }
+
+        const receiptPrinterForm = document.getElementById('receiptPrinterForm');
+        if (receiptPrinterForm && !receiptPrinterForm.hasListener) {
+            receiptPrinterForm.addEventListener('submit', (e) => this.handleReceiptPrinterSave(e));
+            receiptPrinterForm.hasListener = true;
+            this.loadReceiptPrinters();
+        }
+
+        const invoicePrefixForm = document.getElementById('invoicePrefixForm');
+        const refreshInvoiceSeriesBtn = document.getElementById('refreshInvoiceSeriesBtn');
+
+        if (invoicePrefixForm && !invoicePrefixForm.hasListener) {
+            invoicePrefixForm.addEventListener('submit', (e) => this.handleInvoicePrefixSave(e));
+            invoicePrefixForm.hasListener = true;
+        }
+
+        if (refreshInvoiceSeriesBtn && !refreshInvoiceSeriesBtn.hasListener) {
+            refreshInvoiceSeriesBtn.addEventListener('click', () => this.loadInvoiceSeries());
+            refreshInvoiceSeriesBtn.hasListener = true;
+            this.loadInvoiceSeries();
+        }
+
+        if (refreshDatabaseStatusBtn && !refreshDatabaseStatusBtn.hasListener) {
+            refreshDatabaseStatusBtn.addEventListener('click', () => this.loadDatabaseStatus());
+            refreshDatabaseStatusBtn.hasListener = true;
+
+            if (this.db.isLocalServerMode()) {
+                this.loadDatabaseStatus();
+            }
+        }
+    }
+
     // Validation Methods
     validateName() {
         const nameInput = document.getElementById('profileName');
@@ -1131,6 +1673,527 @@ class SettingsManager {
         }
     }
 
+    async handleDatabaseModeChange(e) {
+        e.preventDefault();
+
+        const mode = document.getElementById('databaseMode')?.value || 'supabase';
+        if (mode === this.db.mode) {
+            this.ui.showToast('Already using this database', 'info');
+            return;
+        }
+
+        const confirmed = await this.ui.showConfirmation(
+            'Switch Database?',
+            'The app will restart to switch databases.',
+            'Switch & Restart',
+            'Cancel'
+        );
+        if (!confirmed) return;
+
+        try {
+            this.db.setDatabaseMode(mode);
+            if (window.electronAPI?.restartApp) {
+                await window.electronAPI.restartApp();
+            } else {
+                window.location.reload();
+            }
+        } catch (error) {
+            console.error('❌ Error switching database mode:', error);
+            this.ui.showToast('Error switching database: ' + error.message, 'error');
+        }
+    }
+
+    getConnectionProfileFormData() {
+        return {
+            id: document.getElementById('connectionProfileId')?.value || null,
+            label: document.getElementById('connectionProfileLabel')?.value || '',
+            url: document.getElementById('connectionProfileUrl')?.value || '',
+            key: document.getElementById('connectionProfileKey')?.value || ''
+        };
+    }
+
+    fillConnectionProfileForm(profile) {
+        const title = document.getElementById('connectionProfileFormTitle');
+        document.getElementById('connectionProfileId').value = profile?.id || '';
+        document.getElementById('connectionProfileLabel').value = profile?.label || '';
+        document.getElementById('connectionProfileUrl').value = profile?.url || '';
+        document.getElementById('connectionProfileKey').value = profile?.key || '';
+
+        if (title) {
+            title.innerHTML = profile
+                ? `<i class="fas fa-edit"></i> Edit Profile: ${this.ui.escapeHtml(profile.label)}`
+                : '<i class="fas fa-plus"></i> Add Profile';
+        }
+    }
+
+    refreshConnectionProfiles() {
+        const list = document.getElementById('connectionProfileList');
+        if (list) {
+            list.innerHTML = this.renderConnectionProfiles();
+        }
+    }
+
+    async handleConnectionProfileSave(e) {
+        e.preventDefault();
+
+        try {
+            const saved = await this.db.saveConnectionProfile(this.getConnectionProfileFormData());
+            this.ui.showToast(`Profile "${saved.label}" saved`, 'success');
+            this.fillConnectionProfileForm(null);
+            this.refreshConnectionProfiles();
+        } catch (error) {
+            console.error('❌ Error saving connection profile:', error);
+            this.ui.showToast('Error saving profile: ' + error.message, 'error');
+        }
+    }
+
+    async handleConnectionProfileAction(action, id, button) {
+        const profile = this.db.getConnectionProfiles().find(item => item.id === id);
+        if (!profile) return;
+
+        if (action === 'edit') {
+            this.fillConnectionProfileForm(profile);
+        } else if (action === 'test') {
+            await this.testConnectionProfile(profile, button);
+        } else if (action === 'use') {
+            await this.switchConnectionProfile(profile, button);
+        } else if (action === 'delete') {
+            const confirmed = await this.ui.showConfirmation(
+                'Delete Connection Profile?',
+                `Remove "${this.ui.escapeHtml(profile.label)}" from this computer? The Supabase project itself is not affected.`,
+                'Delete',
+                'Cancel',
+                'danger'
+            );
+            if (!confirmed) return;
+
+            try {
+                await this.db.deleteConnectionProfile(id);
+                this.ui.showToast('Profile deleted', 'success');
+                this.refreshConnectionProfiles();
+            } catch (error) {
+                this.ui.showToast('Error deleting profile: ' + error.message, 'error');
+            }
+        }
+    }
+
+    async testConnectionProfile(profile, button) {
+        const resetButton = this.ui.showButtonLoading(button, 'Testing...');
+
+        try {
+            const result = await this.db.testConnectionProfile(profile);
+            this.ui.showToast(
+                result.success ? result.message : `Connection failed: ${result.message}`,
+                result.success ? 'success' : 'error'
+            );
+        } finally {
+            resetButton();
+        }
+    }
+
+    async switchConnectionProfile(profile, button) {
+        const changesProject = profile.url !== this.db.supabaseUrl;
+        let dropFailed = false;
+
+        if (changesProject && this.db.getPendingOperationCount() === 0 && this.db.getFailedOperationCount() > 0) {
+            const choice = await this.chooseFailedOperationsAction(profile);
+            if (!choice) return;
+            if (choice === 'export') this.exportFailedOperations();
+            dropFailed = true;
+        } else {
+            const confirmed = await this.ui.showConfirmation(
+                `Switch to ${this.ui.escapeHtml(profile.label)}?`,
+                'Data cached on this computer for the current project will be cleared and reloaded from the new one.',
+                'Switch',
+                'Cancel'
+            );
+            if (!confirmed) return;
+        }
+
+        const resetButton = this.ui.showButtonLoading(button, '');
+
+        try {
+            await this.db.switchConnectionProfile(profile.id, { dropFailed });
+            this.ui.showToast(`Now using ${profile.label}`, 'success');
+            this.refreshConnectionProfiles();
+        } catch (error) {
+            console.error('❌ Error switching connection profile:', error);
+            this.ui.showToast('Could not switch profile: ' + error.message, 'error');
+        } finally {
+            resetButton();
+        }
+    }
+
+    /**
+     * ⛔ CHANGES THAT NEVER SYNCED CANNOT FOLLOW US TO ANOTHER PROJECT
+     * @returns {Promise<'export'|'discard'|null>}
+     */
+    chooseFailedOperationsAction(profile) {
+        return new Promise((resolve) => {
+            const count = this.db.getFailedOperationCount();
+            const modalHtml = `
+                <div id="failedOperationsSwitchModal" class="modal">
+                    <div class="modal-content" style="max-width: 500px;">
+                        <div class="modal-header">
+                            <h3><i class="fas fa-exclamation-triangle text-warning"></i> Switch to ${this.ui.escapeHtml(profile.label)}?</h3>
+                            <button type="button" class="modal-close">&times;</button>
+                        </div>
+                        <p>
+                            ${count} offline change${count === 1 ? '' : 's'} could not be sent to
+                            ${this.ui.escapeHtml(this.db.getActiveConnectionProfile().label)} and will not be sent anywhere
+                            after switching. Export them to a file to re-enter later, or discard them.
+                            Data cached on this computer is then cleared and reloaded from the new project.
+                        </p>
+                        <div class="modal-actions">
+                            <button type="button" class="btn-secondary" data-choice="">Cancel</button>
+                            <button type="button" class="btn-danger" data-choice="discard">
+                                <i class="fas fa-trash"></i> Discard &amp; Switch
+                            </button>
+                            <button type="button" class="btn-primary" data-choice="export">
+                                <i class="fas fa-file-export"></i> Export &amp; Switch
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            const existingModal = document.getElementById('failedOperationsSwitchModal');
+            if (existingModal) existingModal.remove();
+            document.body.insertAdjacentHTML('beforeend', modalHtml);
+            this.ui.showModal('failedOperationsSwitchModal');
+
+            setTimeout(() => {
+                const modal = document.getElementById('failedOperationsSwitchModal');
+                if (!modal) return resolve(null);
+
+                const close = (choice) => {
+                    this.ui.hideModal('failedOperationsSwitchModal');
+                    modal.remove();
+                    resolve(choice || null);
+                };
+
+                modal.querySelectorAll('[data-choice]').forEach(btn => {
+                    btn.addEventListener('click', () => close(btn.dataset.choice));
+                });
+                modal.querySelector('.modal-close')?.addEventListener('click', () => close(null));
+            }, 100);
+        });
+    }
+
+    exportFailedOperations() {
+        const data = {
+            profile: this.db.getActiveConnectionProfile().label,
+            exported_at: new Date().toISOString(),
+            operations: this.db.getFailedOperations()
+        };
+
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `unsynced-changes-${new Date().toISOString().split('T')[0]}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    notifyPendingMigrations(status) {
+        const count = status?.pending?.length || 0;
+        if (count === 0) return;
+
+        this.ui.showToast(
+            `${count} database migration${count === 1 ? ' is' : 's are'} pending - see Settings > Database`,
+            'warning',
+            8000
+        );
+        this.refreshSchemaMigrations();
+    }
+
+    refreshSchemaMigrations() {
+        const list = document.getElementById('schemaMigrationList');
+        if (list) {
+            list.innerHTML = this.renderSchemaMigrations(this.db.migrations.getStatus());
+        }
+    }
+
+    async checkSchemaMigrations(button) {
+        const resetButton = this.ui.showButtonLoading(button, '');
+
+        try {
+            const status = await this.db.checkSchemaMigrations();
+            this.refreshSchemaMigrations();
+            if (status && status.pending.length === 0) {
+                this.ui.showToast('Database schema is up to date', 'success');
+            }
+        } finally {
+            resetButton();
+        }
+    }
+
+    async copyMigrationSql(version) {
+        const migration = this.db.migrations.getStatus()?.expected.find(item => item.version === version);
+        if (!migration) return;
+
+        try {
+            await navigator.clipboard.writeText(migration.sql);
+            this.ui.showToast(`${migration.file} copied - paste it into the Supabase SQL editor`, 'success');
+        } catch (error) {
+            console.error('❌ Error copying migration SQL:', error);
+            this.ui.showToast('Could not copy to clipboard', 'error');
+        }
+    }
+
+    async loadDatabaseStatus() {
+        const container = document.getElementById('databaseStatus');
+        if (!container) return;
+
+        container.innerHTML = `
+            <div class="loading-backups">
+                <i class="fas fa-spinner fa-spin"></i>
+                <span>Checking local database...</span>
+            </div>
+        `;
+
+        try {
+            const status = await this.db.getLocalServerStatus();
+            if (!status) {
+                container.innerHTML = '<p class="no-data">Local server mode needs the desktop app</p>';
+                return;
+            }
+
+            const migrations = status.migrations.map(migration => `
+                <div class="backup-item">
+                    <div class="backup-item-info">
+                        <div class="backup-filename">
+                            <i class="fas fa-layer-group"></i>
+                            ${this.ui.escapeHtml(migration.name)}
+                        </div>
+                        <div class="backup-details">
+                            <span><i class="fas fa-calendar"></i> Applied ${new Date(migration.applied_at).toLocaleString('en-IN')}</span>
+                        </div>
+                    </div>
+                </div>
+            `).join('');
+
+            container.innerHTML = `
+                <p><strong>File:</strong> <code>${this.ui.escapeHtml(status.path)}</code></p>
+                <p><strong>Tables:</strong> ${status.tables.length}</p>
+                ${migrations || '<p class="no-data">No migrations applied</p>'}
+            `;
+        } catch (error) {
+            console.error('❌ Error loading local database status:', error);
+            container.innerHTML = `<p class="no-data">Local database unavailable: ${this.ui.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    async loadInvoiceSeries() {
+        const container = document.getElementById('invoiceSeriesList');
+        if (!container) return;
+
+        if (!this.db.isOnline) {
+            container.innerHTML = '<p class="no-data">Connect to the database to see the invoice series</p>';
+            return;
+        }
+
+        try {
+            const series = await this.db.getInvoiceSeries();
+            container.innerHTML = this.renderInvoiceSeries(series);
+        } catch (error) {
+            console.error('❌ Error loading invoice series:', error);
+            container.innerHTML = `<p class="no-data">Invoice series unavailable: ${this.ui.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    async handleInvoicePrefixSave(e) {
+        e.preventDefault();
+
+        if (this.auth.getCurrentUser()?.role !== 'admin') {
+            this.ui.showToast('Only admins can change invoice prefixes', 'error');
+            return;
+        }
+
+        const financialYear = document.getElementById('invoiceFinancialYear')?.value;
+        const prefix = document.getElementById('invoicePrefix')?.value || '';
+        const button = e.target.querySelector('button[type="submit"]');
+        const resetButton = this.ui.showButtonLoading(button, 'Saving...');
+
+        try {
+            const series = await this.db.saveInvoicePrefix(financialYear, prefix);
+            this.ui.showToast(`FY ${series.financial_year} invoices will be numbered ${this.formatInvoiceNumber(series.prefix, 1)} onwards`, 'success');
+            document.getElementById('invoicePrefix').value = '';
+            await this.loadInvoiceSeries();
+        } catch (error) {
+            console.error('❌ Error saving invoice prefix:', error);
+            this.ui.showToast('Error saving prefix: ' + error.message, 'error');
+        } finally {
+            resetButton();
+        }
+    }
+
+    handleBusinessProfileSave(e) {
+        e.preventDefault();
+
+        if (this.auth.getCurrentUser()?.role !== 'admin') {
+            this.ui.showToast('Only admins can change GST details', 'error');
+            return;
+        }
+
+        const gstin = document.getElementById('businessGstin').value.trim().toUpperCase();
+        const stateCode = document.getElementById('businessStateCode').value;
+
+        if (gstin && !Utils.validateGSTIN(gstin)) {
+            this.ui.showToast('Please enter a valid 15-character GSTIN', 'error');
+            return;
+        }
+
+        if (gstin && Utils.getStateCodeFromGSTIN(gstin) !== stateCode) {
+            this.ui.showToast(`GSTIN ${gstin} is registered in ${Utils.getStateName(Utils.getStateCodeFromGSTIN(gstin))} - pick that state`, 'error');
+            return;
+        }
+
+        const saved = Utils.saveBusinessProfile({
+            name: document.getElementById('businessName').value.trim(),
+            gstin,
+            state_code: stateCode,
+            phone: document.getElementById('businessPhone').value.trim(),
+            address: document.getElementById('businessAddress').value.trim()
+        });
+
+        this.ui.showToast(saved ? 'GST details saved' : 'Could not save GST details', saved ? 'success' : 'error');
+    }
+
+    /**
+     * 🖼️ INVOICE LOGO - kept as a data URL with the rest of the business profile
+     */
+    handleLogoSelected(e) {
+        const file = e.target.files?.[0];
+        if (!file) return;
+
+        if (!['image/png', 'image/jpeg'].includes(file.type)) {
+            this.ui.showToast('Please choose a PNG or JPG image', 'error');
+            e.target.value = '';
+            return;
+        }
+
+        if (file.size > this.MAX_LOGO_BYTES) {
+            this.ui.showToast(`Logo must be under ${Math.round(this.MAX_LOGO_BYTES / 1024)} KB`, 'error');
+            e.target.value = '';
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = () => this.showLogoPreview(reader.result);
+        reader.onerror = () => this.ui.showToast('Could not read the logo file', 'error');
+        reader.readAsDataURL(file);
+    }
+
+    showLogoPreview(logo) {
+        this.pendingLogo = logo;
+
+        const preview = document.getElementById('businessLogoPreview');
+        const removeBtn = document.getElementById('removeBusinessLogoBtn');
+        if (preview) {
+            preview.src = logo;
+            preview.style.display = logo ? '' : 'none';
+        }
+        if (removeBtn) removeBtn.style.display = logo ? '' : 'none';
+        if (!logo) {
+            const input = document.getElementById('businessLogoInput');
+            if (input) input.value = '';
+        }
+    }
+
+    /**
+     * 🧾 RECEIPT PRINTERS - installed printers come from the main process
+     */
+    async loadReceiptPrinters() {
+        const select = document.getElementById('receiptPrinter');
+        if (!select) return;
+
+        const saved = Utils.getReceiptSettings(this.auth.getCurrentUser()?.id);
+        const widthSelect = document.getElementById('receiptWidth');
+        const silentCheckbox = document.getElementById('receiptSilent');
+        if (widthSelect) widthSelect.value = saved.width;
+        if (silentCheckbox) silentCheckbox.checked = saved.silent;
+
+        let printers = [];
+
+        if (window.electronAPI?.getPrinters) {
+            const result = await window.electronAPI.getPrinters();
+            if (result.success) {
+                printers = result.data;
+            } else {
+                console.warn('⚠️ Could not list printers:', result.error);
+            }
+        }
+
+        // Keep a saved printer listed even if it is switched off right now
+        if (saved.printer && !printers.some(p => p.name === saved.printer)) {
+            printers.push({ name: saved.printer, displayName: `${saved.printer} (not found)`, isDefault: false });
+        }
+
+        select.innerHTML = `
+            <option value="">System default (ask each time)</option>
+            ${printers.map(printer => `
+                <option value="${this.ui.escapeHtml(printer.name)}" ${printer.name === saved.printer ? 'selected' : ''}>
+                    ${this.ui.escapeHtml(printer.displayName)}${printer.isDefault ? ' - default' : ''}
+                </option>
+            `).join('')}
+        `;
+    }
+
+    handleReceiptPrinterSave(e) {
+        e.preventDefault();
+
+        const printer = document.getElementById('receiptPrinter').value;
+        const silent = document.getElementById('receiptSilent').checked;
+
+        if (silent && !printer) {
+            this.ui.showToast('Pick a printer to print receipts without the dialog', 'error');
+            return;
+        }
+
+        const saved = Utils.saveReceiptSettings(this.auth.getCurrentUser()?.id, {
+            printer,
+            width: document.getElementById('receiptWidth').value,
+            silent
+        });
+
+        this.ui.showToast(saved ? 'Receipt printer saved' : 'Could not save the receipt printer', saved ? 'success' : 'error');
+    }
+
+    handleLetterheadSave(e) {
+        e.preventDefault();
+
+        if (this.auth.getCurrentUser()?.role !== 'admin') {
+            this.ui.showToast('Only admins can change the invoice letterhead', 'error');
+            return;
+        }
+
+        const ifsc = document.getElementById('bankIfsc').value.trim().toUpperCase();
+        if (ifsc && !/^[A-Z]{4}0[A-Z0-9]{6}$/.test(ifsc)) {
+            this.ui.showToast('Please enter a valid 11-character IFSC code', 'error');
+            return;
+        }
+
+        const business = Utils.getBusinessProfile();
+        const saved = Utils.saveBusinessProfile({
+            ...business,
+            logo: this.pendingLogo === undefined ? business.logo : this.pendingLogo,
+            invoice_paper_size: document.getElementById('invoicePaperSize').value,
+            signatory: document.getElementById('businessSignatory').value.trim(),
+            bank_account_name: document.getElementById('bankAccountName').value.trim(),
+            bank_account_number: document.getElementById('bankAccountNumber').value.trim(),
+            bank_name: document.getElementById('bankName').value.trim(),
+            bank_branch: document.getElementById('bankBranch').value.trim(),
+            bank_ifsc: ifsc
+        });
+
+        if (saved) this.pendingLogo = undefined;
+        this.ui.showToast(saved ? 'Invoice letterhead saved' : 'Could not save the letterhead - try a smaller logo', saved ? 'success' : 'error');
+    }
+
     saveNotificationSettings() {
         const settings = this.getCurrentSettings();
         
@@ -1820,7 +2883,7 @@ class SettingsManager {
     }
 
     generateId() {
-        return Date.now().toString(36) + Math.random().toString(36).substr(2);
+        return this.db.generateId();
     }
 
     generateAvatarUrl(name) {
@@ -0,0 +1,201 @@
+/**
+ * 🖥️ SQLITE CLIENT - supabase-js shaped client for the local server
+ *
+ * Builds the same chained queries DatabaseManager already issues against
+ * Supabase (from().select().eq().order()...) and sends them over IPC to the
+ * SQLite database hosted by the main process (see local-server.js).
+ */
+class SqliteQueryBuilder {
+    constructor(api, table) {
+        this.api = api;
+        this.request = {
+            table,
+            action: 'select',
+            columns: '*',
+            payload: null,
+            filters: [],
+            orFilters: [],
+            order: [],
+            range: null,
+            limit: null,
+            single: false,
+            returning: false
+        };
+    }
+
+    // ==================== ACTIONS ====================
+
+    select(columns = '*') {
+        // After insert/update/delete, select() means "return the affected rows"
+        if (this.request.action === 'select') {
+            this.request.columns = columns.replace(/\s+/g, '');
+        } else {
+            this.request.returning = true;
+        }
+        return this;
+    }
+
+    insert(rows) {
+        this.request.action = 'insert';
+        this.request.payload = rows;
+        return this;
+    }
+
+    upsert(rows) {
+        this.request.action = 'upsert';
+        this.request.payload = rows;
+        return this;
+    }
+
+    update(changes) {
+        this.request.action = 'update';
+        this.request.payload = changes;
+        return this;
+    }
+
+    delete() {
+        this.request.action = 'delete';
+        return this;
+    }
+
+    // ==================== FILTERS ====================
+
+    filter(column, op, value) {
+        this.request.filters.push({ column, op, value });
+        return this;
+    }
+
+    eq(column, value) { return this.filter(column, 'eq', value); }
+    neq(column, value) { return this.filter(column, 'neq', value); }
+    gt(column, value) { return this.filter(column, 'gt', value); }
+    gte(column, value) { return this.filter(column, 'gte', value); }
+    lt(column, value) { return this.filter(column, 'lt', value); }
+    lte(column, value) { return this.filter(column, 'lte', value); }
+    in(column, values) { return this.filter(column, 'in', values); }
+    is(column, value) { return this.filter(column, 'is', value); }
+    like(column, pattern) { return this.filter(column, 'like', pattern); }
+    ilike(column, pattern) { return this.filter(column, 'ilike', pattern); }
+
+    not(column, op, value) {
+        this.request.filters.push({ column, op, value, negate: true });
+        return this;
+    }
+
+    /**
+     * 🔀 POSTGREST OR SYNTAX - "name.ilike.%ram%,phone.eq.98400"
+     */
+    or(expression) {
+        this.request.orFilters.push(this.parseOrExpression(expression));
+        return this;
+    }
+
+    parseOrExpression(expression) {
+        // Split on top-level commas only, so in.(a,b) stays together
+        const parts = [];
+        let depth = 0;
+        let current = '';
+        for (const char of expression) {
+            if (char === '(') depth++;
+            if (char === ')') depth--;
+            if (char === ',' && depth === 0) {
+                parts.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        if (current) parts.push(current);
+
+        return parts.map(part => {
+            const [column, op, ...rest] = part.trim().split('.');
+            let value = rest.join('.');
+
+            if (op === 'in') {
+                value = value.replace(/^\(|\)$/g, '').split(',').map(item => item.trim());
+            } else if (op === 'is') {
+                value = value === 'null' ? null : value === 'true';
+            } else if (op === 'like' || op === 'ilike') {
+                value = value.replace(/\*/g, '%');
+            }
+
+            return { column, op, value };
+        });
+    }
+
+    // ==================== MODIFIERS ====================
+
+    order(column, { ascending = true, nullsFirst } = {}) {
+        this.request.order.push({ column, ascending, nullsFirst });
+        return this;
+    }
+
+    range(from, to) {
+        this.request.range = { from, to };
+        return this;
+    }
+
+    limit(count) {
+        this.request.limit = count;
+        return this;
+    }
+
+    single() {
+        this.request.single = true;
+        return this;
+    }
+
+    maybeSingle() {
+        this.request.single = 'maybe';
+        return this;
+    }
+
+    // ==================== EXECUTION ====================
+
+    async execute() {
+        try {
+            const response = await this.api.sqliteQuery(this.request);
+            return response.success
+                ? { data: response.data, error: null }
+                : { data: null, error: response.error };
+        } catch (error) {
+            return { data: null, error: { message: error.message, code: 'IPC_ERROR' } };
+        }
+    }
+
+    // Awaitable like a supabase-js builder
+    then(resolve, reject) {
+        return this.execute().then(resolve, reject);
+    }
+}
+
+class SqliteClient {
+    constructor(api) {
+        this.api = api;
+    }
+
+    from(table) {
+        return new SqliteQueryBuilder(this.api, table);
+    }
+
+    async rpc(name, params = {}) {
+        try {
+            const response = await this.api.sqliteRpc(name, params);
+            return response.success
+                ? { data: response.data, error: null }
+                : { data: null, error: response.error };
+        } catch (error) {
+            return { data: null, error: { message: error.message, code: 'IPC_ERROR' } };
+        }
+    }
+
+    async status() {
+        const response = await this.api.sqliteStatus();
+        if (!response.success) {
+            throw new Error(response.error);
+        }
+        return response.data;
+    }
+}
+
+window.SqliteQueryBuilder = SqliteQueryBuilder;
+window.SqliteClient = SqliteClient;
@@ -0,0 +1,477 @@
+class SyncManager {
+    constructor(dependencies) {
+        // ✅ VALIDATION
+        if (!dependencies) throw new Error('SyncManager: dependencies required');
+        if (!dependencies.db) throw new Error('SyncManager: db required');
+        if (!dependencies.ui) throw new Error('SyncManager: ui required');
+
+        // ✅ ASSIGN DEPENDENCIES
+        this.db = dependencies.db;
+        this.ui = dependencies.ui;
+        this.auth = dependencies.auth;
+
+        // ✅ CONFLICT STATE - field choices for the conflict being reviewed
+        this.conflicts = [];
+        this.currentIndex = 0;
+        this.choices = {};
+
+        this.handleConflictsDetected = this.handleConflictsDetected.bind(this);
+        this.handleOperationsFailed = this.handleOperationsFailed.bind(this);
+
+        console.log('✅ SyncManager initialized');
+    }
+
+    async initialize() {
+        window.addEventListener('syncConflictsDetected', this.handleConflictsDetected);
+        window.addEventListener('outboxOperationsFailed', this.handleOperationsFailed);
+
+        // The status badges double as the way back into the review dialogs
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('#dbStatus .db-conflict-count')) {
+                this.showConflictDialog();
+            }
+            if (e.target.closest('#dbStatus .db-failed-count')) {
+                this.showFailedOperationsDialog();
+            }
+        });
+
+        // Conflicts found during startup sync fire before this manager exists
+        const pending = this.db.getSyncConflicts();
+        if (pending.length > 0) {
+            this.notifyConflicts(pending.length);
+        }
+        const failed = this.db.getFailedOperationCount();
+        if (failed > 0) {
+            this.notifyFailedOperations(failed);
+        }
+
+        return Promise.resolve();
+    }
+
+    // ==================== CONFLICT NOTIFICATION ====================
+
+    handleConflictsDetected(event) {
+        const conflicts = event.detail?.conflicts || [];
+        if (conflicts.length === 0) return;
+
+        // Don't yank the dialog out from under someone mid-review
+        if (document.getElementById('syncConflictModal')) {
+            this.conflicts = this.db.getSyncConflicts();
+            this.renderCurrentConflict();
+            return;
+        }
+
+        this.notifyConflicts(conflicts.length);
+    }
+
+    notifyConflicts(count) {
+        this.ui.showToast(
+            `${count} record${count === 1 ? ' was' : 's were'} changed on this device and on the server. Click the sync badge to review.`,
+            'warning',
+            8000
+        );
+    }
+
+    handleOperationsFailed(event) {
+        const operations = event.detail?.operations || [];
+        if (document.getElementById('failedOperationsModal')) {
+            this.renderFailedOperations();
+            return;
+        }
+        if (operations.length > 0) {
+            this.notifyFailedOperations(operations.length);
+        }
+    }
+
+    notifyFailedOperations(count) {
+        this.ui.showToast(
+            `${count} offline change${count === 1 ? '' : 's'} could not be sent to the server. Click the warning badge to retry or discard.`,
+            'error',
+            8000
+        );
+    }
+
+    // ==================== CONFLICT DIALOG ====================
+
+    /**
+     * 🔀 SHOW CONFLICT RESOLUTION DIALOG
+     */
+    showConflictDialog() {
+        this.conflicts = this.db.getSyncConflicts();
+        this.currentIndex = 0;
+
+        if (this.conflicts.length === 0) {
+            this.ui.showToast('No sync conflicts to review', 'info');
+            return;
+        }
+
+        const modalHtml = `
+            <div id="syncConflictModal" class="modal">
+                <div class="modal-content" style="max-width: 800px;">
+                    <div class="modal-header">
+                        <h3><i class="fas fa-code-branch"></i> Resolve Sync Conflicts</h3>
+                        <button class="modal-close">&times;</button>
+                    </div>
+
+                    <div id="syncConflictBody"></div>
+
+                    <div class="modal-actions">
+                        <button type="button" class="btn-secondary" id="keepAllLocalBtn">
+                            <i class="fas fa-desktop"></i> Keep This Device
+                        </button>
+                        <button type="button" class="btn-secondary" id="keepAllRemoteBtn">
+                            <i class="fas fa-cloud"></i> Keep Server
+                        </button>
+                        <button type="button" class="btn-primary" id="applyConflictBtn">
+                            <i class="fas fa-check"></i> Apply Selection
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        this.showCustomModal(modalHtml, 'syncConflictModal');
+        this.renderCurrentConflict();
+
+        setTimeout(() => {
+            const modal = document.getElementById('syncConflictModal');
+            const keepLocalBtn = document.getElementById('keepAllLocalBtn');
+            const keepRemoteBtn = document.getElementById('keepAllRemoteBtn');
+            const applyBtn = document.getElementById('applyConflictBtn');
+            const closeBtn = document.querySelector('#syncConflictModal .modal-close');
+
+            if (modal) {
+                modal.addEventListener('click', (e) => {
+                    const cell = e.target.closest('td.sync-choice');
+                    if (cell) {
+                        this.selectField(cell.dataset.field, cell.dataset.side);
+                    }
+                });
+            }
+
+            if (keepLocalBtn) {
+                keepLocalBtn.addEventListener('click', () => this.selectAll('local'));
+            }
+
+            if (keepRemoteBtn) {
+                keepRemoteBtn.addEventListener('click', () => this.selectAll('remote'));
+            }
+
+            if (applyBtn) {
+                applyBtn.addEventListener('click', (e) => this.applyCurrentResolution(e.currentTarget));
+            }
+
+            if (closeBtn) {
+                closeBtn.addEventListener('click', () => this.closeConflictDialog());
+            }
+        }, 100);
+    }
+
+    renderCurrentConflict() {
+        const body = document.getElementById('syncConflictBody');
+        if (!body) return;
+
+        if (this.currentIndex >= this.conflicts.length) {
+            this.currentIndex = 0;
+        }
+
+        const conflict = this.conflicts[this.currentIndex];
+        if (!conflict) {
+            body.innerHTML = '<p class="no-data">All conflicts resolved.</p>';
+            return;
+        }
+
+        // Default to the server copy; the user opts into each local value
+        this.choices = {};
+        conflict.fields.forEach(field => {
+            this.choices[field] = 'remote';
+        });
+
+        const rows = conflict.fields.map(field => `
+            <tr>
+                <td><strong>${this.formatFieldName(field)}</strong></td>
+                <td class="sync-choice" data-field="${field}" data-side="local">${this.formatValue(conflict.local[field])}</td>
+                <td class="sync-choice selected" data-field="${field}" data-side="remote">${this.formatValue(conflict.remote[field])}</td>
+            </tr>
+        `).join('');
+
+        body.innerHTML = `
+            <p>
+                <strong>${this.formatTableName(conflict.table)}</strong> record
+                <code>${this.escape(conflict.record_id)}</code> was edited here and on the server.
+                Click the value to keep for each field.
+                <span style="float: right;">Conflict ${this.currentIndex + 1} of ${this.conflicts.length}</span>
+            </p>
+            <p style="font-size: 0.85rem; opacity: 0.8;">
+                Server version saved ${this.formatTimestamp(conflict.remote.updated_at)}
+                · Local version saved ${this.formatTimestamp(conflict.local.updated_at)}
+            </p>
+            <table class="items-table sync-conflict-table">
+                <thead>
+                    <tr>
+                        <th>Field</th>
+                        <th><i class="fas fa-desktop"></i> This Device</th>
+                        <th><i class="fas fa-cloud"></i> Server</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    selectField(field, side) {
+        if (!field || !side) return;
+
+        this.choices[field] = side;
+        document.querySelectorAll(`#syncConflictBody td.sync-choice[data-field="${field}"]`).forEach(cell => {
+            cell.classList.toggle('selected', cell.dataset.side === side);
+        });
+    }
+
+    selectAll(side) {
+        Object.keys(this.choices).forEach(field => this.selectField(field, side));
+    }
+
+    /**
+     * ✅ APPLY THE SELECTED VALUES FOR THE CURRENT CONFLICT
+     */
+    async applyCurrentResolution(button) {
+        const conflict = this.conflicts[this.currentIndex];
+        if (!conflict) return;
+
+        const resetButton = this.ui.showButtonLoading(button, 'Saving...');
+
+        try {
+            await this.db.resolveSyncConflict(conflict.id, this.choices);
+            this.ui.showToast(`${this.formatTableName(conflict.table)} record resolved`, 'success');
+
+            this.conflicts = this.db.getSyncConflicts();
+            if (this.conflicts.length === 0) {
+                this.closeConflictDialog();
+                this.refreshCurrentSection();
+                return;
+            }
+
+            this.renderCurrentConflict();
+        } catch (error) {
+            console.error('❌ Error resolving sync conflict:', error);
+            this.ui.showToast('Error resolving conflict: ' + error.message, 'error');
+        } finally {
+            resetButton();
+        }
+    }
+
+    closeConflictDialog() {
+        this.ui.hideModal('syncConflictModal');
+        const modal = document.getElementById('syncConflictModal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    refreshCurrentSection() {
+        const app = window.app;
+        const activeLink = document.querySelector('.nav-link.active');
+        if (app && typeof app.loadSectionData === 'function' && activeLink?.dataset.section) {
+            app.loadSectionData(activeLink.dataset.section);
+        }
+    }
+
+    // ==================== FAILED CHANGES DIALOG ====================
+
+    /**
+     * ⛔ SHOW OFFLINE CHANGES THE SERVER KEPT REJECTING
+     */
+    showFailedOperationsDialog() {
+        if (this.db.getFailedOperationCount() === 0) {
+            this.ui.showToast('No failed changes to review', 'info');
+            return;
+        }
+
+        const modalHtml = `
+            <div id="failedOperationsModal" class="modal">
+                <div class="modal-content" style="max-width: 800px;">
+                    <div class="modal-header">
+                        <h3><i class="fas fa-exclamation-triangle"></i> Changes That Could Not Sync</h3>
+                        <button class="modal-close">&times;</button>
+                    </div>
+                    <p>
+                        These changes were made offline and the server refused them ${this.db.OUTBOX_MAX_ATTEMPTS} times.
+                        Retry once the cause is fixed, or discard to reload the server's copy of the records.
+                    </p>
+                    <div id="failedOperationsBody"></div>
+                </div>
+            </div>
+        `;
+
+        this.showCustomModal(modalHtml, 'failedOperationsModal');
+        this.renderFailedOperations();
+
+        setTimeout(() => {
+            const modal = document.getElementById('failedOperationsModal');
+            const closeBtn = document.querySelector('#failedOperationsModal .modal-close');
+
+            if (modal) {
+                modal.addEventListener('click', (e) => {
+                    const actionBtn = e.target.closest('[data-failed-action]');
+                    if (!actionBtn) return;
+                    const { failedAction, entryId } = actionBtn.dataset;
+                    if (failedAction === 'retry') this.retryFailedOperation(entryId, actionBtn);
+                    if (failedAction === 'discard') this.discardFailedOperation(entryId, actionBtn);
+                });
+            }
+
+            if (closeBtn) {
+                closeBtn.addEventListener('click', () => this.closeFailedOperationsDialog());
+            }
+        }, 100);
+    }
+
+    renderFailedOperations() {
+        const body = document.getElementById('failedOperationsBody');
+        if (!body) return;
+
+        const operations = this.db.getFailedOperations();
+        if (operations.length === 0) {
+            body.innerHTML = '<p class="no-data">All failed changes handled.</p>';
+            return;
+        }
+
+        const rows = operations.map(entry => `
+            <tr>
+                <td><strong>${this.describeOperation(entry)}</strong></td>
+                <td>${this.formatTimestamp(entry.timestamp)}</td>
+                <td>${this.escape(entry.last_error || 'Unknown error')}</td>
+                <td>
+                    <div class="action-buttons">
+                        <button class="btn-icon" data-failed-action="retry" data-entry-id="${entry.id}" title="Retry">
+                            <i class="fas fa-redo"></i>
+                        </button>
+                        <button class="btn-icon btn-danger" data-failed-action="discard" data-entry-id="${entry.id}" title="Discard">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+
+        body.innerHTML = `
+            <table class="items-table">
+                <thead>
+                    <tr>
+                        <th>Change</th>
+                        <th>Made</th>
+                        <th>Server Error</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    describeOperation(entry) {
+        if (entry.op === 'transaction') {
+            const tables = Array.from(new Set((entry.payload || []).map(item => this.formatTableName(item.table))));
+            return `${this.escape(tables.join(', '))} (${(entry.payload || []).length} changes saved together)`;
+        }
+        if (entry.op === 'invoice_number') {
+            return `Invoice number for bill <code>${this.escape(entry.record_id)}</code>`;
+        }
+        return `${this.formatFieldName(entry.op)} ${this.escape(this.formatTableName(entry.table))} <code>${this.escape(entry.record_id)}</code>`;
+    }
+
+    async retryFailedOperation(entryId, button) {
+        const resetButton = this.ui.showButtonLoading(button, '');
+
+        try {
+            const synced = await this.db.retryFailedOperation(entryId);
+            this.ui.showToast(synced ? 'Change synced' : 'The server still refuses this change - it will keep retrying',
+                synced ? 'success' : 'warning');
+            if (synced) this.refreshCurrentSection();
+        } catch (error) {
+            console.error('❌ Error retrying failed change:', error);
+            this.ui.showToast('Error retrying change: ' + error.message, 'error');
+        } finally {
+            resetButton();
+            this.renderFailedOperations();
+        }
+    }
+
+    async discardFailedOperation(entryId, button) {
+        const confirmed = await this.ui.showConfirmation(
+            'Discard Change',
+            'Throw away this offline change? The records it touched are reloaded from the server. This cannot be undone.',
+            'Discard',
+            'Cancel',
+            'danger'
+        );
+        if (!confirmed) return;
+
+        const resetButton = this.ui.showButtonLoading(button, '');
+
+        try {
+            await this.db.discardFailedOperation(entryId);
+            this.ui.showToast('Change discarded', 'success');
+            this.refreshCurrentSection();
+        } catch (error) {
+            console.error('❌ Error discarding failed change:', error);
+            this.ui.showToast('Error discarding change: ' + error.message, 'error');
+        } finally {
+            resetButton();
+            this.renderFailedOperations();
+        }
+    }
+
+    closeFailedOperationsDialog() {
+        this.ui.hideModal('failedOperationsModal');
+        const modal = document.getElementById('failedOperationsModal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    // ==================== UI HELPERS ====================
+
+    showCustomModal(html, modalId) {
+        const existingModal = document.getElementById(modalId);
+        if (existingModal) {
+            existingModal.remove();
+        }
+
+        document.body.insertAdjacentHTML('beforeend', html);
+        this.ui.showModal(modalId);
+    }
+
+    formatFieldName(field) {
+        return field.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+    }
+
+    formatTableName(table) {
+        return this.formatFieldName(table);
+    }
+
+    formatValue(value) {
+        if (value === undefined || value === null || value === '') {
+            return '<em style="opacity: 0.6;">empty</em>';
+        }
+        if (typeof value === 'object') {
+            return `<code>${this.escape(JSON.stringify(value))}</code>`;
+        }
+        return this.escape(String(value));
+    }
+
+    formatTimestamp(value) {
+        if (!value) return 'unknown';
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? 'unknown' : date.toLocaleString('en-IN');
+    }
+
+    escape(text) {
+        return typeof this.ui.escapeHtml === 'function'
+            ? this.ui.escapeHtml(String(text))
+            : String(text);
+    }
+}
+
+window.SyncManager = SyncManager;
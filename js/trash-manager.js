@@ -0,0 +1,325 @@
+/**
+ * 🗑️ TRASH MANAGER - browse, restore or purge soft-deleted records
+ * db.delete() only stamps deleted_at / deleted_by, so everything deleted from
+ * the other sections lands here until an admin restores or purges it.
+ */
+class TrashManager {
+    constructor(dependencies) {
+        if (!dependencies) throw new Error('TrashManager: dependencies required');
+
+        this.db = dependencies.db;
+        this.ui = dependencies.ui;
+        this.auth = dependencies.auth;
+
+        this.selectedTable = 'bills';
+        this.records = [];
+        this.counts = {};
+        this.isInitialized = false;
+        this.realtimeUnsubscribe = null;
+        this.realtimeRenderTimer = null;
+
+        // How each table's rows are summarised in the list
+        this.TABLE_VIEWS = {
+            bills: { label: 'Bills', title: ['bill_number'], details: ['customer_name', 'bill_date'], amount: 'total_amount' },
+            delivery_challans: { label: 'Delivery Trips', title: ['challan_number'], details: ['driver_name', 'trip_date', 'bill_number'] },
+            quotations: { label: 'Quotations', title: ['quotation_number'], details: ['customer_name', 'quotation_date'], amount: 'total_amount' },
+            recurring_bills: { label: 'Recurring Bills', title: ['customer_name'], details: ['frequency', 'next_run_date'], amount: 'total_amount' },
+            payments: { label: 'Payments', title: ['bill_number', 'id'], details: ['customer_name', 'payment_date'], amount: 'amount' },
+            customers: { label: 'Customers', title: ['name'], details: ['phone', 'email'] },
+            employees: { label: 'Employees', title: ['name'], details: ['role', 'phone'] },
+            users: { label: 'Users', title: ['username'], details: ['name', 'role'] },
+            attendance: { label: 'Attendance', title: ['employee_name', 'employee_id'], details: ['attendance_date', 'status'] },
+            salary_records: { label: 'Salary Records', title: ['employee_name', 'employee_id'], details: ['record_date'], amount: 'amount' },
+            salary_payments: { label: 'Salary Payments', title: ['employee_name', 'employee_id'], details: ['payment_date', 'payment_method'], amount: 'net_salary' },
+            advance_payments: { label: 'Advance Payments', title: ['customer_name', 'employee_id'], details: ['payment_date', 'payment_method'], amount: 'amount' },
+            advance_records: { label: 'Advance Records', title: ['employee_name', 'employee_id'], details: ['record_date', 'status'], amount: 'amount' },
+            simple_advances: { label: 'Simple Advances', title: ['employee_name', 'employee_id'], details: ['advance_date', 'reason'], amount: 'amount' },
+            yearly_allocations: { label: 'Yearly Allocations', title: ['employee_id'], details: ['year', 'salary_type'], amount: 'allocated_amount' },
+            family_groups: { label: 'Family Groups', title: ['family_name'], details: ['bank_name'] },
+            products: { label: 'Products', title: ['name'], details: ['unit'], amount: 'price' }
+        };
+
+        console.log('✅ TrashManager created');
+    }
+
+    async initialize() {
+        if (this.isInitialized) return;
+
+        this.setupEventListeners();
+        this.setupRealtimeListener();
+        this.isInitialized = true;
+        console.log('✅ TrashManager initialized');
+    }
+
+    isAdmin() {
+        return this.auth?.getCurrentUser?.()?.role === 'admin';
+    }
+
+    // ==================== EVENT LISTENERS ====================
+
+    setupEventListeners() {
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('#refreshTrashBtn')) {
+                this.loadTrash();
+                return;
+            }
+
+            if (e.target.closest('#emptyTrashBtn')) {
+                this.emptyTableTrash();
+                return;
+            }
+
+            const actionBtn = e.target.closest('[data-trash-action]');
+            if (actionBtn) {
+                const { trashAction, recordId } = actionBtn.dataset;
+                if (trashAction === 'restore') this.restoreRecord(recordId, actionBtn);
+                if (trashAction === 'purge') this.purgeRecord(recordId);
+            }
+        });
+
+        document.addEventListener('change', (e) => {
+            if (e.target.id === 'trashTableSelect') {
+                this.selectedTable = e.target.value;
+                this.loadRecords();
+            }
+        });
+    }
+
+    // Deletes and restores made on other desktops show up without a manual refresh
+    setupRealtimeListener() {
+        if (this.realtimeUnsubscribe || typeof this.db.onChange !== 'function') return;
+
+        this.realtimeUnsubscribe = this.db.onChange('*', () => {
+            clearTimeout(this.realtimeRenderTimer);
+            this.realtimeRenderTimer = setTimeout(() => {
+                if (this.ui.isSectionVisible('trashContent')) this.loadTrash();
+            }, 500);
+        });
+    }
+
+    // ==================== DATA LOADING ====================
+
+    /**
+     * 🔄 LOAD COUNTS FOR EVERY TABLE, THEN THE SELECTED TABLE'S ROWS
+     */
+    async loadTrash() {
+        if (!this.isAdmin()) {
+            this.ui.showToast('Only admins can open the trash', 'error');
+            return;
+        }
+
+        try {
+            this.ui.showSectionLoading('trashContent', 'Loading trash...');
+            this.counts = await this.db.getTrashCounts();
+
+            // Jump to a table that actually has something in it
+            if (!this.counts[this.selectedTable]) {
+                const firstWithRows = Object.keys(this.TABLE_VIEWS).find(table => this.counts[table] > 0);
+                if (firstWithRows) this.selectedTable = firstWithRows;
+            }
+
+            this.renderTableSelect();
+            await this.loadRecords(false);
+        } catch (error) {
+            console.error('❌ Error loading trash:', error);
+            this.ui.showToast('Error loading trash: ' + error.message, 'error');
+        } finally {
+            this.ui.hideSectionLoading('trashContent');
+        }
+    }
+
+    async loadRecords(showLoading = true) {
+        try {
+            if (showLoading) this.ui.showSectionLoading('trashContent', 'Loading deleted records...');
+            this.records = await this.db.getDeletedRecords(this.selectedTable) || [];
+            this.counts[this.selectedTable] = this.records.length;
+            this.renderTableSelect();
+            this.renderRecords();
+        } catch (error) {
+            console.error(`❌ Error loading trash for ${this.selectedTable}:`, error);
+            this.records = [];
+            this.renderRecords();
+            this.ui.showToast('Error loading deleted records: ' + error.message, 'error');
+        } finally {
+            if (showLoading) this.ui.hideSectionLoading('trashContent');
+        }
+    }
+
+    // ==================== RENDER METHODS ====================
+
+    renderTableSelect() {
+        const select = document.getElementById('trashTableSelect');
+        if (!select) return;
+
+        select.innerHTML = Object.entries(this.TABLE_VIEWS).map(([table, view]) => `
+            <option value="${table}" ${table === this.selectedTable ? 'selected' : ''}>
+                ${view.label} (${this.counts[table] || 0})
+            </option>
+        `).join('');
+    }
+
+    renderRecords() {
+        const tbody = document.getElementById('trashTableBody');
+        if (!tbody) return;
+
+        const view = this.TABLE_VIEWS[this.selectedTable];
+
+        if (this.records.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="5" class="no-data">
+                        <i class="fas fa-trash-alt"></i>
+                        <br>No deleted ${view.label.toLowerCase()}
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = this.records.map(record => `
+            <tr>
+                <td><strong>${this.ui.escapeHtml(this.describeTitle(record, view))}</strong></td>
+                <td>${this.ui.escapeHtml(this.describeDetails(record, view))}</td>
+                <td>${Utils.formatDateTime(record.deleted_at)}</td>
+                <td>${this.ui.escapeHtml(record.deleted_by || 'Unknown')}</td>
+                <td>
+                    <div class="action-buttons">
+                        <button class="btn-icon" data-trash-action="restore" data-record-id="${record.id}" title="Restore">
+                            <i class="fas fa-undo"></i>
+                        </button>
+                        ${this.db.isPurgeProtected(this.selectedTable, record) ? '' : `
+                        <button class="btn-icon btn-danger" data-trash-action="purge" data-record-id="${record.id}" title="Delete Forever">
+                            <i class="fas fa-fire"></i>
+                        </button>`}
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    describeTitle(record, view) {
+        const field = view.title.find(column => record[column]);
+        return field ? record[field] : record.id;
+    }
+
+    describeDetails(record, view) {
+        const parts = view.details
+            .map(column => record[column])
+            .filter(value => value !== undefined && value !== null && value !== '');
+
+        if (view.amount && record[view.amount] !== undefined && record[view.amount] !== null) {
+            parts.push(Utils.formatCurrency(record[view.amount]));
+        }
+
+        return parts.join(' • ') || '-';
+    }
+
+    // ==================== ACTIONS ====================
+
+    async restoreRecord(recordId, button) {
+        const record = this.records.find(item => item.id === recordId);
+        if (!record) return;
+
+        const view = this.TABLE_VIEWS[this.selectedTable];
+        const resetButton = this.ui.showButtonLoading(button, '');
+
+        try {
+            await this.db.restore(this.selectedTable, recordId);
+            this.ui.showToast(`${view.label}: "${this.describeTitle(record, view)}" restored`, 'success');
+
+            // A restored trip counts as delivered again
+            if (this.selectedTable === 'delivery_challans') {
+                await window.app?.getManagers()?.delivery?.repairBillDeliveryStatus(record.bill_id).catch(error => {
+                    console.error('❌ Error updating delivery status:', error);
+                    this.ui.showToast('Trip restored, but the bill\'s delivery status could not be updated: ' + error.message, 'warning');
+                });
+            }
+            await this.loadRecords(false);
+        } catch (error) {
+            console.error('❌ Error restoring record:', error);
+            this.ui.showToast('Error restoring record: ' + error.message, 'error');
+        } finally {
+            resetButton();
+        }
+    }
+
+    async purgeRecord(recordId) {
+        const record = this.records.find(item => item.id === recordId);
+        if (!record) return;
+
+        const view = this.TABLE_VIEWS[this.selectedTable];
+        if (this.db.isPurgeProtected(this.selectedTable, record)) {
+            this.ui.showToast('Issued invoices cannot be deleted forever - restore and cancel it instead', 'warning');
+            return;
+        }
+
+        const confirmed = await this.ui.showConfirmation(
+            'Delete Forever',
+            `Permanently delete "${this.ui.escapeHtml(this.describeTitle(record, view))}" from ${view.label}? This cannot be undone.`,
+            'Delete Forever',
+            'Cancel',
+            'danger'
+        );
+        if (!confirmed) return;
+
+        try {
+            this.ui.showLoading('Deleting record...');
+            await this.db.purge(this.selectedTable, recordId);
+            this.ui.showToast('Record permanently deleted', 'success');
+            await this.loadRecords(false);
+        } catch (error) {
+            console.error('❌ Error purging record:', error);
+            this.ui.showToast('Error deleting record: ' + error.message, 'error');
+        } finally {
+            this.ui.hideLoading();
+        }
+    }
+
+    async emptyTableTrash() {
+        if (this.records.length === 0) {
+            this.ui.showToast('Nothing to delete', 'info');
+            return;
+        }
+
+        const view = this.TABLE_VIEWS[this.selectedTable];
+        const kept = this.records.filter(record => this.db.isPurgeProtected(this.selectedTable, record)).length;
+        if (kept === this.records.length) {
+            this.ui.showToast('Issued invoices cannot be deleted forever - nothing else is in the trash', 'info');
+            return;
+        }
+
+        const keptNote = kept > 0 ? ` ${kept} issued invoice(s) will stay in the trash.` : '';
+        const confirmed = await this.ui.showConfirmation(
+            'Empty Trash',
+            `Permanently delete ${this.records.length - kept} ${view.label.toLowerCase()} in the trash? This cannot be undone.${keptNote}`,
+            'Delete All',
+            'Cancel',
+            'danger'
+        );
+        if (!confirmed) return;
+
+        try {
+            this.ui.showLoading(`Deleting ${view.label.toLowerCase()}...`);
+            const purged = await this.db.purgeDeletedRecords(this.selectedTable);
+            this.ui.showToast(`${purged} record(s) permanently deleted`, 'success');
+            await this.loadTrash();
+        } catch (error) {
+            console.error('❌ Error emptying trash:', error);
+            this.ui.showToast('Error emptying trash: ' + error.message, 'error');
+            await this.loadRecords(false);
+        } finally {
+            this.ui.hideLoading();
+        }
+    }
+
+    // ==================== CLEANUP ====================
+
+    cleanup() {
+        this.realtimeUnsubscribe?.();
+        this.realtimeUnsubscribe = null;
+        clearTimeout(this.realtimeRenderTimer);
+        this.isInitialized = false;
+    }
+}
+
+window.TrashManager = TrashManager;
@@ -246,9 +246,9 @@ class UIManager {
 
                 // Complete permission system
                 const rolePermissions = {
-                    'admin': ['dashboard', 'users', 'employees', 'salary', 'attendance', 'salary-payments', 'billing', 'customers', 'pending', 'payments', 'reports', 'settings'],
+                    'admin': ['dashboard', 'users', 'employees', 'salary', 'attendance', 'salary-payments', 'billing', 'quotations', 'recurring', 'customers', 'pending', 'payments', 'reports', 'settings'],
                     'manager': ['dashboard', 'employees', 'salary', 'attendance', 'salary-payments', 'reports', 'settings'],
-                    'supervisor': ['dashboard', 'billing', 'customers', 'pending', 'payments', 'reports', 'settings'],
+                    'supervisor': ['dashboard', 'billing', 'quotations', 'recurring', 'customers', 'pending', 'payments', 'reports', 'settings'],
                     'user': ['dashboard', 'settings']
                 };
 
@@ -586,9 +586,9 @@ class UIManager {
             console.log(`🔐 Setting up UI for role: ${userRole}`);
 
             const rolePermissions = {
-                'admin': ['dashboard', 'users', 'employees', 'salary', 'attendance', 'salary-payments', 'billing', 'customers', 'pending', 'payments', 'reports', 'settings'],
+                'admin': ['dashboard', 'users', 'employees', 'salary', 'attendance', 'salary-payments', 'billing', 'quotations', 'recurring', 'customers', 'pending', 'payments', 'reports', 'settings'],
                 'manager': ['dashboard', 'employees', 'salary', 'attendance', 'salary-payments', 'reports', 'settings'],
-                'supervisor': ['dashboard', 'billing', 'customers', 'pending', 'payments', 'reports', 'settings'],
+                'supervisor': ['dashboard', 'billing', 'quotations', 'recurring', 'customers', 'pending', 'payments', 'reports', 'settings'],
                 'user': ['dashboard', 'settings']
             };
 
@@ -1017,6 +1017,13 @@ class UIManager {
         }, `Hide section loading: ${sectionId}`, false);
     }
 
+    isSectionVisible(sectionId) {
+        return this.safeExecute(() => {
+            const section = document.getElementById(sectionId);
+            return !!section && section.style.display !== 'none' && section.offsetParent !== null;
+        }, `Check section visibility: ${sectionId}`, false);
+    }
+
     showLoading(message = 'Loading...') {
         return this.safeExecute(() => {
             let overlay = document.getElementById('loadingOverlay');
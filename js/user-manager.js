@@ -337,14 +337,14 @@ class UserManager {
             return;
         }
 
-        if (!confirm(`Are you sure you want to delete user "${user.name}"? This action cannot be undone.`)) {
+        if (!confirm(`Are you sure you want to delete user "${user.name}"? An admin can restore it from the Trash.`)) {
             return;
         }
 
         try {
             this.showLoading('Deleting user...');
             await this.db.delete('users', userId);
-            this.showToast('User deleted successfully', 'success');
+            this.showToast('User moved to Trash', 'success');
             await this.loadUsers();
         } catch (error) {
             console.error('❌ Error deleting user:', error);
@@ -595,7 +595,7 @@ class UserManager {
     }
 
     generateId() {
-        return 'user_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+        return this.db.generateId();
     }
 
     validateEmail(email) {
@@ -341,6 +341,197 @@ class Utils {
         }
     }
 
+    // Tax on one line's taxable value: CGST + SGST inside the state, IGST across states
+    static calculateLineTax(taxableAmount, taxRate, interState = false) {
+        const round = value => Math.round(value * 100) / 100;
+        const taxAmount = round(((parseFloat(taxableAmount) || 0) * (parseFloat(taxRate) || 0)) / 100);
+        if (interState) {
+            return { taxAmount, cgst: 0, sgst: 0, igst: taxAmount };
+        }
+        const cgst = round(taxAmount / 2);
+        return { taxAmount, cgst, sgst: round(taxAmount - cgst), igst: 0 };
+    }
+
+    // Discount as a percent or a flat amount - never more than what it is taken off
+    static calculateDiscount(amount, discountType, discountValue) {
+        const base = parseFloat(amount) || 0;
+        const value = parseFloat(discountValue) || 0;
+        const discount = discountType === 'percent' ? (base * value) / 100 : value;
+        return this.roundMoney(Math.min(Math.max(discount, 0), Math.max(base, 0)));
+    }
+
+    /**
+     * 🧮 BILL TOTALS - line discounts, a bill discount, additional charges and round-off
+     * lines: [{ line_type: 'item' | 'charge', quantity, rate, discount_type, discount_value, tax_rate }]
+     * (a charge only needs amount and tax_rate). The bill discount is shared across the
+     * item lines by value so it lowers their taxable value; charges are taxed at their
+     * own rate and never discounted. The total is rounded to the nearest rupee.
+     */
+    static calculateBillTotals(lines, { discountType = 'amount', discountValue = 0, interState = false } = {}) {
+        const priced = (lines || []).map(line => {
+            if (line.line_type === 'charge') {
+                const amount = this.roundMoney(line.amount);
+                return { ...line, discount: 0, amount };
+            }
+            const gross = this.roundMoney((parseFloat(line.quantity) || 0) * (parseFloat(line.rate) || 0));
+            const discount = this.calculateDiscount(gross, line.discount_type, line.discount_value);
+            return { ...line, discount, amount: this.roundMoney(gross - discount) };
+        });
+
+        const items = priced.filter(line => line.line_type !== 'charge');
+        const subTotal = this.roundMoney(items.reduce((sum, line) => sum + line.amount, 0));
+        const discountAmount = this.calculateDiscount(subTotal, discountType, discountValue);
+
+        // The last item line takes whatever rounding leaves of the bill discount
+        let discountLeft = discountAmount;
+        const lastItem = items[items.length - 1];
+        const totals = { cgst: 0, sgst: 0, igst: 0, taxAmount: 0, taxableValue: 0, chargesAmount: 0 };
+
+        const result = priced.map(line => {
+            let share = 0;
+            if (line.line_type !== 'charge' && subTotal > 0) {
+                share = line === lastItem ? discountLeft : this.roundMoney((discountAmount * line.amount) / subTotal);
+                discountLeft = this.roundMoney(discountLeft - share);
+            } else if (line.line_type === 'charge') {
+                totals.chargesAmount += line.amount;
+            }
+
+            const taxableValue = this.roundMoney(line.amount - share);
+            const tax = this.calculateLineTax(taxableValue, line.tax_rate, interState);
+            totals.taxableValue += taxableValue;
+            totals.cgst += tax.cgst;
+            totals.sgst += tax.sgst;
+            totals.igst += tax.igst;
+            totals.taxAmount += tax.taxAmount;
+
+            return {
+                ...line,
+                taxable_value: taxableValue,
+                cgst_amount: tax.cgst,
+                sgst_amount: tax.sgst,
+                igst_amount: tax.igst
+            };
+        });
+
+        Object.keys(totals).forEach(key => {
+            totals[key] = this.roundMoney(totals[key]);
+        });
+
+        const exact = this.roundMoney(totals.taxableValue + totals.taxAmount);
+        const total = Math.round(exact);
+
+        return {
+            ...totals,
+            lines: result,
+            subTotal,
+            discountAmount,
+            roundOff: this.roundMoney(total - exact),
+            total,
+            interState
+        };
+    }
+
+    // 🧾 GST STATE CODES - the first two digits of a GSTIN
+    static getGstStates() {
+        return {
+            '01': 'Jammu & Kashmir', '02': 'Himachal Pradesh', '03': 'Punjab', '04': 'Chandigarh',
+            '05': 'Uttarakhand', '06': 'Haryana', '07': 'Delhi', '08': 'Rajasthan',
+            '09': 'Uttar Pradesh', '10': 'Bihar', '11': 'Sikkim', '12': 'Arunachal Pradesh',
+            '13': 'Nagaland', '14': 'Manipur', '15': 'Mizoram', '16': 'Tripura',
+            '17': 'Meghalaya', '18': 'Assam', '19': 'West Bengal', '20': 'Jharkhand',
+            '21': 'Odisha', '22': 'Chhattisgarh', '23': 'Madhya Pradesh', '24': 'Gujarat',
+            '26': 'Dadra & Nagar Haveli and Daman & Diu', '27': 'Maharashtra', '29': 'Karnataka',
+            '30': 'Goa', '31': 'Lakshadweep', '32': 'Kerala', '33': 'Tamil Nadu',
+            '34': 'Puducherry', '35': 'Andaman & Nicobar Islands', '36': 'Telangana',
+            '37': 'Andhra Pradesh', '38': 'Ladakh', '97': 'Other Territory'
+        };
+    }
+
+    static getStateName(stateCode) {
+        return this.getGstStates()[stateCode] || '';
+    }
+
+    static getStateOptionsHtml(selectedCode = '') {
+        return Object.entries(this.getGstStates()).map(([code, name]) => `
+            <option value="${code}" ${code === selectedCode ? 'selected' : ''}>${code} - ${name}</option>
+        `).join('');
+    }
+
+    static validateGSTIN(gstin) {
+        return /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/.test(String(gstin || '').toUpperCase());
+    }
+
+    static getStateCodeFromGSTIN(gstin) {
+        return this.validateGSTIN(gstin) ? String(gstin).slice(0, 2) : '';
+    }
+
+    // 🏢 SELLER GST DETAILS - set under Settings > Invoicing (Tamil Nadu until then)
+    static getBusinessProfile() {
+        return {
+            name: '', gstin: '', state_code: '33', address: '', phone: '',
+            // Invoice letterhead - logo is a data URL, paper size is 'A4' or 'A5'
+            logo: '', signatory: '', invoice_paper_size: 'A4',
+            bank_name: '', bank_branch: '', bank_account_name: '', bank_account_number: '', bank_ifsc: '',
+            ...this.getStorage('businessProfile', {})
+        };
+    }
+
+    static saveBusinessProfile(profile) {
+        return this.setStorage('businessProfile', profile);
+    }
+
+    // 💰 BILL PAYMENTS - a bill is open until its balance is settled (sql/migrations/013)
+    static roundMoney(amount) {
+        return Math.round((Number(amount) || 0) * 100) / 100;
+    }
+
+    static isBillOpen(bill) {
+        return bill?.status === 'pending' || bill?.status === 'partially_paid';
+    }
+
+    // What the customer is billed once credit notes are taken off (sql/migrations/018)
+    static getBillNetTotal(bill) {
+        return this.roundMoney((Number(bill?.total_amount) || 0) - (Number(bill?.credited_amount) || 0));
+    }
+
+    static getBillBalanceDue(bill) {
+        if (!this.isBillOpen(bill)) return 0;
+        if (bill.balance_due !== null && bill.balance_due !== undefined) {
+            return Number(bill.balance_due) || 0;
+        }
+        return Math.max(this.roundMoney(this.getBillNetTotal(bill) - (Number(bill.amount_paid) || 0)), 0);
+    }
+
+    static getBillPaymentStatus(totalAmount, amountPaid) {
+        // A bill fully returned on a credit note has nothing left to pay
+        if (this.roundMoney(totalAmount) <= 0 && amountPaid >= 0) return 'paid';
+        if (amountPaid <= 0) return 'pending';
+        return amountPaid >= this.roundMoney(totalAmount) ? 'paid' : 'partially_paid';
+    }
+
+    // 💳 CUSTOMER ADVANCE - what is left after adjustments against bills (sql/migrations/014)
+    static getAdvanceRemaining(advance) {
+        return Math.max(this.roundMoney((Number(advance?.amount) || 0) - (Number(advance?.allocation_used) || 0)), 0);
+    }
+
+    // 🧾 CREDIT NOTE - the part that didn't come off its bill's balance is owed to the customer
+    static getCreditNoteUnapplied(note) {
+        if (!note || note.status === 'cancelled') return 0;
+        return Math.max(this.roundMoney((Number(note.total_amount) || 0) - (Number(note.applied_amount) || 0)), 0);
+    }
+
+    // 🧾 RECEIPT PRINTER - printers differ per computer, so this is kept per user on this machine
+    static getReceiptSettings(userId) {
+        const settings = this.getStorage('receiptPrinters', {})[userId || 'default'] || {};
+        return { printer: '', width: '80mm', silent: false, ...settings };
+    }
+
+    static saveReceiptSettings(userId, settings) {
+        const all = this.getStorage('receiptPrinters', {});
+        all[userId || 'default'] = settings;
+        return this.setStorage('receiptPrinters', all);
+    }
+
     // 🛡️ UTILITY FUNCTIONS
     static debounce(func, wait) {
         let timeout;
@@ -424,6 +615,31 @@ class Utils {
         }
     }
 
+    // GST financial year (April-March) a date falls in, e.g. '2026-27'
+    static getFinancialYear(date = new Date()) {
+        const [year, month] = typeof date === 'string' && /^\d{4}-\d{2}/.test(date)
+            ? date.split('-').map(Number)
+            : [new Date(date).getFullYear(), new Date(date).getMonth() + 1];
+        const startYear = month < 4 ? year - 1 : year;
+        return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+    }
+
+    // Date a recurring bill falls due after 'YYYY-MM-DD' - monthly goes back to anchorDay (the
+    // template's day_of_month) and only keeps to the last day of months too short for it
+    static getNextRecurringDate(date, frequency, anchorDay = null) {
+        const next = new Date(`${date}T00:00:00Z`);
+        if (frequency === 'monthly') {
+            const day = Number(anchorDay) || next.getUTCDate();
+            next.setUTCDate(1);
+            next.setUTCMonth(next.getUTCMonth() + 1);
+            const lastDay = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+            next.setUTCDate(Math.min(day, lastDay));
+        } else {
+            next.setUTCDate(next.getUTCDate() + (frequency === 'fortnightly' ? 14 : 7));
+        }
+        return next.toISOString().split('T')[0];
+    }
+
     // 🛡️ STORAGE UTILITIES
     static setStorage(key, value) {
         try {
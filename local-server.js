@@ -0,0 +1,663 @@
+const path = require('path');
+const fs = require('fs-extra');
+
+/**
+ * 🗄️ LOCAL DATABASE SERVER - SQLite file hosted by the main process
+ *
+ * Speaks the same request shape the renderer's SqliteClient builds from
+ * supabase-js style calls, so DatabaseManager works unchanged in local server mode.
+ */
+class LocalDatabaseServer {
+  constructor(dbFilePath, migrationsDir) {
+    this.dbFilePath = dbFilePath;
+    this.migrationsDir = migrationsDir;
+    this.db = null;
+    this.columnCache = new Map();
+    this.appliedMigrations = [];
+  }
+
+  // ==================== LIFECYCLE ====================
+
+  open() {
+    if (this.db) return this;
+
+    // Required lazily so the app still starts (in Supabase mode) if the native module is missing
+    const Database = require('better-sqlite3');
+
+    fs.ensureDirSync(path.dirname(this.dbFilePath));
+    this.db = new Database(this.dbFilePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+    this.db.pragma('foreign_keys = ON');
+
+    this.runMigrations();
+    console.log(`✅ Local database ready: ${this.dbFilePath}`);
+    return this;
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      this.columnCache.clear();
+      console.log('🔒 Local database closed');
+    }
+  }
+
+  /**
+   * 🧱 APPLY PENDING sql/sqlite/NNN_name.sql FILES IN ORDER
+   */
+  runMigrations() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+
+    const applied = new Set(
+      this.db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version)
+    );
+
+    const files = fs.existsSync(this.migrationsDir)
+      ? fs.readdirSync(this.migrationsDir).filter(file => /^\d+_.+\.sql$/.test(file)).sort()
+      : [];
+
+    const record = this.db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+
+    for (const file of files) {
+      const [version] = file.split('_');
+      if (applied.has(version)) continue;
+
+      const sql = fs.readFileSync(path.join(this.migrationsDir, file), 'utf8');
+      this.db.transaction(() => {
+        this.db.exec(sql);
+        record.run(version, file.replace(/\.sql$/, ''), new Date().toISOString());
+      })();
+
+      console.log(`🧱 Applied local migration ${file}`);
+    }
+
+    this.columnCache.clear();
+    this.appliedMigrations = this.db
+      .prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version')
+      .all();
+  }
+
+  status() {
+    return {
+      path: this.dbFilePath,
+      migrations: this.appliedMigrations,
+      tables: this.db
+        .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name")
+        .all()
+        .map(row => row.name)
+    };
+  }
+
+  // ==================== SCHEMA HELPERS ====================
+
+  getColumns(table) {
+    if (!this.columnCache.has(table)) {
+      const columns = this.db.prepare('SELECT name, type FROM pragma_table_info(?)').all(table);
+      this.columnCache.set(table, columns);
+    }
+    return this.columnCache.get(table);
+  }
+
+  assertTable(table) {
+    if (!/^[a-z_][a-z0-9_]*$/i.test(table || '') || this.getColumns(table).length === 0) {
+      const error = new Error(`relation "${table}" does not exist`);
+      error.code = '42P01';
+      throw error;
+    }
+  }
+
+  assertColumn(table, column) {
+    if (!this.getColumns(table).some(col => col.name === column)) {
+      const error = new Error(`column ${table}.${column} does not exist`);
+      error.code = '42703';
+      throw error;
+    }
+  }
+
+  quote(identifier) {
+    return `"${identifier.replace(/"/g, '""')}"`;
+  }
+
+  /**
+   * Keep known columns only and convert JS values to what SQLite can bind
+   */
+  toRow(table, data) {
+    const columns = this.getColumns(table);
+    const row = {};
+
+    columns.forEach(({ name }) => {
+      if (!(name in data) || data[name] === undefined) return;
+      row[name] = this.toSqlValue(data[name]);
+    });
+
+    return row;
+  }
+
+  toSqlValue(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+  }
+
+  fromRow(table, row) {
+    if (!row) return row;
+    const jsonColumns = this.getColumns(table).filter(col => col.type.toUpperCase() === 'JSON');
+
+    jsonColumns.forEach(({ name }) => {
+      if (typeof row[name] === 'string') {
+        try {
+          row[name] = JSON.parse(row[name]);
+        } catch (error) {
+          // Leave non-JSON text as it is
+        }
+      }
+    });
+
+    return row;
+  }
+
+  // ==================== QUERY EXECUTION ====================
+
+  /**
+   * ⚙️ EXECUTE ONE SqliteClient REQUEST
+   * @returns {{ data, error }} shaped like a supabase-js response
+   */
+  execute(request) {
+    try {
+      this.open();
+      return { data: this.run(request), error: null };
+    } catch (error) {
+      return { data: null, error: this.toErrorPayload(error) };
+    }
+  }
+
+  run(request) {
+    const { table, action } = request;
+    this.assertTable(table);
+
+    switch (action) {
+      case 'select':
+        return this.runSelect(request);
+      case 'insert':
+      case 'upsert':
+        return this.runInsert(request);
+      case 'update':
+        return this.runUpdate(request);
+      case 'delete':
+        return this.runDelete(request);
+      default:
+        throw new Error(`Unsupported local database action: ${action}`);
+    }
+  }
+
+  buildWhere(table, request, params) {
+    const clauses = [];
+
+    (request.filters || []).forEach(filter => {
+      clauses.push(this.buildCondition(table, filter, params));
+    });
+
+    (request.orFilters || []).forEach(group => {
+      if (group.length === 0) return;
+      clauses.push(`(${group.map(filter => this.buildCondition(table, filter, params)).join(' OR ')})`);
+    });
+
+    return clauses.length ? ` WHERE ${clauses.join(' AND ')}` : '';
+  }
+
+  buildCondition(table, filter, params) {
+    const condition = this.buildComparison(table, filter, params);
+    return filter.negate ? `NOT (${condition})` : condition;
+  }
+
+  buildComparison(table, { column, op, value }, params) {
+    this.assertColumn(table, column);
+    const col = this.quote(column);
+
+    switch (op) {
+      case 'eq':
+        if (value === null) return `${col} IS NULL`;
+        params.push(this.toSqlValue(value));
+        return `${col} = ?`;
+      case 'neq':
+        params.push(this.toSqlValue(value));
+        return `${col} <> ?`;
+      case 'gt':
+        params.push(this.toSqlValue(value));
+        return `${col} > ?`;
+      case 'gte':
+        params.push(this.toSqlValue(value));
+        return `${col} >= ?`;
+      case 'lt':
+        params.push(this.toSqlValue(value));
+        return `${col} < ?`;
+      case 'lte':
+        params.push(this.toSqlValue(value));
+        return `${col} <= ?`;
+      case 'in':
+        if (!Array.isArray(value) || value.length === 0) return '0';
+        value.forEach(item => params.push(this.toSqlValue(item)));
+        return `${col} IN (${value.map(() => '?').join(', ')})`;
+      case 'is':
+        return value === null ? `${col} IS NULL` : `${col} IS ${value ? 1 : 0}`;
+      case 'like':
+        params.push(value);
+        return `${col} LIKE ? ESCAPE '\\'`;
+      case 'ilike':
+        // SQLite LIKE is already case-insensitive for ASCII
+        params.push(value);
+        return `${col} LIKE ? ESCAPE '\\'`;
+      default:
+        throw new Error(`Unsupported filter operator: ${op}`);
+    }
+  }
+
+  buildOrderAndRange(table, request, params) {
+    let sql = '';
+
+    const order = request.order || [];
+    if (order.length > 0) {
+      sql += ' ORDER BY ' + order.map(({ column, ascending, nullsFirst }) => {
+        this.assertColumn(table, column);
+        const direction = ascending === false ? 'DESC' : 'ASC';
+        // Postgres defaults: NULLS LAST ascending, NULLS FIRST descending
+        const nulls = (nullsFirst ?? ascending === false) ? 'NULLS FIRST' : 'NULLS LAST';
+        return `${this.quote(column)} ${direction} ${nulls}`;
+      }).join(', ');
+    }
+
+    if (request.range) {
+      params.push(request.range.to - request.range.from + 1, request.range.from);
+      sql += ' LIMIT ? OFFSET ?';
+    } else if (request.limit) {
+      params.push(request.limit);
+      sql += ' LIMIT ?';
+    }
+
+    return sql;
+  }
+
+  selectColumns(table, columns) {
+    if (!columns || columns === '*') return '*';
+    if (columns === 'count') return 'COUNT(*) AS count';
+
+    return columns.split(',').map(column => {
+      const name = column.trim();
+      this.assertColumn(table, name);
+      return this.quote(name);
+    }).join(', ');
+  }
+
+  runSelect(request) {
+    const { table } = request;
+    const params = [];
+    let sql = `SELECT ${this.selectColumns(table, request.columns)} FROM ${this.quote(table)}`;
+    sql += this.buildWhere(table, request, params);
+    if (request.columns !== 'count') {
+      sql += this.buildOrderAndRange(table, request, params);
+    }
+
+    const rows = this.db.prepare(sql).all(...params).map(row => this.fromRow(table, row));
+    return this.shapeResult(rows, request);
+  }
+
+  runInsert(request) {
+    const { table, action } = request;
+    const rows = (Array.isArray(request.payload) ? request.payload : [request.payload]).map(data => {
+      const row = this.toRow(table, data);
+      const now = new Date().toISOString();
+      row.created_at = row.created_at || now;
+      if (this.getColumns(table).some(col => col.name === 'updated_at')) {
+        row.updated_at = now;
+      }
+      return row;
+    });
+
+    const inserted = this.db.transaction(() => rows.map(row => {
+      const columns = Object.keys(row);
+      const quoted = columns.map(column => this.quote(column)).join(', ');
+      const placeholders = columns.map(column => `@${column}`).join(', ');
+      let sql = `INSERT INTO ${this.quote(table)} (${quoted}) VALUES (${placeholders})`;
+
+      if (action === 'upsert') {
+        const updates = columns
+          .filter(column => column !== 'id' && column !== 'created_at')
+          .map(column => `${this.quote(column)} = excluded.${this.quote(column)}`);
+        sql += updates.length
+          ? ` ON CONFLICT(id) DO UPDATE SET ${updates.join(', ')}`
+          : ' ON CONFLICT(id) DO NOTHING';
+      }
+
+      this.db.prepare(sql).run(row);
+      return this.fromRow(table, this.db.prepare(`SELECT * FROM ${this.quote(table)} WHERE id = ?`).get(row.id));
+    }))();
+
+    return this.shapeResult(inserted, request);
+  }
+
+  runUpdate(request) {
+    const { table } = request;
+    const row = this.toRow(table, request.payload || {});
+    delete row.id;
+    if (this.getColumns(table).some(col => col.name === 'updated_at')) {
+      row.updated_at = new Date().toISOString();
+    }
+
+    const columns = Object.keys(row);
+    if (columns.length === 0) {
+      throw new Error(`Nothing to update on ${table}`);
+    }
+
+    const whereParams = [];
+    const where = this.buildWhere(table, request, whereParams);
+    if (!where) {
+      throw new Error('UPDATE requires a WHERE clause');
+    }
+
+    const ids = this.db.prepare(`SELECT id FROM ${this.quote(table)}${where}`).all(...whereParams).map(r => r.id);
+    const setSql = columns.map(column => `${this.quote(column)} = ?`).join(', ');
+    const setParams = columns.map(column => row[column]);
+
+    this.db.prepare(`UPDATE ${this.quote(table)} SET ${setSql}${where}`).run(...setParams, ...whereParams);
+
+    const updated = ids.map(id =>
+      this.fromRow(table, this.db.prepare(`SELECT * FROM ${this.quote(table)} WHERE id = ?`).get(id))
+    );
+    return this.shapeResult(updated, request);
+  }
+
+  runDelete(request) {
+    const { table } = request;
+    const params = [];
+    const where = this.buildWhere(table, request, params);
+    if (!where) {
+      throw new Error('DELETE requires a WHERE clause');
+    }
+
+    const deleted = this.db.prepare(`SELECT * FROM ${this.quote(table)}${where}`).all(...params)
+      .map(row => this.fromRow(table, row));
+    this.db.prepare(`DELETE FROM ${this.quote(table)}${where}`).run(...params);
+    return this.shapeResult(deleted, request);
+  }
+
+  /**
+   * Apply .single() / .maybeSingle() / no-returning semantics
+   */
+  shapeResult(rows, request) {
+    if (request.action !== 'select' && !request.returning) return null;
+
+    if (request.single) {
+      if (rows.length !== 1) {
+        if (rows.length === 0 && request.single === 'maybe') return null;
+        const error = new Error('JSON object requested, multiple (or no) rows returned');
+        error.code = 'PGRST116';
+        throw error;
+      }
+      return rows[0];
+    }
+
+    return rows;
+  }
+
+  // ==================== RPC ====================
+
+  /**
+   * 🛰️ LOCAL EQUIVALENTS OF THE SUPABASE RPC FUNCTIONS
+   */
+  rpc(name, params = {}) {
+    try {
+      this.open();
+
+      switch (name) {
+        case 'run_transaction':
+          return { data: this.runTransaction(params.ops || [], params.p_key || null), error: null };
+        case 'get_dashboard_stats':
+          return { data: this.getDashboardStats(params), error: null };
+        case 'reserve_id_block':
+          return { data: this.reserveIdBlock(params), error: null };
+        case 'assign_invoice_number':
+          return { data: this.assignInvoiceNumber(params), error: null };
+        case 'set_invoice_prefix':
+          return { data: this.setInvoicePrefix(params), error: null };
+        default: {
+          const error = new Error(`Could not find the function ${name} in the local database`);
+          error.code = 'PGRST202';
+          throw error;
+        }
+      }
+    } catch (error) {
+      return { data: null, error: this.toErrorPayload(error) };
+    }
+  }
+
+  /**
+   * Same as the run_transaction Postgres function (sql/migrations/026) - a key
+   * already used returns that call's results instead of running the ops again
+   */
+  runTransaction(ops, key = null) {
+    return this.db.transaction(() => {
+      if (key) {
+        const done = this.db.prepare('SELECT results FROM transaction_keys WHERE key = ?').get(key);
+        if (done) return JSON.parse(done.results);
+      }
+
+      const results = this.runTransactionOps(ops);
+      if (key) {
+        this.db.prepare('INSERT INTO transaction_keys (key, results) VALUES (?, ?)').run(key, JSON.stringify(results));
+      }
+      return results;
+    })();
+  }
+
+  runTransactionOps(ops) {
+    return ops.map(({ type, table, id, data }) => {
+      const filters = [{ column: 'id', op: 'eq', value: id }];
+
+      if (type === 'create') {
+        return this.run({ table, action: 'insert', payload: data, returning: true, single: true });
+      }
+      if (type === 'update') {
+        const row = this.run({ table, action: 'update', payload: data, filters, returning: true });
+        if (!row || row.length === 0) {
+          throw new Error(`run_transaction: ${table} ${id} not found`);
+        }
+        return row[0];
+      }
+      if (type === 'increment') {
+        return this.runIncrement(table, id, data);
+      }
+      if (type === 'delete') {
+        const rows = this.run({ table, action: 'delete', filters, returning: true });
+        return rows[0] || null;
+      }
+      throw new Error(`run_transaction: unknown operation ${type}`);
+    });
+  }
+
+  /**
+   * Same as the 'increment' operation of run_transaction (sql/migrations/021)
+   */
+  runIncrement(table, id, data = {}) {
+    const columns = this.getColumns(table)
+      .filter(({ name, type }) => name in data && /INT|REAL|NUM|DEC/i.test(type))
+      .map(({ name }) => name);
+    if (columns.length === 0) {
+      throw new Error(`run_transaction: nothing to increment on ${table} ${id}`);
+    }
+
+    const setSql = columns.map(column => `${this.quote(column)} = COALESCE(${this.quote(column)}, 0) + ?`);
+    const params = columns.map(column => Number(data[column]) || 0);
+    if (this.getColumns(table).some(col => col.name === 'updated_at')) {
+      setSql.push(`${this.quote('updated_at')} = ?`);
+      params.push(new Date().toISOString());
+    }
+
+    const result = this.db.prepare(`UPDATE ${this.quote(table)} SET ${setSql.join(', ')} WHERE id = ?`).run(...params, id);
+    if (result.changes === 0) {
+      throw new Error(`run_transaction: ${table} ${id} not found`);
+    }
+    return this.fromRow(table, this.db.prepare(`SELECT * FROM ${this.quote(table)} WHERE id = ?`).get(id));
+  }
+
+  /**
+   * Same as the reserve_id_block Postgres function (sql/migrations/009)
+   */
+  reserveIdBlock({ p_entity: entity, p_device_id: deviceId, p_size: size = 20 } = {}) {
+    const blockSize = Math.max(1, Math.min(Number(size) || 20, 1000));
+
+    return this.db.transaction(() => {
+      const { last_value: blockEnd } = this.db.prepare(`
+        INSERT INTO id_sequences (entity, last_value) VALUES (?, ?)
+        ON CONFLICT (entity) DO UPDATE SET
+          last_value = last_value + excluded.last_value,
+          updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+        RETURNING last_value
+      `).get(entity, blockSize);
+
+      const rangeStart = blockEnd - blockSize + 1;
+      this.db.prepare('INSERT INTO id_blocks (entity, device_id, range_start, range_end) VALUES (?, ?, ?, ?)')
+        .run(entity, deviceId, rangeStart, blockEnd);
+
+      return { entity, range_start: rangeStart, range_end: blockEnd };
+    })();
+  }
+
+  /**
+   * Same as the assign_invoice_number Postgres function (sql/migrations/010)
+   */
+  assignInvoiceNumber({ p_bill_id: billId } = {}) {
+    return this.db.transaction(() => {
+      const bill = this.db.prepare('SELECT * FROM bills WHERE id = ?').get(billId);
+      if (!bill) {
+        throw new Error(`assign_invoice_number: bill ${billId} not found`);
+      }
+      if (bill.invoice_sequence !== null) {
+        return this.fromRow('bills', bill);
+      }
+
+      const [year, month] = String(bill.bill_date).split('-').map(Number);
+      const startYear = month < 4 ? year - 1 : year;
+      const financialYear = `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+
+      const series = this.db.prepare(`
+        INSERT INTO invoice_series (financial_year, prefix, last_number) VALUES (?, ?, 1)
+        ON CONFLICT (financial_year) DO UPDATE SET
+          last_number = last_number + 1,
+          updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+        RETURNING prefix, last_number
+      `).get(financialYear, `SMJ/${financialYear}/`);
+
+      this.db.prepare(`
+        UPDATE bills SET bill_number = ?, financial_year = ?, invoice_sequence = ?, updated_at = ?
+        WHERE id = ?
+      `).run(
+        `${series.prefix}${String(series.last_number).padStart(4, '0')}`,
+        financialYear,
+        series.last_number,
+        new Date().toISOString(),
+        billId
+      );
+
+      return this.fromRow('bills', this.db.prepare('SELECT * FROM bills WHERE id = ?').get(billId));
+    })();
+  }
+
+  /**
+   * Same as the set_invoice_prefix Postgres function (sql/migrations/010)
+   */
+  setInvoicePrefix({ p_financial_year: financialYear, p_prefix: prefix } = {}) {
+    if (!/^\d{4}-\d{2}$/.test(financialYear || '')) {
+      throw new Error(`set_invoice_prefix: ${financialYear} is not a financial year like 2026-27`);
+    }
+
+    const series = this.db.prepare(`
+      INSERT INTO invoice_series (financial_year, prefix) VALUES (?, ?)
+      ON CONFLICT (financial_year) DO UPDATE SET
+        prefix = excluded.prefix,
+        updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+      WHERE last_number = 0
+      RETURNING *
+    `).get(financialYear, prefix);
+
+    if (!series) {
+      throw new Error(`Invoices have already been issued for ${financialYear} - its prefix can no longer change`);
+    }
+    return series;
+  }
+
+  /**
+   * Same totals as the get_dashboard_stats Postgres function (sql/migrations/020)
+   */
+  getDashboardStats({ start_date: startDate = null, end_date: endDate = null } = {}) {
+    const range = { startDate, endDate };
+
+    const bills = this.db.prepare(`
+      SELECT
+        COUNT(*) AS total_bills,
+        COALESCE(SUM(CASE WHEN status = 'paid' THEN 1 ELSE 0 END), 0) AS paid_bills,
+        COALESCE(SUM(CASE WHEN status IN ('pending', 'partially_paid') THEN 1 ELSE 0 END), 0) AS open_bills,
+        COALESCE(SUM(CASE WHEN status IN ('pending', 'partially_paid') THEN
+          COALESCE(balance_due, MAX(total_amount - COALESCE(credited_amount, 0) - COALESCE(amount_paid, 0), 0))
+        END), 0) AS outstanding,
+        COALESCE(SUM(total_amount), 0) AS total_sales,
+        COALESCE(SUM(gst_amount), 0) AS total_gst
+      FROM bills
+      WHERE deleted_at IS NULL
+        AND status IS NOT 'cancelled'
+        AND (@startDate IS NULL OR bill_date >= @startDate)
+        AND (@endDate IS NULL OR bill_date <= @endDate)
+    `).get(range);
+
+    const credits = this.db.prepare(`
+      SELECT COALESCE(SUM(total_amount), 0) AS total_credited, COALESCE(SUM(gst_amount), 0) AS gst_credited
+      FROM credit_notes
+      WHERE deleted_at IS NULL
+        AND status = 'issued'
+        AND (@startDate IS NULL OR credit_note_date >= @startDate)
+        AND (@endDate IS NULL OR credit_note_date <= @endDate)
+    `).get(range);
+
+    const payments = this.db.prepare(`
+      SELECT COUNT(*) AS total_payments, COALESCE(SUM(amount), 0) AS total_received
+      FROM payments
+      WHERE deleted_at IS NULL
+        AND (@startDate IS NULL OR payment_date >= @startDate)
+        AND (@endDate IS NULL OR payment_date <= @endDate)
+    `).get(range);
+
+    return {
+      totalCustomers: this.db.prepare('SELECT COUNT(*) AS count FROM customers WHERE deleted_at IS NULL').get().count,
+      totalEmployees: this.db.prepare('SELECT COUNT(*) AS count FROM employees WHERE deleted_at IS NULL').get().count,
+      totalBills: bills.total_bills,
+      paidBills: bills.paid_bills,
+      pendingPayments: bills.open_bills,
+      totalSales: bills.total_sales - credits.total_credited,
+      totalGST: bills.total_gst - credits.gst_credited,
+      totalCredited: credits.total_credited,
+      totalReceived: payments.total_received,
+      outstandingAmount: bills.outstanding,
+      recentActivity: bills.total_bills + payments.total_payments
+    };
+  }
+
+  toErrorPayload(error) {
+    return {
+      message: error.message,
+      code: error.code || 'SQLITE_ERROR',
+      details: null,
+      hint: null
+    };
+  }
+}
+
+module.exports = { LocalDatabaseServer };
@@ -1,7 +1,9 @@
 const { app, BrowserWindow, ipcMain, dialog, Menu } = require('electron');
 const path = require('path');
+const os = require('os');
 const fs = require('fs-extra');
 const { autoUpdater } = require('electron-updater');
+const { LocalDatabaseServer } = require('./local-server');
 
 const isDev = process.env.NODE_ENV === 'development';
 let mainWindow;
@@ -10,6 +12,18 @@ let splashWindow;
 // Paths for app data storage
 const userDataPath = app.getPath('userData');
 const dataFilePath = path.join(userDataPath, 'app-data.json');
+const outboxFilePath = path.join(userDataPath, 'outbox.json');
+const sqliteFilePath = path.join(userDataPath, 'business-dashboard.sqlite');
+
+// Local server (SQLite) - opened on first use so Supabase-mode installs never touch it
+let localServer = null;
+
+function getLocalServer() {
+  if (!localServer) {
+    localServer = new LocalDatabaseServer(sqliteFilePath, path.join(__dirname, 'sql', 'sqlite'));
+  }
+  return localServer.open();
+}
 
 function createSplashWindow() {
   splashWindow = new BrowserWindow({
@@ -207,6 +221,10 @@ app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') app.quit();
 });
 
+app.on('will-quit', () => {
+  if (localServer) localServer.close();
+});
+
 app.on('activate', () => {
   if (BrowserWindow.getAllWindows().length === 0) {
     createSplashWindow();
@@ -249,6 +267,86 @@ ipcMain.handle('load-app-data', async () => {
   }
 });
 
+// ✅ Offline Write Queue (outbox)
+ipcMain.handle('save-outbox', async (event, entries) => {
+  try {
+    await fs.ensureDir(userDataPath);
+    // Write to a temp file first so a crash mid-write never corrupts the queue
+    const tempPath = `${outboxFilePath}.tmp`;
+    await fs.writeJson(tempPath, entries || [], { spaces: 2 });
+    await fs.move(tempPath, outboxFilePath, { overwrite: true });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('load-outbox', async () => {
+  try {
+    if (await fs.pathExists(outboxFilePath)) {
+      const data = await fs.readJson(outboxFilePath);
+      return { success: true, data };
+    }
+    return { success: true, data: [] };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// ✅ Local Server (SQLite)
+ipcMain.handle('sqlite-query', (event, request) => {
+  try {
+    const { data, error } = getLocalServer().execute(request);
+    return error ? { success: false, error } : { success: true, data };
+  } catch (error) {
+    return { success: false, error: { message: error.message, code: error.code } };
+  }
+});
+
+ipcMain.handle('sqlite-rpc', (event, name, params) => {
+  try {
+    const { data, error } = getLocalServer().rpc(name, params);
+    return error ? { success: false, error } : { success: true, data };
+  } catch (error) {
+    return { success: false, error: { message: error.message, code: error.code } };
+  }
+});
+
+ipcMain.handle('sqlite-status', () => {
+  try {
+    return { success: true, data: getLocalServer().status() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// ✅ Schema Migrations (Supabase) - the renderer compares these with schema_migrations
+ipcMain.handle('list-schema-migrations', async () => {
+  try {
+    const migrationsDir = path.join(__dirname, 'sql', 'migrations');
+    if (!(await fs.pathExists(migrationsDir))) {
+      return { success: true, data: [] };
+    }
+
+    const files = (await fs.readdir(migrationsDir)).filter(file => /^\d+_.+\.sql$/.test(file)).sort();
+    const data = await Promise.all(files.map(async (file) => ({
+      version: file.split('_')[0],
+      name: file.replace(/^\d+_/, '').replace(/\.sql$/, ''),
+      file,
+      sql: await fs.readFile(path.join(migrationsDir, file), 'utf8')
+    })));
+
+    return { success: true, data };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// ✅ Device Info - audit log entries record which computer made a change
+ipcMain.handle('get-device-info', () => {
+  return { success: true, data: { hostname: os.hostname(), platform: process.platform } };
+});
+
 // ✅ File Operations
 ipcMain.handle('show-save-dialog', async (event, options) => {
   const result = await dialog.showSaveDialog(mainWindow, options);
@@ -278,6 +376,76 @@ ipcMain.handle('read-file', async (event, filePath) => {
   }
 });
 
+// ✅ Invoice PDF - renders the invoice page off-screen and returns the PDF bytes
+ipcMain.handle('render-pdf', async (event, html, options = {}) => {
+  const htmlPath = path.join(app.getPath('temp'), `invoice-${Date.now()}.html`);
+  const pdfWindow = new BrowserWindow({
+    show: false,
+    webPreferences: { javascript: false, sandbox: true }
+  });
+
+  try {
+    await fs.writeFile(htmlPath, html, 'utf8');
+    await pdfWindow.loadFile(htmlPath);
+    const data = await pdfWindow.webContents.printToPDF({
+      pageSize: options.pageSize || 'A4',
+      printBackground: true,
+      preferCSSPageSize: true
+    });
+    return { success: true, data };
+  } catch (error) {
+    return { success: false, error: error.message };
+  } finally {
+    pdfWindow.destroy();
+    fs.remove(htmlPath).catch(() => {});
+  }
+});
+
+// ✅ Receipt Printing - list printers for Settings, print receipts without the dialog
+ipcMain.handle('get-printers', async () => {
+  try {
+    const printers = await mainWindow.webContents.getPrintersAsync();
+    return {
+      success: true,
+      data: printers.map(printer => ({
+        name: printer.name,
+        displayName: printer.displayName || printer.name,
+        isDefault: Boolean(printer.isDefault)
+      }))
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('print-silent', async (event, html, options = {}) => {
+  const htmlPath = path.join(app.getPath('temp'), `receipt-${Date.now()}.html`);
+  const printWindow = new BrowserWindow({
+    show: false,
+    webPreferences: { javascript: false, sandbox: true }
+  });
+
+  try {
+    await fs.writeFile(htmlPath, html, 'utf8');
+    await printWindow.loadFile(htmlPath);
+    return await new Promise((resolve) => {
+      printWindow.webContents.print({
+        silent: true,
+        deviceName: options.deviceName,
+        printBackground: true,
+        margins: { marginType: 'none' }
+      }, (success, failureReason) => {
+        resolve(success ? { success: true } : { success: false, error: failureReason });
+      });
+    });
+  } catch (error) {
+    return { success: false, error: error.message };
+  } finally {
+    printWindow.destroy();
+    fs.remove(htmlPath).catch(() => {});
+  }
+});
+
 ipcMain.handle('file-exists', async (event, filePath) => {
   try {
     const exists = await fs.pathExists(filePath);
@@ -7,6 +7,11 @@ contextBridge.exposeInMainWorld('electronAPI', {
   writeFile: (filePath, data) => ipcRenderer.invoke('write-file', filePath, data),
   readFile: (filePath) => ipcRenderer.invoke('read-file', filePath),
   fileExists: (filePath) => ipcRenderer.invoke('file-exists', filePath),
+  renderPdf: (html, options) => ipcRenderer.invoke('render-pdf', html, options),
+
+  // ===== Receipt printing =====
+  getPrinters: () => ipcRenderer.invoke('get-printers'),
+  printSilent: (html, options) => ipcRenderer.invoke('print-silent', html, options),
 
   downloadUpdate: () => ipcRenderer.invoke('download-update'),
 
@@ -14,6 +19,21 @@ contextBridge.exposeInMainWorld('electronAPI', {
   saveAppData: (data) => ipcRenderer.invoke('save-app-data', data),
   loadAppData: () => ipcRenderer.invoke('load-app-data'),
 
+  // ===== Offline write queue =====
+  saveOutbox: (entries) => ipcRenderer.invoke('save-outbox', entries),
+  loadOutbox: () => ipcRenderer.invoke('load-outbox'),
+
+  // ===== Local server (SQLite) =====
+  sqliteQuery: (request) => ipcRenderer.invoke('sqlite-query', request),
+  sqliteRpc: (name, params) => ipcRenderer.invoke('sqlite-rpc', name, params),
+  sqliteStatus: () => ipcRenderer.invoke('sqlite-status'),
+
+  // ===== Schema migrations =====
+  listSchemaMigrations: () => ipcRenderer.invoke('list-schema-migrations'),
+
+  // ===== Device info (audit log) =====
+  getDeviceInfo: () => ipcRenderer.invoke('get-device-info'),
+
   // ===== Data import/export =====
   exportData: (data) => ipcRenderer.invoke('export-data', data),
   importData: () => ipcRenderer.invoke('import-data'),
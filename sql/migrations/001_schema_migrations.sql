@@ -0,0 +1,18 @@
+-- ===============================================================
+-- 001 - MIGRATION TRACKING
+-- Run sql/subabase.sql once on a new project, then every file in
+-- sql/migrations in order. The app compares this table with the files
+-- it ships and reports anything still pending on startup.
+-- ===============================================================
+
+CREATE TABLE IF NOT EXISTS schema_migrations (
+    version VARCHAR(10) PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    applied_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- The app only reads it, with the anon key
+GRANT SELECT ON schema_migrations TO anon, authenticated;
+
+INSERT INTO schema_migrations (version, name) VALUES ('001', 'schema_migrations')
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,37 @@
+-- ===============================================================
+-- 002 - TWO-WAY SYNC: every synced table needs updated_at as its version marker
+-- ===============================================================
+
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+ALTER TABLE simple_advances ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+ALTER TABLE salary_payments ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+ALTER TABLE advance_records ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+-- Re-apply the updated_at trigger and index the watermark column
+DO $$
+DECLARE
+    tbl TEXT;
+BEGIN
+    FOR tbl IN
+        SELECT DISTINCT c.table_name
+        FROM information_schema.columns c
+        JOIN information_schema.tables t
+          ON t.table_schema = c.table_schema AND t.table_name = c.table_name
+        WHERE c.table_schema = 'public'
+          AND c.column_name = 'updated_at'
+          AND t.table_type = 'BASE TABLE'
+    LOOP
+        EXECUTE format($sql$
+            DROP TRIGGER IF EXISTS trigger_%I_updated_at ON %I;
+            CREATE TRIGGER trigger_%I_updated_at
+                BEFORE UPDATE ON %I
+                FOR EACH ROW
+                EXECUTE FUNCTION update_updated_at();
+            CREATE INDEX IF NOT EXISTS idx_%I_updated_at ON %I (updated_at);
+        $sql$, tbl, tbl, tbl, tbl, tbl, tbl);
+    END LOOP;
+END $$;
+
+INSERT INTO schema_migrations (version, name) VALUES ('002', 'sync_updated_at')
+ON CONFLICT (version) DO NOTHING;
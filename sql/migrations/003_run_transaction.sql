@@ -0,0 +1,76 @@
+-- ===============================================================
+-- 003 - ATOMIC MULTI-TABLE WRITES: db.transaction([...ops]) calls this RPC
+-- ops = [{ "type": "create" | "update" | "delete", "table": "...", "id": "...", "data": {...} }]
+-- Runs every op in one Postgres transaction; any error rolls back all of them.
+-- ===============================================================
+CREATE OR REPLACE FUNCTION run_transaction(ops JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    op JSONB;
+    tbl TEXT;
+    op_type TEXT;
+    rec_id TEXT;
+    payload JSONB;
+    cols TEXT;
+    result JSONB;
+    results JSONB := '[]'::jsonb;
+    allowed_tables TEXT[] := ARRAY[
+        'users', 'employees', 'customers', 'bills', 'payments', 'salary_records',
+        'yearly_allocations', 'advance_payments', 'family_groups', 'attendance',
+        'simple_advances', 'salary_payments', 'products', 'advance_records'
+    ];
+BEGIN
+    FOR op IN SELECT value FROM jsonb_array_elements(ops) LOOP
+        tbl := op->>'table';
+        op_type := op->>'type';
+        rec_id := op->>'id';
+        payload := COALESCE(op->'data', '{}'::jsonb);
+
+        IF NOT (tbl = ANY(allowed_tables)) THEN
+            RAISE EXCEPTION 'run_transaction: table % is not allowed', tbl;
+        END IF;
+
+        -- Only touch columns that exist on the table
+        SELECT string_agg(quote_ident(c.column_name), ', ')
+        INTO cols
+        FROM information_schema.columns c
+        WHERE c.table_schema = 'public'
+          AND c.table_name = tbl
+          AND payload ? c.column_name;
+
+        IF op_type = 'create' THEN
+            EXECUTE format(
+                'INSERT INTO %I (%s) SELECT %s FROM jsonb_populate_record(NULL::%I, $1) RETURNING to_jsonb(%I.*)',
+                tbl, cols, cols, tbl, tbl
+            ) INTO result USING payload;
+        ELSIF op_type = 'update' THEN
+            IF cols IS NULL THEN
+                RAISE EXCEPTION 'run_transaction: nothing to update on % %', tbl, rec_id;
+            END IF;
+            EXECUTE format(
+                'UPDATE %I SET (%s) = (SELECT %s FROM jsonb_populate_record(NULL::%I, $1)) WHERE id::text = $2 RETURNING to_jsonb(%I.*)',
+                tbl, cols, cols, tbl, tbl
+            ) INTO result USING payload, rec_id;
+            IF result IS NULL THEN
+                RAISE EXCEPTION 'run_transaction: % % not found', tbl, rec_id;
+            END IF;
+        ELSIF op_type = 'delete' THEN
+            EXECUTE format('DELETE FROM %I WHERE id::text = $1 RETURNING to_jsonb(%I.*)', tbl, tbl)
+            INTO result USING rec_id;
+        ELSE
+            RAISE EXCEPTION 'run_transaction: unknown operation %', op_type;
+        END IF;
+
+        results := results || jsonb_build_array(result);
+    END LOOP;
+
+    RETURN results;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION run_transaction(JSONB) TO anon, authenticated;
+
+INSERT INTO schema_migrations (version, name) VALUES ('003', 'run_transaction')
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,55 @@
+-- ===============================================================
+-- 004 - COLUMNS THE APP ALREADY WRITES
+-- sanitizeDataForTable() sends these, but the baseline tables never had
+-- them, so the values only ever survived in the local store.
+-- ===============================================================
+
+-- Bills: bill number, customer snapshot and line items
+ALTER TABLE bills
+ADD COLUMN IF NOT EXISTS bill_number VARCHAR(50),
+ADD COLUMN IF NOT EXISTS customer_name VARCHAR(100),
+ADD COLUMN IF NOT EXISTS customer_phone VARCHAR(15),
+ADD COLUMN IF NOT EXISTS customer_email VARCHAR(100),
+ADD COLUMN IF NOT EXISTS customer_address TEXT,
+ADD COLUMN IF NOT EXISTS items JSONB DEFAULT '[]'::jsonb,
+ADD COLUMN IF NOT EXISTS sub_total DECIMAL(12,2) DEFAULT 0,
+ADD COLUMN IF NOT EXISTS gst_rate DECIMAL(5,2) DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_bills_customer_phone ON bills(customer_phone);
+
+-- Payments: link back to the bill they settle
+ALTER TABLE payments
+ADD COLUMN IF NOT EXISTS bill_id VARCHAR(50),
+ADD COLUMN IF NOT EXISTS bill_number VARCHAR(50),
+ADD COLUMN IF NOT EXISTS customer_name VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS idx_payments_bill ON payments(bill_id);
+
+-- Users and employees
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS phone VARCHAR(15),
+ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT 'active';
+
+ALTER TABLE employees
+ADD COLUMN IF NOT EXISTS salary DECIMAL(12,2) DEFAULT 0;
+
+-- Denormalised employee names used by the attendance and salary screens
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS employee_name VARCHAR(100);
+ALTER TABLE simple_advances ADD COLUMN IF NOT EXISTS employee_name VARCHAR(100);
+
+ALTER TABLE salary_payments
+ADD COLUMN IF NOT EXISTS employee_name VARCHAR(100),
+ADD COLUMN IF NOT EXISTS work_days DECIMAL(6,2),
+ADD COLUMN IF NOT EXISTS total_hours DECIMAL(8,2);
+
+-- Customer advances are recorded against a phone number as well as an employee
+ALTER TABLE advance_payments
+ADD COLUMN IF NOT EXISTS customer_id TEXT,
+ADD COLUMN IF NOT EXISTS customer_name VARCHAR(100),
+ADD COLUMN IF NOT EXISTS customer_phone VARCHAR(15),
+ADD COLUMN IF NOT EXISTS payment_method VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS idx_advance_payments_customer_phone ON advance_payments(customer_phone);
+
+INSERT INTO schema_migrations (version, name) VALUES ('004', 'app_written_columns')
+ON CONFLICT (version) DO NOTHING;
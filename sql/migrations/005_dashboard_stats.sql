@@ -0,0 +1,50 @@
+-- ===============================================================
+-- 005 - DASHBOARD AGGREGATES
+-- db.getDashboardStats({ startDate, endDate }) calls this RPC so the
+-- dashboard and reports no longer download every bill and payment.
+-- Both dates are optional and inclusive; NULL means unbounded.
+-- ===============================================================
+
+CREATE OR REPLACE FUNCTION get_dashboard_stats(start_date DATE DEFAULT NULL, end_date DATE DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+AS $$
+    WITH bill_totals AS (
+        SELECT
+            COUNT(*) AS total_bills,
+            COUNT(*) FILTER (WHERE status = 'paid') AS paid_bills,
+            COUNT(*) FILTER (WHERE status = 'pending') AS pending_bills,
+            COALESCE(SUM(total_amount), 0) AS total_sales,
+            COALESCE(SUM(gst_amount), 0) AS total_gst
+        FROM bills
+        WHERE (start_date IS NULL OR bill_date >= start_date)
+          AND (end_date IS NULL OR bill_date <= end_date)
+    ),
+    payment_totals AS (
+        SELECT
+            COUNT(*) AS total_payments,
+            COALESCE(SUM(amount), 0) AS total_received
+        FROM payments
+        WHERE (start_date IS NULL OR payment_date >= start_date)
+          AND (end_date IS NULL OR payment_date <= end_date)
+    )
+    SELECT jsonb_build_object(
+        'totalCustomers', (SELECT COUNT(*) FROM customers),
+        'totalEmployees', (SELECT COUNT(*) FROM employees),
+        'totalBills', b.total_bills,
+        'paidBills', b.paid_bills,
+        'pendingPayments', b.pending_bills,
+        'totalSales', b.total_sales,
+        'totalGST', b.total_gst,
+        'totalReceived', p.total_received,
+        'outstandingAmount', b.total_sales - p.total_received,
+        'recentActivity', b.total_bills + p.total_payments
+    )
+    FROM bill_totals b, payment_totals p;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_dashboard_stats(DATE, DATE) TO anon, authenticated;
+
+INSERT INTO schema_migrations (version, name) VALUES ('005', 'dashboard_stats')
+ON CONFLICT (version) DO NOTHING;
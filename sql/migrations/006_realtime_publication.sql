@@ -0,0 +1,37 @@
+-- ===============================================================
+-- 006 - REALTIME: publish row changes so every open desktop sees edits made elsewhere
+-- ===============================================================
+
+-- Supabase streams postgres_changes only for tables in the supabase_realtime publication
+DO $$
+DECLARE
+    tbl TEXT;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
+        CREATE PUBLICATION supabase_realtime;
+    END IF;
+
+    FOR tbl IN
+        SELECT t.table_name
+        FROM information_schema.tables t
+        WHERE t.table_schema = 'public'
+          AND t.table_type = 'BASE TABLE'
+          AND t.table_name IN (
+              'users', 'employees', 'customers', 'bills', 'payments',
+              'salary_records', 'yearly_allocations', 'advance_payments',
+              'family_groups', 'attendance', 'simple_advances',
+              'salary_payments', 'products', 'advance_records'
+          )
+          AND NOT EXISTS (
+              SELECT 1 FROM pg_publication_tables p
+              WHERE p.pubname = 'supabase_realtime'
+                AND p.schemaname = 'public'
+                AND p.tablename = t.table_name
+          )
+    LOOP
+        EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE public.%I', tbl);
+    END LOOP;
+END $$;
+
+INSERT INTO schema_migrations (version, name) VALUES ('006', 'realtime_publication')
+ON CONFLICT (version) DO NOTHING;
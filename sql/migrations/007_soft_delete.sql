@@ -0,0 +1,115 @@
+-- ===============================================================
+-- 007 - SOFT DELETE: db.delete() stamps deleted_at / deleted_by instead of
+-- removing the row; the Trash section restores or purges (real DELETE) them.
+-- ===============================================================
+
+DO $$
+DECLARE
+    tbl TEXT;
+BEGIN
+    FOR tbl IN
+        SELECT t.table_name
+        FROM information_schema.tables t
+        WHERE t.table_schema = 'public'
+          AND t.table_type = 'BASE TABLE'
+          AND t.table_name IN (
+              'users', 'employees', 'customers', 'bills', 'payments',
+              'salary_records', 'yearly_allocations', 'advance_payments',
+              'family_groups', 'attendance', 'simple_advances',
+              'salary_payments', 'products', 'advance_records'
+          )
+    LOOP
+        EXECUTE format($sql$
+            ALTER TABLE %I ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+            ALTER TABLE %I ADD COLUMN IF NOT EXISTS deleted_by VARCHAR(100);
+            CREATE INDEX IF NOT EXISTS idx_%I_deleted_at ON %I (deleted_at) WHERE deleted_at IS NOT NULL;
+        $sql$, tbl, tbl, tbl, tbl);
+    END LOOP;
+END $$;
+
+-- A deleted row must not block re-creating the same username / attendance day
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_username_key;
+CREATE UNIQUE INDEX IF NOT EXISTS users_username_active_key
+    ON users (username) WHERE deleted_at IS NULL;
+
+ALTER TABLE attendance DROP CONSTRAINT IF EXISTS attendance_employee_id_attendance_date_key;
+CREATE UNIQUE INDEX IF NOT EXISTS attendance_employee_date_active_key
+    ON attendance (employee_id, attendance_date) WHERE deleted_at IS NULL;
+
+-- Customer totals ignore bills in the trash
+CREATE OR REPLACE FUNCTION update_customer_stats()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' OR TG_OP = 'UPDATE' THEN
+        UPDATE customers
+        SET
+            total_bills = (
+                SELECT COUNT(*) FROM bills
+                WHERE customer_id = NEW.customer_id AND deleted_at IS NULL
+            ),
+            total_amount = (
+                SELECT COALESCE(SUM(total_amount), 0) FROM bills
+                WHERE customer_id = NEW.customer_id AND deleted_at IS NULL
+            )
+        WHERE id = NEW.customer_id;
+    ELSIF TG_OP = 'DELETE' THEN
+        UPDATE customers
+        SET
+            total_bills = (
+                SELECT COUNT(*) FROM bills
+                WHERE customer_id = OLD.customer_id AND deleted_at IS NULL
+            ),
+            total_amount = (
+                SELECT COALESCE(SUM(total_amount), 0) FROM bills
+                WHERE customer_id = OLD.customer_id AND deleted_at IS NULL
+            )
+        WHERE id = OLD.customer_id;
+    END IF;
+    RETURN COALESCE(NEW, OLD);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Dashboard totals ignore deleted rows too (replaces 005)
+CREATE OR REPLACE FUNCTION get_dashboard_stats(start_date DATE DEFAULT NULL, end_date DATE DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+AS $$
+    WITH bill_totals AS (
+        SELECT
+            COUNT(*) AS total_bills,
+            COUNT(*) FILTER (WHERE status = 'paid') AS paid_bills,
+            COUNT(*) FILTER (WHERE status = 'pending') AS pending_bills,
+            COALESCE(SUM(total_amount), 0) AS total_sales,
+            COALESCE(SUM(gst_amount), 0) AS total_gst
+        FROM bills
+        WHERE deleted_at IS NULL
+          AND (start_date IS NULL OR bill_date >= start_date)
+          AND (end_date IS NULL OR bill_date <= end_date)
+    ),
+    payment_totals AS (
+        SELECT
+            COUNT(*) AS total_payments,
+            COALESCE(SUM(amount), 0) AS total_received
+        FROM payments
+        WHERE deleted_at IS NULL
+          AND (start_date IS NULL OR payment_date >= start_date)
+          AND (end_date IS NULL OR payment_date <= end_date)
+    )
+    SELECT jsonb_build_object(
+        'totalCustomers', (SELECT COUNT(*) FROM customers WHERE deleted_at IS NULL),
+        'totalEmployees', (SELECT COUNT(*) FROM employees WHERE deleted_at IS NULL),
+        'totalBills', b.total_bills,
+        'paidBills', b.paid_bills,
+        'pendingPayments', b.pending_bills,
+        'totalSales', b.total_sales,
+        'totalGST', b.total_gst,
+        'totalReceived', p.total_received,
+        'outstandingAmount', b.total_sales - p.total_received,
+        'recentActivity', b.total_bills + p.total_payments
+    )
+    FROM bill_totals b, payment_totals p;
+$$;
+
+INSERT INTO schema_migrations (version, name) VALUES ('007', 'soft_delete')
+ON CONFLICT (version) DO NOTHING;
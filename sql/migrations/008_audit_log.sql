@@ -0,0 +1,27 @@
+-- ===============================================================
+-- 008 - AUDIT LOG: one row per create / update / delete / restore /
+-- purge made through DatabaseManager, with who, where and what changed.
+-- changes = { "field": { "from": <old>, "to": <new> }, ... }
+-- ===============================================================
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    id VARCHAR(50) PRIMARY KEY,
+    table_name VARCHAR(50) NOT NULL,
+    record_id VARCHAR(50) NOT NULL,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('create', 'update', 'delete', 'restore', 'purge')),
+    actor VARCHAR(100),
+    device_id VARCHAR(100),
+    device_name VARCHAR(100),
+    changes JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_record ON audit_log (table_name, record_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log (actor);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log (created_at DESC);
+
+-- The app writes entries and reads them back with the anon key
+GRANT SELECT, INSERT, UPDATE ON audit_log TO anon, authenticated;
+
+INSERT INTO schema_migrations (version, name) VALUES ('008', 'audit_log')
+ON CONFLICT (version) DO NOTHING;
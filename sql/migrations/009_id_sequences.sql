@@ -0,0 +1,78 @@
+-- ===============================================================
+-- 009 - ID SEQUENCES: human-readable numbers handed out in blocks.
+-- Record ids are ULIDs made on the client; bill numbers and employee
+-- codes come from reserve_id_block(), which gives each device a
+-- private range so offline desktops never hand out the same number.
+-- ===============================================================
+
+CREATE TABLE IF NOT EXISTS id_sequences (
+    entity VARCHAR(30) PRIMARY KEY,
+    last_value BIGINT NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Which device holds which range, for tracing a number back to a desktop
+CREATE TABLE IF NOT EXISTS id_blocks (
+    id BIGSERIAL PRIMARY KEY,
+    entity VARCHAR(30) NOT NULL,
+    device_id VARCHAR(100) NOT NULL,
+    range_start BIGINT NOT NULL,
+    range_end BIGINT NOT NULL,
+    reserved_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_id_blocks_device ON id_blocks (device_id, entity);
+
+-- Employees get a ULID id plus a separate code; old EMP0001 / DR0001 ids already are codes
+ALTER TABLE employees ADD COLUMN IF NOT EXISTS employee_code VARCHAR(30);
+
+UPDATE employees
+SET employee_code = id
+WHERE employee_code IS NULL AND id ~ '^(EMP|DR)\d+$';
+
+CREATE UNIQUE INDEX IF NOT EXISTS employees_employee_code_key
+    ON employees (employee_code) WHERE employee_code IS NOT NULL;
+
+-- Continue after the highest code generateEmployeeId() handed out
+INSERT INTO id_sequences (entity, last_value)
+SELECT 'employee', COALESCE(MAX(substring(id FROM '^EMP(\d+)$')::BIGINT), 0) FROM employees
+ON CONFLICT (entity) DO NOTHING;
+
+INSERT INTO id_sequences (entity, last_value)
+SELECT 'driver', COALESCE(MAX(substring(id FROM '^DR(\d+)$')::BIGINT), 0) FROM employees
+ON CONFLICT (entity) DO NOTHING;
+
+CREATE OR REPLACE FUNCTION reserve_id_block(p_entity TEXT, p_device_id TEXT, p_size INTEGER DEFAULT 20)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    block_size INTEGER := GREATEST(1, LEAST(COALESCE(p_size, 20), 1000));
+    block_end BIGINT;
+BEGIN
+    -- The upsert row-locks the sequence, so concurrent reservations queue up
+    INSERT INTO id_sequences (entity, last_value)
+    VALUES (p_entity, block_size)
+    ON CONFLICT (entity) DO UPDATE
+        SET last_value = id_sequences.last_value + block_size,
+            updated_at = NOW()
+    RETURNING last_value INTO block_end;
+
+    INSERT INTO id_blocks (entity, device_id, range_start, range_end)
+    VALUES (p_entity, p_device_id, block_end - block_size + 1, block_end);
+
+    RETURN jsonb_build_object(
+        'entity', p_entity,
+        'range_start', block_end - block_size + 1,
+        'range_end', block_end
+    );
+END;
+$$;
+
+GRANT SELECT, INSERT, UPDATE ON id_sequences TO anon, authenticated;
+GRANT SELECT, INSERT ON id_blocks TO anon, authenticated;
+GRANT USAGE ON SEQUENCE id_blocks_id_seq TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION reserve_id_block(TEXT, TEXT, INTEGER) TO anon, authenticated;
+
+INSERT INTO schema_migrations (version, name) VALUES ('009', 'id_sequences')
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,200 @@
+-- ===============================================================
+-- 010 - GST INVOICE NUMBERING: one gap-free series per financial year
+-- (April-March). assign_invoice_number() bumps the series and stamps the
+-- bill in the same transaction, so a number is only used up by a bill
+-- that keeps it. Cancelled invoices keep their number (status 'cancelled').
+-- ===============================================================
+
+CREATE TABLE IF NOT EXISTS invoice_series (
+    financial_year VARCHAR(7) PRIMARY KEY,      -- '2026-27'
+    prefix VARCHAR(20) NOT NULL,
+    last_number INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS financial_year VARCHAR(7);
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS invoice_sequence INTEGER;
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS cancelled_by VARCHAR(100);
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS cancel_reason TEXT;
+
+-- Older free-text numbers may repeat, so uniqueness only covers numbered invoices
+CREATE UNIQUE INDEX IF NOT EXISTS bills_invoice_sequence_key
+    ON bills (financial_year, invoice_sequence) WHERE invoice_sequence IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS bills_invoice_number_key
+    ON bills (bill_number) WHERE invoice_sequence IS NOT NULL;
+
+CREATE OR REPLACE FUNCTION financial_year_of(d DATE)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT start_year || '-' || lpad(((start_year + 1) % 100)::TEXT, 2, '0')
+    FROM (
+        SELECT EXTRACT(YEAR FROM d)::INTEGER - CASE WHEN EXTRACT(MONTH FROM d) < 4 THEN 1 ELSE 0 END AS start_year
+    ) fy;
+$$;
+
+CREATE OR REPLACE FUNCTION assign_invoice_number(p_bill_id TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    bill bills%ROWTYPE;
+    fy TEXT;
+    series invoice_series%ROWTYPE;
+    result JSONB;
+BEGIN
+    SELECT * INTO bill FROM bills WHERE id::text = p_bill_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'assign_invoice_number: bill % not found', p_bill_id;
+    END IF;
+
+    -- A replay after a lost response gets the number it already has
+    IF bill.invoice_sequence IS NOT NULL THEN
+        RETURN to_jsonb(bill);
+    END IF;
+
+    fy := financial_year_of(bill.bill_date);
+
+    -- The upsert row-locks the series, so concurrent saves queue up
+    INSERT INTO invoice_series (financial_year, prefix, last_number)
+    VALUES (fy, 'SMJ/' || fy || '/', 1)
+    ON CONFLICT (financial_year) DO UPDATE
+        SET last_number = invoice_series.last_number + 1,
+            updated_at = NOW()
+    RETURNING * INTO series;
+
+    UPDATE bills
+    SET bill_number = series.prefix || lpad(series.last_number::TEXT, 4, '0'),
+        financial_year = fy,
+        invoice_sequence = series.last_number
+    WHERE id::text = p_bill_id
+    RETURNING to_jsonb(bills.*) INTO result;
+
+    RETURN result;
+END;
+$$;
+
+-- The prefix is fixed once a year's first invoice is out
+CREATE OR REPLACE FUNCTION set_invoice_prefix(p_financial_year TEXT, p_prefix TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    series invoice_series%ROWTYPE;
+BEGIN
+    IF p_financial_year !~ '^\d{4}-\d{2}$' THEN
+        RAISE EXCEPTION 'set_invoice_prefix: % is not a financial year like 2026-27', p_financial_year;
+    END IF;
+
+    INSERT INTO invoice_series (financial_year, prefix)
+    VALUES (p_financial_year, p_prefix)
+    ON CONFLICT (financial_year) DO UPDATE
+        SET prefix = EXCLUDED.prefix,
+            updated_at = NOW()
+        WHERE invoice_series.last_number = 0
+    RETURNING * INTO series;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Invoices have already been issued for % - its prefix can no longer change', p_financial_year;
+    END IF;
+
+    RETURN to_jsonb(series);
+END;
+$$;
+
+-- An issued number never changes; cancel the invoice instead
+CREATE OR REPLACE FUNCTION protect_invoice_number()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.invoice_sequence IS NOT NULL AND (
+        NEW.invoice_sequence IS DISTINCT FROM OLD.invoice_sequence OR
+        NEW.financial_year IS DISTINCT FROM OLD.financial_year OR
+        NEW.bill_number IS DISTINCT FROM OLD.bill_number
+    ) THEN
+        RAISE EXCEPTION 'Invoice % already has its number and cannot be renumbered', OLD.bill_number;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_protect_invoice_number ON bills;
+CREATE TRIGGER trigger_protect_invoice_number
+    BEFORE UPDATE ON bills
+    FOR EACH ROW
+    EXECUTE FUNCTION protect_invoice_number();
+
+-- Cancelled invoices stay listed but no longer count towards totals (replaces 007)
+CREATE OR REPLACE FUNCTION update_customer_stats()
+RETURNS TRIGGER AS $$
+DECLARE
+    target_customer TEXT := COALESCE(NEW.customer_id, OLD.customer_id);
+BEGIN
+    UPDATE customers
+    SET
+        total_bills = (
+            SELECT COUNT(*) FROM bills
+            WHERE customer_id = target_customer AND deleted_at IS NULL
+              AND status IS DISTINCT FROM 'cancelled'
+        ),
+        total_amount = (
+            SELECT COALESCE(SUM(total_amount), 0) FROM bills
+            WHERE customer_id = target_customer AND deleted_at IS NULL
+              AND status IS DISTINCT FROM 'cancelled'
+        )
+    WHERE id = target_customer;
+    RETURN COALESCE(NEW, OLD);
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION get_dashboard_stats(start_date DATE DEFAULT NULL, end_date DATE DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+AS $$
+    WITH bill_totals AS (
+        SELECT
+            COUNT(*) AS total_bills,
+            COUNT(*) FILTER (WHERE status = 'paid') AS paid_bills,
+            COUNT(*) FILTER (WHERE status = 'pending') AS pending_bills,
+            COALESCE(SUM(total_amount), 0) AS total_sales,
+            COALESCE(SUM(gst_amount), 0) AS total_gst
+        FROM bills
+        WHERE deleted_at IS NULL
+          AND status IS DISTINCT FROM 'cancelled'
+          AND (start_date IS NULL OR bill_date >= start_date)
+          AND (end_date IS NULL OR bill_date <= end_date)
+    ),
+    payment_totals AS (
+        SELECT
+            COUNT(*) AS total_payments,
+            COALESCE(SUM(amount), 0) AS total_received
+        FROM payments
+        WHERE deleted_at IS NULL
+          AND (start_date IS NULL OR payment_date >= start_date)
+          AND (end_date IS NULL OR payment_date <= end_date)
+    )
+    SELECT jsonb_build_object(
+        'totalCustomers', (SELECT COUNT(*) FROM customers WHERE deleted_at IS NULL),
+        'totalEmployees', (SELECT COUNT(*) FROM employees WHERE deleted_at IS NULL),
+        'totalBills', b.total_bills,
+        'paidBills', b.paid_bills,
+        'pendingPayments', b.pending_bills,
+        'totalSales', b.total_sales,
+        'totalGST', b.total_gst,
+        'totalReceived', p.total_received,
+        'outstandingAmount', b.total_sales - p.total_received,
+        'recentActivity', b.total_bills + p.total_payments
+    )
+    FROM bill_totals b, payment_totals p;
+$$;
+
+GRANT SELECT, INSERT, UPDATE ON invoice_series TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION assign_invoice_number(TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION set_invoice_prefix(TEXT, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION financial_year_of(DATE) TO anon, authenticated;
+
+INSERT INTO schema_migrations (version, name) VALUES ('010', 'invoice_numbering')
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,155 @@
+-- ===============================================================
+-- 011 - BILL ITEMS: one row per bill line instead of the bills.items JSON,
+-- so quantity sold per product can be reported. Existing JSON lines are
+-- copied across and the column is emptied; the app migrates any it still
+-- finds when bills are loaded (DatabaseManager.migrateLegacyBillItems).
+-- ===============================================================
+
+CREATE TABLE IF NOT EXISTS bill_items (
+    id VARCHAR(50) PRIMARY KEY,
+    bill_id VARCHAR(50) NOT NULL REFERENCES bills(id) ON DELETE CASCADE,
+    line_number INTEGER NOT NULL DEFAULT 1,
+    product_id VARCHAR(50),
+    description TEXT NOT NULL,
+    quantity DECIMAL(12,3) NOT NULL DEFAULT 0,
+    unit VARCHAR(20),
+    rate DECIMAL(12,2) NOT NULL DEFAULT 0,
+    discount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    tax_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+    amount DECIMAL(12,2) NOT NULL DEFAULT 0,   -- quantity x rate - discount, before tax
+    is_custom BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    deleted_by VARCHAR(100)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bill_items_bill ON bill_items (bill_id, line_number);
+CREATE INDEX IF NOT EXISTS idx_bill_items_product ON bill_items (product_id) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_bill_items_updated_at ON bill_items (updated_at);
+CREATE INDEX IF NOT EXISTS idx_bill_items_deleted_at ON bill_items (deleted_at) WHERE deleted_at IS NOT NULL;
+
+DROP TRIGGER IF EXISTS trigger_bill_items_updated_at ON bill_items;
+CREATE TRIGGER trigger_bill_items_updated_at
+    BEFORE UPDATE ON bill_items
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at();
+
+-- Line ids are <bill id>-<line>, the same ids the app uses when it migrates a bill
+INSERT INTO bill_items (
+    id, bill_id, line_number, product_id, description,
+    quantity, unit, rate, discount, tax_rate, amount, is_custom
+)
+SELECT
+    b.id || '-' || line.ordinality,
+    b.id,
+    line.ordinality,
+    NULLIF(line.item->>'product_id', ''),
+    COALESCE(NULLIF(line.item->>'product_name', ''), NULLIF(line.item->>'description', ''),
+             NULLIF(line.item->>'custom_product_name', ''), 'Item'),
+    COALESCE(NULLIF(line.item->>'quantity', '')::NUMERIC, 0),
+    p.unit,
+    COALESCE(NULLIF(line.item->>'price', '')::NUMERIC, 0),
+    0,
+    COALESCE(b.gst_rate, 0),
+    COALESCE(NULLIF(line.item->>'amount', '')::NUMERIC,
+             COALESCE(NULLIF(line.item->>'quantity', '')::NUMERIC, 0) * COALESCE(NULLIF(line.item->>'price', '')::NUMERIC, 0)),
+    COALESCE((line.item->>'is_custom')::BOOLEAN, FALSE)
+FROM bills b
+CROSS JOIN LATERAL jsonb_array_elements(
+    CASE
+        WHEN jsonb_typeof(b.items) = 'array' THEN b.items
+        -- The app used to store a JSON string inside the JSONB column
+        WHEN jsonb_typeof(b.items) = 'string' THEN (b.items #>> '{}')::jsonb
+        ELSE '[]'::jsonb
+    END
+) WITH ORDINALITY AS line(item, ordinality)
+LEFT JOIN products p ON p.id::text = line.item->>'product_id'
+ON CONFLICT (id) DO NOTHING;
+
+UPDATE bills SET items = '[]'::jsonb
+WHERE items IS NOT NULL AND items <> '[]'::jsonb;
+
+-- db.transaction() writes a bill and its lines together (replaces 003)
+CREATE OR REPLACE FUNCTION run_transaction(ops JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    op JSONB;
+    tbl TEXT;
+    op_type TEXT;
+    rec_id TEXT;
+    payload JSONB;
+    cols TEXT;
+    result JSONB;
+    results JSONB := '[]'::jsonb;
+    allowed_tables TEXT[] := ARRAY[
+        'users', 'employees', 'customers', 'bills', 'bill_items', 'payments', 'salary_records',
+        'yearly_allocations', 'advance_payments', 'family_groups', 'attendance',
+        'simple_advances', 'salary_payments', 'products', 'advance_records'
+    ];
+BEGIN
+    FOR op IN SELECT value FROM jsonb_array_elements(ops) LOOP
+        tbl := op->>'table';
+        op_type := op->>'type';
+        rec_id := op->>'id';
+        payload := COALESCE(op->'data', '{}'::jsonb);
+
+        IF NOT (tbl = ANY(allowed_tables)) THEN
+            RAISE EXCEPTION 'run_transaction: table % is not allowed', tbl;
+        END IF;
+
+        -- Only touch columns that exist on the table
+        SELECT string_agg(quote_ident(c.column_name), ', ')
+        INTO cols
+        FROM information_schema.columns c
+        WHERE c.table_schema = 'public'
+          AND c.table_name = tbl
+          AND payload ? c.column_name;
+
+        IF op_type = 'create' THEN
+            EXECUTE format(
+                'INSERT INTO %I (%s) SELECT %s FROM jsonb_populate_record(NULL::%I, $1) RETURNING to_jsonb(%I.*)',
+                tbl, cols, cols, tbl, tbl
+            ) INTO result USING payload;
+        ELSIF op_type = 'update' THEN
+            IF cols IS NULL THEN
+                RAISE EXCEPTION 'run_transaction: nothing to update on % %', tbl, rec_id;
+            END IF;
+            EXECUTE format(
+                'UPDATE %I SET (%s) = (SELECT %s FROM jsonb_populate_record(NULL::%I, $1)) WHERE id::text = $2 RETURNING to_jsonb(%I.*)',
+                tbl, cols, cols, tbl, tbl
+            ) INTO result USING payload, rec_id;
+            IF result IS NULL THEN
+                RAISE EXCEPTION 'run_transaction: % % not found', tbl, rec_id;
+            END IF;
+        ELSIF op_type = 'delete' THEN
+            EXECUTE format('DELETE FROM %I WHERE id::text = $1 RETURNING to_jsonb(%I.*)', tbl, tbl)
+            INTO result USING rec_id;
+        ELSE
+            RAISE EXCEPTION 'run_transaction: unknown operation %', op_type;
+        END IF;
+
+        results := results || jsonb_build_array(result);
+    END LOOP;
+
+    RETURN results;
+END;
+$$;
+
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime')
+       AND NOT EXISTS (
+           SELECT 1 FROM pg_publication_tables
+           WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'bill_items'
+       ) THEN
+        ALTER PUBLICATION supabase_realtime ADD TABLE public.bill_items;
+    END IF;
+END $$;
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON bill_items TO anon, authenticated;
+
+INSERT INTO schema_migrations (version, name) VALUES ('011', 'bill_items')
+ON CONFLICT (version) DO NOTHING;
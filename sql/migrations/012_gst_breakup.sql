@@ -0,0 +1,37 @@
+-- ===============================================================
+-- 012 - PER-LINE GST: HSN/SAC codes, customer state codes and the
+-- CGST + SGST (intra-state) or IGST (inter-state) split on every bill
+-- line and bill. place_of_supply is the customer's GST state code.
+-- ===============================================================
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS hsn_code VARCHAR(10);
+
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS state_code VARCHAR(2);
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS gstin VARCHAR(15);
+
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS customer_gstin VARCHAR(15);
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS place_of_supply VARCHAR(2);
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS cgst_amount DECIMAL(12,2) DEFAULT 0;
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS sgst_amount DECIMAL(12,2) DEFAULT 0;
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS igst_amount DECIMAL(12,2) DEFAULT 0;
+
+ALTER TABLE bill_items ADD COLUMN IF NOT EXISTS hsn_code VARCHAR(10);
+ALTER TABLE bill_items ADD COLUMN IF NOT EXISTS cgst_amount DECIMAL(12,2) DEFAULT 0;
+ALTER TABLE bill_items ADD COLUMN IF NOT EXISTS sgst_amount DECIMAL(12,2) DEFAULT 0;
+ALTER TABLE bill_items ADD COLUMN IF NOT EXISTS igst_amount DECIMAL(12,2) DEFAULT 0;
+
+-- Bills before this were all billed inside the state: split their GST evenly
+UPDATE bill_items
+SET cgst_amount = ROUND(amount * tax_rate / 200, 2),
+    sgst_amount = ROUND(amount * tax_rate / 100, 2) - ROUND(amount * tax_rate / 200, 2)
+WHERE tax_rate > 0
+  AND COALESCE(cgst_amount, 0) = 0 AND COALESCE(sgst_amount, 0) = 0 AND COALESCE(igst_amount, 0) = 0;
+
+UPDATE bills
+SET cgst_amount = ROUND(gst_amount / 2, 2),
+    sgst_amount = gst_amount - ROUND(gst_amount / 2, 2)
+WHERE gst_amount > 0
+  AND COALESCE(cgst_amount, 0) = 0 AND COALESCE(sgst_amount, 0) = 0 AND COALESCE(igst_amount, 0) = 0;
+
+INSERT INTO schema_migrations (version, name) VALUES ('012', 'gst_breakup')
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,140 @@
+-- ===============================================================
+-- 013 - PAYMENT ALLOCATIONS: a payment can settle part of a bill or be
+-- split across several bills. payment_allocations holds one row per
+-- (payment, bill); bills keep amount_paid and balance_due so lists do
+-- not have to add up allocations, and a part-paid bill is 'partially_paid'.
+-- ===============================================================
+
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS amount_paid DECIMAL(12,2) DEFAULT 0;
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS balance_due DECIMAL(12,2);
+
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS customer_phone VARCHAR(15);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS notes TEXT;
+
+CREATE TABLE IF NOT EXISTS payment_allocations (
+    id VARCHAR(50) PRIMARY KEY,
+    payment_id VARCHAR(50) NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+    bill_id VARCHAR(50) NOT NULL REFERENCES bills(id) ON DELETE CASCADE,
+    bill_number VARCHAR(50),
+    amount DECIMAL(12,2) NOT NULL CHECK (amount > 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    deleted_by VARCHAR(100)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_allocations_payment ON payment_allocations (payment_id);
+CREATE INDEX IF NOT EXISTS idx_payment_allocations_bill ON payment_allocations (bill_id) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_payment_allocations_updated_at ON payment_allocations (updated_at);
+CREATE INDEX IF NOT EXISTS idx_payment_allocations_deleted_at ON payment_allocations (deleted_at) WHERE deleted_at IS NOT NULL;
+
+DROP TRIGGER IF EXISTS trigger_payment_allocations_updated_at ON payment_allocations;
+CREATE TRIGGER trigger_payment_allocations_updated_at
+    BEFORE UPDATE ON payment_allocations
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at();
+
+-- Payments made before this settled exactly one bill in full
+INSERT INTO payment_allocations (id, payment_id, bill_id, bill_number, amount)
+SELECT p.id || '-1', p.id, p.bill_id, p.bill_number, p.amount
+FROM payments p
+JOIN bills b ON b.id = p.bill_id
+WHERE p.amount > 0 AND p.deleted_at IS NULL
+ON CONFLICT (id) DO NOTHING;
+
+UPDATE bills b
+SET amount_paid = COALESCE((
+        SELECT SUM(a.amount) FROM payment_allocations a
+        WHERE a.bill_id = b.id AND a.deleted_at IS NULL
+    ), CASE WHEN b.status = 'paid' THEN b.total_amount ELSE 0 END)
+WHERE b.balance_due IS NULL;
+
+UPDATE bills
+SET balance_due = CASE WHEN status IN ('paid', 'cancelled') THEN 0
+                       ELSE GREATEST(total_amount - amount_paid, 0) END
+WHERE balance_due IS NULL;
+
+-- db.transaction() records a payment, its allocations and the bills together (replaces 011)
+CREATE OR REPLACE FUNCTION run_transaction(ops JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    op JSONB;
+    tbl TEXT;
+    op_type TEXT;
+    rec_id TEXT;
+    payload JSONB;
+    cols TEXT;
+    result JSONB;
+    results JSONB := '[]'::jsonb;
+    allowed_tables TEXT[] := ARRAY[
+        'users', 'employees', 'customers', 'bills', 'bill_items', 'payments', 'payment_allocations',
+        'salary_records',
+        'yearly_allocations', 'advance_payments', 'family_groups', 'attendance',
+        'simple_advances', 'salary_payments', 'products', 'advance_records'
+    ];
+BEGIN
+    FOR op IN SELECT value FROM jsonb_array_elements(ops) LOOP
+        tbl := op->>'table';
+        op_type := op->>'type';
+        rec_id := op->>'id';
+        payload := COALESCE(op->'data', '{}'::jsonb);
+
+        IF NOT (tbl = ANY(allowed_tables)) THEN
+            RAISE EXCEPTION 'run_transaction: table % is not allowed', tbl;
+        END IF;
+
+        -- Only touch columns that exist on the table
+        SELECT string_agg(quote_ident(c.column_name), ', ')
+        INTO cols
+        FROM information_schema.columns c
+        WHERE c.table_schema = 'public'
+          AND c.table_name = tbl
+          AND payload ? c.column_name;
+
+        IF op_type = 'create' THEN
+            EXECUTE format(
+                'INSERT INTO %I (%s) SELECT %s FROM jsonb_populate_record(NULL::%I, $1) RETURNING to_jsonb(%I.*)',
+                tbl, cols, cols, tbl, tbl
+            ) INTO result USING payload;
+        ELSIF op_type = 'update' THEN
+            IF cols IS NULL THEN
+                RAISE EXCEPTION 'run_transaction: nothing to update on % %', tbl, rec_id;
+            END IF;
+            EXECUTE format(
+                'UPDATE %I SET (%s) = (SELECT %s FROM jsonb_populate_record(NULL::%I, $1)) WHERE id::text = $2 RETURNING to_jsonb(%I.*)',
+                tbl, cols, cols, tbl, tbl
+            ) INTO result USING payload, rec_id;
+            IF result IS NULL THEN
+                RAISE EXCEPTION 'run_transaction: % % not found', tbl, rec_id;
+            END IF;
+        ELSIF op_type = 'delete' THEN
+            EXECUTE format('DELETE FROM %I WHERE id::text = $1 RETURNING to_jsonb(%I.*)', tbl, tbl)
+            INTO result USING rec_id;
+        ELSE
+            RAISE EXCEPTION 'run_transaction: unknown operation %', op_type;
+        END IF;
+
+        results := results || jsonb_build_array(result);
+    END LOOP;
+
+    RETURN results;
+END;
+$$;
+
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime')
+       AND NOT EXISTS (
+           SELECT 1 FROM pg_publication_tables
+           WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'payment_allocations'
+       ) THEN
+        ALTER PUBLICATION supabase_realtime ADD TABLE public.payment_allocations;
+    END IF;
+END $$;
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON payment_allocations TO anon, authenticated;
+
+INSERT INTO schema_migrations (version, name) VALUES ('013', 'payment_allocations')
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,16 @@
+-- ===============================================================
+-- 014 - ADVANCE ADJUSTMENTS: a customer's advance can be used to pay
+-- bills. Each use is a payment (payment_method 'advance') that points
+-- at the advance it came from, and the advance's allocation_used goes
+-- up by the same amount, so advance left = amount - allocation_used.
+-- ===============================================================
+
+ALTER TABLE advance_payments ADD COLUMN IF NOT EXISTS allocation_used DECIMAL(12,2) DEFAULT 0;
+
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS advance_payment_id VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS idx_payments_advance_payment ON payments (advance_payment_id)
+    WHERE advance_payment_id IS NOT NULL;
+
+INSERT INTO schema_migrations (version, name) VALUES ('014', 'advance_adjustments')
+ON CONFLICT (version) DO NOTHING;
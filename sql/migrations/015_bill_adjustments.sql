@@ -0,0 +1,26 @@
+-- ===============================================================
+-- 015 - DISCOUNTS, ADDITIONAL CHARGES AND ROUND-OFF
+-- Lines carry their own discount (percent or amount). A bill-level
+-- discount is shared across the item lines by value, so taxable_value
+-- is a line's amount less its share of it. Transport and loading
+-- charges are bill_items rows with line_type 'charge', taxed at their
+-- own SAC rate. round_off takes the total to the nearest rupee.
+-- ===============================================================
+
+ALTER TABLE bill_items ADD COLUMN IF NOT EXISTS line_type VARCHAR(10) NOT NULL DEFAULT 'item';
+ALTER TABLE bill_items ADD COLUMN IF NOT EXISTS discount_type VARCHAR(10) NOT NULL DEFAULT 'amount';
+ALTER TABLE bill_items ADD COLUMN IF NOT EXISTS discount_value DECIMAL(12,2) NOT NULL DEFAULT 0;
+ALTER TABLE bill_items ADD COLUMN IF NOT EXISTS taxable_value DECIMAL(12,2);
+
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS discount_type VARCHAR(10) NOT NULL DEFAULT 'amount';
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS discount_value DECIMAL(12,2) NOT NULL DEFAULT 0;
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(12,2) NOT NULL DEFAULT 0;
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS charges_amount DECIMAL(12,2) NOT NULL DEFAULT 0;
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS round_off DECIMAL(12,2) NOT NULL DEFAULT 0;
+
+-- Existing lines had no bill discount to share
+UPDATE bill_items SET taxable_value = amount WHERE taxable_value IS NULL;
+UPDATE bill_items SET discount_value = discount WHERE discount > 0 AND discount_value = 0;
+
+INSERT INTO schema_migrations (version, name) VALUES ('015', 'bill_adjustments')
+ON CONFLICT (version) DO NOTHING;
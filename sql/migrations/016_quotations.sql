@@ -0,0 +1,180 @@
+-- ===============================================================
+-- 016 - QUOTATIONS: estimates given to builders before they order.
+-- Numbered QTN0001... from reserve_id_block('quotation') (009), valid
+-- until a date, and draft -> sent -> accepted, or expired once the
+-- validity date passes. Lines mirror bill_items (011, 012, 015) so an
+-- accepted quotation converts into a bill as it stands; converted_bill_id
+-- points at that bill.
+-- ===============================================================
+
+CREATE TABLE IF NOT EXISTS quotations (
+    id VARCHAR(50) PRIMARY KEY,
+    quotation_number VARCHAR(50),
+    quotation_date DATE NOT NULL,
+    valid_until DATE NOT NULL,
+    customer_id VARCHAR(50),
+    customer_name VARCHAR(255) NOT NULL,
+    customer_phone VARCHAR(15),
+    customer_email VARCHAR(255),
+    customer_gstin VARCHAR(15),
+    place_of_supply VARCHAR(2),
+    sub_total DECIMAL(12,2) NOT NULL DEFAULT 0,
+    discount_type VARCHAR(10) NOT NULL DEFAULT 'amount',
+    discount_value DECIMAL(12,2) NOT NULL DEFAULT 0,
+    discount_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    charges_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    gst_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    cgst_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    sgst_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    igst_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    round_off DECIMAL(12,2) NOT NULL DEFAULT 0,
+    total_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft'
+        CHECK (status IN ('draft', 'sent', 'accepted', 'expired')),
+    notes TEXT,
+    converted_bill_id VARCHAR(50) REFERENCES bills(id) ON DELETE SET NULL,
+    created_by VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    deleted_by VARCHAR(100)
+);
+
+CREATE TABLE IF NOT EXISTS quotation_items (
+    id VARCHAR(50) PRIMARY KEY,
+    quotation_id VARCHAR(50) NOT NULL REFERENCES quotations(id) ON DELETE CASCADE,
+    line_number INTEGER NOT NULL DEFAULT 1,
+    line_type VARCHAR(10) NOT NULL DEFAULT 'item',
+    product_id VARCHAR(50),
+    description TEXT NOT NULL,
+    hsn_code VARCHAR(10),
+    quantity DECIMAL(12,3) NOT NULL DEFAULT 0,
+    unit VARCHAR(20),
+    rate DECIMAL(12,2) NOT NULL DEFAULT 0,
+    discount_type VARCHAR(10) NOT NULL DEFAULT 'amount',
+    discount_value DECIMAL(12,2) NOT NULL DEFAULT 0,
+    discount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    tax_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+    amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    taxable_value DECIMAL(12,2),
+    cgst_amount DECIMAL(12,2) DEFAULT 0,
+    sgst_amount DECIMAL(12,2) DEFAULT 0,
+    igst_amount DECIMAL(12,2) DEFAULT 0,
+    is_custom BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    deleted_by VARCHAR(100)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS quotations_quotation_number_key
+    ON quotations (quotation_number) WHERE quotation_number IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_quotations_customer ON quotations (customer_phone) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_quotations_date ON quotations (quotation_date);
+CREATE INDEX IF NOT EXISTS idx_quotations_updated_at ON quotations (updated_at);
+CREATE INDEX IF NOT EXISTS idx_quotations_deleted_at ON quotations (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_quotation_items_quotation ON quotation_items (quotation_id, line_number);
+CREATE INDEX IF NOT EXISTS idx_quotation_items_updated_at ON quotation_items (updated_at);
+
+DROP TRIGGER IF EXISTS trigger_quotations_updated_at ON quotations;
+CREATE TRIGGER trigger_quotations_updated_at
+    BEFORE UPDATE ON quotations
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at();
+
+DROP TRIGGER IF EXISTS trigger_quotation_items_updated_at ON quotation_items;
+CREATE TRIGGER trigger_quotation_items_updated_at
+    BEFORE UPDATE ON quotation_items
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at();
+
+-- db.transaction() saves a quotation with its lines (replaces 013)
+CREATE OR REPLACE FUNCTION run_transaction(ops JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    op JSONB;
+    tbl TEXT;
+    op_type TEXT;
+    rec_id TEXT;
+    payload JSONB;
+    cols TEXT;
+    result JSONB;
+    results JSONB := '[]'::jsonb;
+    allowed_tables TEXT[] := ARRAY[
+        'users', 'employees', 'customers', 'bills', 'bill_items', 'payments', 'payment_allocations',
+        'quotations', 'quotation_items', 'salary_records',
+        'yearly_allocations', 'advance_payments', 'family_groups', 'attendance',
+        'simple_advances', 'salary_payments', 'products', 'advance_records'
+    ];
+BEGIN
+    FOR op IN SELECT value FROM jsonb_array_elements(ops) LOOP
+        tbl := op->>'table';
+        op_type := op->>'type';
+        rec_id := op->>'id';
+        payload := COALESCE(op->'data', '{}'::jsonb);
+
+        IF NOT (tbl = ANY(allowed_tables)) THEN
+            RAISE EXCEPTION 'run_transaction: table % is not allowed', tbl;
+        END IF;
+
+        -- Only touch columns that exist on the table
+        SELECT string_agg(quote_ident(c.column_name), ', ')
+        INTO cols
+        FROM information_schema.columns c
+        WHERE c.table_schema = 'public'
+          AND c.table_name = tbl
+          AND payload ? c.column_name;
+
+        IF op_type = 'create' THEN
+            EXECUTE format(
+                'INSERT INTO %I (%s) SELECT %s FROM jsonb_populate_record(NULL::%I, $1) RETURNING to_jsonb(%I.*)',
+                tbl, cols, cols, tbl, tbl
+            ) INTO result USING payload;
+        ELSIF op_type = 'update' THEN
+            IF cols IS NULL THEN
+                RAISE EXCEPTION 'run_transaction: nothing to update on % %', tbl, rec_id;
+            END IF;
+            EXECUTE format(
+                'UPDATE %I SET (%s) = (SELECT %s FROM jsonb_populate_record(NULL::%I, $1)) WHERE id::text = $2 RETURNING to_jsonb(%I.*)',
+                tbl, cols, cols, tbl, tbl
+            ) INTO result USING payload, rec_id;
+            IF result IS NULL THEN
+                RAISE EXCEPTION 'run_transaction: % % not found', tbl, rec_id;
+            END IF;
+        ELSIF op_type = 'delete' THEN
+            EXECUTE format('DELETE FROM %I WHERE id::text = $1 RETURNING to_jsonb(%I.*)', tbl, tbl)
+            INTO result USING rec_id;
+        ELSE
+            RAISE EXCEPTION 'run_transaction: unknown operation %', op_type;
+        END IF;
+
+        results := results || jsonb_build_array(result);
+    END LOOP;
+
+    RETURN results;
+END;
+$$;
+
+DO $$
+DECLARE
+    tbl TEXT;
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
+        FOREACH tbl IN ARRAY ARRAY['quotations', 'quotation_items'] LOOP
+            IF NOT EXISTS (
+                SELECT 1 FROM pg_publication_tables
+                WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = tbl
+            ) THEN
+                EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE public.%I', tbl);
+            END IF;
+        END LOOP;
+    END IF;
+END $$;
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON quotations TO anon, authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON quotation_items TO anon, authenticated;
+
+INSERT INTO schema_migrations (version, name) VALUES ('016', 'quotations')
+ON CONFLICT (version) DO NOTHING;
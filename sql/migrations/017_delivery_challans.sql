@@ -0,0 +1,165 @@
+-- ===============================================================
+-- 017 - DELIVERY CHALLANS: one per lorry trip against a bill.
+-- A trip records its date, driver (employees with employee_type
+-- 'driver') and vehicle, and how much of each bill item it carried.
+-- Challan lines match bill lines by product_id, or by description for
+-- custom products, so they survive the bill's lines being rewritten on
+-- edit. bills.delivery_status is kept up to date as trips are saved:
+-- pending (nothing delivered), partial, or delivered.
+-- ===============================================================
+
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS delivery_status VARCHAR(20) NOT NULL DEFAULT 'pending';
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'bills_delivery_status_check') THEN
+        ALTER TABLE bills ADD CONSTRAINT bills_delivery_status_check
+            CHECK (delivery_status IN ('pending', 'partial', 'delivered'));
+    END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS delivery_challans (
+    id VARCHAR(50) PRIMARY KEY,
+    challan_number VARCHAR(50),
+    bill_id VARCHAR(50) NOT NULL REFERENCES bills(id) ON DELETE CASCADE,
+    bill_number VARCHAR(50),
+    trip_date DATE NOT NULL,
+    driver_id VARCHAR(50) REFERENCES employees(id) ON DELETE SET NULL,
+    driver_name VARCHAR(100),
+    vehicle_number VARCHAR(50),
+    customer_name VARCHAR(255),
+    customer_phone VARCHAR(15),
+    delivery_address TEXT,
+    notes TEXT,
+    created_by VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    deleted_by VARCHAR(100)
+);
+
+CREATE TABLE IF NOT EXISTS delivery_challan_items (
+    id VARCHAR(50) PRIMARY KEY,
+    challan_id VARCHAR(50) NOT NULL REFERENCES delivery_challans(id) ON DELETE CASCADE,
+    line_number INTEGER NOT NULL DEFAULT 1,
+    product_id VARCHAR(50),
+    description TEXT NOT NULL,
+    unit VARCHAR(20),
+    quantity DECIMAL(12,3) NOT NULL CHECK (quantity > 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    deleted_by VARCHAR(100)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS delivery_challans_challan_number_key
+    ON delivery_challans (challan_number) WHERE challan_number IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_delivery_challans_bill ON delivery_challans (bill_id) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_delivery_challans_driver ON delivery_challans (driver_id, trip_date);
+CREATE INDEX IF NOT EXISTS idx_delivery_challans_updated_at ON delivery_challans (updated_at);
+CREATE INDEX IF NOT EXISTS idx_delivery_challans_deleted_at ON delivery_challans (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_delivery_challan_items_challan ON delivery_challan_items (challan_id, line_number);
+CREATE INDEX IF NOT EXISTS idx_delivery_challan_items_updated_at ON delivery_challan_items (updated_at);
+
+DROP TRIGGER IF EXISTS trigger_delivery_challans_updated_at ON delivery_challans;
+CREATE TRIGGER trigger_delivery_challans_updated_at
+    BEFORE UPDATE ON delivery_challans
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at();
+
+DROP TRIGGER IF EXISTS trigger_delivery_challan_items_updated_at ON delivery_challan_items;
+CREATE TRIGGER trigger_delivery_challan_items_updated_at
+    BEFORE UPDATE ON delivery_challan_items
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at();
+
+-- db.transaction() saves a challan, its lines and the bill's delivery status together (replaces 016)
+CREATE OR REPLACE FUNCTION run_transaction(ops JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    op JSONB;
+    tbl TEXT;
+    op_type TEXT;
+    rec_id TEXT;
+    payload JSONB;
+    cols TEXT;
+    result JSONB;
+    results JSONB := '[]'::jsonb;
+    allowed_tables TEXT[] := ARRAY[
+        'users', 'employees', 'customers', 'bills', 'bill_items', 'payments', 'payment_allocations',
+        'quotations', 'quotation_items', 'delivery_challans', 'delivery_challan_items', 'salary_records',
+        'yearly_allocations', 'advance_payments', 'family_groups', 'attendance',
+        'simple_advances', 'salary_payments', 'products', 'advance_records'
+    ];
+BEGIN
+    FOR op IN SELECT value FROM jsonb_array_elements(ops) LOOP
+        tbl := op->>'table';
+        op_type := op->>'type';
+        rec_id := op->>'id';
+        payload := COALESCE(op->'data', '{}'::jsonb);
+
+        IF NOT (tbl = ANY(allowed_tables)) THEN
+            RAISE EXCEPTION 'run_transaction: table % is not allowed', tbl;
+        END IF;
+
+        -- Only touch columns that exist on the table
+        SELECT string_agg(quote_ident(c.column_name), ', ')
+        INTO cols
+        FROM information_schema.columns c
+        WHERE c.table_schema = 'public'
+          AND c.table_name = tbl
+          AND payload ? c.column_name;
+
+        IF op_type = 'create' THEN
+            EXECUTE format(
+                'INSERT INTO %I (%s) SELECT %s FROM jsonb_populate_record(NULL::%I, $1) RETURNING to_jsonb(%I.*)',
+                tbl, cols, cols, tbl, tbl
+            ) INTO result USING payload;
+        ELSIF op_type = 'update' THEN
+            IF cols IS NULL THEN
+                RAISE EXCEPTION 'run_transaction: nothing to update on % %', tbl, rec_id;
+            END IF;
+            EXECUTE format(
+                'UPDATE %I SET (%s) = (SELECT %s FROM jsonb_populate_record(NULL::%I, $1)) WHERE id::text = $2 RETURNING to_jsonb(%I.*)',
+                tbl, cols, cols, tbl, tbl
+            ) INTO result USING payload, rec_id;
+            IF result IS NULL THEN
+                RAISE EXCEPTION 'run_transaction: % % not found', tbl, rec_id;
+            END IF;
+        ELSIF op_type = 'delete' THEN
+            EXECUTE format('DELETE FROM %I WHERE id::text = $1 RETURNING to_jsonb(%I.*)', tbl, tbl)
+            INTO result USING rec_id;
+        ELSE
+            RAISE EXCEPTION 'run_transaction: unknown operation %', op_type;
+        END IF;
+
+        results := results || jsonb_build_array(result);
+    END LOOP;
+
+    RETURN results;
+END;
+$$;
+
+DO $$
+DECLARE
+    tbl TEXT;
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
+        FOREACH tbl IN ARRAY ARRAY['delivery_challans', 'delivery_challan_items'] LOOP
+            IF NOT EXISTS (
+                SELECT 1 FROM pg_publication_tables
+                WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = tbl
+            ) THEN
+                EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE public.%I', tbl);
+            END IF;
+        END LOOP;
+    END IF;
+END $$;
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON delivery_challans TO anon, authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON delivery_challan_items TO anon, authenticated;
+
+INSERT INTO schema_migrations (version, name) VALUES ('017', 'delivery_challans')
+ON CONFLICT (version) DO NOTHING;
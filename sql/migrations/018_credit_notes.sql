@@ -0,0 +1,238 @@
+-- ===============================================================
+-- 018 - CREDIT NOTES: goods returned against a bill, or a rate allowance.
+-- Numbered CN0001... from reserve_id_block('credit_note') (009). Lines
+-- point back at the bill_items row they return and carry the same GST
+-- rate, so tax is reversed at the rate it was charged, split CGST/SGST
+-- or IGST the same way as the bill. bills.credited_amount is the total
+-- of a bill's issued credit notes: it comes off the bill's balance, and
+-- whatever is left over once the bill is settled (applied_amount is the
+-- part that reduced the balance) is money the business owes the
+-- customer. A cancelled credit note keeps its number.
+-- ===============================================================
+
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS credited_amount DECIMAL(12,2) NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS credit_notes (
+    id VARCHAR(50) PRIMARY KEY,
+    credit_note_number VARCHAR(50),
+    credit_note_date DATE NOT NULL,
+    bill_id VARCHAR(50) NOT NULL REFERENCES bills(id) ON DELETE CASCADE,
+    bill_number VARCHAR(50),
+    bill_date DATE,
+    customer_id VARCHAR(50),
+    customer_name VARCHAR(255) NOT NULL,
+    customer_phone VARCHAR(15),
+    customer_gstin VARCHAR(15),
+    place_of_supply VARCHAR(2),
+    reason TEXT,
+    sub_total DECIMAL(12,2) NOT NULL DEFAULT 0,
+    gst_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    cgst_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    sgst_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    igst_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    round_off DECIMAL(12,2) NOT NULL DEFAULT 0,
+    total_amount DECIMAL(12,2) NOT NULL DEFAULT 0 CHECK (total_amount >= 0),
+    applied_amount DECIMAL(12,2) NOT NULL DEFAULT 0 CHECK (applied_amount >= 0),
+    restocked BOOLEAN NOT NULL DEFAULT FALSE,
+    status VARCHAR(20) NOT NULL DEFAULT 'issued' CHECK (status IN ('issued', 'cancelled')),
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    cancelled_by VARCHAR(100),
+    cancel_reason TEXT,
+    created_by VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    deleted_by VARCHAR(100)
+);
+
+CREATE TABLE IF NOT EXISTS credit_note_items (
+    id VARCHAR(50) PRIMARY KEY,
+    credit_note_id VARCHAR(50) NOT NULL REFERENCES credit_notes(id) ON DELETE CASCADE,
+    bill_item_id VARCHAR(50),
+    line_number INTEGER NOT NULL DEFAULT 1,
+    product_id VARCHAR(50),
+    description TEXT NOT NULL,
+    hsn_code VARCHAR(10),
+    unit VARCHAR(20),
+    quantity DECIMAL(12,3) NOT NULL CHECK (quantity > 0),
+    rate DECIMAL(12,2) NOT NULL DEFAULT 0,
+    amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    taxable_value DECIMAL(12,2) NOT NULL DEFAULT 0,
+    tax_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+    cgst_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    sgst_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    igst_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    deleted_by VARCHAR(100)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS credit_notes_credit_note_number_key
+    ON credit_notes (credit_note_number) WHERE credit_note_number IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_credit_notes_bill ON credit_notes (bill_id) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_credit_notes_date ON credit_notes (credit_note_date);
+CREATE INDEX IF NOT EXISTS idx_credit_notes_customer_phone ON credit_notes (customer_phone);
+CREATE INDEX IF NOT EXISTS idx_credit_notes_updated_at ON credit_notes (updated_at);
+CREATE INDEX IF NOT EXISTS idx_credit_notes_deleted_at ON credit_notes (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_credit_note_items_credit_note ON credit_note_items (credit_note_id, line_number);
+CREATE INDEX IF NOT EXISTS idx_credit_note_items_bill_item ON credit_note_items (bill_item_id);
+CREATE INDEX IF NOT EXISTS idx_credit_note_items_updated_at ON credit_note_items (updated_at);
+
+DROP TRIGGER IF EXISTS trigger_credit_notes_updated_at ON credit_notes;
+CREATE TRIGGER trigger_credit_notes_updated_at
+    BEFORE UPDATE ON credit_notes
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at();
+
+DROP TRIGGER IF EXISTS trigger_credit_note_items_updated_at ON credit_note_items;
+CREATE TRIGGER trigger_credit_note_items_updated_at
+    BEFORE UPDATE ON credit_note_items
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at();
+
+-- db.transaction() saves a credit note, its lines, the bill's balance and restocked products together (replaces 017)
+CREATE OR REPLACE FUNCTION run_transaction(ops JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    op JSONB;
+    tbl TEXT;
+    op_type TEXT;
+    rec_id TEXT;
+    payload JSONB;
+    cols TEXT;
+    result JSONB;
+    results JSONB := '[]'::jsonb;
+    allowed_tables TEXT[] := ARRAY[
+        'users', 'employees', 'customers', 'bills', 'bill_items', 'payments', 'payment_allocations',
+        'quotations', 'quotation_items', 'delivery_challans', 'delivery_challan_items',
+        'credit_notes', 'credit_note_items', 'salary_records',
+        'yearly_allocations', 'advance_payments', 'family_groups', 'attendance',
+        'simple_advances', 'salary_payments', 'products', 'advance_records'
+    ];
+BEGIN
+    FOR op IN SELECT value FROM jsonb_array_elements(ops) LOOP
+        tbl := op->>'table';
+        op_type := op->>'type';
+        rec_id := op->>'id';
+        payload := COALESCE(op->'data', '{}'::jsonb);
+
+        IF NOT (tbl = ANY(allowed_tables)) THEN
+            RAISE EXCEPTION 'run_transaction: table % is not allowed', tbl;
+        END IF;
+
+        -- Only touch columns that exist on the table
+        SELECT string_agg(quote_ident(c.column_name), ', ')
+        INTO cols
+        FROM information_schema.columns c
+        WHERE c.table_schema = 'public'
+          AND c.table_name = tbl
+          AND payload ? c.column_name;
+
+        IF op_type = 'create' THEN
+            EXECUTE format(
+                'INSERT INTO %I (%s) SELECT %s FROM jsonb_populate_record(NULL::%I, $1) RETURNING to_jsonb(%I.*)',
+                tbl, cols, cols, tbl, tbl
+            ) INTO result USING payload;
+        ELSIF op_type = 'update' THEN
+            IF cols IS NULL THEN
+                RAISE EXCEPTION 'run_transaction: nothing to update on % %', tbl, rec_id;
+            END IF;
+            EXECUTE format(
+                'UPDATE %I SET (%s) = (SELECT %s FROM jsonb_populate_record(NULL::%I, $1)) WHERE id::text = $2 RETURNING to_jsonb(%I.*)',
+                tbl, cols, cols, tbl, tbl
+            ) INTO result USING payload, rec_id;
+            IF result IS NULL THEN
+                RAISE EXCEPTION 'run_transaction: % % not found', tbl, rec_id;
+            END IF;
+        ELSIF op_type = 'delete' THEN
+            EXECUTE format('DELETE FROM %I WHERE id::text = $1 RETURNING to_jsonb(%I.*)', tbl, tbl)
+            INTO result USING rec_id;
+        ELSE
+            RAISE EXCEPTION 'run_transaction: unknown operation %', op_type;
+        END IF;
+
+        results := results || jsonb_build_array(result);
+    END LOOP;
+
+    RETURN results;
+END;
+$$;
+
+-- Sales and GST are net of issued credit notes, counted on the credit note's date (replaces 010)
+CREATE OR REPLACE FUNCTION get_dashboard_stats(start_date DATE DEFAULT NULL, end_date DATE DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+AS $$
+    WITH bill_totals AS (
+        SELECT
+            COUNT(*) AS total_bills,
+            COUNT(*) FILTER (WHERE status = 'paid') AS paid_bills,
+            COUNT(*) FILTER (WHERE status = 'pending') AS pending_bills,
+            COALESCE(SUM(total_amount), 0) AS total_sales,
+            COALESCE(SUM(gst_amount), 0) AS total_gst
+        FROM bills
+        WHERE deleted_at IS NULL
+          AND status IS DISTINCT FROM 'cancelled'
+          AND (start_date IS NULL OR bill_date >= start_date)
+          AND (end_date IS NULL OR bill_date <= end_date)
+    ),
+    credit_totals AS (
+        SELECT
+            COALESCE(SUM(total_amount), 0) AS total_credited,
+            COALESCE(SUM(gst_amount), 0) AS gst_credited
+        FROM credit_notes
+        WHERE deleted_at IS NULL
+          AND status = 'issued'
+          AND (start_date IS NULL OR credit_note_date >= start_date)
+          AND (end_date IS NULL OR credit_note_date <= end_date)
+    ),
+    payment_totals AS (
+        SELECT
+            COUNT(*) AS total_payments,
+            COALESCE(SUM(amount), 0) AS total_received
+        FROM payments
+        WHERE deleted_at IS NULL
+          AND (start_date IS NULL OR payment_date >= start_date)
+          AND (end_date IS NULL OR payment_date <= end_date)
+    )
+    SELECT jsonb_build_object(
+        'totalCustomers', (SELECT COUNT(*) FROM customers WHERE deleted_at IS NULL),
+        'totalEmployees', (SELECT COUNT(*) FROM employees WHERE deleted_at IS NULL),
+        'totalBills', b.total_bills,
+        'paidBills', b.paid_bills,
+        'pendingPayments', b.pending_bills,
+        'totalSales', b.total_sales - c.total_credited,
+        'totalGST', b.total_gst - c.gst_credited,
+        'totalCredited', c.total_credited,
+        'totalReceived', p.total_received,
+        'outstandingAmount', b.total_sales - c.total_credited - p.total_received,
+        'recentActivity', b.total_bills + p.total_payments
+    )
+    FROM bill_totals b, credit_totals c, payment_totals p;
+$$;
+
+DO $$
+DECLARE
+    tbl TEXT;
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
+        FOREACH tbl IN ARRAY ARRAY['credit_notes', 'credit_note_items'] LOOP
+            IF NOT EXISTS (
+                SELECT 1 FROM pg_publication_tables
+                WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = tbl
+            ) THEN
+                EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE public.%I', tbl);
+            END IF;
+        END LOOP;
+    END IF;
+END $$;
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON credit_notes TO anon, authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON credit_note_items TO anon, authenticated;
+
+INSERT INTO schema_migrations (version, name) VALUES ('018', 'credit_notes')
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,199 @@
+-- ===============================================================
+-- 019 - RECURRING BILLS: a fixed supply billed to a contract customer
+-- every week, fortnight or month. recurring_bills is the template -
+-- customer, place of supply, bill discount and the next date a bill is
+-- due; its lines mirror quotation_items (016). Each due date becomes a
+-- recurring_bill_runs row waiting in the review queue: a manager either
+-- confirms it (bill_id points at the bill made from it) or skips it.
+-- The unique (recurring_bill_id, run_date) index stops two desktops
+-- queuing the same date twice.
+-- ===============================================================
+
+CREATE TABLE IF NOT EXISTS recurring_bills (
+    id VARCHAR(50) PRIMARY KEY,
+    customer_id VARCHAR(50),
+    customer_name VARCHAR(255) NOT NULL,
+    customer_phone VARCHAR(15),
+    customer_email VARCHAR(255),
+    customer_gstin VARCHAR(15),
+    place_of_supply VARCHAR(2),
+    frequency VARCHAR(20) NOT NULL DEFAULT 'weekly'
+        CHECK (frequency IN ('weekly', 'fortnightly', 'monthly')),
+    next_run_date DATE NOT NULL,
+    end_date DATE,
+    last_run_date DATE,
+    discount_type VARCHAR(10) NOT NULL DEFAULT 'amount',
+    discount_value DECIMAL(12,2) NOT NULL DEFAULT 0,
+    total_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    notes TEXT,
+    source_bill_id VARCHAR(50) REFERENCES bills(id) ON DELETE SET NULL,
+    created_by VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    deleted_by VARCHAR(100)
+);
+
+CREATE TABLE IF NOT EXISTS recurring_bill_items (
+    id VARCHAR(50) PRIMARY KEY,
+    recurring_bill_id VARCHAR(50) NOT NULL REFERENCES recurring_bills(id) ON DELETE CASCADE,
+    line_number INTEGER NOT NULL DEFAULT 1,
+    line_type VARCHAR(10) NOT NULL DEFAULT 'item',
+    product_id VARCHAR(50),
+    description TEXT NOT NULL,
+    hsn_code VARCHAR(10),
+    quantity DECIMAL(12,3) NOT NULL DEFAULT 0,
+    unit VARCHAR(20),
+    rate DECIMAL(12,2) NOT NULL DEFAULT 0,
+    discount_type VARCHAR(10) NOT NULL DEFAULT 'amount',
+    discount_value DECIMAL(12,2) NOT NULL DEFAULT 0,
+    discount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    tax_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+    amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    is_custom BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    deleted_by VARCHAR(100)
+);
+
+CREATE TABLE IF NOT EXISTS recurring_bill_runs (
+    id VARCHAR(50) PRIMARY KEY,
+    recurring_bill_id VARCHAR(50) NOT NULL REFERENCES recurring_bills(id) ON DELETE CASCADE,
+    run_date DATE NOT NULL,
+    customer_name VARCHAR(255),
+    total_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'confirmed', 'skipped')),
+    bill_id VARCHAR(50) REFERENCES bills(id) ON DELETE SET NULL,
+    reviewed_by VARCHAR(100),
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    deleted_by VARCHAR(100)
+);
+
+CREATE INDEX IF NOT EXISTS idx_recurring_bills_next_run ON recurring_bills (next_run_date) WHERE active AND deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_recurring_bills_customer ON recurring_bills (customer_phone) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_recurring_bills_updated_at ON recurring_bills (updated_at);
+CREATE INDEX IF NOT EXISTS idx_recurring_bills_deleted_at ON recurring_bills (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_recurring_bill_items_recurring_bill ON recurring_bill_items (recurring_bill_id, line_number);
+CREATE INDEX IF NOT EXISTS idx_recurring_bill_items_updated_at ON recurring_bill_items (updated_at);
+CREATE UNIQUE INDEX IF NOT EXISTS recurring_bill_runs_recurring_bill_run_date_key
+    ON recurring_bill_runs (recurring_bill_id, run_date);
+CREATE INDEX IF NOT EXISTS idx_recurring_bill_runs_status ON recurring_bill_runs (status, run_date);
+CREATE INDEX IF NOT EXISTS idx_recurring_bill_runs_updated_at ON recurring_bill_runs (updated_at);
+
+DROP TRIGGER IF EXISTS trigger_recurring_bills_updated_at ON recurring_bills;
+CREATE TRIGGER trigger_recurring_bills_updated_at
+    BEFORE UPDATE ON recurring_bills
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at();
+
+DROP TRIGGER IF EXISTS trigger_recurring_bill_items_updated_at ON recurring_bill_items;
+CREATE TRIGGER trigger_recurring_bill_items_updated_at
+    BEFORE UPDATE ON recurring_bill_items
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at();
+
+DROP TRIGGER IF EXISTS trigger_recurring_bill_runs_updated_at ON recurring_bill_runs;
+CREATE TRIGGER trigger_recurring_bill_runs_updated_at
+    BEFORE UPDATE ON recurring_bill_runs
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at();
+
+-- db.transaction() saves a template with its lines, and queues due runs with the next date (replaces 018)
+CREATE OR REPLACE FUNCTION run_transaction(ops JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    op JSONB;
+    tbl TEXT;
+    op_type TEXT;
+    rec_id TEXT;
+    payload JSONB;
+    cols TEXT;
+    result JSONB;
+    results JSONB := '[]'::jsonb;
+    allowed_tables TEXT[] := ARRAY[
+        'users', 'employees', 'customers', 'bills', 'bill_items', 'payments', 'payment_allocations',
+        'quotations', 'quotation_items', 'delivery_challans', 'delivery_challan_items',
+        'credit_notes', 'credit_note_items', 'recurring_bills', 'recurring_bill_items',
+        'recurring_bill_runs', 'salary_records',
+        'yearly_allocations', 'advance_payments', 'family_groups', 'attendance',
+        'simple_advances', 'salary_payments', 'products', 'advance_records'
+    ];
+BEGIN
+    FOR op IN SELECT value FROM jsonb_array_elements(ops) LOOP
+        tbl := op->>'table';
+        op_type := op->>'type';
+        rec_id := op->>'id';
+        payload := COALESCE(op->'data', '{}'::jsonb);
+
+        IF NOT (tbl = ANY(allowed_tables)) THEN
+            RAISE EXCEPTION 'run_transaction: table % is not allowed', tbl;
+        END IF;
+
+        -- Only touch columns that exist on the table
+        SELECT string_agg(quote_ident(c.column_name), ', ')
+        INTO cols
+        FROM information_schema.columns c
+        WHERE c.table_schema = 'public'
+          AND c.table_name = tbl
+          AND payload ? c.column_name;
+
+        IF op_type = 'create' THEN
+            EXECUTE format(
+                'INSERT INTO %I (%s) SELECT %s FROM jsonb_populate_record(NULL::%I, $1) RETURNING to_jsonb(%I.*)',
+                tbl, cols, cols, tbl, tbl
+            ) INTO result USING payload;
+        ELSIF op_type = 'update' THEN
+            IF cols IS NULL THEN
+                RAISE EXCEPTION 'run_transaction: nothing to update on % %', tbl, rec_id;
+            END IF;
+            EXECUTE format(
+                'UPDATE %I SET (%s) = (SELECT %s FROM jsonb_populate_record(NULL::%I, $1)) WHERE id::text = $2 RETURNING to_jsonb(%I.*)',
+                tbl, cols, cols, tbl, tbl
+            ) INTO result USING payload, rec_id;
+            IF result IS NULL THEN
+                RAISE EXCEPTION 'run_transaction: % % not found', tbl, rec_id;
+            END IF;
+        ELSIF op_type = 'delete' THEN
+            EXECUTE format('DELETE FROM %I WHERE id::text = $1 RETURNING to_jsonb(%I.*)', tbl, tbl)
+            INTO result USING rec_id;
+        ELSE
+            RAISE EXCEPTION 'run_transaction: unknown operation %', op_type;
+        END IF;
+
+        results := results || jsonb_build_array(result);
+    END LOOP;
+
+    RETURN results;
+END;
+$$;
+
+DO $$
+DECLARE
+    tbl TEXT;
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
+        FOREACH tbl IN ARRAY ARRAY['recurring_bills', 'recurring_bill_items', 'recurring_bill_runs'] LOOP
+            IF NOT EXISTS (
+                SELECT 1 FROM pg_publication_tables
+                WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = tbl
+            ) THEN
+                EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE public.%I', tbl);
+            END IF;
+        END LOOP;
+    END IF;
+END $$;
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON recurring_bills TO anon, authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON recurring_bill_items TO anon, authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON recurring_bill_runs TO anon, authenticated;
+
+INSERT INTO schema_migrations (version, name) VALUES ('019', 'recurring_bills')
+ON CONFLICT (version) DO NOTHING;
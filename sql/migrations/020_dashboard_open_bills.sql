@@ -0,0 +1,66 @@
+-- ===============================================================
+-- 020 - DASHBOARD OPEN BILLS: pendingPayments counts every bill with
+-- money still owed - 'pending' and 'partially_paid' (Utils.isBillOpen) -
+-- and outstandingAmount is the sum of those bills' balance_due (013),
+-- which is already net of payments, advances and credit notes.
+-- ===============================================================
+
+-- Replaces 018
+CREATE OR REPLACE FUNCTION get_dashboard_stats(start_date DATE DEFAULT NULL, end_date DATE DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+AS $$
+    WITH bill_totals AS (
+        SELECT
+            COUNT(*) AS total_bills,
+            COUNT(*) FILTER (WHERE status = 'paid') AS paid_bills,
+            COUNT(*) FILTER (WHERE status IN ('pending', 'partially_paid')) AS open_bills,
+            COALESCE(SUM(
+                COALESCE(balance_due, GREATEST(total_amount - COALESCE(credited_amount, 0) - COALESCE(amount_paid, 0), 0))
+            ) FILTER (WHERE status IN ('pending', 'partially_paid')), 0) AS outstanding,
+            COALESCE(SUM(total_amount), 0) AS total_sales,
+            COALESCE(SUM(gst_amount), 0) AS total_gst
+        FROM bills
+        WHERE deleted_at IS NULL
+          AND status IS DISTINCT FROM 'cancelled'
+          AND (start_date IS NULL OR bill_date >= start_date)
+          AND (end_date IS NULL OR bill_date <= end_date)
+    ),
+    credit_totals AS (
+        SELECT
+            COALESCE(SUM(total_amount), 0) AS total_credited,
+            COALESCE(SUM(gst_amount), 0) AS gst_credited
+        FROM credit_notes
+        WHERE deleted_at IS NULL
+          AND status = 'issued'
+          AND (start_date IS NULL OR credit_note_date >= start_date)
+          AND (end_date IS NULL OR credit_note_date <= end_date)
+    ),
+    payment_totals AS (
+        SELECT
+            COUNT(*) AS total_payments,
+            COALESCE(SUM(amount), 0) AS total_received
+        FROM payments
+        WHERE deleted_at IS NULL
+          AND (start_date IS NULL OR payment_date >= start_date)
+          AND (end_date IS NULL OR payment_date <= end_date)
+    )
+    SELECT jsonb_build_object(
+        'totalCustomers', (SELECT COUNT(*) FROM customers WHERE deleted_at IS NULL),
+        'totalEmployees', (SELECT COUNT(*) FROM employees WHERE deleted_at IS NULL),
+        'totalBills', b.total_bills,
+        'paidBills', b.paid_bills,
+        'pendingPayments', b.open_bills,
+        'totalSales', b.total_sales - c.total_credited,
+        'totalGST', b.total_gst - c.gst_credited,
+        'totalCredited', c.total_credited,
+        'totalReceived', p.total_received,
+        'outstandingAmount', b.outstanding,
+        'recentActivity', b.total_bills + p.total_payments
+    )
+    FROM bill_totals b, credit_totals c, payment_totals p;
+$$;
+
+INSERT INTO schema_migrations (version, name) VALUES ('020', 'dashboard_open_bills')
+ON CONFLICT (version) DO NOTHING;
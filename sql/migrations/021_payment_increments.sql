@@ -0,0 +1,132 @@
+-- ===============================================================
+-- 021 - PAYMENT INCREMENTS: payments no longer write a bill's
+-- amount_paid and balance_due as absolute values worked out from an
+-- earlier read. db.transaction() sends them as 'increment' operations
+-- (amount_paid + x, balance_due - x), so payments taken on two desktops,
+-- or replayed from an offline outbox, add up instead of overwriting each
+-- other. Advances' allocation_used moves the same way. The bill's status
+-- follows its balance here, and a payment that would take the balance
+-- below zero is refused.
+-- ===============================================================
+
+-- db.transaction() gains the 'increment' operation (replaces 019)
+CREATE OR REPLACE FUNCTION run_transaction(ops JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    op JSONB;
+    tbl TEXT;
+    op_type TEXT;
+    rec_id TEXT;
+    payload JSONB;
+    cols TEXT;
+    result JSONB;
+    results JSONB := '[]'::jsonb;
+    allowed_tables TEXT[] := ARRAY[
+        'users', 'employees', 'customers', 'bills', 'bill_items', 'payments', 'payment_allocations',
+        'quotations', 'quotation_items', 'delivery_challans', 'delivery_challan_items',
+        'credit_notes', 'credit_note_items', 'recurring_bills', 'recurring_bill_items',
+        'recurring_bill_runs', 'salary_records',
+        'yearly_allocations', 'advance_payments', 'family_groups', 'attendance',
+        'simple_advances', 'salary_payments', 'products', 'advance_records'
+    ];
+BEGIN
+    FOR op IN SELECT value FROM jsonb_array_elements(ops) LOOP
+        tbl := op->>'table';
+        op_type := op->>'type';
+        rec_id := op->>'id';
+        payload := COALESCE(op->'data', '{}'::jsonb);
+
+        IF NOT (tbl = ANY(allowed_tables)) THEN
+            RAISE EXCEPTION 'run_transaction: table % is not allowed', tbl;
+        END IF;
+
+        -- Only touch columns that exist on the table
+        SELECT string_agg(quote_ident(c.column_name), ', ')
+        INTO cols
+        FROM information_schema.columns c
+        WHERE c.table_schema = 'public'
+          AND c.table_name = tbl
+          AND payload ? c.column_name;
+
+        IF op_type = 'create' THEN
+            EXECUTE format(
+                'INSERT INTO %I (%s) SELECT %s FROM jsonb_populate_record(NULL::%I, $1) RETURNING to_jsonb(%I.*)',
+                tbl, cols, cols, tbl, tbl
+            ) INTO result USING payload;
+        ELSIF op_type = 'update' THEN
+            IF cols IS NULL THEN
+                RAISE EXCEPTION 'run_transaction: nothing to update on % %', tbl, rec_id;
+            END IF;
+            EXECUTE format(
+                'UPDATE %I SET (%s) = (SELECT %s FROM jsonb_populate_record(NULL::%I, $1)) WHERE id::text = $2 RETURNING to_jsonb(%I.*)',
+                tbl, cols, cols, tbl, tbl
+            ) INTO result USING payload, rec_id;
+            IF result IS NULL THEN
+                RAISE EXCEPTION 'run_transaction: % % not found', tbl, rec_id;
+            END IF;
+        ELSIF op_type = 'increment' THEN
+            -- Add to numeric columns in place, so concurrent and replayed writes all count
+            SELECT string_agg(format('%1$I = COALESCE(%1$I, 0) + ($1->>%2$L)::numeric', c.column_name, c.column_name), ', ')
+            INTO cols
+            FROM information_schema.columns c
+            WHERE c.table_schema = 'public'
+              AND c.table_name = tbl
+              AND payload ? c.column_name
+              AND c.data_type IN ('numeric', 'integer', 'bigint', 'smallint', 'real', 'double precision');
+            IF cols IS NULL THEN
+                RAISE EXCEPTION 'run_transaction: nothing to increment on % %', tbl, rec_id;
+            END IF;
+            EXECUTE format(
+                'UPDATE %I SET %s WHERE id::text = $2 RETURNING to_jsonb(%I.*)',
+                tbl, cols, tbl
+            ) INTO result USING payload, rec_id;
+            IF result IS NULL THEN
+                RAISE EXCEPTION 'run_transaction: % % not found', tbl, rec_id;
+            END IF;
+        ELSIF op_type = 'delete' THEN
+            EXECUTE format('DELETE FROM %I WHERE id::text = $1 RETURNING to_jsonb(%I.*)', tbl, tbl)
+            INTO result USING rec_id;
+        ELSE
+            RAISE EXCEPTION 'run_transaction: unknown operation %', op_type;
+        END IF;
+
+        results := results || jsonb_build_array(result);
+    END LOOP;
+
+    RETURN results;
+END;
+$$;
+
+-- Status of an open or paid bill follows its balance, like Utils.getBillPaymentStatus
+CREATE OR REPLACE FUNCTION derive_bill_payment_status()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF NEW.balance_due IS NULL OR NEW.status NOT IN ('pending', 'partially_paid', 'paid') THEN
+        RETURN NEW;
+    END IF;
+
+    IF NEW.balance_due < 0 THEN
+        RAISE EXCEPTION 'Bill % is already paid - this payment would overpay it', COALESCE(NEW.bill_number, NEW.id);
+    END IF;
+
+    NEW.status := CASE
+        WHEN NEW.balance_due = 0 THEN 'paid'
+        WHEN COALESCE(NEW.amount_paid, 0) <= 0 THEN 'pending'
+        ELSE 'partially_paid'
+    END;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trigger_bills_payment_status ON bills;
+CREATE TRIGGER trigger_bills_payment_status
+    BEFORE UPDATE OF amount_paid, balance_due ON bills
+    FOR EACH ROW
+    EXECUTE FUNCTION derive_bill_payment_status();
+
+INSERT INTO schema_migrations (version, name) VALUES ('021', 'payment_increments')
+ON CONFLICT (version) DO NOTHING;
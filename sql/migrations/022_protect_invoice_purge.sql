@@ -0,0 +1,24 @@
+-- ===============================================================
+-- 022 - KEEP ISSUED INVOICES: a bill that has taken an invoice number
+-- (invoice_sequence, 010) can go to the trash but can never be deleted
+-- for good, or the GST series would have a gap. Cancel it instead.
+-- ===============================================================
+
+CREATE OR REPLACE FUNCTION protect_invoice_purge()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.invoice_sequence IS NOT NULL THEN
+        RAISE EXCEPTION 'Invoice % already has its number and cannot be deleted forever - cancel it instead', OLD.bill_number;
+    END IF;
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_protect_invoice_purge ON bills;
+CREATE TRIGGER trigger_protect_invoice_purge
+    BEFORE DELETE ON bills
+    FOR EACH ROW
+    EXECUTE FUNCTION protect_invoice_purge();
+
+INSERT INTO schema_migrations (version, name) VALUES ('022', 'protect_invoice_purge')
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,11 @@
+-- ===============================================================
+-- 023 - FRACTIONAL STOCK: products sold by weight or length return
+-- part quantities (credit notes, 018), so stock_quantity takes the same
+-- DECIMAL(12,3) as every line quantity. SQLite needs no port - its
+-- INTEGER affinity already keeps 2.5 as 2.5.
+-- ===============================================================
+
+ALTER TABLE products ALTER COLUMN stock_quantity TYPE DECIMAL(12,3);
+
+INSERT INTO schema_migrations (version, name) VALUES ('023', 'fractional_stock')
+ON CONFLICT (version) DO NOTHING;
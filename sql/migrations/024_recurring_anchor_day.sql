@@ -0,0 +1,23 @@
+-- ===============================================================
+-- 024 - RECURRING ANCHOR DAY: a monthly template keeps the day of the
+-- month it was set up for (day_of_month), so one due on the 31st is
+-- clamped to the 28th in February and comes back to the 31st in March
+-- (Utils.getNextRecurringDate). Existing templates take the latest day
+-- among their queued runs and next date - a template that already
+-- drifted from the 31st still has its first run on the 31st.
+-- ===============================================================
+
+ALTER TABLE recurring_bills ADD COLUMN IF NOT EXISTS day_of_month SMALLINT
+    CHECK (day_of_month BETWEEN 1 AND 31);
+
+UPDATE recurring_bills r
+SET day_of_month = GREATEST(
+    EXTRACT(DAY FROM r.next_run_date)::SMALLINT,
+    COALESCE((SELECT MAX(EXTRACT(DAY FROM run.run_date))::SMALLINT
+              FROM recurring_bill_runs run
+              WHERE run.recurring_bill_id = r.id), 0)
+)
+WHERE r.frequency = 'monthly' AND r.day_of_month IS NULL;
+
+INSERT INTO schema_migrations (version, name) VALUES ('024', 'recurring_anchor_day')
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,62 @@
+-- ===============================================================
+-- 025 - INVOICE NUMBER WIDTH: lpad() cuts a longer string down to the
+-- width, so invoice 10000 of a series came out as .../1000, clashed with
+-- invoice 1000 on bills_invoice_number_key and stopped the series.
+-- Numbers are now padded to 4 digits only when shorter, like the local
+-- server and the Settings preview (padStart).
+-- ===============================================================
+
+CREATE OR REPLACE FUNCTION format_invoice_number(p_prefix TEXT, p_number INTEGER)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT p_prefix || CASE WHEN length(p_number::TEXT) < 4 THEN lpad(p_number::TEXT, 4, '0') ELSE p_number::TEXT END;
+$$;
+
+-- Replaces 010
+CREATE OR REPLACE FUNCTION assign_invoice_number(p_bill_id TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    bill bills%ROWTYPE;
+    fy TEXT;
+    series invoice_series%ROWTYPE;
+    result JSONB;
+BEGIN
+    SELECT * INTO bill FROM bills WHERE id::text = p_bill_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'assign_invoice_number: bill % not found', p_bill_id;
+    END IF;
+
+    -- A replay after a lost response gets the number it already has
+    IF bill.invoice_sequence IS NOT NULL THEN
+        RETURN to_jsonb(bill);
+    END IF;
+
+    fy := financial_year_of(bill.bill_date);
+
+    -- The upsert row-locks the series, so concurrent saves queue up
+    INSERT INTO invoice_series (financial_year, prefix, last_number)
+    VALUES (fy, 'SMJ/' || fy || '/', 1)
+    ON CONFLICT (financial_year) DO UPDATE
+        SET last_number = invoice_series.last_number + 1,
+            updated_at = NOW()
+    RETURNING * INTO series;
+
+    UPDATE bills
+    SET bill_number = format_invoice_number(series.prefix, series.last_number),
+        financial_year = fy,
+        invoice_sequence = series.last_number
+    WHERE id::text = p_bill_id
+    RETURNING to_jsonb(bills.*) INTO result;
+
+    RETURN result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION format_invoice_number(TEXT, INTEGER) TO anon, authenticated;
+
+INSERT INTO schema_migrations (version, name) VALUES ('025', 'invoice_number_width')
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,128 @@
+-- ===============================================================
+-- 026 - TRANSACTION KEYS: db.transaction() sends a key with each
+-- run_transaction call and keeps it with the offline outbox entry. When
+-- a call commits but its answer is lost (a dropped connection, a
+-- timeout), the retry or the outbox replay sends the same key and gets
+-- the first call's results back instead of running the ops again - an
+-- increment would otherwise be applied twice.
+-- ===============================================================
+
+CREATE TABLE IF NOT EXISTS transaction_keys (
+    key TEXT PRIMARY KEY,
+    results JSONB NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+
+GRANT SELECT, INSERT ON transaction_keys TO anon, authenticated;
+
+-- The one-argument version would make calls without a key ambiguous
+DROP FUNCTION IF EXISTS run_transaction(JSONB);
+
+-- run_transaction() takes the key (replaces 021)
+CREATE OR REPLACE FUNCTION run_transaction(ops JSONB, p_key TEXT DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    op JSONB;
+    tbl TEXT;
+    op_type TEXT;
+    rec_id TEXT;
+    payload JSONB;
+    cols TEXT;
+    result JSONB;
+    results JSONB := '[]'::jsonb;
+    allowed_tables TEXT[] := ARRAY[
+        'users', 'employees', 'customers', 'bills', 'bill_items', 'payments', 'payment_allocations',
+        'quotations', 'quotation_items', 'delivery_challans', 'delivery_challan_items',
+        'credit_notes', 'credit_note_items', 'recurring_bills', 'recurring_bill_items',
+        'recurring_bill_runs', 'salary_records',
+        'yearly_allocations', 'advance_payments', 'family_groups', 'attendance',
+        'simple_advances', 'salary_payments', 'products', 'advance_records'
+    ];
+BEGIN
+    IF p_key IS NOT NULL THEN
+        -- A second call with the same key waits for the first, then gets its results
+        PERFORM pg_advisory_xact_lock(hashtext('run_transaction:' || p_key));
+        SELECT tk.results INTO result FROM transaction_keys tk WHERE tk.key = p_key;
+        IF FOUND THEN
+            RETURN result;
+        END IF;
+    END IF;
+
+    FOR op IN SELECT value FROM jsonb_array_elements(ops) LOOP
+        tbl := op->>'table';
+        op_type := op->>'type';
+        rec_id := op->>'id';
+        payload := COALESCE(op->'data', '{}'::jsonb);
+
+        IF NOT (tbl = ANY(allowed_tables)) THEN
+            RAISE EXCEPTION 'run_transaction: table % is not allowed', tbl;
+        END IF;
+
+        -- Only touch columns that exist on the table
+        SELECT string_agg(quote_ident(c.column_name), ', ')
+        INTO cols
+        FROM information_schema.columns c
+        WHERE c.table_schema = 'public'
+          AND c.table_name = tbl
+          AND payload ? c.column_name;
+
+        IF op_type = 'create' THEN
+            EXECUTE format(
+                'INSERT INTO %I (%s) SELECT %s FROM jsonb_populate_record(NULL::%I, $1) RETURNING to_jsonb(%I.*)',
+                tbl, cols, cols, tbl, tbl
+            ) INTO result USING payload;
+        ELSIF op_type = 'update' THEN
+            IF cols IS NULL THEN
+                RAISE EXCEPTION 'run_transaction: nothing to update on % %', tbl, rec_id;
+            END IF;
+            EXECUTE format(
+                'UPDATE %I SET (%s) = (SELECT %s FROM jsonb_populate_record(NULL::%I, $1)) WHERE id::text = $2 RETURNING to_jsonb(%I.*)',
+                tbl, cols, cols, tbl, tbl
+            ) INTO result USING payload, rec_id;
+            IF result IS NULL THEN
+                RAISE EXCEPTION 'run_transaction: % % not found', tbl, rec_id;
+            END IF;
+        ELSIF op_type = 'increment' THEN
+            -- Add to numeric columns in place, so concurrent and replayed writes all count
+            SELECT string_agg(format('%1$I = COALESCE(%1$I, 0) + ($1->>%2$L)::numeric', c.column_name, c.column_name), ', ')
+            INTO cols
+            FROM information_schema.columns c
+            WHERE c.table_schema = 'public'
+              AND c.table_name = tbl
+              AND payload ? c.column_name
+              AND c.data_type IN ('numeric', 'integer', 'bigint', 'smallint', 'real', 'double precision');
+            IF cols IS NULL THEN
+                RAISE EXCEPTION 'run_transaction: nothing to increment on % %', tbl, rec_id;
+            END IF;
+            EXECUTE format(
+                'UPDATE %I SET %s WHERE id::text = $2 RETURNING to_jsonb(%I.*)',
+                tbl, cols, tbl
+            ) INTO result USING payload, rec_id;
+            IF result IS NULL THEN
+                RAISE EXCEPTION 'run_transaction: % % not found', tbl, rec_id;
+            END IF;
+        ELSIF op_type = 'delete' THEN
+            EXECUTE format('DELETE FROM %I WHERE id::text = $1 RETURNING to_jsonb(%I.*)', tbl, tbl)
+            INTO result USING rec_id;
+        ELSE
+            RAISE EXCEPTION 'run_transaction: unknown operation %', op_type;
+        END IF;
+
+        results := results || jsonb_build_array(result);
+    END LOOP;
+
+    IF p_key IS NOT NULL THEN
+        INSERT INTO transaction_keys (key, results) VALUES (p_key, results);
+    END IF;
+
+    RETURN results;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION run_transaction(JSONB, TEXT) TO anon, authenticated;
+
+INSERT INTO schema_migrations (version, name) VALUES ('026', 'transaction_keys')
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,19 @@
+-- ===============================================================
+-- 027 - ADVANCE ALLOCATION CHECK: an advance can't be adjusted against
+-- bills for more than was paid. allocation_used moves by increments
+-- (sql/migrations/021), so two desktops drawing on the same advance at
+-- once both count - this refuses the one that would overdraw it.
+-- NOT VALID leaves any existing over-drawn advance alone; it is still
+-- checked the next time its allocation_used changes.
+-- ===============================================================
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'advance_payments_allocation_used_check') THEN
+        ALTER TABLE advance_payments ADD CONSTRAINT advance_payments_allocation_used_check
+            CHECK (COALESCE(allocation_used, 0) <= amount) NOT VALID;
+    END IF;
+END $$;
+
+INSERT INTO schema_migrations (version, name) VALUES ('027', 'advance_allocation_check')
+ON CONFLICT (version) DO NOTHING;
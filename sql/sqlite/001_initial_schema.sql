@@ -0,0 +1,325 @@
+-- ===============================================================
+-- 001 - INITIAL SCHEMA (SQLite port of sql/subabase.sql + sql/migrations up to 004)
+-- Local server mode: applied by local-server.js on first start.
+--   * VARCHAR/TIMESTAMPTZ/DATE -> TEXT (ISO strings, same as Supabase returns)
+--   * DECIMAL -> REAL, BOOLEAN -> INTEGER 0/1
+--   * JSON columns are declared as JSON and stored as text
+--   * plpgsql triggers are rewritten as SQLite triggers
+-- ===============================================================
+
+-- ---------------------------------------------------------------
+-- TABLES
+-- ---------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS family_groups (
+    id TEXT PRIMARY KEY,
+    family_name TEXT NOT NULL,
+    primary_member_id TEXT REFERENCES employees(id) ON DELETE SET NULL,
+    bank_account_number TEXT,
+    bank_name TEXT,
+    ifsc_code TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS employees (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    phone TEXT,
+    email TEXT,
+    role TEXT,
+    address TEXT,
+    status TEXT DEFAULT 'active',
+    salary REAL DEFAULT 0,
+    basic_salary REAL DEFAULT 0,
+    salary_type TEXT DEFAULT 'daily',
+    family_group_id TEXT REFERENCES family_groups(id) ON DELETE SET NULL,
+    employee_type TEXT DEFAULT 'permanent',
+    vehicle_number TEXT,
+    join_date TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    username TEXT UNIQUE NOT NULL,
+    password TEXT NOT NULL,
+    name TEXT NOT NULL,
+    email TEXT,
+    phone TEXT,
+    role TEXT DEFAULT 'user',
+    status TEXT DEFAULT 'active',
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS customers (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    phone TEXT,
+    email TEXT,
+    address TEXT,
+    total_bills INTEGER DEFAULT 0,
+    total_amount REAL DEFAULT 0,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS products (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    description TEXT,
+    price REAL NOT NULL DEFAULT 0,
+    gst_rate REAL DEFAULT 0,
+    unit TEXT DEFAULT 'piece',
+    stock_quantity INTEGER DEFAULT 0,
+    is_active INTEGER DEFAULT 1,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS bills (
+    id TEXT PRIMARY KEY,
+    bill_number TEXT,
+    bill_date TEXT NOT NULL,
+    customer_id TEXT NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    customer_name TEXT,
+    customer_phone TEXT,
+    customer_email TEXT,
+    customer_address TEXT,
+    items JSON,
+    sub_total REAL DEFAULT 0,
+    gst_rate REAL DEFAULT 0,
+    gst_amount REAL DEFAULT 0,
+    total_amount REAL NOT NULL DEFAULT 0,
+    status TEXT DEFAULT 'pending',
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS payments (
+    id TEXT PRIMARY KEY,
+    bill_id TEXT,
+    bill_number TEXT,
+    customer_id TEXT NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    customer_name TEXT,
+    payment_date TEXT NOT NULL,
+    amount REAL NOT NULL DEFAULT 0,
+    payment_method TEXT DEFAULT 'cash',
+    reference_number TEXT,
+    status TEXT DEFAULT 'completed',
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS attendance (
+    id TEXT PRIMARY KEY,
+    employee_id TEXT NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+    employee_name TEXT,
+    attendance_date TEXT NOT NULL,
+    status TEXT DEFAULT 'present' CHECK (status IN ('present', 'absent', 'half_day')),
+    check_in_time TEXT,
+    check_out_time TEXT,
+    work_hours REAL DEFAULT 8.0,
+    overtime_hours REAL DEFAULT 0,
+    notes TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    UNIQUE (employee_id, attendance_date)
+);
+
+CREATE TABLE IF NOT EXISTS simple_advances (
+    id TEXT PRIMARY KEY,
+    employee_id TEXT NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+    employee_name TEXT,
+    amount REAL NOT NULL DEFAULT 0,
+    advance_date TEXT NOT NULL,
+    reason TEXT,
+    status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'deducted')),
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS salary_payments (
+    id TEXT PRIMARY KEY,
+    employee_id TEXT NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+    employee_name TEXT,
+    payment_date TEXT NOT NULL,
+    pay_period_start TEXT NOT NULL,
+    pay_period_end TEXT NOT NULL,
+    basic_salary REAL NOT NULL DEFAULT 0,
+    overtime_amount REAL DEFAULT 0,
+    incentive_amount REAL DEFAULT 0,
+    advance_deductions REAL DEFAULT 0,
+    total_advances REAL DEFAULT 0,
+    net_salary REAL NOT NULL DEFAULT 0,
+    payment_method TEXT DEFAULT 'cash' CHECK (payment_method IN ('cash', 'bank_transfer', 'cheque')),
+    status TEXT DEFAULT 'paid' CHECK (status IN ('paid', 'pending')),
+    payslip_generated INTEGER DEFAULT 0,
+    work_days REAL,
+    total_hours REAL,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS salary_records (
+    id TEXT PRIMARY KEY,
+    employee_id TEXT NOT NULL,
+    employee_name TEXT,
+    record_date TEXT,
+    amount REAL DEFAULT 0,
+    incentive_amount REAL DEFAULT 0,
+    work_hours REAL,
+    week_number INTEGER,
+    month_number INTEGER,
+    year INTEGER,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS yearly_allocations (
+    id TEXT PRIMARY KEY,
+    employee_id TEXT NOT NULL,
+    year INTEGER,
+    allocated_amount REAL DEFAULT 0,
+    salary_type TEXT,
+    notes TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS advance_payments (
+    id TEXT PRIMARY KEY,
+    employee_id TEXT,
+    customer_id TEXT,
+    customer_name TEXT,
+    customer_phone TEXT,
+    amount REAL NOT NULL DEFAULT 0,
+    allocation_used REAL DEFAULT 0,
+    payment_date TEXT,
+    payment_method TEXT,
+    week_number INTEGER,
+    month_number INTEGER,
+    year INTEGER,
+    confirmed INTEGER DEFAULT 0,
+    notes TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS advance_records (
+    id TEXT PRIMARY KEY,
+    employee_id TEXT NOT NULL,
+    employee_name TEXT,
+    amount REAL NOT NULL DEFAULT 0,
+    record_date TEXT,
+    type TEXT,
+    status TEXT DEFAULT 'pending',
+    week_number INTEGER,
+    month_number INTEGER,
+    year INTEGER,
+    paid_date TEXT,
+    deducted_date TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- ---------------------------------------------------------------
+-- INDEXES
+-- ---------------------------------------------------------------
+CREATE INDEX IF NOT EXISTS idx_employees_status ON employees(status);
+CREATE INDEX IF NOT EXISTS idx_employees_family_group ON employees(family_group_id);
+CREATE INDEX IF NOT EXISTS idx_employees_role ON employees(role);
+CREATE INDEX IF NOT EXISTS idx_employees_type ON employees(employee_type);
+CREATE INDEX IF NOT EXISTS idx_employees_salary_type ON employees(salary_type);
+CREATE INDEX IF NOT EXISTS idx_family_groups_primary ON family_groups(primary_member_id);
+CREATE INDEX IF NOT EXISTS idx_attendance_employee_date ON attendance(employee_id, attendance_date);
+CREATE INDEX IF NOT EXISTS idx_attendance_date ON attendance(attendance_date);
+CREATE INDEX IF NOT EXISTS idx_attendance_status ON attendance(status);
+CREATE INDEX IF NOT EXISTS idx_simple_advances_employee ON simple_advances(employee_id);
+CREATE INDEX IF NOT EXISTS idx_simple_advances_status ON simple_advances(status);
+CREATE INDEX IF NOT EXISTS idx_simple_advances_date ON simple_advances(advance_date);
+CREATE INDEX IF NOT EXISTS idx_salary_payments_employee ON salary_payments(employee_id);
+CREATE INDEX IF NOT EXISTS idx_salary_payments_date ON salary_payments(payment_date);
+CREATE INDEX IF NOT EXISTS idx_salary_payments_status ON salary_payments(status);
+CREATE INDEX IF NOT EXISTS idx_salary_records_employee ON salary_records(employee_id);
+CREATE INDEX IF NOT EXISTS idx_advance_records_employee ON advance_records(employee_id);
+CREATE INDEX IF NOT EXISTS idx_advance_payments_customer_phone ON advance_payments(customer_phone);
+CREATE INDEX IF NOT EXISTS idx_products_active ON products(is_active);
+CREATE INDEX IF NOT EXISTS idx_products_name ON products(name);
+CREATE INDEX IF NOT EXISTS idx_bills_customer_date ON bills(customer_id, bill_date);
+CREATE INDEX IF NOT EXISTS idx_bills_date ON bills(bill_date);
+CREATE INDEX IF NOT EXISTS idx_bills_customer_phone ON bills(customer_phone);
+CREATE INDEX IF NOT EXISTS idx_payments_customer_date ON payments(customer_id, payment_date);
+CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+
+-- ---------------------------------------------------------------
+-- TRIGGERS
+-- ---------------------------------------------------------------
+
+-- Attendance work/overtime hours (update_attendance_calculations)
+CREATE TRIGGER IF NOT EXISTS trigger_attendance_calculations_insert
+AFTER INSERT ON attendance
+FOR EACH ROW
+BEGIN
+    UPDATE attendance SET
+        work_hours = CASE
+            WHEN NEW.check_in_time IS NOT NULL AND NEW.check_out_time IS NOT NULL THEN
+                ROUND(MAX(0, MIN(16.0, (julianday('2000-01-01 ' || NEW.check_out_time) - julianday('2000-01-01 ' || NEW.check_in_time)) * 24)), 2)
+            WHEN NEW.status = 'half_day' THEN 4.0
+            WHEN NEW.status = 'absent' THEN 0
+            ELSE 8.0
+        END
+    WHERE id = NEW.id;
+
+    UPDATE attendance SET overtime_hours = MAX(0, work_hours - 8.0) WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trigger_attendance_calculations_update
+AFTER UPDATE OF status, check_in_time, check_out_time ON attendance
+FOR EACH ROW
+BEGIN
+    UPDATE attendance SET
+        work_hours = CASE
+            WHEN NEW.check_in_time IS NOT NULL AND NEW.check_out_time IS NOT NULL THEN
+                ROUND(MAX(0, MIN(16.0, (julianday('2000-01-01 ' || NEW.check_out_time) - julianday('2000-01-01 ' || NEW.check_in_time)) * 24)), 2)
+            WHEN NEW.status = 'half_day' THEN 4.0
+            WHEN NEW.status = 'absent' THEN 0
+            ELSE 8.0
+        END
+    WHERE id = NEW.id;
+
+    UPDATE attendance SET overtime_hours = MAX(0, work_hours - 8.0) WHERE id = NEW.id;
+END;
+
+-- Customer totals (update_customer_stats)
+CREATE TRIGGER IF NOT EXISTS trigger_customer_stats_insert
+AFTER INSERT ON bills
+FOR EACH ROW
+BEGIN
+    UPDATE customers SET
+        total_bills = (SELECT COUNT(*) FROM bills WHERE customer_id = NEW.customer_id),
+        total_amount = (SELECT COALESCE(SUM(total_amount), 0) FROM bills WHERE customer_id = NEW.customer_id)
+    WHERE id = NEW.customer_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trigger_customer_stats_update
+AFTER UPDATE OF customer_id, total_amount ON bills
+FOR EACH ROW
+BEGIN
+    UPDATE customers SET
+        total_bills = (SELECT COUNT(*) FROM bills WHERE customer_id = customers.id),
+        total_amount = (SELECT COALESCE(SUM(total_amount), 0) FROM bills WHERE customer_id = customers.id)
+    WHERE id IN (NEW.customer_id, OLD.customer_id);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trigger_customer_stats_delete
+AFTER DELETE ON bills
+FOR EACH ROW
+BEGIN
+    UPDATE customers SET
+        total_bills = (SELECT COUNT(*) FROM bills WHERE customer_id = OLD.customer_id),
+        total_amount = (SELECT COALESCE(SUM(total_amount), 0) FROM bills WHERE customer_id = OLD.customer_id)
+    WHERE id = OLD.customer_id;
+END;
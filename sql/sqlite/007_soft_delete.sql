@@ -0,0 +1,162 @@
+-- ===============================================================
+-- 007 - SOFT DELETE (SQLite port of sql/migrations/007)
+--   * deleted_at / deleted_by on every table
+--   * users and attendance are rebuilt: SQLite cannot drop an inline UNIQUE,
+--     and the uniqueness must only apply to rows that are not in the trash
+-- ===============================================================
+
+ALTER TABLE employees ADD COLUMN deleted_at TEXT;
+ALTER TABLE employees ADD COLUMN deleted_by TEXT;
+ALTER TABLE customers ADD COLUMN deleted_at TEXT;
+ALTER TABLE customers ADD COLUMN deleted_by TEXT;
+ALTER TABLE bills ADD COLUMN deleted_at TEXT;
+ALTER TABLE bills ADD COLUMN deleted_by TEXT;
+ALTER TABLE payments ADD COLUMN deleted_at TEXT;
+ALTER TABLE payments ADD COLUMN deleted_by TEXT;
+ALTER TABLE salary_records ADD COLUMN deleted_at TEXT;
+ALTER TABLE salary_records ADD COLUMN deleted_by TEXT;
+ALTER TABLE yearly_allocations ADD COLUMN deleted_at TEXT;
+ALTER TABLE yearly_allocations ADD COLUMN deleted_by TEXT;
+ALTER TABLE advance_payments ADD COLUMN deleted_at TEXT;
+ALTER TABLE advance_payments ADD COLUMN deleted_by TEXT;
+ALTER TABLE family_groups ADD COLUMN deleted_at TEXT;
+ALTER TABLE family_groups ADD COLUMN deleted_by TEXT;
+ALTER TABLE simple_advances ADD COLUMN deleted_at TEXT;
+ALTER TABLE simple_advances ADD COLUMN deleted_by TEXT;
+ALTER TABLE salary_payments ADD COLUMN deleted_at TEXT;
+ALTER TABLE salary_payments ADD COLUMN deleted_by TEXT;
+ALTER TABLE products ADD COLUMN deleted_at TEXT;
+ALTER TABLE products ADD COLUMN deleted_by TEXT;
+ALTER TABLE advance_records ADD COLUMN deleted_at TEXT;
+ALTER TABLE advance_records ADD COLUMN deleted_by TEXT;
+
+-- ---------------------------------------------------------------
+-- USERS
+-- ---------------------------------------------------------------
+CREATE TABLE users_new (
+    id TEXT PRIMARY KEY,
+    username TEXT NOT NULL,
+    password TEXT NOT NULL,
+    name TEXT NOT NULL,
+    email TEXT,
+    phone TEXT,
+    role TEXT DEFAULT 'user',
+    status TEXT DEFAULT 'active',
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    deleted_at TEXT,
+    deleted_by TEXT
+);
+
+INSERT INTO users_new (id, username, password, name, email, phone, role, status, created_at, updated_at)
+SELECT id, username, password, name, email, phone, role, status, created_at, updated_at FROM users;
+
+DROP TABLE users;
+ALTER TABLE users_new RENAME TO users;
+
+CREATE UNIQUE INDEX IF NOT EXISTS users_username_active_key ON users(username) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+
+-- ---------------------------------------------------------------
+-- ATTENDANCE
+-- ---------------------------------------------------------------
+CREATE TABLE attendance_new (
+    id TEXT PRIMARY KEY,
+    employee_id TEXT NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+    employee_name TEXT,
+    attendance_date TEXT NOT NULL,
+    status TEXT DEFAULT 'present' CHECK (status IN ('present', 'absent', 'half_day')),
+    check_in_time TEXT,
+    check_out_time TEXT,
+    work_hours REAL DEFAULT 8.0,
+    overtime_hours REAL DEFAULT 0,
+    notes TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    deleted_at TEXT,
+    deleted_by TEXT
+);
+
+INSERT INTO attendance_new (id, employee_id, employee_name, attendance_date, status, check_in_time, check_out_time, work_hours, overtime_hours, notes, created_at, updated_at)
+SELECT id, employee_id, employee_name, attendance_date, status, check_in_time, check_out_time, work_hours, overtime_hours, notes, created_at, updated_at FROM attendance;
+
+DROP TABLE attendance;
+ALTER TABLE attendance_new RENAME TO attendance;
+
+CREATE UNIQUE INDEX IF NOT EXISTS attendance_employee_date_active_key ON attendance(employee_id, attendance_date) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_attendance_employee_date ON attendance(employee_id, attendance_date);
+CREATE INDEX IF NOT EXISTS idx_attendance_date ON attendance(attendance_date);
+CREATE INDEX IF NOT EXISTS idx_attendance_status ON attendance(status);
+
+-- Dropping the old table dropped its triggers
+CREATE TRIGGER IF NOT EXISTS trigger_attendance_calculations_insert
+AFTER INSERT ON attendance
+FOR EACH ROW
+BEGIN
+    UPDATE attendance SET
+        work_hours = CASE
+            WHEN NEW.check_in_time IS NOT NULL AND NEW.check_out_time IS NOT NULL THEN
+                ROUND(MAX(0, MIN(16.0, (julianday('2000-01-01 ' || NEW.check_out_time) - julianday('2000-01-01 ' || NEW.check_in_time)) * 24)), 2)
+            WHEN NEW.status = 'half_day' THEN 4.0
+            WHEN NEW.status = 'absent' THEN 0
+            ELSE 8.0
+        END
+    WHERE id = NEW.id;
+
+    UPDATE attendance SET overtime_hours = MAX(0, work_hours - 8.0) WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trigger_attendance_calculations_update
+AFTER UPDATE OF status, check_in_time, check_out_time ON attendance
+FOR EACH ROW
+BEGIN
+    UPDATE attendance SET
+        work_hours = CASE
+            WHEN NEW.check_in_time IS NOT NULL AND NEW.check_out_time IS NOT NULL THEN
+                ROUND(MAX(0, MIN(16.0, (julianday('2000-01-01 ' || NEW.check_out_time) - julianday('2000-01-01 ' || NEW.check_in_time)) * 24)), 2)
+            WHEN NEW.status = 'half_day' THEN 4.0
+            WHEN NEW.status = 'absent' THEN 0
+            ELSE 8.0
+        END
+    WHERE id = NEW.id;
+
+    UPDATE attendance SET overtime_hours = MAX(0, work_hours - 8.0) WHERE id = NEW.id;
+END;
+
+-- ---------------------------------------------------------------
+-- CUSTOMER TOTALS - bills in the trash no longer count
+-- ---------------------------------------------------------------
+DROP TRIGGER IF EXISTS trigger_customer_stats_insert;
+DROP TRIGGER IF EXISTS trigger_customer_stats_update;
+DROP TRIGGER IF EXISTS trigger_customer_stats_delete;
+
+CREATE TRIGGER trigger_customer_stats_insert
+AFTER INSERT ON bills
+FOR EACH ROW
+BEGIN
+    UPDATE customers SET
+        total_bills = (SELECT COUNT(*) FROM bills WHERE customer_id = NEW.customer_id AND deleted_at IS NULL),
+        total_amount = (SELECT COALESCE(SUM(total_amount), 0) FROM bills WHERE customer_id = NEW.customer_id AND deleted_at IS NULL)
+    WHERE id = NEW.customer_id;
+END;
+
+CREATE TRIGGER trigger_customer_stats_update
+AFTER UPDATE OF customer_id, total_amount, deleted_at ON bills
+FOR EACH ROW
+BEGIN
+    UPDATE customers SET
+        total_bills = (SELECT COUNT(*) FROM bills WHERE customer_id = customers.id AND deleted_at IS NULL),
+        total_amount = (SELECT COALESCE(SUM(total_amount), 0) FROM bills WHERE customer_id = customers.id AND deleted_at IS NULL)
+    WHERE id IN (NEW.customer_id, OLD.customer_id);
+END;
+
+CREATE TRIGGER trigger_customer_stats_delete
+AFTER DELETE ON bills
+FOR EACH ROW
+BEGIN
+    UPDATE customers SET
+        total_bills = (SELECT COUNT(*) FROM bills WHERE customer_id = OLD.customer_id AND deleted_at IS NULL),
+        total_amount = (SELECT COALESCE(SUM(total_amount), 0) FROM bills WHERE customer_id = OLD.customer_id AND deleted_at IS NULL)
+    WHERE id = OLD.customer_id;
+END;
@@ -0,0 +1,40 @@
+-- ===============================================================
+-- 009 - ID SEQUENCES (SQLite port of sql/migrations/009)
+--   * reserve_id_block is implemented in local-server.js
+-- ===============================================================
+
+CREATE TABLE IF NOT EXISTS id_sequences (
+    entity TEXT PRIMARY KEY,
+    last_value INTEGER NOT NULL DEFAULT 0,
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS id_blocks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    entity TEXT NOT NULL,
+    device_id TEXT NOT NULL,
+    range_start INTEGER NOT NULL,
+    range_end INTEGER NOT NULL,
+    reserved_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_id_blocks_device ON id_blocks (device_id, entity);
+
+ALTER TABLE employees ADD COLUMN employee_code TEXT;
+
+UPDATE employees
+SET employee_code = id
+WHERE employee_code IS NULL
+  AND ((id GLOB 'EMP[0-9]*' AND substr(id, 4) NOT GLOB '*[^0-9]*')
+    OR (id GLOB 'DR[0-9]*' AND substr(id, 3) NOT GLOB '*[^0-9]*'));
+
+CREATE UNIQUE INDEX IF NOT EXISTS employees_employee_code_key
+    ON employees (employee_code) WHERE employee_code IS NOT NULL;
+
+INSERT OR IGNORE INTO id_sequences (entity, last_value)
+SELECT 'employee', COALESCE(MAX(CAST(substr(id, 4) AS INTEGER)), 0) FROM employees
+WHERE id GLOB 'EMP[0-9]*' AND substr(id, 4) NOT GLOB '*[^0-9]*';
+
+INSERT OR IGNORE INTO id_sequences (entity, last_value)
+SELECT 'driver', COALESCE(MAX(CAST(substr(id, 3) AS INTEGER)), 0) FROM employees
+WHERE id GLOB 'DR[0-9]*' AND substr(id, 3) NOT GLOB '*[^0-9]*';
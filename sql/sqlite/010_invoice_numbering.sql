@@ -0,0 +1,72 @@
+-- ===============================================================
+-- 010 - GST INVOICE NUMBERING (SQLite port of sql/migrations/010)
+--   * assign_invoice_number is implemented in local-server.js
+-- ===============================================================
+
+CREATE TABLE IF NOT EXISTS invoice_series (
+    financial_year TEXT PRIMARY KEY,
+    prefix TEXT NOT NULL,
+    last_number INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+ALTER TABLE bills ADD COLUMN financial_year TEXT;
+ALTER TABLE bills ADD COLUMN invoice_sequence INTEGER;
+ALTER TABLE bills ADD COLUMN cancelled_at TEXT;
+ALTER TABLE bills ADD COLUMN cancelled_by TEXT;
+ALTER TABLE bills ADD COLUMN cancel_reason TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS bills_invoice_sequence_key
+    ON bills (financial_year, invoice_sequence) WHERE invoice_sequence IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS bills_invoice_number_key
+    ON bills (bill_number) WHERE invoice_sequence IS NOT NULL;
+
+CREATE TRIGGER IF NOT EXISTS trigger_protect_invoice_number
+BEFORE UPDATE OF bill_number, financial_year, invoice_sequence ON bills
+FOR EACH ROW
+WHEN OLD.invoice_sequence IS NOT NULL AND (
+    NEW.invoice_sequence IS NOT OLD.invoice_sequence OR
+    NEW.financial_year IS NOT OLD.financial_year OR
+    NEW.bill_number IS NOT OLD.bill_number
+)
+BEGIN
+    SELECT RAISE(ABORT, 'Invoice already has its number and cannot be renumbered');
+END;
+
+-- ---------------------------------------------------------------
+-- CUSTOMER TOTALS - cancelled invoices no longer count
+-- ---------------------------------------------------------------
+DROP TRIGGER IF EXISTS trigger_customer_stats_insert;
+DROP TRIGGER IF EXISTS trigger_customer_stats_update;
+DROP TRIGGER IF EXISTS trigger_customer_stats_delete;
+
+CREATE TRIGGER trigger_customer_stats_insert
+AFTER INSERT ON bills
+FOR EACH ROW
+BEGIN
+    UPDATE customers SET
+        total_bills = (SELECT COUNT(*) FROM bills WHERE customer_id = NEW.customer_id AND deleted_at IS NULL AND status IS NOT 'cancelled'),
+        total_amount = (SELECT COALESCE(SUM(total_amount), 0) FROM bills WHERE customer_id = NEW.customer_id AND deleted_at IS NULL AND status IS NOT 'cancelled')
+    WHERE id = NEW.customer_id;
+END;
+
+CREATE TRIGGER trigger_customer_stats_update
+AFTER UPDATE OF customer_id, total_amount, deleted_at, status ON bills
+FOR EACH ROW
+BEGIN
+    UPDATE customers SET
+        total_bills = (SELECT COUNT(*) FROM bills WHERE customer_id = customers.id AND deleted_at IS NULL AND status IS NOT 'cancelled'),
+        total_amount = (SELECT COALESCE(SUM(total_amount), 0) FROM bills WHERE customer_id = customers.id AND deleted_at IS NULL AND status IS NOT 'cancelled')
+    WHERE id IN (NEW.customer_id, OLD.customer_id);
+END;
+
+CREATE TRIGGER trigger_customer_stats_delete
+AFTER DELETE ON bills
+FOR EACH ROW
+BEGIN
+    UPDATE customers SET
+        total_bills = (SELECT COUNT(*) FROM bills WHERE customer_id = OLD.customer_id AND deleted_at IS NULL AND status IS NOT 'cancelled'),
+        total_amount = (SELECT COALESCE(SUM(total_amount), 0) FROM bills WHERE customer_id = OLD.customer_id AND deleted_at IS NULL AND status IS NOT 'cancelled')
+    WHERE id = OLD.customer_id;
+END;
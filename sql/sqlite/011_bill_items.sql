@@ -0,0 +1,55 @@
+-- ===============================================================
+-- 011 - BILL ITEMS (SQLite port of sql/migrations/011)
+-- ===============================================================
+
+CREATE TABLE IF NOT EXISTS bill_items (
+    id TEXT PRIMARY KEY,
+    bill_id TEXT NOT NULL REFERENCES bills(id) ON DELETE CASCADE,
+    line_number INTEGER NOT NULL DEFAULT 1,
+    product_id TEXT,
+    description TEXT NOT NULL,
+    quantity REAL NOT NULL DEFAULT 0,
+    unit TEXT,
+    rate REAL NOT NULL DEFAULT 0,
+    discount REAL NOT NULL DEFAULT 0,
+    tax_rate REAL NOT NULL DEFAULT 0,
+    amount REAL NOT NULL DEFAULT 0,
+    is_custom INTEGER DEFAULT 0,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    deleted_at TEXT,
+    deleted_by TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_bill_items_bill ON bill_items (bill_id, line_number);
+CREATE INDEX IF NOT EXISTS idx_bill_items_product ON bill_items (product_id) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_bill_items_updated_at ON bill_items (updated_at);
+
+INSERT OR IGNORE INTO bill_items (
+    id, bill_id, line_number, product_id, description,
+    quantity, unit, rate, discount, tax_rate, amount, is_custom
+)
+SELECT
+    b.id || '-' || (line.key + 1),
+    b.id,
+    line.key + 1,
+    NULLIF(json_extract(line.value, '$.product_id'), ''),
+    COALESCE(NULLIF(json_extract(line.value, '$.product_name'), ''), NULLIF(json_extract(line.value, '$.description'), ''),
+             NULLIF(json_extract(line.value, '$.custom_product_name'), ''), 'Item'),
+    COALESCE(json_extract(line.value, '$.quantity'), 0),
+    p.unit,
+    COALESCE(json_extract(line.value, '$.price'), 0),
+    0,
+    COALESCE(b.gst_rate, 0),
+    COALESCE(json_extract(line.value, '$.amount'),
+             COALESCE(json_extract(line.value, '$.quantity'), 0) * COALESCE(json_extract(line.value, '$.price'), 0)),
+    COALESCE(json_extract(line.value, '$.is_custom'), 0)
+FROM bills b
+JOIN json_each(
+    CASE WHEN json_valid(b.items) AND json_type(b.items) = 'array' THEN b.items ELSE '[]' END
+) AS line
+LEFT JOIN products p ON p.id = json_extract(line.value, '$.product_id');
+
+-- Unreadable JSON is left in place rather than thrown away
+UPDATE bills SET items = '[]'
+WHERE json_valid(items) AND json_type(items) = 'array' AND items <> '[]';
@@ -0,0 +1,31 @@
+-- ===============================================================
+-- 012 - PER-LINE GST (SQLite port of sql/migrations/012)
+-- ===============================================================
+
+ALTER TABLE products ADD COLUMN hsn_code TEXT;
+
+ALTER TABLE customers ADD COLUMN state_code TEXT;
+ALTER TABLE customers ADD COLUMN gstin TEXT;
+
+ALTER TABLE bills ADD COLUMN customer_gstin TEXT;
+ALTER TABLE bills ADD COLUMN place_of_supply TEXT;
+ALTER TABLE bills ADD COLUMN cgst_amount REAL DEFAULT 0;
+ALTER TABLE bills ADD COLUMN sgst_amount REAL DEFAULT 0;
+ALTER TABLE bills ADD COLUMN igst_amount REAL DEFAULT 0;
+
+ALTER TABLE bill_items ADD COLUMN hsn_code TEXT;
+ALTER TABLE bill_items ADD COLUMN cgst_amount REAL DEFAULT 0;
+ALTER TABLE bill_items ADD COLUMN sgst_amount REAL DEFAULT 0;
+ALTER TABLE bill_items ADD COLUMN igst_amount REAL DEFAULT 0;
+
+UPDATE bill_items
+SET cgst_amount = ROUND(amount * tax_rate / 200, 2),
+    sgst_amount = ROUND(amount * tax_rate / 100, 2) - ROUND(amount * tax_rate / 200, 2)
+WHERE tax_rate > 0
+  AND COALESCE(cgst_amount, 0) = 0 AND COALESCE(sgst_amount, 0) = 0 AND COALESCE(igst_amount, 0) = 0;
+
+UPDATE bills
+SET cgst_amount = ROUND(gst_amount / 2, 2),
+    sgst_amount = gst_amount - ROUND(gst_amount / 2, 2)
+WHERE gst_amount > 0
+  AND COALESCE(cgst_amount, 0) = 0 AND COALESCE(sgst_amount, 0) = 0 AND COALESCE(igst_amount, 0) = 0;
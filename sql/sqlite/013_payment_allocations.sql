@@ -0,0 +1,43 @@
+-- ===============================================================
+-- 013 - PAYMENT ALLOCATIONS (SQLite port of sql/migrations/013)
+-- ===============================================================
+
+ALTER TABLE bills ADD COLUMN amount_paid REAL DEFAULT 0;
+ALTER TABLE bills ADD COLUMN balance_due REAL;
+
+ALTER TABLE payments ADD COLUMN customer_phone TEXT;
+ALTER TABLE payments ADD COLUMN notes TEXT;
+
+CREATE TABLE IF NOT EXISTS payment_allocations (
+    id TEXT PRIMARY KEY,
+    payment_id TEXT NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+    bill_id TEXT NOT NULL REFERENCES bills(id) ON DELETE CASCADE,
+    bill_number TEXT,
+    amount REAL NOT NULL CHECK (amount > 0),
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    deleted_at TEXT,
+    deleted_by TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_allocations_payment ON payment_allocations (payment_id);
+CREATE INDEX IF NOT EXISTS idx_payment_allocations_bill ON payment_allocations (bill_id) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_payment_allocations_updated_at ON payment_allocations (updated_at);
+
+INSERT OR IGNORE INTO payment_allocations (id, payment_id, bill_id, bill_number, amount)
+SELECT p.id || '-1', p.id, p.bill_id, p.bill_number, p.amount
+FROM payments p
+JOIN bills b ON b.id = p.bill_id
+WHERE p.amount > 0 AND p.deleted_at IS NULL;
+
+UPDATE bills
+SET amount_paid = COALESCE((
+        SELECT SUM(a.amount) FROM payment_allocations a
+        WHERE a.bill_id = bills.id AND a.deleted_at IS NULL
+    ), CASE WHEN status = 'paid' THEN total_amount ELSE 0 END)
+WHERE balance_due IS NULL;
+
+UPDATE bills
+SET balance_due = CASE WHEN status IN ('paid', 'cancelled') THEN 0
+                       ELSE MAX(total_amount - amount_paid, 0) END
+WHERE balance_due IS NULL;
@@ -0,0 +1,9 @@
+-- ===============================================================
+-- 014 - ADVANCE ADJUSTMENTS (SQLite port of sql/migrations/014)
+-- advance_payments.allocation_used is already in 001
+-- ===============================================================
+
+ALTER TABLE payments ADD COLUMN advance_payment_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_payments_advance_payment ON payments (advance_payment_id)
+    WHERE advance_payment_id IS NOT NULL;
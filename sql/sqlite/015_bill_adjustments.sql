@@ -0,0 +1,17 @@
+-- ===============================================================
+-- 015 - DISCOUNTS, CHARGES AND ROUND-OFF (SQLite port of sql/migrations/015)
+-- ===============================================================
+
+ALTER TABLE bill_items ADD COLUMN line_type TEXT NOT NULL DEFAULT 'item';
+ALTER TABLE bill_items ADD COLUMN discount_type TEXT NOT NULL DEFAULT 'amount';
+ALTER TABLE bill_items ADD COLUMN discount_value REAL NOT NULL DEFAULT 0;
+ALTER TABLE bill_items ADD COLUMN taxable_value REAL;
+
+ALTER TABLE bills ADD COLUMN discount_type TEXT NOT NULL DEFAULT 'amount';
+ALTER TABLE bills ADD COLUMN discount_value REAL NOT NULL DEFAULT 0;
+ALTER TABLE bills ADD COLUMN discount_amount REAL NOT NULL DEFAULT 0;
+ALTER TABLE bills ADD COLUMN charges_amount REAL NOT NULL DEFAULT 0;
+ALTER TABLE bills ADD COLUMN round_off REAL NOT NULL DEFAULT 0;
+
+UPDATE bill_items SET taxable_value = amount WHERE taxable_value IS NULL;
+UPDATE bill_items SET discount_value = discount WHERE discount > 0 AND discount_value = 0;
@@ -0,0 +1,71 @@
+-- ===============================================================
+-- 016 - QUOTATIONS (SQLite port of sql/migrations/016)
+-- ===============================================================
+
+CREATE TABLE IF NOT EXISTS quotations (
+    id TEXT PRIMARY KEY,
+    quotation_number TEXT,
+    quotation_date TEXT NOT NULL,
+    valid_until TEXT NOT NULL,
+    customer_id TEXT,
+    customer_name TEXT NOT NULL,
+    customer_phone TEXT,
+    customer_email TEXT,
+    customer_gstin TEXT,
+    place_of_supply TEXT,
+    sub_total REAL NOT NULL DEFAULT 0,
+    discount_type TEXT NOT NULL DEFAULT 'amount',
+    discount_value REAL NOT NULL DEFAULT 0,
+    discount_amount REAL NOT NULL DEFAULT 0,
+    charges_amount REAL NOT NULL DEFAULT 0,
+    gst_amount REAL NOT NULL DEFAULT 0,
+    cgst_amount REAL NOT NULL DEFAULT 0,
+    sgst_amount REAL NOT NULL DEFAULT 0,
+    igst_amount REAL NOT NULL DEFAULT 0,
+    round_off REAL NOT NULL DEFAULT 0,
+    total_amount REAL NOT NULL DEFAULT 0,
+    status TEXT NOT NULL DEFAULT 'draft'
+        CHECK (status IN ('draft', 'sent', 'accepted', 'expired')),
+    notes TEXT,
+    converted_bill_id TEXT REFERENCES bills(id) ON DELETE SET NULL,
+    created_by TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    deleted_at TEXT,
+    deleted_by TEXT
+);
+
+CREATE TABLE IF NOT EXISTS quotation_items (
+    id TEXT PRIMARY KEY,
+    quotation_id TEXT NOT NULL REFERENCES quotations(id) ON DELETE CASCADE,
+    line_number INTEGER NOT NULL DEFAULT 1,
+    line_type TEXT NOT NULL DEFAULT 'item',
+    product_id TEXT,
+    description TEXT NOT NULL,
+    hsn_code TEXT,
+    quantity REAL NOT NULL DEFAULT 0,
+    unit TEXT,
+    rate REAL NOT NULL DEFAULT 0,
+    discount_type TEXT NOT NULL DEFAULT 'amount',
+    discount_value REAL NOT NULL DEFAULT 0,
+    discount REAL NOT NULL DEFAULT 0,
+    tax_rate REAL NOT NULL DEFAULT 0,
+    amount REAL NOT NULL DEFAULT 0,
+    taxable_value REAL,
+    cgst_amount REAL DEFAULT 0,
+    sgst_amount REAL DEFAULT 0,
+    igst_amount REAL DEFAULT 0,
+    is_custom INTEGER DEFAULT 0,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    deleted_at TEXT,
+    deleted_by TEXT
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS quotations_quotation_number_key
+    ON quotations (quotation_number) WHERE quotation_number IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_quotations_customer ON quotations (customer_phone) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_quotations_date ON quotations (quotation_date);
+CREATE INDEX IF NOT EXISTS idx_quotations_updated_at ON quotations (updated_at);
+CREATE INDEX IF NOT EXISTS idx_quotation_items_quotation ON quotation_items (quotation_id, line_number);
+CREATE INDEX IF NOT EXISTS idx_quotation_items_updated_at ON quotation_items (updated_at);
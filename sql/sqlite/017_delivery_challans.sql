@@ -0,0 +1,48 @@
+-- ===============================================================
+-- 017 - DELIVERY CHALLANS (SQLite port of sql/migrations/017)
+-- ===============================================================
+
+ALTER TABLE bills ADD COLUMN delivery_status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (delivery_status IN ('pending', 'partial', 'delivered'));
+
+CREATE TABLE IF NOT EXISTS delivery_challans (
+    id TEXT PRIMARY KEY,
+    challan_number TEXT,
+    bill_id TEXT NOT NULL REFERENCES bills(id) ON DELETE CASCADE,
+    bill_number TEXT,
+    trip_date TEXT NOT NULL,
+    driver_id TEXT REFERENCES employees(id) ON DELETE SET NULL,
+    driver_name TEXT,
+    vehicle_number TEXT,
+    customer_name TEXT,
+    customer_phone TEXT,
+    delivery_address TEXT,
+    notes TEXT,
+    created_by TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    deleted_at TEXT,
+    deleted_by TEXT
+);
+
+CREATE TABLE IF NOT EXISTS delivery_challan_items (
+    id TEXT PRIMARY KEY,
+    challan_id TEXT NOT NULL REFERENCES delivery_challans(id) ON DELETE CASCADE,
+    line_number INTEGER NOT NULL DEFAULT 1,
+    product_id TEXT,
+    description TEXT NOT NULL,
+    unit TEXT,
+    quantity REAL NOT NULL CHECK (quantity > 0),
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    deleted_at TEXT,
+    deleted_by TEXT
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS delivery_challans_challan_number_key
+    ON delivery_challans (challan_number) WHERE challan_number IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_delivery_challans_bill ON delivery_challans (bill_id) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_delivery_challans_driver ON delivery_challans (driver_id, trip_date);
+CREATE INDEX IF NOT EXISTS idx_delivery_challans_updated_at ON delivery_challans (updated_at);
+CREATE INDEX IF NOT EXISTS idx_delivery_challan_items_challan ON delivery_challan_items (challan_id, line_number);
+CREATE INDEX IF NOT EXISTS idx_delivery_challan_items_updated_at ON delivery_challan_items (updated_at);
@@ -0,0 +1,72 @@
+-- ===============================================================
+-- 018 - CREDIT NOTES (SQLite port of sql/migrations/018)
+-- get_dashboard_stats lives in local-server.js
+-- ===============================================================
+
+ALTER TABLE bills ADD COLUMN credited_amount REAL NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS credit_notes (
+    id TEXT PRIMARY KEY,
+    credit_note_number TEXT,
+    credit_note_date TEXT NOT NULL,
+    bill_id TEXT NOT NULL REFERENCES bills(id) ON DELETE CASCADE,
+    bill_number TEXT,
+    bill_date TEXT,
+    customer_id TEXT,
+    customer_name TEXT NOT NULL,
+    customer_phone TEXT,
+    customer_gstin TEXT,
+    place_of_supply TEXT,
+    reason TEXT,
+    sub_total REAL NOT NULL DEFAULT 0,
+    gst_amount REAL NOT NULL DEFAULT 0,
+    cgst_amount REAL NOT NULL DEFAULT 0,
+    sgst_amount REAL NOT NULL DEFAULT 0,
+    igst_amount REAL NOT NULL DEFAULT 0,
+    round_off REAL NOT NULL DEFAULT 0,
+    total_amount REAL NOT NULL DEFAULT 0 CHECK (total_amount >= 0),
+    applied_amount REAL NOT NULL DEFAULT 0 CHECK (applied_amount >= 0),
+    restocked INTEGER NOT NULL DEFAULT 0,
+    status TEXT NOT NULL DEFAULT 'issued' CHECK (status IN ('issued', 'cancelled')),
+    cancelled_at TEXT,
+    cancelled_by TEXT,
+    cancel_reason TEXT,
+    created_by TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    deleted_at TEXT,
+    deleted_by TEXT
+);
+
+CREATE TABLE IF NOT EXISTS credit_note_items (
+    id TEXT PRIMARY KEY,
+    credit_note_id TEXT NOT NULL REFERENCES credit_notes(id) ON DELETE CASCADE,
+    bill_item_id TEXT,
+    line_number INTEGER NOT NULL DEFAULT 1,
+    product_id TEXT,
+    description TEXT NOT NULL,
+    hsn_code TEXT,
+    unit TEXT,
+    quantity REAL NOT NULL CHECK (quantity > 0),
+    rate REAL NOT NULL DEFAULT 0,
+    amount REAL NOT NULL DEFAULT 0,
+    taxable_value REAL NOT NULL DEFAULT 0,
+    tax_rate REAL NOT NULL DEFAULT 0,
+    cgst_amount REAL NOT NULL DEFAULT 0,
+    sgst_amount REAL NOT NULL DEFAULT 0,
+    igst_amount REAL NOT NULL DEFAULT 0,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    deleted_at TEXT,
+    deleted_by TEXT
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS credit_notes_credit_note_number_key
+    ON credit_notes (credit_note_number) WHERE credit_note_number IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_credit_notes_bill ON credit_notes (bill_id) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_credit_notes_date ON credit_notes (credit_note_date);
+CREATE INDEX IF NOT EXISTS idx_credit_notes_customer_phone ON credit_notes (customer_phone);
+CREATE INDEX IF NOT EXISTS idx_credit_notes_updated_at ON credit_notes (updated_at);
+CREATE INDEX IF NOT EXISTS idx_credit_note_items_credit_note ON credit_note_items (credit_note_id, line_number);
+CREATE INDEX IF NOT EXISTS idx_credit_note_items_bill_item ON credit_note_items (bill_item_id);
+CREATE INDEX IF NOT EXISTS idx_credit_note_items_updated_at ON credit_note_items (updated_at);
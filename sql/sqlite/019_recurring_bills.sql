@@ -0,0 +1,80 @@
+-- ===============================================================
+-- 019 - RECURRING BILLS (SQLite port of sql/migrations/019)
+-- ===============================================================
+
+CREATE TABLE IF NOT EXISTS recurring_bills (
+    id TEXT PRIMARY KEY,
+    customer_id TEXT,
+    customer_name TEXT NOT NULL,
+    customer_phone TEXT,
+    customer_email TEXT,
+    customer_gstin TEXT,
+    place_of_supply TEXT,
+    frequency TEXT NOT NULL DEFAULT 'weekly'
+        CHECK (frequency IN ('weekly', 'fortnightly', 'monthly')),
+    next_run_date TEXT NOT NULL,
+    end_date TEXT,
+    last_run_date TEXT,
+    discount_type TEXT NOT NULL DEFAULT 'amount',
+    discount_value REAL NOT NULL DEFAULT 0,
+    total_amount REAL NOT NULL DEFAULT 0,
+    active INTEGER NOT NULL DEFAULT 1,
+    notes TEXT,
+    source_bill_id TEXT REFERENCES bills(id) ON DELETE SET NULL,
+    created_by TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    deleted_at TEXT,
+    deleted_by TEXT
+);
+
+CREATE TABLE IF NOT EXISTS recurring_bill_items (
+    id TEXT PRIMARY KEY,
+    recurring_bill_id TEXT NOT NULL REFERENCES recurring_bills(id) ON DELETE CASCADE,
+    line_number INTEGER NOT NULL DEFAULT 1,
+    line_type TEXT NOT NULL DEFAULT 'item',
+    product_id TEXT,
+    description TEXT NOT NULL,
+    hsn_code TEXT,
+    quantity REAL NOT NULL DEFAULT 0,
+    unit TEXT,
+    rate REAL NOT NULL DEFAULT 0,
+    discount_type TEXT NOT NULL DEFAULT 'amount',
+    discount_value REAL NOT NULL DEFAULT 0,
+    discount REAL NOT NULL DEFAULT 0,
+    tax_rate REAL NOT NULL DEFAULT 0,
+    amount REAL NOT NULL DEFAULT 0,
+    is_custom INTEGER DEFAULT 0,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    deleted_at TEXT,
+    deleted_by TEXT
+);
+
+CREATE TABLE IF NOT EXISTS recurring_bill_runs (
+    id TEXT PRIMARY KEY,
+    recurring_bill_id TEXT NOT NULL REFERENCES recurring_bills(id) ON DELETE CASCADE,
+    run_date TEXT NOT NULL,
+    customer_name TEXT,
+    total_amount REAL NOT NULL DEFAULT 0,
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'confirmed', 'skipped')),
+    bill_id TEXT REFERENCES bills(id) ON DELETE SET NULL,
+    reviewed_by TEXT,
+    reviewed_at TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    deleted_at TEXT,
+    deleted_by TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_recurring_bills_next_run ON recurring_bills (next_run_date) WHERE active = 1 AND deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_recurring_bills_customer ON recurring_bills (customer_phone) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_recurring_bills_updated_at ON recurring_bills (updated_at);
+CREATE INDEX IF NOT EXISTS idx_recurring_bills_deleted_at ON recurring_bills (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_recurring_bill_items_recurring_bill ON recurring_bill_items (recurring_bill_id, line_number);
+CREATE INDEX IF NOT EXISTS idx_recurring_bill_items_updated_at ON recurring_bill_items (updated_at);
+CREATE UNIQUE INDEX IF NOT EXISTS recurring_bill_runs_recurring_bill_run_date_key
+    ON recurring_bill_runs (recurring_bill_id, run_date);
+CREATE INDEX IF NOT EXISTS idx_recurring_bill_runs_status ON recurring_bill_runs (status, run_date);
+CREATE INDEX IF NOT EXISTS idx_recurring_bill_runs_updated_at ON recurring_bill_runs (updated_at);
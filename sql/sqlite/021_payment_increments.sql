@@ -0,0 +1,21 @@
+-- ===============================================================
+-- 021 - PAYMENT INCREMENTS (SQLite port of sql/migrations/021)
+-- The 'increment' operation itself is in local-server.js runTransaction.
+-- ===============================================================
+
+CREATE TRIGGER IF NOT EXISTS trigger_bills_payment_status
+AFTER UPDATE OF amount_paid, balance_due ON bills
+FOR EACH ROW
+WHEN NEW.balance_due IS NOT NULL AND NEW.status IN ('pending', 'partially_paid', 'paid')
+BEGIN
+    SELECT RAISE(ABORT, 'This bill is already paid - this payment would overpay it')
+    WHERE NEW.balance_due < 0;
+
+    UPDATE bills
+    SET status = CASE
+        WHEN NEW.balance_due = 0 THEN 'paid'
+        WHEN COALESCE(NEW.amount_paid, 0) <= 0 THEN 'pending'
+        ELSE 'partially_paid'
+    END
+    WHERE id = NEW.id;
+END;
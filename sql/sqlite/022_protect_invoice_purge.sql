@@ -0,0 +1,11 @@
+-- ===============================================================
+-- 022 - KEEP ISSUED INVOICES (SQLite port of sql/migrations/022)
+-- ===============================================================
+
+CREATE TRIGGER IF NOT EXISTS trigger_protect_invoice_purge
+BEFORE DELETE ON bills
+FOR EACH ROW
+WHEN OLD.invoice_sequence IS NOT NULL
+BEGIN
+    SELECT RAISE(ABORT, 'Invoice already has its number and cannot be deleted forever - cancel it instead');
+END;
@@ -0,0 +1,15 @@
+-- ===============================================================
+-- 024 - RECURRING ANCHOR DAY (SQLite port of sql/migrations/024)
+-- ===============================================================
+
+ALTER TABLE recurring_bills ADD COLUMN day_of_month INTEGER
+    CHECK (day_of_month BETWEEN 1 AND 31);
+
+UPDATE recurring_bills
+SET day_of_month = MAX(
+    CAST(strftime('%d', next_run_date) AS INTEGER),
+    COALESCE((SELECT MAX(CAST(strftime('%d', run.run_date) AS INTEGER))
+              FROM recurring_bill_runs run
+              WHERE run.recurring_bill_id = recurring_bills.id), 0)
+)
+WHERE frequency = 'monthly' AND day_of_month IS NULL;
@@ -0,0 +1,10 @@
+-- ===============================================================
+-- 026 - TRANSACTION KEYS (SQLite port of sql/migrations/026)
+-- ===============================================================
+
+CREATE TABLE IF NOT EXISTS transaction_keys (
+    key TEXT PRIMARY KEY,
+    results TEXT NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
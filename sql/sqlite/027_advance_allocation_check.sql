@@ -0,0 +1,20 @@
+-- ===============================================================
+-- 027 - ADVANCE ALLOCATION CHECK (SQLite port of sql/migrations/027)
+-- SQLite can't add a CHECK to an existing table, so triggers refuse it.
+-- ===============================================================
+
+CREATE TRIGGER IF NOT EXISTS trigger_advance_allocation_insert
+BEFORE INSERT ON advance_payments
+FOR EACH ROW
+WHEN COALESCE(NEW.allocation_used, 0) > NEW.amount
+BEGIN
+    SELECT RAISE(ABORT, 'This advance has less left than is being adjusted');
+END;
+
+CREATE TRIGGER IF NOT EXISTS trigger_advance_allocation_update
+BEFORE UPDATE OF allocation_used, amount ON advance_payments
+FOR EACH ROW
+WHEN COALESCE(NEW.allocation_used, 0) > NEW.amount
+BEGIN
+    SELECT RAISE(ABORT, 'This advance has less left than is being adjusted');
+END;
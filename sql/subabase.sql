@@ -831,4 +831,10 @@ FOREIGN KEY (family_group_id)
 REFERENCES family_groups(id) 
 ON DELETE SET NULL;
 
-ALTER TABLE attendance ADD COLUMN updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
\ No newline at end of file
+ALTER TABLE attendance ADD COLUMN updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+-- ---------------------------------------------------------------
+-- Everything after this baseline lives in sql/migrations/NNN_name.sql.
+-- Apply those files in order (001 first) - each records itself in
+-- schema_migrations and the app reports any that are still pending.
+-- ---------------------------------------------------------------
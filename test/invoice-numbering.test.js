@@ -0,0 +1,88 @@
+/**
+ * 🧾 Invoice numbers past 9999 - assign_invoice_number on Postgres (sql/migrations/025)
+ * and its local server port must give the same, untruncated numbers.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+const { LocalDatabaseServer } = require('../local-server');
+
+const SQL_DIR = path.join(__dirname, '../sql');
+
+// Just the columns assign_invoice_number touches - the rest of the schema needs Supabase
+const POSTGRES_SETUP = `
+    CREATE ROLE anon;
+    CREATE ROLE authenticated;
+    CREATE TABLE schema_migrations (version VARCHAR(10) PRIMARY KEY, name TEXT);
+    CREATE TABLE bills (
+        id TEXT PRIMARY KEY,
+        bill_date DATE NOT NULL,
+        bill_number TEXT,
+        financial_year VARCHAR(7),
+        invoice_sequence INTEGER
+    );
+    CREATE UNIQUE INDEX bills_invoice_number_key ON bills (bill_number) WHERE invoice_sequence IS NOT NULL;
+    CREATE TABLE invoice_series (
+        financial_year VARCHAR(7) PRIMARY KEY,
+        prefix VARCHAR(20) NOT NULL,
+        last_number INTEGER NOT NULL DEFAULT 0,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+    CREATE FUNCTION financial_year_of(d DATE) RETURNS TEXT LANGUAGE sql IMMUTABLE AS $$
+        SELECT start_year || '-' || lpad(((start_year + 1) % 100)::TEXT, 2, '0')
+        FROM (SELECT EXTRACT(YEAR FROM d)::INTEGER - CASE WHEN EXTRACT(MONTH FROM d) < 4 THEN 1 ELSE 0 END AS start_year) fy;
+    $$;
+`;
+
+// Invoice 999 is numbered first so the 4-digit padding is covered as well
+const NUMBERS = [999, 1000, 9999, 10000, 123456];
+const EXPECTED = ['SMJ/2026-27/0999', 'SMJ/2026-27/1000', 'SMJ/2026-27/9999', 'SMJ/2026-27/10000', 'SMJ/2026-27/123456'];
+
+test('Postgres numbers invoices with 5 or more digits in full', async () => {
+    const db = new PGlite();
+    await db.exec(POSTGRES_SETUP);
+    await db.exec(fs.readFileSync(path.join(SQL_DIR, 'migrations/025_invoice_number_width.sql'), 'utf8'));
+
+    const numbers = [];
+    for (const number of NUMBERS) {
+        await db.query(
+            `INSERT INTO invoice_series (financial_year, prefix, last_number) VALUES ('2026-27', 'SMJ/2026-27/', $1)
+             ON CONFLICT (financial_year) DO UPDATE SET last_number = EXCLUDED.last_number`,
+            [number - 1]
+        );
+        await db.query('INSERT INTO bills (id, bill_date) VALUES ($1, $2)', [`bill-${number}`, '2026-05-01']);
+        const { rows } = await db.query('SELECT assign_invoice_number($1) AS bill', [`bill-${number}`]);
+        numbers.push(rows[0].bill.bill_number);
+    }
+
+    assert.deepStrictEqual(numbers, EXPECTED);
+    await db.close();
+});
+
+test('the local server gives the same numbers as Postgres', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'invoice-numbering-'));
+    const server = new LocalDatabaseServer(path.join(dir, 'test.db'), path.join(SQL_DIR, 'sqlite'));
+
+    try {
+        server.open();
+        server.db.pragma('foreign_keys = OFF');
+
+        const numbers = NUMBERS.map(number => {
+            server.db.prepare(`
+                INSERT INTO invoice_series (financial_year, prefix, last_number) VALUES ('2026-27', 'SMJ/2026-27/', ?)
+                ON CONFLICT (financial_year) DO UPDATE SET last_number = excluded.last_number
+            `).run(number - 1);
+            server.db.prepare('INSERT INTO bills (id, bill_number, customer_id, bill_date) VALUES (?, ?, ?, ?)')
+                .run(`bill-${number}`, `draft-${number}`, 'customer-1', '2026-05-01');
+            return server.assignInvoiceNumber({ p_bill_id: `bill-${number}` }).bill_number;
+        });
+
+        assert.deepStrictEqual(numbers, EXPECTED);
+    } finally {
+        server.db?.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,47 @@
+/**
+ * 📅 Utils.getNextRecurringDate - month-end recurring bills
+ * js/utils.js is a browser script, so it is loaded into a sandbox with a bare window.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const sandbox = { window: {}, console };
+vm.runInNewContext(fs.readFileSync(path.join(__dirname, '../js/utils.js'), 'utf8'), sandbox);
+const Utils = sandbox.window.Utils;
+
+const runDates = (start, frequency, anchorDay, count) => {
+    const dates = [start];
+    while (dates.length < count) {
+        dates.push(Utils.getNextRecurringDate(dates[dates.length - 1], frequency, anchorDay));
+    }
+    return dates;
+};
+
+test('a template on the 31st returns to the 31st after short months', () => {
+    assert.deepStrictEqual(runDates('2026-01-31', 'monthly', 31, 6), [
+        '2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30', '2026-05-31', '2026-06-30'
+    ]);
+});
+
+test('a template on the 30th lands on the 29th in a leap February', () => {
+    assert.deepStrictEqual(runDates('2028-01-30', 'monthly', 30, 3), ['2028-01-30', '2028-02-29', '2028-03-30']);
+});
+
+test('a template on the 29th keeps the 29th across a year end', () => {
+    assert.deepStrictEqual(runDates('2026-12-29', 'monthly', 29, 4), [
+        '2026-12-29', '2027-01-29', '2027-02-28', '2027-03-29'
+    ]);
+});
+
+test('without an anchor the day of the given date is used', () => {
+    assert.strictEqual(Utils.getNextRecurringDate('2026-01-15', 'monthly'), '2026-02-15');
+    assert.strictEqual(Utils.getNextRecurringDate('2026-01-31', 'monthly'), '2026-02-28');
+});
+
+test('weekly and fortnightly ignore the anchor', () => {
+    assert.strictEqual(Utils.getNextRecurringDate('2026-02-26', 'weekly', 31), '2026-03-05');
+    assert.strictEqual(Utils.getNextRecurringDate('2026-12-25', 'fortnightly', 31), '2027-01-08');
+});
@@ -0,0 +1,69 @@
+/**
+ * 🔑 Transaction keys - run_transaction on Postgres (sql/migrations/026) and its
+ * local server port must apply a keyed call once, however often it is sent.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+const { LocalDatabaseServer } = require('../local-server');
+
+const SQL_DIR = path.join(__dirname, '../sql');
+
+// Just a table to increment - the rest of the schema needs Supabase
+const POSTGRES_SETUP = `
+    CREATE ROLE anon;
+    CREATE ROLE authenticated;
+    CREATE TABLE schema_migrations (version VARCHAR(10) PRIMARY KEY, name TEXT);
+    CREATE TABLE products (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        stock_quantity DECIMAL(12,3) NOT NULL DEFAULT 0
+    );
+    INSERT INTO products (id, name, stock_quantity) VALUES ('product-1', 'Bangle', 10);
+`;
+
+const OPS = [{ type: 'increment', table: 'products', id: 'product-1', data: { stock_quantity: -2 } }];
+
+test('Postgres runs a keyed transaction once and returns its results again', async () => {
+    const db = new PGlite();
+    await db.exec(POSTGRES_SETUP);
+    await db.exec(fs.readFileSync(path.join(SQL_DIR, 'migrations/026_transaction_keys.sql'), 'utf8'));
+
+    const run = async key => (await db.query('SELECT run_transaction($1::jsonb, $2) AS results', [JSON.stringify(OPS), key])).rows[0].results;
+
+    const first = await run('txn-1');
+    const repeat = await run('txn-1');
+    assert.deepStrictEqual(repeat, first);
+    assert.strictEqual(Number(first[0].stock_quantity), 8);
+
+    // Without a key every call counts
+    await run(null);
+    const { rows } = await db.query("SELECT stock_quantity FROM products WHERE id = 'product-1'");
+    assert.strictEqual(Number(rows[0].stock_quantity), 6);
+    await db.close();
+});
+
+test('the local server runs a keyed transaction once like Postgres', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transaction-keys-'));
+    const server = new LocalDatabaseServer(path.join(dir, 'test.db'), path.join(SQL_DIR, 'sqlite'));
+
+    try {
+        server.open();
+        server.db.prepare('INSERT INTO products (id, name, stock_quantity) VALUES (?, ?, ?)').run('product-1', 'Bangle', 10);
+
+        const first = server.rpc('run_transaction', { ops: OPS, p_key: 'txn-1' });
+        const repeat = server.rpc('run_transaction', { ops: OPS, p_key: 'txn-1' });
+        assert.strictEqual(first.error, null);
+        assert.deepStrictEqual(repeat.data, first.data);
+
+        server.rpc('run_transaction', { ops: OPS });
+        const { stock_quantity: stock } = server.db.prepare('SELECT stock_quantity FROM products WHERE id = ?').get('product-1');
+        assert.strictEqual(Number(stock), 6);
+    } finally {
+        server.db?.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});